@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Clarity score benchmark
+ * Scores the labelled prompts in bench/corpus.json with the built-in rules and default scoring
+ * config, and checks that the scores fall in each label's band and rank the labels in order.
+ *
+ * Usage: node bench/clarityScore.js [--corpus <file>] [--weights <dimension=weight,...>] [--json]
+ * Exits with 1 when band accuracy or rank correlation is below the thresholds.
+ * `npm test` runs the same check on the default corpus (src/clarityScore.test.js).
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { isMainModule } from '../src/server.js';
+import { analyzeTextForGaps } from '../utils/gapAnalysis.js';
+import { resolveRulePack } from '../utils/ruleEngine.js';
+import { scoreClarity } from '../utils/clarityScore.js';
+import { analyzeText } from '../utils/textAnalysis.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CORPUS = join(__dirname, 'corpus.json');
+
+const LABELS = ['poor', 'fair', 'good'];
+export const MIN_BAND_ACCURACY = 0.8;
+export const MIN_RANK_CORRELATION = 0.7;
+
+function getOptionValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+function parseWeights(value) {
+  if (value === undefined) return undefined;
+  return Object.fromEntries(value.split(',').map(entry => {
+    const [dimension, weight] = entry.split('=').map(part => part.trim());
+    return [dimension, Number(weight)];
+  }));
+}
+
+/**
+ * Ranks of values, ties sharing their average rank
+ */
+function rank(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+/**
+ * Spearman rank correlation (Pearson correlation of the ranks)
+ */
+function spearman(xs, ys) {
+  const rx = rank(xs);
+  const ry = rank(ys);
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const mx = mean(rx);
+  const my = mean(ry);
+  let covariance = 0;
+  let vx = 0;
+  let vy = 0;
+  rx.forEach((x, i) => {
+    covariance += (x - mx) * (ry[i] - my);
+    vx += (x - mx) ** 2;
+    vy += (ry[i] - my) ** 2;
+  });
+  return vx > 0 && vy > 0 ? covariance / Math.sqrt(vx * vy) : 0;
+}
+
+/**
+ * Score a corpus ({ bands, prompts }) and summarize how well the scores match its labels
+ * Returns { summary, results }; summary.passed tells whether both thresholds are met
+ */
+export function runBenchmark(corpus, options = {}) {
+  const rules = resolveRulePack({});
+
+  const results = corpus.prompts.map(({ id, label, text }) => {
+    const analysis = analyzeText(text);
+    const { gaps } = analyzeTextForGaps(text, { rules, analysis });
+    const { overall } = scoreClarity(analysis, gaps, { config: {}, weights: options.weights });
+    const [min, max] = corpus.bands[label];
+    return { id, label, score: overall, in_band: overall >= min && overall <= max, gaps: gaps.length };
+  });
+
+  const bandAccuracy = results.filter(result => result.in_band).length / results.length;
+  const rankCorrelation = spearman(results.map(result => LABELS.indexOf(result.label)), results.map(result => result.score));
+  const means = Object.fromEntries(LABELS.map(label => {
+    const scores = results.filter(result => result.label === label).map(result => result.score);
+    return [label, scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null];
+  }));
+
+  const summary = {
+    prompts: results.length,
+    band_accuracy: Math.round(bandAccuracy * 1000) / 1000,
+    rank_correlation: Math.round(rankCorrelation * 1000) / 1000,
+    mean_scores: means,
+    passed: bandAccuracy >= MIN_BAND_ACCURACY && rankCorrelation >= MIN_RANK_CORRELATION
+  };
+  return { summary, results };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const corpusPath = getOptionValue(args, '--corpus') ?? DEFAULT_CORPUS;
+  const weights = parseWeights(getOptionValue(args, '--weights'));
+  const corpus = JSON.parse(readFileSync(corpusPath, 'utf8'));
+  const { summary, results } = runBenchmark(corpus, { weights });
+  const means = summary.mean_scores;
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ summary, results }, null, 2));
+  } else {
+    results.forEach(result => {
+      const mark = result.in_band ? ' ' : '!';
+      console.log(`${mark} ${result.id.padEnd(10)} ${result.label.padEnd(5)} ${String(result.score).padStart(3)}  (${result.gaps} gaps)`);
+    });
+    console.log('');
+    console.log(`Band accuracy:    ${summary.band_accuracy} (min ${MIN_BAND_ACCURACY})`);
+    console.log(`Rank correlation: ${summary.rank_correlation} (min ${MIN_RANK_CORRELATION})`);
+    console.log(`Mean scores:      ${LABELS.map(label => `${label} ${means[label]}`).join(', ')}`);
+    console.log(summary.passed ? 'PASS' : 'FAIL');
+  }
+
+  process.exit(summary.passed ? 0 : 1);
+}
+
+if (isMainModule(import.meta.url)) {
+  main();
+}
@@ -5,15 +5,50 @@
  * Usage: npx text-to-json-mcp [command] [options]
  */
 
-import { readFileSync } from 'fs';
+import { createWriteStream, existsSync, readFileSync, writeFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { convertPromptToJson, refinePrompt } from './utils/promptProcessor.js';
 import { analyzeTextForGaps } from './utils/gapAnalysis.js';
+import { decomposePrompt } from './utils/decomposition.js';
+import { listSchemas } from './utils/schemaRegistry.js';
+import { findProjectRulePack, getActiveRules, loadRulePackFile } from './utils/ruleEngine.js';
+import { collectItems, runBatch, summarizeBatch, DEFAULT_CONCURRENCY } from './utils/batch.js';
+import { mapToSource } from './utils/promptSources.js';
+import { lintPrompts, formatLintReport, DEFAULT_FAIL_ON, DEFAULT_MIN_SCORE, FAIL_ON_LEVELS, LINT_FORMATS } from './utils/promptLint.js';
+import { detectSpecFormat, parseSpec, withOutputFormat } from './utils/serializers.js';
+import { renderPrompt, DEFAULT_RENDER_TEMPLATE } from './utils/promptRenderer.js';
+import { isRequiredVariable, listTemplates, renderTemplate } from './utils/templates.js';
+import { readConfigFile } from './utils/config.js';
+import { formatHunk } from './utils/diff.js';
+import { createStore, compareStoredConversions, recordConversion, DEFAULT_LIST_LIMIT } from './utils/store.js';
+import { createServer, isMainModule } from './src/server.js';
+import { CLARITY_DIMENSIONS, LANGUAGES, OUTPUT_FORMATS, RENDER_TEMPLATES } from './src/schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Options of convert/gaps/refine/decompose that take a value
+const PROMPT_VALUE_FLAGS = ['--schema', '--format', '--rules', '--weights', '--input', '--output', '--concurrency', '--name', '--store', '--language'];
+
+// Options of convert/gaps/refine/decompose that take no value
+const PROMPT_BOOLEAN_FLAGS = ['--extract', '--save'];
+
+// Options of lint that take a value
+const LINT_VALUE_FLAGS = ['--min-score', '--fail-on', '--format', '--output', '--rules', '--weights'];
+
+// Options of parse that take a value
+const PARSE_VALUE_FLAGS = ['--format', '--schema'];
+
+// Options of render that take a value
+const RENDER_VALUE_FLAGS = ['--format', '--template'];
+
+// Options of template render that take a value
+const TEMPLATE_VALUE_FLAGS = ['--var', '--vars', '--rules', '--weights'];
+
+// Options of history that take a value
+const HISTORY_VALUE_FLAGS = ['--search', '--name', '--limit', '--store'];
+
 // Read package.json for version info
 const packageJson = JSON.parse(
   readFileSync(join(__dirname, 'package.json'), 'utf8')
@@ -32,20 +67,114 @@ COMMANDS:
   convert <text>          Convert text prompt to structured JSON
   gaps <text>             Find clarity gaps in text prompt
   refine <text>           Refine text prompt for better clarity
+  decompose <text>        Split a multi-step prompt into ordered subtasks
+  parse <file>            Validate a spec written by convert --format and print it as JSON
+  render <file>           Render a structured prompt back into a text prompt
+  template list           List the prompt templates
+  template render <name>  Render a prompt template and find its clarity gaps
+  history list            List or search the conversions saved with convert --save
+  history diff <id> [id]  Compare two saved conversions (or one with its previous version)
+  lint <path...>          Check prompt files against a clarity quality gate
+  schemas                 List output schemas available to convert --schema
+  rules                   List the active gap analysis rules
   server                  Start MCP server (for IDE integration)
   help                    Show this help message
   version                 Show version information
 
 EXAMPLES:
   npx text-to-json-mcp convert "Generate a product catalog for corrugated boxes"
+  npx text-to-json-mcp convert --schema bug_report "Login fails with a 500 error"
+  npx text-to-json-mcp convert --format yaml "Summarize the report" > prompt.yaml
+  npx text-to-json-mcp parse prompt.yaml
+  npx text-to-json-mcp render prompt.yaml --template xml
+  npx text-to-json-mcp convert --save --name onboarding "Write an onboarding email for new users"
+  npx text-to-json-mcp history diff 3f2a9c
+  npx text-to-json-mcp template render summarize --var audience="the support team" --vars ticket.json
   npx text-to-json-mcp gaps "Make something good"
   npx text-to-json-mcp refine "Build a website"
+  npx text-to-json-mcp decompose "Scrape the site, clean the data, then build a dashboard"
+  npx text-to-json-mcp gaps --input "prompts/**/*.md" > gaps.jsonl
+  cat dataset.jsonl | npx text-to-json-mcp convert --input -
+  npx text-to-json-mcp lint "prompts/**/*.md" --min-score 70 --format sarif --output prompts.sarif
   npx text-to-json-mcp server
+  npx text-to-json-mcp server --http --port 3000
 
 OPTIONS:
   --help, -h             Show help message
   --version, -v          Show version information
 
+LANGUAGE OPTIONS (convert, gaps, refine, decompose):
+  --language <code>      Analyze with this language's lexicon (${LANGUAGES.join(', ')}) instead
+                         of the detected one; results report both in \`language\`
+
+BATCH OPTIONS (convert, gaps, refine, decompose):
+  --input <path>         File, directory or glob of prompts, or - for stdin (repeatable).
+                         .md/.txt files hold one prompt; .jsonl/.ndjson one per line
+                         ({"id": ..., "text": ...} or a JSON string)
+  --output <file>        Write the JSONL records to a file instead of stdout
+  --concurrency <n>      Prompts processed at once (default: ${DEFAULT_CONCURRENCY})
+  --extract              Read the prompts embedded in files: JS/TS string and template
+                         literals (named *prompt*, *instructions*, *system*... or marked
+                         // @prompt), YAML values under such keys, Cursor .mdc rules and
+                         Markdown fences tagged "prompt"; results carry file locations
+
+CONVERT OPTIONS:
+  --schema <name|file>   Target a registered output schema or a JSON Schema file
+  --save                 Save the conversion, its gaps and clarity score in the store
+  --name <name>          Save it as the next version of a named prompt (with --save)
+  --store <file>         Store file (default: TEXT_TO_JSON_STORE or
+                         .text-to-json/conversions.jsonl)
+  --format <format>      Print the data as ${OUTPUT_FORMATS.join(', ')};
+                         json_schema describes the requested output. Batch records
+                         carry the text in result.formatted
+
+PARSE OPTIONS:
+  <file>                 Spec file, or - for stdin
+  --format <format>      Spec format (default: from the file extension, json for stdin)
+  --schema <name|file>   Schema the spec follows (default: the prompt schema)
+  Exits with 1 when the spec does not match the schema.
+
+RENDER OPTIONS:
+  <file>                 Structured prompt in any convert --format, or - for JSON on stdin
+  --template <name>      ${RENDER_TEMPLATES.join(', ')} (default: ${DEFAULT_RENDER_TEMPLATE});
+                         messages prints a JSON array of system and user messages
+  --format <format>      As for parse
+
+GAPS OPTIONS:
+  --rules <file>         Use a JSON/YAML rule pack instead of .text-to-json/rules.json
+  --weights <list>       Clarity score weights, e.g. context=2,specificity=1,structure=0.5
+
+HISTORY OPTIONS:
+  --search <words>       Only list conversions whose name, text or output contain all words
+  --name <name>          Only list the versions of a named prompt
+  --limit <n>            Number of conversions listed (default: ${DEFAULT_LIST_LIMIT})
+  --store <file>         As for convert
+
+TEMPLATE RENDER OPTIONS:
+  --var <name=value>     Variable value (repeatable); lists are comma-separated or JSON
+  --vars <file>          JSON/YAML file of variable values (--var takes precedence)
+  --rules, --weights     As for gaps
+  Templates come from .text-to-json/templates/*.json|yaml and the built-in library.
+
+LINT OPTIONS:
+  <path...>              Files, directories or globs of prompts (as for --input), - for stdin
+  --min-score <n>        Fail prompts with a lower clarity score (default: ${DEFAULT_MIN_SCORE})
+  --fail-on <severity>   Fail prompts with gaps of this severity or higher:
+                         ${FAIL_ON_LEVELS.join(', ')} (default: ${DEFAULT_FAIL_ON})
+  --format <format>      ${LINT_FORMATS.join(', ')} (default: table)
+  --output <file>        Write the report to a file instead of stdout
+  --extract              Lint the prompts embedded in source files (as for batch mode)
+  --rules, --weights     As for gaps
+  Exits with 1 when any prompt fails.
+
+SERVER OPTIONS:
+  --http                 Serve MCP over streamable HTTP (/mcp) with SSE fallback (/sse)
+  --port <port>          HTTP port (default: 3000)
+  --host <host>          HTTP host to bind (default: 127.0.0.1)
+  --allow-origin <url>   Allow browser requests from an extra origin (repeatable)
+  --no-sampling          Never ask the client's model (MCP sampling); use heuristics only
+  --store <file>         Save every conversion in this store (default: TEXT_TO_JSON_STORE)
+
 For IDE integration (Cursor/VSCode), use the 'server' command and configure MCP.
 See README.md for detailed setup instructions.
 `);
@@ -55,36 +184,44 @@ function showVersion() {
   console.log(`text-to-json-mcp v${packageJson.version}`);
 }
 
-function processText(text, command) {
+/**
+ * Run a prompt command on one text
+ */
+function runCommand(text, command, options = {}) {
+  switch (command) {
+    case 'convert': {
+      const result = convertPromptToJson(text, { schema: options.schema, language: options.language });
+      const stored = options.store && result.success
+        ? recordConversion(options.store, { text, schema: options.schema, name: options.name, result, source: 'cli', language: options.language })
+        : undefined;
+      return withOutputFormat(stored ? { ...result, conversion_id: stored.id } : result, options.format, { text, schema: options.schema });
+    }
+    case 'gaps':
+      return analyzeTextForGaps(text, { rules: options.rules, weights: options.weights, language: options.language });
+    case 'refine':
+      return refinePrompt(text, { language: options.language });
+    case 'decompose':
+      return decomposePrompt(text, { language: options.language });
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+function processText(text, command, options = {}) {
   if (!text || text.trim().length === 0) {
     console.error('Error: Text input is required');
     process.exit(1);
   }
 
   try {
-    let result;
-    
-    switch (command) {
-      case 'convert':
-        result = convertPromptToJson(text);
-        break;
-      case 'gaps':
-        result = analyzeTextForGaps(text);
-        break;
-      case 'refine':
-        result = refinePrompt(text);
-        break;
-      default:
-        console.error(`Unknown command: ${command}`);
-        process.exit(1);
-    }
+    const result = runCommand(text, command, options);
 
     if (result.success === false) {
       console.error('Error:', result.error);
       process.exit(1);
     }
 
-    console.log(JSON.stringify(result, null, 2));
+    console.log(result.formatted ?? JSON.stringify(result, null, 2));
     
   } catch (error) {
     console.error('Error processing text:', error.message);
@@ -92,21 +229,494 @@ function processText(text, command) {
   }
 }
 
-async function startServer() {
-  console.log('Starting MCP server...');
-  console.log('This server is designed to run as a background process for IDE integration.');
-  console.log('Use Ctrl+C to stop the server.');
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function printSummary(summary) {
+  console.error(`\nProcessed ${summary.total} prompt(s): ${summary.succeeded} succeeded, ${summary.failed} failed`);
+  if (summary.average_clarity_score !== null) {
+    console.error(`Average clarity score: ${summary.average_clarity_score}`);
+  }
+  if (summary.common_gap_categories.length > 0) {
+    console.error('Most common gap categories:');
+    summary.common_gap_categories.forEach(({ category, count }) => {
+      console.error(`  ${category.padEnd(24)} ${count}`);
+    });
+  }
+}
+
+/**
+ * Run a command over every prompt named by --input, writing one JSONL record per prompt
+ * Item failures are reported in their records; the exit code is 1 when any item failed
+ */
+async function processBatch(inputs, command, options = {}) {
+  let items;
+  try {
+    const stdin = inputs.includes('-') ? await readStdin() : '';
+    items = collectItems(inputs, { stdin, extract: options.extract });
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+
+  if (items.length === 0) {
+    console.error(`Error: No prompts found in ${inputs.join(', ')}`);
+    process.exit(1);
+  }
+
+  const output = options.output ? createWriteStream(options.output) : process.stdout;
+
+  const records = await runBatch(items, async (item) => {
+    if (item.text.trim().length === 0) {
+      throw new Error('Text input is required');
+    }
+    const result = runCommand(item.text, command, options);
+    if (result.success === false) {
+      throw new Error(result.error);
+    }
+    const gapAnalysis = command === 'gaps'
+      ? result
+      : analyzeTextForGaps(item.text, { rules: options.rules, weights: options.weights, language: options.language });
+    return {
+      result: item.locate ? mapToSource(result, item.locate) : result,
+      clarity: {
+        score: gapAnalysis.overall_clarity_score,
+        categories: gapAnalysis.gaps.map(gap => gap.category)
+      }
+    };
+  }, {
+    concurrency: options.concurrency,
+    onRecord: record => output.write(`${JSON.stringify(record)}\n`)
+  });
+
+  if (output !== process.stdout) {
+    await new Promise(resolve => output.end(resolve));
+  }
+
+  const summary = summarizeBatch(records);
+  printSummary(summary);
+  if (summary.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Parse `--weights context=2,specificity=1` into clarity score dimension weights
+ */
+function parseWeightsOption(value) {
+  if (value === undefined) return undefined;
+
+  const weights = {};
+  value.split(',').forEach(entry => {
+    const [dimension, weight] = entry.split('=').map(part => part.trim());
+    const number = Number(weight);
+    if (!CLARITY_DIMENSIONS.includes(dimension) || weight === undefined || !Number.isFinite(number) || number < 0) {
+      console.error(`Error: Invalid weight "${entry}". Use <dimension>=<number> with dimensions: ${CLARITY_DIMENSIONS.join(', ')}`);
+      process.exit(1);
+    }
+    weights[dimension] = number;
+  });
+  return weights;
+}
+
+/**
+ * Parse `--concurrency <n>` (a positive integer)
+ */
+function parseConcurrencyOption(value) {
+  if (value === undefined) return DEFAULT_CONCURRENCY;
+
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error(`Error: Invalid concurrency: ${value}`);
+    process.exit(1);
+  }
+  return concurrency;
+}
+
+/**
+ * Get the values passed for a repeatable `--flag value` option
+ */
+function getOptionValues(args, flag) {
+  const values = [];
+  args.forEach((arg, index) => {
+    if (arg === flag && index + 1 < args.length) {
+      values.push(args[index + 1]);
+    } else if (arg.startsWith(`${flag}=`)) {
+      values.push(arg.slice(flag.length + 1));
+    }
+  });
+  return values;
+}
+
+function getOptionValue(args, flag) {
+  return getOptionValues(args, flag).pop();
+}
+
+/**
+ * Get the arguments that are not options or option values
+ */
+function getPositionalArgs(args, valueFlags = []) {
+  const positional = [];
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (valueFlags.includes(arg)) {
+      index++;
+    } else if (!valueFlags.some(flag => arg.startsWith(`${flag}=`))) {
+      positional.push(arg);
+    }
+  }
+  return positional;
+}
+
+/**
+ * Resolve a --schema value: a JSON Schema file path or a registered schema name
+ */
+function resolveSchemaOption(value) {
+  if (value === undefined) return undefined;
+  if (value.endsWith('.json') && existsSync(value)) {
+    return JSON.parse(readFileSync(value, 'utf8'));
+  }
+  return value;
+}
+
+/**
+ * Lint prompt files and exit with 1 when any prompt fails the quality gate
+ */
+async function lint(args) {
+  const inputs = getPositionalArgs(args, LINT_VALUE_FLAGS).filter(arg => arg !== '--extract');
+  if (inputs.length === 0) {
+    console.error('Error: lint requires at least one file, directory or glob');
+    console.error('Usage: npx text-to-json-mcp lint "prompts/**/*.md" [--min-score 60] [--fail-on high]');
+    process.exit(1);
+  }
+
+  const minScoreValue = getOptionValue(args, '--min-score');
+  const minScore = minScoreValue === undefined ? DEFAULT_MIN_SCORE : Number(minScoreValue);
+  if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+    console.error(`Error: Invalid minimum score: ${minScoreValue}. Use a number from 0 to 100`);
+    process.exit(1);
+  }
+
+  const failOn = getOptionValue(args, '--fail-on') ?? DEFAULT_FAIL_ON;
+  if (!FAIL_ON_LEVELS.includes(failOn)) {
+    console.error(`Error: Invalid --fail-on: ${failOn}. Use one of: ${FAIL_ON_LEVELS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const format = getOptionValue(args, '--format') ?? 'table';
+  if (!LINT_FORMATS.includes(format)) {
+    console.error(`Error: Invalid --format: ${format}. Use one of: ${LINT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    const stdin = inputs.includes('-') ? await readStdin() : '';
+    const items = collectItems(inputs, { stdin, extract: args.includes('--extract') });
+    if (items.length === 0) {
+      console.error(`Error: No prompts found in ${inputs.join(', ')}`);
+      process.exit(1);
+    }
+
+    const rulesPath = getOptionValue(args, '--rules');
+    const report = lintPrompts(items, {
+      minScore,
+      failOn,
+      rules: rulesPath ? loadRulePackFile(rulesPath) : undefined,
+      weights: parseWeightsOption(getOptionValue(args, '--weights'))
+    });
+    const output = formatLintReport(report, format, { version: packageJson.version });
+
+    const outputPath = getOptionValue(args, '--output');
+    if (outputPath) {
+      writeFileSync(outputPath, `${output}\n`);
+      const { prompts, failed } = report.summary;
+      console.error(`Linted ${prompts} prompt(s), ${failed} failed; report written to ${outputPath}`);
+    } else {
+      console.log(output);
+    }
+
+    if (report.summary.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Read the spec file named by a parse/render command and determine its format
+ * The format comes from --format, the file extension, or is JSON for stdin
+ */
+async function readSpecArgs(args, command, valueFlags) {
+  const [file, ...extra] = getPositionalArgs(args, valueFlags);
+  if (!file || extra.length > 0) {
+    console.error(`Error: ${command} requires one spec file`);
+    console.error(`Usage: npx text-to-json-mcp ${command} <file|-> [options]`);
+    process.exit(1);
+  }
+
+  let content;
+  try {
+    content = file === '-' ? await readStdin() : readFileSync(file, 'utf8');
+  } catch (error) {
+    console.error('Error: Failed to read spec:', error.message);
+    process.exit(1);
+  }
+
+  const format = getOptionValue(args, '--format') ?? (file === '-' ? 'json' : detectSpecFormat(file, content));
+  if (!format) {
+    console.error(`Error: Cannot tell the format of ${file}; pass --format (${OUTPUT_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+  if (!OUTPUT_FORMATS.includes(format)) {
+    console.error(`Error: Invalid --format: ${format}. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  return { content, format };
+}
+
+/**
+ * Parse a spec written by convert --format and print the validated data as JSON
+ */
+async function parse(args) {
+  const { content, format } = await readSpecArgs(args, 'parse', PARSE_VALUE_FLAGS);
+  const result = parseSpec(content, format, { schema: resolveSchemaOption(getOptionValue(args, '--schema')) });
+  if (!result.success) {
+    console.error('Error:', result.error);
+    process.exit(1);
+  }
+  console.log(JSON.stringify(result, null, 2));
+}
+
+/**
+ * Render a structured prompt file back into a text prompt
+ */
+async function render(args) {
+  const template = getOptionValue(args, '--template') ?? DEFAULT_RENDER_TEMPLATE;
+  if (!RENDER_TEMPLATES.includes(template)) {
+    console.error(`Error: Invalid --template: ${template}. Use one of: ${RENDER_TEMPLATES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const { content, format } = await readSpecArgs(args, 'render', RENDER_VALUE_FLAGS);
+  const spec = parseSpec(content, format);
+  if (!spec.success) {
+    console.error('Error:', spec.error);
+    process.exit(1);
+  }
+
+  const result = renderPrompt(spec.data, { template });
+  console.log(result.prompt ?? JSON.stringify(result.messages, null, 2));
+}
+
+/**
+ * Parse --var name=value options into variable values
+ */
+function parseVarOptions(values) {
+  return Object.fromEntries(values.map(entry => {
+    const separator = entry.indexOf('=');
+    if (separator <= 0) {
+      console.error(`Error: Invalid --var: ${entry}. Use name=value`);
+      process.exit(1);
+    }
+    return [entry.slice(0, separator), entry.slice(separator + 1)];
+  }));
+}
+
+function showTemplates() {
+  listTemplates().forEach(template => {
+    const variables = Object.entries(template.variables)
+      .map(([name, declaration]) => (isRequiredVariable(declaration) ? name : `[${name}]`))
+      .join(' ');
+    console.log(`${template.name.padEnd(20)} ${template.description}`);
+    if (variables) console.log(`${''.padEnd(20)} variables: ${variables}`);
+  });
+}
+
+/**
+ * template list|render
+ */
+async function template(args) {
+  const [subcommand, ...rest] = args;
+  if (subcommand === 'list') {
+    showTemplates();
+    return;
+  }
+  if (subcommand !== 'render') {
+    console.error('Usage: npx text-to-json-mcp template list');
+    console.error('       npx text-to-json-mcp template render <name> [--var name=value ...] [--vars <file>]');
+    process.exit(1);
+  }
+
+  const [name, ...extra] = getPositionalArgs(rest, TEMPLATE_VALUE_FLAGS);
+  if (!name || extra.length > 0) {
+    console.error('Error: template render requires one template name');
+    process.exit(1);
+  }
+
+  let values;
+  try {
+    const varsPath = getOptionValue(rest, '--vars');
+    values = {
+      ...(varsPath ? readConfigFile(varsPath) : {}),
+      ...parseVarOptions(getOptionValues(rest, '--var'))
+    };
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+
+  const rulesPath = getOptionValue(rest, '--rules');
+  const result = renderTemplate(name, values, {
+    rules: rulesPath ? loadRulePackFile(rulesPath) : undefined,
+    weights: parseWeightsOption(getOptionValue(rest, '--weights'))
+  });
+  if (!result.success) {
+    console.error('Error:', result.error);
+    process.exit(1);
+  }
+  console.log(JSON.stringify(result, null, 2));
+}
+
+function formatChange(change) {
+  const value = (item) => JSON.stringify(item);
+  switch (change.change) {
+    case 'added':
+      return `+ ${change.path}: ${value(change.after)}`;
+    case 'removed':
+      return `- ${change.path}: ${value(change.before)}`;
+    default:
+      return `~ ${change.path}: ${value(change.before)} -> ${value(change.after)}`;
+  }
+}
+
+function conversionLabel(record) {
+  return record.name ? `${record.id} (${record.name} v${record.version})` : record.id;
+}
+
+/**
+ * history list|diff: browse the conversions saved by convert --save
+ */
+async function history(args) {
+  const [subcommand, ...rest] = args;
+  const [first, second, ...extra] = getPositionalArgs(rest, HISTORY_VALUE_FLAGS);
+  const store = createStore({ path: getOptionValue(rest, '--store') });
+
+  if (subcommand === 'list') {
+    const limit = Number.parseInt(getOptionValue(rest, '--limit') ?? `${DEFAULT_LIST_LIMIT}`, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      console.error(`Error: Invalid --limit: ${getOptionValue(rest, '--limit')}`);
+      process.exit(1);
+    }
+    let records;
+    try {
+      records = store.list({ query: getOptionValue(rest, '--search'), name: getOptionValue(rest, '--name'), limit });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+    if (records.length === 0) {
+      console.error(`No conversions found in ${store.path}`);
+      return;
+    }
+    records.forEach(record => {
+      const text = record.text.replace(/\s+/g, ' ');
+      console.log([
+        conversionLabel(record).padEnd(32),
+        record.created_at.slice(0, 19).replace('T', ' '),
+        String(record.overall_clarity_score).padStart(3),
+        text.length > 60 ? `${text.slice(0, 57)}...` : text
+      ].join('  '));
+    });
+    return;
+  }
+
+  if (subcommand !== 'diff' || !first || extra.length > 0) {
+    console.error('Usage: npx text-to-json-mcp history list [--search <words>] [--name <name>] [--limit <n>]');
+    console.error('       npx text-to-json-mcp history diff <id> [<id>]');
+    process.exit(1);
+  }
+
+  const result = compareStoredConversions(store, first, second);
+  if (!result.success) {
+    console.error('Error:', result.error);
+    process.exit(1);
+  }
+
+  const { score, gaps, changes, text_hunks: hunks } = result;
+  console.log(`${conversionLabel(result.from)} -> ${conversionLabel(result.to)}`);
+  console.log(`Clarity score: ${score.from} -> ${score.to} (${score.change >= 0 ? '+' : ''}${score.change})`);
+  gaps.resolved.forEach(gap => console.log(`  resolved: ${gap}`));
+  gaps.introduced.forEach(gap => console.log(`  new:      ${gap}`));
+  if (changes.length > 0) {
+    console.log('\nStructured output:');
+    changes.forEach(change => console.log(`  ${formatChange(change)}`));
+  }
+  if (hunks.length > 0) {
+    console.log('\nPrompt text:');
+    hunks.forEach(hunk => console.log(formatHunk(hunk)));
+  }
+}
+
+function showRules() {
+  let rules;
+  try {
+    rules = getActiveRules();
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+
+  const source = findProjectRulePack() ?? 'built-in rules';
+  console.log(`Rule pack: ${source}\n`);
+  rules.forEach(rule => {
+    const status = rule.enabled ? '' : ' (disabled)';
+    console.log(`${rule.id.padEnd(42)} ${rule.category.padEnd(22)} ${rule.severity}${status}`);
+  });
+}
+
+function showSchemas() {
+  listSchemas().forEach(schema => {
+    console.log(`${schema.name.padEnd(20)} ${schema.description}`);
+  });
+}
+
+async function startServer(args) {
+  // stdout carries the MCP protocol, so all messages go to stderr
+  console.error('Starting MCP server...');
+  console.error('This server is designed to run as a background process for IDE integration.');
+  console.error('Use Ctrl+C to stop the server.');
   
+  const options = {
+    transport: args.includes('--http') ? 'http' : 'stdio',
+    allowedOrigins: getOptionValues(args, '--allow-origin'),
+    ...(getOptionValue(args, '--store') && { store: getOptionValue(args, '--store') }),
+    ...(args.includes('--no-sampling') && { sampling: false })
+  };
+
+  const port = getOptionValue(args, '--port');
+  if (port !== undefined) {
+    options.port = Number.parseInt(port, 10);
+    if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+      console.error(`Error: Invalid port: ${port}`);
+      process.exit(1);
+    }
+  }
+
+  const host = getOptionValue(args, '--host');
+  if (host !== undefined) {
+    options.host = host;
+  }
+
   try {
-    // Import and start the MCP server
-    const { fileURLToPath } = await import('url');
-    const { dirname, join } = await import('path');
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
-    const serverPath = join(__dirname, 'src', 'index.js');
-    
-    console.log(`Loading MCP server from: ${serverPath}`);
-    await import(serverPath);
+    const app = createServer(options);
+    await app.start();
   } catch (error) {
     console.error('Failed to start MCP server:', error);
     process.exit(1);
@@ -135,21 +745,87 @@ async function main() {
     case 'version':
       showVersion();
       break;
+    case 'schemas':
+      showSchemas();
+      break;
+    case 'rules':
+      showRules();
+      break;
     case 'server':
-      await startServer();
+      await startServer(args.slice(1));
+      break;
+    case 'lint':
+      await lint(args.slice(1));
+      break;
+    case 'parse':
+      await parse(args.slice(1));
+      break;
+    case 'render':
+      await render(args.slice(1));
+      break;
+    case 'template':
+      await template(args.slice(1));
+      break;
+    case 'history':
+      await history(args.slice(1));
       break;
     case 'convert':
     case 'gaps':
     case 'refine':
-      if (args.length < 2) {
+    case 'decompose': {
+      const commandArgs = args.slice(1);
+      const positional = getPositionalArgs(commandArgs, PROMPT_VALUE_FLAGS).filter(arg => !PROMPT_BOOLEAN_FLAGS.includes(arg));
+      const inputs = getOptionValues(commandArgs, '--input');
+      const rulesPath = getOptionValue(commandArgs, '--rules');
+      const format = getOptionValue(commandArgs, '--format');
+      const convertOnly = ['--format', '--save', '--name'].find(flag => commandArgs.includes(flag));
+      if (convertOnly && command !== 'convert') {
+        console.error(`Error: ${convertOnly} is only supported by convert`);
+        process.exit(1);
+      }
+      if (format !== undefined && !OUTPUT_FORMATS.includes(format)) {
+        console.error(`Error: Invalid --format: ${format}. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+        process.exit(1);
+      }
+      const language = getOptionValue(commandArgs, '--language');
+      if (language !== undefined && !LANGUAGES.includes(language)) {
+        console.error(`Error: Invalid --language: ${language}. Use one of: ${LANGUAGES.join(', ')}`);
+        process.exit(1);
+      }
+      const options = {
+        schema: resolveSchemaOption(getOptionValue(commandArgs, '--schema')),
+        format,
+        name: getOptionValue(commandArgs, '--name'),
+        store: commandArgs.includes('--save') ? createStore({ path: getOptionValue(commandArgs, '--store') }) : undefined,
+        rules: rulesPath ? loadRulePackFile(rulesPath) : undefined,
+        weights: parseWeightsOption(getOptionValue(commandArgs, '--weights')),
+        language
+      };
+
+      if (inputs.length > 0) {
+        if (positional.length > 0) {
+          console.error('Error: Pass either text or --input, not both');
+          process.exit(1);
+        }
+        await processBatch(inputs, command, {
+          ...options,
+          output: getOptionValue(commandArgs, '--output'),
+          extract: commandArgs.includes('--extract'),
+          concurrency: parseConcurrencyOption(getOptionValue(commandArgs, '--concurrency'))
+        });
+        break;
+      }
+
+      if (positional.length === 0) {
         console.error(`Error: ${command} requires text input`);
         console.error(`Usage: npx text-to-json-mcp ${command} "your text here"`);
+        console.error(`       npx text-to-json-mcp ${command} --input <file|dir|glob|->`);
         process.exit(1);
       }
       // Join remaining args as the text input
-      const text = args.slice(1).join(' ');
-      processText(text, command);
+      processText(positional.join(' '), command, options);
       break;
+    }
     default:
       console.error(`Unknown command: ${command}`);
       console.error('Run "npx text-to-json-mcp help" for usage information');
@@ -158,6 +834,6 @@ async function main() {
 }
 
 // Run the CLI if this file is executed directly
-if (import.meta.url === `file://${process.argv[1]}`) {
+if (isMainModule(import.meta.url)) {
   main();
 }
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyAnswers, buildQuestions, clarifyPrompt } from '../utils/clarification.js';
+
+/**
+ * Elicitor that answers each question by the term it is about and records every form it shows
+ * Hedge questions are answered "required"; terms without an answer are skipped.
+ */
+function mockElicitor(answers) {
+  const forms = [];
+  return {
+    forms,
+    elicitInput: async ({ requestedSchema }) => {
+      const fields = Object.entries(requestedSchema.properties);
+      forms.push(fields.map(([, field]) => field.title));
+      const content = Object.fromEntries(fields.map(([id, field]) => {
+        const term = field.description.match(/^About "(.*?)"/)[1].toLowerCase();
+        return [id, field.enum ? 'required' : answers[term] ?? ''];
+      }));
+      return { action: 'accept', content };
+    }
+  };
+}
+
+test('answers are merged once and never asked about again', async () => {
+  const elicitor = mockElicitor({
+    it: 'the quarterly sales report',
+    // Answers may repeat flagged words ("good", "report")
+    good: 'a good report with totals per region',
+    fast: 'done within 2 days'
+  });
+  const result = await clarifyPrompt({ text: 'Make it good and maybe fast.' }, { elicitor });
+
+  assert.equal(result.success, true);
+  assert.equal(result.round, 2);
+  assert.equal(elicitor.forms.length, 2);
+  assert.match(elicitor.forms[1][0], /What does "it" refer to \("Make it good and fast"\)/);
+  // The prompt keeps its wording; each answer follows as a sentence about its term
+  assert.equal(result.prompt, 'Make it good and fast. "It" refers to the quarterly sales report. ' +
+    '"Good" means a good report with totals per region. "Fast" means done within 2 days.');
+  assert.deepEqual(result.answers.map(answer => answer.id), ['q1', 'q2', 'q3', 'q4']);
+  // Answered gaps no longer count against the score
+  assert.ok(result.overall_clarity_score > 75);
+  // Later rounds ask nothing about the words of earlier answers
+  const questions = elicitor.forms.flat();
+  assert.equal(new Set(questions).size, questions.length);
+  assert.ok(!elicitor.forms[1].some(question => /"good"|"report"/.test(question)));
+});
+
+test('the same answer to every question is not spliced into itself', async () => {
+  const answer = 'the quarterly sales report for the finance team';
+  const elicitor = mockElicitor({ it: answer, good: answer, fast: answer });
+  const result = await clarifyPrompt({ text: 'Make it good and maybe fast.' }, { elicitor });
+
+  assert.notEqual(result.status, 'max_rounds');
+  assert.equal(result.prompt.split(answer).length - 1, 3);
+});
+
+test('a session without an elicitor returns its questions and continues with the answers', async () => {
+  const first = await clarifyPrompt({ text: 'Make it good.' });
+  assert.equal(first.status, 'needs_input');
+  assert.deepEqual(first.questions.map(question => question.term), ['good']);
+
+  // Skipping "good" moves on to the lower-severity reference
+  const second = await clarifyPrompt({ session_id: first.session_id, answers: { q1: '' } });
+  assert.equal(second.round, 2);
+  assert.deepEqual(second.questions.map(question => question.term), ['it']);
+
+  const third = await clarifyPrompt({ session_id: first.session_id, answers: { q2: 'a summary of the Q3 sales data.' } });
+  assert.equal(third.prompt, 'Make it good. "It" refers to a summary of the Q3 sales data.');
+  // "good" stays skipped, and the answer's own words are not questioned
+  assert.ok(third.questions.every(question => question.term !== 'good' && question.term !== 'summary'));
+});
+
+test('answers to terms of one sentence follow that sentence, and spans move along', () => {
+  const text = 'Make it good. Keep it short.';
+  const questions = buildQuestions(text, [
+    { rule: 'gaps.reference', category: 'missing_context', severity: 'high', text: 'it', start: 5, end: 7 },
+    { rule: 'gaps.vague', category: 'ambiguous_requirement', severity: 'high', text: 'good', start: 8, end: 12 }
+  ]);
+  const { text: merged, spans } = applyAnswers(text, questions, { q1: 'the report', q2: 'under 500 words' }, {
+    spans: [{ start: 22, end: 27 }]
+  });
+
+  assert.equal(merged, 'Make it good. "It" refers to the report. "Good" means under 500 words. Keep it short.');
+  assert.deepEqual(spans.map(({ start, end }) => merged.slice(start, end)), [
+    '"It" refers to the report.',
+    '"Good" means under 500 words.',
+    'short'
+  ]);
+  assert.deepEqual(buildQuestions(merged, [
+    { rule: 'gaps.output', category: 'unclear_output', severity: 'high', text: 'report', start: 33, end: 39 }
+  ], { spans }), []);
+});
+
+test('a sentence without end punctuation is closed before its clarification', () => {
+  const text = 'Make it good';
+  const questions = buildQuestions(text, [
+    { rule: 'gaps.vague', category: 'ambiguous_requirement', severity: 'high', text: 'good', start: 8, end: 12 }
+  ]);
+
+  assert.equal(applyAnswers(text, questions, { q1: 'under 500 words' }).text, 'Make it good. "Good" means under 500 words.');
+});
+
+test('hedges are made firm or optional in place', () => {
+  const text = 'Maybe add charts and it could include a summary.';
+  const questions = buildQuestions(text, [
+    { rule: 'gaps.hedge', category: 'ambiguous_requirement', severity: 'high', text: 'Maybe', start: 0, end: 5 },
+    { rule: 'gaps.hedge', category: 'ambiguous_requirement', severity: 'high', text: 'could', start: 24, end: 29 }
+  ]);
+
+  assert.equal(applyAnswers(text, questions, { q1: 'required', q2: 'required' }).text, 'Add charts and it must include a summary.');
+  assert.equal(applyAnswers(text, questions, { q1: 'optional', q2: 'optional' }).text, 'Optionally add charts and it may include a summary.');
+});
+
+test('clarifications are written in the language of the prompt', async () => {
+  const elicitor = mockElicitor({ bueno: 'con totales por región', 'rápido': 'en 2 días' });
+  const result = await clarifyPrompt({ text: 'Haz un informe bueno y rápido sobre las ventas.', language: 'es' }, { elicitor });
+
+  assert.equal(result.result.language.lexicon, 'es');
+  assert.equal(result.prompt, 'Haz un informe bueno y rápido sobre las ventas. "Bueno" significa con totales por región. "Rápido" significa en 2 días.');
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { DEFAULT_CORPUS, MIN_BAND_ACCURACY, MIN_RANK_CORRELATION, runBenchmark } from '../bench/clarityScore.js';
+import { scoreClarity } from '../utils/clarityScore.js';
+import { analyzeTextForGaps } from '../utils/gapAnalysis.js';
+import { analyzeText } from '../utils/textAnalysis.js';
+
+// Score with the default scoring config, whatever the project config says
+function score(text) {
+  const analysis = analyzeText(text);
+  return scoreClarity(analysis, analyzeTextForGaps(text, { analysis }).gaps, { config: {} }).overall;
+}
+
+test('scores of the labelled corpus fall in their bands and rank the labels in order', () => {
+  const { summary } = runBenchmark(JSON.parse(readFileSync(DEFAULT_CORPUS, 'utf8')));
+
+  assert.ok(summary.band_accuracy >= MIN_BAND_ACCURACY, `band accuracy ${summary.band_accuracy}`);
+  assert.ok(summary.rank_correlation >= MIN_RANK_CORRELATION, `rank correlation ${summary.rank_correlation}`);
+  assert.ok(summary.mean_scores.poor < summary.mean_scores.fair && summary.mean_scores.fair < summary.mean_scores.good);
+});
+
+test('repeating a sentence does not raise the score', () => {
+  const sentence = 'Write a report.';
+
+  assert.equal(score(Array(40).fill(sentence).join(' ')), score(sentence));
+  assert.equal(score(`${sentence} Write the report.`), score(sentence));
+  assert.ok(score(`${sentence} It is for the board meeting.`) > score(sentence));
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findConstraints, findQuantities } from '../utils/constraints.js';
+import { analyzeText } from '../utils/textAnalysis.js';
+
+const constraintValues = (text, language) => findConstraints(analyzeText(text, { language })).map(constraint => constraint.value);
+
+test('numeric limits are read with their operator, value and unit', () => {
+  assert.deepEqual(constraintValues('Summarize reports/q3.csv in under 200 words. Use at most 3 bullet points and finish within 2 days. Budget: $500.'), [
+    { text: 'under 200 words', kind: 'size', operator: 'max', value: 200, unit: 'words' },
+    { text: 'at most 3 bullet points', kind: 'count', operator: 'max', value: 3, unit: 'bullet points' },
+    { text: 'within 2 days', kind: 'time', operator: 'max', value: 2, unit: 'days' },
+    { text: '$500', kind: 'budget', operator: 'exact', value: 500, unit: '$' }
+  ]);
+});
+
+test('requirement clauses and required technologies are constraints', () => {
+  assert.deepEqual(constraintValues('Only use public data. The answer must be in English. Write it in Python.'), [
+    { text: 'Only use public data', kind: 'other', operator: 'only' },
+    { text: 'must be in English', kind: 'other', operator: 'must' },
+    { text: 'in Python', kind: 'technology', operator: 'must' }
+  ]);
+});
+
+test('each constraint span covers its text in the prompt', () => {
+  const text = 'Keep it to no more than 1,000 rows.';
+  const [constraint] = findConstraints(analyzeText(text));
+
+  assert.deepEqual(constraint.value, { text: 'no more than 1,000 rows', kind: 'count', operator: 'max', value: 1000, unit: 'rows' });
+  assert.equal(text.slice(constraint.span.start, constraint.span.end), constraint.value.text);
+});
+
+test('constraints are read in Spanish, German and Japanese', () => {
+  assert.deepEqual(constraintValues('Resume el informe en menos de 200 palabras.', 'es'), [
+    { text: 'menos de 200 palabras', kind: 'size', operator: 'max', value: 200, unit: 'palabras' }
+  ]);
+  assert.deepEqual(constraintValues('Fasse den Bericht in höchstens 300 Wörtern zusammen und nutze Python.', 'de'), [
+    { text: 'höchstens 300 Wörtern', kind: 'size', operator: 'max', value: 300, unit: 'Wörtern' },
+    { text: 'nutze Python', kind: 'technology', operator: 'must' }
+  ]);
+  assert.deepEqual(constraintValues('200語以内でレポートを要約してください。', 'ja'), [
+    { text: '200語以内', kind: 'size', operator: 'max', value: 200, unit: '語' }
+  ]);
+});
+
+test('quantities are numbers with a unit, currency or noun after them', () => {
+  const text = 'Send 30 reviewers the $1,500 plan, version 2 of it, by Friday.';
+
+  assert.deepEqual(findQuantities(analyzeText(text)).map(({ start, end, value, unit }) => [text.slice(start, end), value, unit]), [
+    ['30 reviewers', 30, 'reviewers'],
+    ['$1,500', 1500, '$']
+  ]);
+});
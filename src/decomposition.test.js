@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decomposePrompt } from '../utils/decomposition.js';
+
+const plan = result => result.steps.map(step => [step.task, step.depends_on]);
+
+test('sequencing cues split a prompt into dependent steps', () => {
+  const text = 'First, download the logs from s3://bucket/logs. Then parse them into errors.csv. Finally, chart errors.csv in a PNG.';
+  const result = decomposePrompt(text);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(plan(result), [
+    ['download the logs from s3://bucket/logs', []],
+    ['parse them into errors.csv', [1]],
+    ['chart errors.csv in a PNG', [2]]
+  ]);
+  assert.deepEqual(result.steps[0].inputs, ['s3://bucket/logs']);
+  assert.deepEqual(result.steps[1].outputs, ['errors.csv']);
+  result.spans.forEach((span, index) => {
+    assert.equal(span.field, `steps[${index}].task`);
+    assert.equal(text.slice(span.start, span.end), result.steps[index].task);
+  });
+});
+
+test('numbered items are steps that follow each other', () => {
+  assert.deepEqual(plan(decomposePrompt('1. Migrate the users table\n2. Backfill the emails\n3. Drop the old column')), [
+    ['Migrate the users table', []],
+    ['Backfill the emails', [1]],
+    ['Drop the old column', [2]]
+  ]);
+});
+
+test('a prompt without sequencing cues is a single step', () => {
+  const result = decomposePrompt('Summarize the Q3 report for the board.');
+
+  assert.deepEqual(result.steps, [{ id: 1, task: 'Summarize the Q3 report for the board', inputs: ['Q3 report'], outputs: [], depends_on: [] }]);
+});
+
+test('steps sections are used and steps depend on those that use their inputs', () => {
+  const result = decomposePrompt('# Plan\n\n## Requirements\n- Use Python\n\n## Steps\n- Load data.csv\n- Clean data.csv\n- Export report.pdf');
+
+  assert.deepEqual(plan(result), [
+    ['Load data.csv', []],
+    ['Clean data.csv', [1]],
+    ['Export report.pdf', []]
+  ]);
+  assert.deepEqual(result.steps[2].outputs, ['report.pdf']);
+});
+
+test('Japanese prompts are decomposed by their sequencing cues', () => {
+  assert.deepEqual(plan(decomposePrompt('まずデータを読み込みます。次にレポートを作成してください。', { language: 'ja' })), [
+    ['データを読み込みます', []],
+    ['レポートを作成してください', [1]]
+  ]);
+});
+
+test('prompts without words or with only code fail with an error', () => {
+  assert.deepEqual(decomposePrompt('!!!'), { success: false, error: 'Prompt contains no words' });
+  assert.deepEqual(decomposePrompt('```\nconst a = 1;\n```'), { success: false, error: 'Prompt contains no text outside code blocks' });
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findEntities } from '../utils/entities.js';
+import { analyzeText } from '../utils/textAnalysis.js';
+
+const entityRoles = (text, language) => findEntities(analyzeText(text, { language })).map(({ type, text: value, role }) => [type, value, role]);
+
+test('inputs and deliverables are told apart by the verbs around them', () => {
+  assert.deepEqual(entityRoles('Build a FastAPI service in Python that reads from the Stripe API at https://api.stripe.com/v1 and writes JSON to s3://bucket/out.json.'), [
+    ['technology', 'FastAPI', 'required_input'],
+    ['technology', 'Python', 'required_input'],
+    ['api', 'Stripe API', 'required_input'],
+    ['url', 'https://api.stripe.com/v1', 'required_input'],
+    ['data_format', 'JSON', 'deliverable'],
+    ['url', 's3://bucket/out.json', 'deliverable']
+  ]);
+});
+
+test('optional inputs, datasets and output files are recognized', () => {
+  assert.deepEqual(entityRoles('Optionally use the Q3 sales data. Export the results as a CSV file to out/results.csv.'), [
+    ['dataset', 'Q3 sales data', 'optional_input'],
+    ['data_format', 'CSV', 'deliverable'],
+    ['path', 'out/results.csv', 'deliverable']
+  ]);
+});
+
+test('quantities inside a constraint are constraints with their value and unit', () => {
+  const text = 'Summarize reports/q3.csv in under 200 words.';
+  const entities = findEntities(analyzeText(text));
+
+  assert.deepEqual(entities.map(({ type, role }) => [type, role]), [['path', 'required_input'], ['quantity', 'constraint']]);
+  assert.deepEqual(entities[1], { type: 'quantity', text: '200 words', role: 'constraint', start: 34, end: 43, value: 200, unit: 'words' });
+  entities.forEach(entity => assert.equal(text.slice(entity.start, entity.end), entity.text));
+});
+
+test('entities listed under a Markdown section take its role', () => {
+  const text = '# Task\nSummarize the logs.\n\n## Inputs\n- logs/app.log\n\n## Output\n- summary.md';
+
+  assert.deepEqual(entityRoles(text), [
+    ['path', 'logs/app.log', 'required_input'],
+    ['path', 'summary.md', 'deliverable']
+  ]);
+});
+
+test('each entity is listed once per type and text', () => {
+  assert.deepEqual(entityRoles('Read data.csv, then clean data.csv and chart it with Python and python.'), [
+    ['path', 'data.csv', 'required_input'],
+    ['technology', 'Python', 'required_input']
+  ]);
+});
+
+test('entities are found in German prompts', () => {
+  assert.deepEqual(entityRoles('Fasse den Bericht in höchstens 300 Wörtern zusammen und nutze Python.', 'de'), [
+    ['quantity', '300 Wörtern', 'constraint'],
+    ['technology', 'Python', 'required_input']
+  ]);
+});
@@ -0,0 +1,226 @@
+/**
+ * HTTP transport for the MCP server
+ * Serves MCP streamable HTTP on /mcp with an SSE fallback (/sse + /messages) for older clients
+ */
+
+import { createServer as createHttpServer } from 'http';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Browsers may only talk to the server from local pages unless origins are configured
+const LOCAL_ORIGIN_PATTERN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/i;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization, Last-Event-ID, Mcp-Session-Id, Mcp-Protocol-Version',
+  'Access-Control-Expose-Headers': 'Mcp-Session-Id'
+};
+
+/**
+ * Check a request Origin header against the allowed origins
+ * Requests without an Origin header (editors, agents, curl) are not browser requests and are allowed
+ */
+export function isOriginAllowed(origin, allowedOrigins = []) {
+  if (!origin) return true;
+  if (allowedOrigins.includes('*') || allowedOrigins.includes(origin)) return true;
+  return LOCAL_ORIGIN_PATTERN.test(origin);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendJsonRpcError(res, status, code, message) {
+  sendJson(res, status, {
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  });
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(raw.length > 0 ? JSON.parse(raw) : undefined);
+      } catch {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Start an HTTP server that exposes MCP sessions
+ *
+ * Every session gets its own MCP server instance from `createMcpServer`,
+ * since an SDK server can only be connected to one transport at a time.
+ */
+export async function startHttpServer(options) {
+  const {
+    createMcpServer,
+    port = 3000,
+    host = '127.0.0.1',
+    allowedOrigins = [],
+    logger = console
+  } = options;
+
+  // session id -> { transport, server }
+  const sessions = new Map();
+
+  async function closeSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+
+    sessions.delete(sessionId);
+    try {
+      await session.server.close();
+    } catch (error) {
+      logger.error(`Error closing session ${sessionId}:`, error);
+    }
+  }
+
+  async function handleStreamableRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session || !(session.transport instanceof StreamableHTTPServerTransport)) {
+        sendJsonRpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    const server = createMcpServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, { transport, server });
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) sessions.delete(transport.sessionId);
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleSseConnect(req, res) {
+    const server = createMcpServer();
+    const transport = new SSEServerTransport('/messages', res);
+    sessions.set(transport.sessionId, { transport, server });
+    res.on('close', () => {
+      closeSession(transport.sessionId);
+    });
+
+    await server.connect(transport);
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const session = sessions.get(url.searchParams.get('sessionId'));
+    if (!session || !(session.transport instanceof SSEServerTransport)) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+    await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+  }
+
+  async function handleRequest(req, res) {
+    const origin = req.headers.origin;
+    if (!isOriginAllowed(origin, allowedOrigins)) {
+      sendJson(res, 403, { error: `Origin not allowed: ${origin}` });
+      return;
+    }
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+      Object.entries(CORS_HEADERS).forEach(([name, value]) => res.setHeader(name, value));
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host ?? host}`);
+
+    if (url.pathname === '/mcp') {
+      await handleStreamableRequest(req, res);
+    } else if (url.pathname === '/sse' && req.method === 'GET') {
+      await handleSseConnect(req, res);
+    } else if (url.pathname === '/messages' && req.method === 'POST') {
+      await handleSseMessage(req, res, url);
+    } else if (url.pathname === '/health' && req.method === 'GET') {
+      sendJson(res, 200, {
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        sessions: sessions.size
+      });
+    } else {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+  }
+
+  const httpServer = createHttpServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      logger.error('Error handling HTTP request:', error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 400, -32700, error.message);
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  const url = `http://${host.includes(':') ? `[${host}]` : host}:${address.port}`;
+
+  /**
+   * Close every open session, then stop accepting connections
+   */
+  async function close() {
+    await Promise.all([...sessions.keys()].map(closeSession));
+    await new Promise((resolve) => {
+      httpServer.close(() => resolve());
+      httpServer.closeAllConnections?.();
+    });
+  }
+
+  return { httpServer, url, sessions, close };
+}
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { isOriginAllowed, startHttpServer } from './httpServer.js';
+import { createServer } from './server.js';
+
+const silent = { error: () => {} };
+
+async function startTestServer(t, options = {}) {
+  const http = await startHttpServer({
+    createMcpServer: () => createServer({ handleSignals: false, history: false, logger: silent }).server,
+    port: 0,
+    logger: silent,
+    ...options
+  });
+  t.after(() => http.close());
+  return http;
+}
+
+async function connect(t, transport) {
+  const client = new Client({ name: 'http-test', version: '1.0.0' });
+  await client.connect(transport);
+  t.after(() => client.close());
+  return client;
+}
+
+test('browser origins are allowed when local or configured', () => {
+  assert.equal(isOriginAllowed(undefined), true);
+  assert.equal(isOriginAllowed('http://localhost:5173'), true);
+  assert.equal(isOriginAllowed('http://[::1]:8080'), true);
+  assert.equal(isOriginAllowed('https://evil.example'), false);
+  assert.equal(isOriginAllowed('https://app.example', ['https://app.example']), true);
+  assert.equal(isOriginAllowed('https://any.example', ['*']), true);
+});
+
+test('tools are called over streamable HTTP sessions', async (t) => {
+  const http = await startTestServer(t);
+  const client = await connect(t, new StreamableHTTPClientTransport(new URL(`${http.url}/mcp`)));
+
+  const result = await client.callTool({ name: 'findClarityGaps', arguments: { text: 'Make it fast.' } });
+  assert.equal(result.isError, false);
+  assert.ok(result.structuredContent.gaps.some(gap => gap.text === 'fast'));
+  assert.equal(http.sessions.size, 1);
+
+  const health = await (await fetch(`${http.url}/health`)).json();
+  assert.equal(health.status, 'healthy');
+  assert.equal(health.sessions, 1);
+});
+
+test('older clients connect over the SSE fallback', async (t) => {
+  const http = await startTestServer(t);
+  const client = await connect(t, new SSEClientTransport(new URL(`${http.url}/sse`)));
+
+  const { tools } = await client.listTools();
+  assert.ok(tools.some(tool => tool.name === 'convertPromptToJson'));
+});
+
+test('requests without a valid session are rejected', async (t) => {
+  const http = await startTestServer(t);
+  const headers = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+  const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+
+  const missing = await fetch(`${http.url}/mcp`, { method: 'POST', headers, body });
+  assert.equal(missing.status, 400);
+  assert.equal((await missing.json()).error.code, -32000);
+
+  const unknown = await fetch(`${http.url}/mcp`, { method: 'POST', headers: { ...headers, 'Mcp-Session-Id': 'nope' }, body });
+  assert.equal(unknown.status, 404);
+  assert.equal((await unknown.json()).error.message, 'Session not found');
+
+  const invalid = await fetch(`${http.url}/mcp`, { method: 'POST', headers, body: '{' });
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).error.message, 'Invalid JSON body');
+
+  assert.equal((await fetch(`${http.url}/other`)).status, 404);
+});
+
+test('disallowed origins are refused and allowed ones get CORS headers', async (t) => {
+  const http = await startTestServer(t, { allowedOrigins: ['https://app.example'] });
+
+  const refused = await fetch(`${http.url}/health`, { headers: { Origin: 'https://evil.example' } });
+  assert.equal(refused.status, 403);
+  assert.deepEqual(await refused.json(), { error: 'Origin not allowed: https://evil.example' });
+
+  const preflight = await fetch(`${http.url}/mcp`, { method: 'OPTIONS', headers: { Origin: 'https://app.example' } });
+  assert.equal(preflight.status, 204);
+  assert.equal(preflight.headers.get('access-control-allow-origin'), 'https://app.example');
+  assert.equal(preflight.headers.get('access-control-expose-headers'), 'Mcp-Session-Id');
+});
@@ -5,139 +5,22 @@
  * A local MCP server that converts text prompts to structured JSON using Zod schemas
  */
 
-import { Server } from '@modelcontextprotocol/sdk/server/index.js';
-import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { z } from 'zod';
-import { convertPromptToJson, refinePrompt } from '../utils/promptProcessor.js';
-import { analyzeTextForGaps } from '../utils/gapAnalysis.js';
+import { createServer, isMainModule } from './server.js';
 
-// Define request schemas
-const ConvertPromptRequestSchema = z.object({
-  method: z.literal('convertPromptToJson'),
-  params: z.object({
-    text: z.string()
-  })
-});
-
-const FindClarityGapsRequestSchema = z.object({
-  method: z.literal('findClarityGaps'),
-  params: z.object({
-    text: z.string()
-  })
-});
-
-const RefinePromptRequestSchema = z.object({
-  method: z.literal('refinePrompt'),
-  params: z.object({
-    text: z.string()
-  })
-});
-
-const HealthRequestSchema = z.object({
-  method: z.literal('health'),
-  params: z.object({}).optional()
-});
-
-// Create MCP server instance
-const server = new Server(
-  {
-    name: 'text-to-json-mcp',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
-
-// Method 1: Convert prompt to structured JSON
-server.setRequestHandler(ConvertPromptRequestSchema, async (request) => {
-  try {
-    const { text } = request.params;
-    const result = convertPromptToJson(text);
-    return result;
-    
-  } catch (error) {
-    console.error('Error in convertPromptToJson:', error);
-    return { success: false, error: error.message };
-  }
-});
-
-// Method 2: Find clarity gaps in prompt
-server.setRequestHandler(FindClarityGapsRequestSchema, async (request) => {
-  try {
-    const { text } = request.params;
-    const gapAnalysis = analyzeTextForGaps(text);
-    return {
-      success: true,
-      gaps: gapAnalysis.gaps,
-      overall_clarity_score: gapAnalysis.overall_clarity_score
-    };
-    
-  } catch (error) {
-    console.error('Error in findClarityGaps:', error);
-    return { success: false, error: error.message };
-  }
-});
-
-// Method 3: Refine prompt for better clarity
-server.setRequestHandler(RefinePromptRequestSchema, async (request) => {
-  try {
-    const { text } = request.params;
-    const result = refinePrompt(text);
-    return result;
-    
-  } catch (error) {
-    console.error('Error in refinePrompt:', error);
-    return { success: false, error: error.message };
-  }
-});
-
-// Health check method
-server.setRequestHandler(HealthRequestSchema, async () => {
-  return {
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
-  };
-});
+export { createServer, isMainModule } from './server.js';
+export { tools, listTools, callTool } from './tools.js';
+export { listPrompts, getPrompt } from './prompts.js';
 
 // Start the server
 async function main() {
-  try {
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
-    
-    console.error('Text-to-JSON MCP Server started successfully');
-    console.error('Available methods: convertPromptToJson, findClarityGaps, refinePrompt, health');
-    
-    // Keep the process alive
-    process.stdin.resume();
-    
-  } catch (error) {
-    console.error('Failed to start MCP server:', error);
-    process.exit(1);
-  }
+  const app = createServer();
+  await app.start();
 }
 
-// Handle process termination
-process.on('SIGINT', () => {
-  console.error('Shutting down MCP server...');
-  process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-  console.error('Shutting down MCP server...');
-  process.exit(0);
-});
-
 // Start the server if this file is run directly
-if (import.meta.url === `file://${process.argv[1]}`) {
+if (isMainModule(import.meta.url)) {
   main().catch((error) => {
     console.error('Failed to start MCP server:', error);
     process.exit(1);
   });
 }
-
-export default server;
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { containsCue, detectLanguage, getLexicon, LEXICONS, resolveLanguage, termPattern } from '../utils/language.js';
+import { analyzeText } from '../utils/textAnalysis.js';
+
+test('the language of a prompt is detected from its words and script', () => {
+  assert.deepEqual(detectLanguage('Summarize the report and send it to the team.'), { detected: 'en', confidence: 1 });
+  assert.deepEqual(detectLanguage('Resume el informe y envíalo al equipo.'), { detected: 'es', confidence: 1 });
+  assert.deepEqual(detectLanguage('Fasse den Bericht zusammen und schicke ihn an das Team.'), { detected: 'de', confidence: 1 });
+  assert.deepEqual(detectLanguage('レポートを要約してチームに送ってください。'), { detected: 'ja', confidence: 1 });
+});
+
+test('text without evidence is English with no confidence', () => {
+  assert.deepEqual(detectLanguage('!!! 123'), { detected: 'en', confidence: 0 });
+});
+
+test('a requested language forces the lexicon but the detected one is reported', () => {
+  const { info, lexicon } = resolveLanguage('Resume el informe y envíalo al equipo.', 'de');
+
+  assert.deepEqual(info, { detected: 'es', confidence: 1, lexicon: 'de' });
+  assert.equal(lexicon, LEXICONS.de);
+  assert.equal(getLexicon('fr'), LEXICONS.en);
+});
+
+test('every lexicon has the clarification sentences for answers', () => {
+  Object.values(LEXICONS).forEach(lexicon => {
+    assert.match(lexicon.clarifications.reference, /\{term\}.*\{answer\}/, lexicon.code);
+    assert.match(lexicon.clarifications.definition, /\{term\}.*\{answer\}/, lexicon.code);
+  });
+});
+
+test('cues match whole words in spaced languages and substrings in Japanese', () => {
+  const [english] = analyzeText('Then export the results.').sentences;
+  assert.equal(containsCue(LEXICONS.en, english, new Set(['then'])), true);
+  assert.equal(containsCue(LEXICONS.en, english, new Set(['the'])), true);
+  assert.equal(containsCue(LEXICONS.en, english, new Set(['port'])), false);
+
+  const [japanese] = analyzeText('次に結果を出力してください。').sentences;
+  assert.equal(containsCue(LEXICONS.ja, japanese, new Set(['次に'])), true);
+});
+
+test('term patterns prefer the longest term and do not match inside words', () => {
+  assert.deepEqual('java javascript javanese'.match(termPattern(['java', 'javascript'])), ['java', 'javascript']);
+});
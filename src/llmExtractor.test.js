@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertPromptWithSampling, refinePromptWithSampling } from '../utils/llmExtractor.js';
+
+const PROMPT = 'Summarize the Q3 sales data from reports/q3.csv into a PDF report.';
+
+const EXTRACTED = {
+  task: 'Summarize the Q3 sales data',
+  intent: 'Report on the quarter',
+  inputs: { required: ['reports/q3.csv'], optional: [], constraints: [] },
+  outputs: { primary: 'Report', secondary: [], format: 'PDF' },
+  clarity_gaps: []
+};
+
+/**
+ * Sampler that answers with the given replies in turn and records each request
+ */
+function mockSampler(...replies) {
+  const requests = [];
+  return {
+    requests,
+    createMessage: async (params) => {
+      // Copy the messages, which the next attempt extends
+      requests.push({ ...params, messages: [...params.messages] });
+      const reply = replies[Math.min(requests.length, replies.length) - 1];
+      if (reply instanceof Error) throw reply;
+      return { role: 'assistant', model: 'mock', content: { type: 'text', text: reply } };
+    }
+  };
+}
+
+test('a valid reply is used as the extraction', async () => {
+  const sampler = mockSampler(JSON.stringify(EXTRACTED));
+  const result = await convertPromptWithSampling(PROMPT, { sampler });
+
+  assert.equal(result.success, true);
+  assert.equal(result.extraction, 'sampling');
+  assert.deepEqual(result.data, EXTRACTED);
+  assert.equal(sampler.requests.length, 1);
+  assert.ok(result.spans.some(span => span.field === 'inputs.required[0]' && span.text === 'reports/q3.csv'));
+});
+
+test('a fenced reply with surrounding prose is parsed', async () => {
+  const sampler = mockSampler(`Here is the JSON:\n\`\`\`json\n${JSON.stringify(EXTRACTED, null, 2)}\n\`\`\`\nDone.`);
+  const result = await convertPromptWithSampling(PROMPT, { sampler });
+
+  assert.equal(result.extraction, 'sampling');
+  assert.deepEqual(result.data, EXTRACTED);
+});
+
+test('an invalid reply is retried with the errors, then falls back to the heuristics', async () => {
+  const sampler = mockSampler('{"task": 42}', 'not JSON at all', '{"task": "Summarize"}');
+  const result = await convertPromptWithSampling(PROMPT, { sampler });
+
+  assert.equal(sampler.requests.length, 3);
+  // Each retry shows the model its previous reply and what was wrong with it
+  assert.equal(sampler.requests[0].messages.length, 1);
+  const retry = sampler.requests[1].messages;
+  assert.equal(retry.length, 3);
+  assert.equal(retry[1].content.text, '{"task": 42}');
+  assert.match(retry[2].content.text, /does not match the schema/);
+
+  assert.equal(result.success, true);
+  assert.equal(result.extraction, 'heuristic');
+  assert.match(result.sampling_error, /after 3 attempt/);
+  assert.equal(result.data.task, 'Summarize the Q3 sales data from reports/q3.csv into a PDF report');
+});
+
+test('an invalid reply followed by a valid one succeeds on the retry', async () => {
+  const sampler = mockSampler('{"task": 42}', JSON.stringify(EXTRACTED));
+  const result = await convertPromptWithSampling(PROMPT, { sampler });
+
+  assert.equal(sampler.requests.length, 2);
+  assert.equal(result.extraction, 'sampling');
+});
+
+test('an unavailable sampler is never called', async () => {
+  const sampler = { ...mockSampler(JSON.stringify(EXTRACTED)), available: false };
+  const result = await convertPromptWithSampling(PROMPT, { sampler });
+  const refined = await refinePromptWithSampling(PROMPT, { sampler });
+
+  assert.equal(sampler.requests.length, 0);
+  assert.equal(result.extraction, 'heuristic');
+  assert.equal(result.sampling_error, undefined);
+  assert.equal(refined.extraction, 'heuristic');
+});
+
+test('a failed sampling request falls back without retrying', async () => {
+  const sampler = mockSampler(new Error('Client does not support sampling'));
+  const result = await convertPromptWithSampling(PROMPT, { sampler });
+
+  assert.equal(sampler.requests.length, 1);
+  assert.equal(result.extraction, 'heuristic');
+  assert.match(result.sampling_error, /Client does not support sampling/);
+});
+
+test('each sampled refinement carries the diff hunk of its change', async () => {
+  const text = 'Summarize the Q3 sales data.\nKeep it short.\nUse the finance template.\nCover every region.\nSend it to me.';
+  const refined = '## Goal\nSummarize the Q3 sales data.\nKeep it short.\nUse the finance template.\nCover every region.\n\n## Output format\nA PDF report of at most 2 pages.';
+  const sampler = mockSampler(JSON.stringify({
+    refined_prompt: refined,
+    improvements: [
+      { type: 'structure', description: 'Added a goal heading', excerpt: '## Goal' },
+      { type: 'specificity', description: 'Named the deliverable and its length', excerpt: 'A PDF report of at most 2 pages.' }
+    ]
+  }));
+  const result = await refinePromptWithSampling(text, { sampler });
+
+  assert.equal(result.extraction, 'sampling');
+  assert.deepEqual(result.improvements.map(improvement => improvement.hunks.length), [1, 1]);
+  const [heading, deliverable] = result.improvements;
+  assert.equal(heading.before, '');
+  assert.equal(heading.after, '## Goal');
+  assert.deepEqual(heading.hunks[0].lines, ['+## Goal', ' Summarize the Q3 sales data.']);
+  assert.equal(deliverable.before, 'Send it to me.');
+  assert.equal(deliverable.after, '\n## Output format\nA PDF report of at most 2 pages.');
+});
+
+test('changes no sampled improvement accounts for are listed on their own', async () => {
+  const sampler = mockSampler(JSON.stringify({
+    refined_prompt: '## Goal\nSummarize the Q3 sales data.',
+    improvements: [{ type: 'clarity', description: 'Clarified the task' }]
+  }));
+  const result = await refinePromptWithSampling('Summarize the sales data.', { sampler });
+
+  assert.equal(result.improvements.length, 2);
+  assert.deepEqual(result.improvements[0].hunks, []);
+  assert.equal(result.improvements[1].before, 'Summarize the sales data.');
+  assert.equal(result.improvements[1].after, '## Goal\nSummarize the Q3 sales data.');
+});
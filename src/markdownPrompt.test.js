@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findExamples, readMarkdown, sectionEntries, sectionRanges } from '../utils/markdownPrompt.js';
+import { analyzeText } from '../utils/textAnalysis.js';
+
+const PROMPT = [
+  '# Sales summary',
+  '',
+  'Summarize the sales data.',
+  '',
+  '## Requirements',
+  '- Use Python',
+  '- Charts (optional)',
+  '',
+  '## Output format',
+  'A PDF report.',
+  '',
+  '## Examples',
+  '```json',
+  '{"total": 1}',
+  '```',
+  '- Total: 1',
+  '',
+  '## Notes',
+  'Be brief.'
+].join('\n');
+
+const entryValues = entries => entries.map(entry => entry.value);
+
+test('the title and the sections under known headings are read', () => {
+  const markdown = readMarkdown(analyzeText(PROMPT));
+
+  assert.equal(markdown.title.value, 'Sales summary');
+  assert.deepEqual(markdown.sections.map(section => section.field), [null, 'required', 'format', 'examples', null]);
+  assert.deepEqual(entryValues(sectionEntries(markdown, 'required')), ['Use Python', 'Charts']);
+  assert.equal(sectionEntries(markdown, 'required')[1].optional, true);
+  assert.deepEqual(entryValues(sectionEntries(markdown, 'format')), ['A PDF report']);
+  assert.equal(sectionEntries(markdown, 'intent'), null);
+});
+
+test('entry spans and section ranges point into the prompt', () => {
+  const markdown = readMarkdown(analyzeText(PROMPT));
+  const [python] = sectionEntries(markdown, 'required');
+  const [range] = sectionRanges(markdown, 'format');
+
+  assert.equal(PROMPT.slice(python.span.start, python.span.end), 'Use Python');
+  assert.equal(PROMPT.slice(range.start, range.end).trim(), 'A PDF report.');
+});
+
+test('code blocks and examples sections are examples in text order', () => {
+  const markdown = readMarkdown(analyzeText(PROMPT));
+
+  assert.deepEqual(findExamples(markdown).map(example => example.value), [
+    { content: '{"total": 1}', language: 'json' },
+    { content: 'Total: 1' }
+  ]);
+});
+
+test('prose is the text outside sections that fill other fields', () => {
+  const markdown = readMarkdown(analyzeText(PROMPT));
+
+  assert.deepEqual(markdown.prose.map(({ start, end }) => PROMPT.slice(start, end).trim()).filter(Boolean), [
+    'Summarize the sales data.',
+    'Be brief.'
+  ]);
+});
+
+test('text without headings is all prose', () => {
+  const text = 'Summarize the sales data. Use Python.';
+  const markdown = readMarkdown(analyzeText(text));
+
+  assert.equal(markdown.title, null);
+  assert.deepEqual(markdown.sections, []);
+  assert.deepEqual(markdown.prose, [{ start: 0, end: text.length }]);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatLintReport, lintPrompts } from '../utils/promptLint.js';
+
+const ITEMS = [
+  {
+    id: 'prompts/clear.txt',
+    source: 'prompts/clear.txt',
+    text: 'Summarize reports/q3.csv for the finance team in under 200 words as a Markdown list of the three largest revenue changes by region.'
+  },
+  { id: 'prompts/vague.txt', source: 'prompts/vague.txt', text: 'Make it better.\nMaybe fast.' },
+  { id: 'prompts.jsonl:2', source: 'prompts.jsonl', line: 2, error: 'Invalid JSON' }
+];
+
+test('prompts fail on high severity gaps, low scores and unreadable input', () => {
+  const report = lintPrompts(ITEMS);
+  const [clear, vague, invalid] = report.results;
+
+  assert.deepEqual(report.settings, { min_score: 60, fail_on: 'high' });
+  assert.deepEqual(report.summary, { prompts: 3, passed: 1, failed: 2, errors: 5, warnings: 1 });
+  assert.equal(clear.passed, true);
+  assert.deepEqual(clear.findings, []);
+
+  assert.equal(vague.passed, false);
+  assert.deepEqual(vague.findings.map(finding => [finding.rule, finding.level, finding.line, finding.column]), [
+    ['clarity-score', 'error', 1, undefined],
+    ['missing_context.pronoun', 'warning', 1, 6],
+    ['ambiguous_requirement.vague_quality', 'error', 1, 9],
+    ['ambiguous_requirement.hedge', 'error', 2, 1],
+    ['ambiguous_requirement.vague_speed', 'error', 2, 7]
+  ]);
+
+  assert.equal(invalid.score, null);
+  assert.deepEqual(invalid.findings, [{ rule: 'input-error', level: 'error', message: 'Invalid JSON', line: 2 }]);
+});
+
+test('the minimum score and failing severity are configurable', () => {
+  const report = lintPrompts(ITEMS.slice(1, 2), { minScore: 0, failOn: 'none' });
+
+  assert.equal(report.results[0].passed, true);
+  assert.ok(report.results[0].findings.every(finding => finding.level === 'warning'));
+  assert.ok(!report.results[0].findings.some(finding => finding.rule === 'clarity-score'));
+});
+
+test('the table lists each prompt and the findings of flagged ones', () => {
+  const table = formatLintReport(lintPrompts(ITEMS));
+
+  assert.match(table, /^Prompt +Score +High +Medium +Low +Result$/m);
+  assert.match(table, /^prompts\/clear\.txt +\d+ +0 +0 +0 +pass$/m);
+  assert.match(table, /^ {2}2:1 +error +Vague requirement: "maybe" +ambiguous_requirement\.hedge$/m);
+  assert.match(table, /✖ 3 prompt\(s\): 1 passed, 2 failed \(5 error\(s\), 1 warning\(s\)\)/);
+});
+
+test('SARIF results carry the rule, level and region of each finding', () => {
+  const sarif = JSON.parse(formatLintReport(lintPrompts(ITEMS), 'sarif', { version: '1.2.3' }));
+  const [run] = sarif.runs;
+
+  assert.equal(sarif.version, '2.1.0');
+  assert.equal(run.tool.driver.version, '1.2.3');
+  assert.ok(run.tool.driver.rules.some(rule => rule.id === 'input-error'));
+  const hedge = run.results.find(result => result.ruleId === 'ambiguous_requirement.hedge');
+  assert.equal(run.tool.driver.rules[hedge.ruleIndex].id, 'ambiguous_requirement.hedge');
+  assert.equal(hedge.level, 'error');
+  assert.deepEqual(hedge.locations[0].physicalLocation, {
+    artifactLocation: { uri: 'prompts/vague.txt' },
+    region: { startLine: 2, startColumn: 1, endLine: 2, endColumn: 6 }
+  });
+});
+
+test('JUnit reports have a suite per file and a failure per failing prompt', () => {
+  const junit = formatLintReport(lintPrompts(ITEMS), 'junit');
+
+  assert.match(junit, /<testsuites name="text-to-json-mcp lint" tests="3" failures="2">/);
+  assert.match(junit, /<testcase name="prompts\/clear\.txt \(clarity \d+\)" classname="prompts\/clear\.txt"\/>/);
+  assert.match(junit, /<failure message="Invalid JSON" type="input-error">2 Invalid JSON \(input-error\)<\/failure>/);
+  assert.match(junit, /Vague requirement: &quot;better&quot;/);
+});
+
+test('unknown formats are rejected', () => {
+  assert.throws(() => formatLintReport(lintPrompts([]), 'html'), /Unknown lint format: html/);
+});
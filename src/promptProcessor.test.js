@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findTool, runTool, tools } from './tools.js';
+import { convertPromptToJson, refinePrompt } from '../utils/promptProcessor.js';
+
+test('the intent comes from the purpose the prompt states', () => {
+  const result = convertPromptToJson('Write a report on Q3 sales so that the board can decide on the budget.');
+
+  assert.equal(result.data.intent, 'the board can decide on the budget');
+  assert.ok(result.spans.some(span => span.field === 'intent' && span.text === 'the board can decide on the budget'));
+});
+
+test('prompts without a stated purpose have no intent', () => {
+  const result = convertPromptToJson('Write a report on Q3 sales.');
+
+  assert.equal(result.success, true);
+  assert.equal('intent' in result.data, false);
+  assert.ok(!result.spans.some(span => span.field === 'intent'));
+});
+
+test('refining a prompt with no words fails with an error result', async () => {
+  const result = refinePrompt('!!!');
+
+  assert.equal(result.success, false);
+  assert.equal(result.original_prompt, '!!!');
+  assert.match(result.error, /Prompt contains no words/);
+
+  const toolResult = await runTool(findTool(tools, 'refinePrompt'), { text: '!!!' }, { validateOutputs: true });
+  assert.equal(toolResult.success, false);
+  assert.match(toolResult.error, /Prompt contains no words/);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPrompts } from '../utils/promptSources.js';
+
+const CHAT_CODE = `import OpenAI from 'openai';
+
+const client = new OpenAI();
+const reply = await client.chat.completions.create({
+  model: 'gpt-4o',
+  messages: [
+    { role: 'system', content: 'You are a support agent. Answer in two sentences.' },
+    {
+      role: "user",
+      content: \`Summarize the ticket \${ticket.id} for the on-call engineer.\`
+    }
+  ]
+});
+const status = { content: 'Loading the latest tickets now' };
+`;
+
+const CHAT_YAML = `model: gpt-4o
+messages:
+  - role: system
+    content: You review pull requests and list the risky changes first.
+  - role: user
+    content: Review the diff below.
+note:
+  content: Not a message, so not a prompt
+`;
+
+test('the content of chat messages in code is extracted as a prompt', () => {
+  const prompts = extractPrompts(CHAT_CODE, 'agent.ts');
+
+  assert.deepEqual(prompts.map(prompt => [prompt.kind, prompt.name, prompt.text]), [
+    ['string_literal', 'content', 'You are a support agent. Answer in two sentences.'],
+    ['template_literal', 'content', 'Summarize the ticket ${ticket.id} for the on-call engineer.']
+  ]);
+  assert.deepEqual([prompts[0].location.line, prompts[0].location.column], [7, 33]);
+  assert.equal(CHAT_CODE.slice(prompts[1].location.start, prompts[1].location.end), prompts[1].text);
+});
+
+test('the content of chat messages in YAML is extracted as a prompt', () => {
+  const prompts = extractPrompts(CHAT_YAML, 'agent.yaml');
+
+  assert.deepEqual(prompts.map(prompt => [prompt.name, prompt.text]), [
+    ['messages.content', 'You review pull requests and list the risky changes first.'],
+    ['messages.content', 'Review the diff below.']
+  ]);
+  assert.equal(prompts[1].location.line, 6);
+});
+
+test('literals are found by name, marker and fence', () => {
+  const code = [
+    'const systemPrompt = "Classify the ticket by urgency and team.";',
+    '// @prompt',
+    "const text = 'Write a haiku about the build';",
+    "const label = 'Not a prompt at all';"
+  ].join('\n');
+  assert.deepEqual(extractPrompts(code, 'a.js').map(prompt => prompt.name), ['systemPrompt', 'text']);
+
+  const markdown = '# Prompts\n\n```text prompt\nTranslate the release notes into German.\n```\n';
+  const [fence] = extractPrompts(markdown, 'README.md');
+  assert.equal(fence.text, 'Translate the release notes into German.');
+  assert.equal(fence.name, 'text');
+});
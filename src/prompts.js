@@ -0,0 +1,56 @@
+/**
+ * MCP prompt registry (prompts/list, prompts/get)
+ * Exposes the prompt template library as MCP prompts; each rendered prompt carries its
+ * clarity gap analysis in `_meta`
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { isRequiredVariable, listTemplates, renderTemplate } from '../utils/templates.js';
+
+// _meta key holding the clarity score and gaps of a rendered prompt
+export const CLARITY_META_KEY = 'text-to-json/clarity';
+
+function describeArgument(name, declaration) {
+  const details = [
+    declaration.description,
+    declaration.type !== 'string' && `${declaration.type}${declaration.type === 'list' ? ', comma-separated or a JSON array' : ''}`,
+    declaration.enum && `one of: ${declaration.enum.join(', ')}`,
+    declaration.default !== undefined && `default: ${[].concat(declaration.default).join(', ')}`
+  ].filter(Boolean);
+  return {
+    name,
+    ...(details.length > 0 && { description: details.join('; ') }),
+    required: isRequiredVariable(declaration)
+  };
+}
+
+/**
+ * List the registered templates as MCP prompts
+ */
+export function listPrompts() {
+  return listTemplates().map(template => ({
+    name: template.name,
+    ...(template.description && { description: template.description }),
+    arguments: Object.entries(template.variables).map(([name, declaration]) => describeArgument(name, declaration))
+  }));
+}
+
+/**
+ * Render a template as an MCP prompt: one user message with the rendered text
+ * Throws an InvalidParams JSON-RPC error for unknown templates and invalid arguments
+ */
+export function getPrompt(name, args = {}, options = {}) {
+  const result = renderTemplate(name, args, options);
+  if (!result.success) {
+    throw new McpError(ErrorCode.InvalidParams, result.error, { prompt: name, ...(result.issues && { issues: result.issues }) });
+  }
+
+  const template = listTemplates().find(entry => entry.name === name);
+  return {
+    ...(template.description && { description: template.description }),
+    messages: [{ role: 'user', content: { type: 'text', text: result.prompt } }],
+    _meta: {
+      [CLARITY_META_KEY]: { overall_clarity_score: result.overall_clarity_score, gaps: result.gaps }
+    }
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * MCP resource registry (resources/list, resources/read)
+ * Publishes the JSON Schemas of the prompt and response shapes, the active rule pack and the
+ * rolling conversion history under text-to-json:// URIs
+ */
+
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+import { schemas, toJsonSchema } from './schema.js';
+import { findProjectRulePack, getActiveRules } from '../utils/ruleEngine.js';
+
+export const RESOURCE_SCHEME = 'text-to-json://';
+export const RULES_URI = `${RESOURCE_SCHEME}rules`;
+export const HISTORY_URI = `${RESOURCE_SCHEME}history`;
+
+// JSON-RPC error code for unknown resources (MCP specification)
+export const RESOURCE_NOT_FOUND = -32002;
+
+const SCHEMA_PREFIX = `${RESOURCE_SCHEME}schemas/`;
+const MIME_TYPE = 'application/json';
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${HISTORY_URI}/{id}`,
+    name: 'Conversion',
+    description: 'A recent convertPromptToJson call: the prompt text, its target schema and the result',
+    mimeType: MIME_TYPE
+  },
+  {
+    uriTemplate: `${SCHEMA_PREFIX}{name}`,
+    name: 'JSON Schema',
+    description: 'JSON Schema of a prompt, input or response shape',
+    mimeType: MIME_TYPE
+  }
+];
+
+/**
+ * List the resource URI templates; the history template only when there is a history
+ */
+export function listResourceTemplates(history) {
+  return history ? RESOURCE_TEMPLATES : RESOURCE_TEMPLATES.filter(template => !template.uriTemplate.startsWith(HISTORY_URI));
+}
+
+/**
+ * URI of a history entry
+ */
+export function historyUri(id) {
+  return `${HISTORY_URI}/${id}`;
+}
+
+// Schema resources are named without the Schema suffix: PromptSchema -> text-to-json://schemas/Prompt
+function schemaEntries() {
+  return Object.entries(schemas).map(([key, schema]) => ({ name: key.replace(/Schema$/, ''), schema }));
+}
+
+function historySummary(entry) {
+  return {
+    id: entry.id,
+    uri: historyUri(entry.id),
+    created_at: entry.created_at,
+    text: entry.text,
+    ...(entry.schema !== undefined && { schema: entry.schema })
+  };
+}
+
+/**
+ * List the available resources; `history` is a createHistory() instance or undefined
+ */
+export function listResources(history) {
+  return [
+    ...schemaEntries().map(({ name, schema }) => ({
+      uri: `${SCHEMA_PREFIX}${name}`,
+      name: `${name} schema`,
+      description: schema.description ?? `JSON Schema of ${name}`,
+      mimeType: MIME_TYPE
+    })),
+    {
+      uri: RULES_URI,
+      name: 'Active rule pack',
+      description: 'The gap analysis rules in effect: the project rule pack or the built-in rules',
+      mimeType: MIME_TYPE
+    },
+    ...(history ? [
+      {
+        uri: HISTORY_URI,
+        name: 'Conversion history',
+        description: 'Recent convertPromptToJson calls, newest first',
+        mimeType: MIME_TYPE
+      },
+      ...history.list().map(entry => ({
+        uri: historyUri(entry.id),
+        name: `Conversion ${entry.created_at}`,
+        description: entry.text.length > 80 ? `${entry.text.slice(0, 77)}...` : entry.text,
+        mimeType: MIME_TYPE
+      }))
+    ] : [])
+  ];
+}
+
+function resourceContent(uri) {
+  if (uri.startsWith(SCHEMA_PREFIX)) {
+    const entry = schemaEntries().find(({ name }) => `${SCHEMA_PREFIX}${name}` === uri);
+    return entry && toJsonSchema(entry.schema);
+  }
+  if (uri === RULES_URI) {
+    return {
+      source: findProjectRulePack() ?? 'built-in',
+      rules: getActiveRules().map(({ match, ...rule }) => rule)
+    };
+  }
+  return undefined;
+}
+
+function historyContent(uri, history) {
+  if (!history) return undefined;
+  if (uri === HISTORY_URI) {
+    return { entries: history.list().map(historySummary) };
+  }
+  if (uri.startsWith(`${HISTORY_URI}/`)) {
+    const entry = history.get(uri.slice(HISTORY_URI.length + 1));
+    return entry && { uri, ...entry };
+  }
+  return undefined;
+}
+
+/**
+ * Read a resource as JSON text
+ * Throws a resource-not-found JSON-RPC error for unknown URIs
+ */
+export function readResource(uri, history) {
+  const content = resourceContent(uri) ?? historyContent(uri, history);
+  if (content === undefined) {
+    throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+  }
+  return {
+    contents: [{ uri, mimeType: MIME_TYPE, text: JSON.stringify(content, null, 2) }]
+  };
+}
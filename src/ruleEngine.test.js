@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, utimesSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { compileRule, getActiveRules, resolveRulePack, resolveRules, runRules } from '../utils/ruleEngine.js';
+import { analyzeText } from '../utils/textAnalysis.js';
+
+const ruleIds = rules => rules.filter(rule => rule.enabled).map(rule => rule.id);
+const gapTerms = gaps => gaps.map(gap => [gap.rule, gap.text]);
+
+test('word, token and regex matchers report every match with its offsets', () => {
+  const text = 'The app should be fast. Open the App again, with a maximum size.';
+  const match = matcher => compileRule({ id: 'test', category: 'test', severity: 'low', description: 'x', suggestion: 'y', matcher })
+    .match(analyzeText(text));
+
+  assert.deepEqual(match({ type: 'word', terms: ['fast', 'should be'] }), [
+    { term: 'fast', start: 18, end: 22 },
+    { term: 'should be', start: 8, end: 17 }
+  ]);
+  assert.deepEqual(match({ type: 'token', terms: ['the app'] }).map(({ start, end }) => text.slice(start, end)), ['The app', 'the App']);
+  assert.deepEqual(match({ type: 'regex', pattern: 'max\\w+' }), [{ term: 'maximum', start: text.indexOf('maximum'), end: text.indexOf('maximum') + 7 }]);
+});
+
+test('invalid rules and packs are rejected with the rule id', () => {
+  assert.throws(() => compileRule({ id: 'broken', category: 'x', severity: 'extreme', matcher: { type: 'word', terms: ['a'] } }), /Invalid rule "broken"/);
+  assert.throws(() => resolveRulePack({ overrides: { 'no.such_rule': { severity: 'low' } } }), /unknown rule "no\.such_rule"/);
+  assert.throws(() => resolveRulePack({ extends: 'other' }, 'rules.json'), /Invalid rule pack rules\.json/);
+});
+
+test('rule packs extend, override, disable and enable the built-in rules', () => {
+  const rules = resolveRulePack({
+    disable: ['ambiguous_requirement.*', 'missing_context.pronoun'],
+    enable: ['ambiguous_requirement.hedge'],
+    overrides: { 'unclear_output.generic_output': { severity: 'low' } },
+    rules: [{
+      id: 'team.jargon',
+      category: 'missing_context',
+      severity: 'low',
+      matcher: { type: 'word', terms: ['synergy'] },
+      description: 'Jargon: "{term}"',
+      suggestion: 'Explain "{term}"'
+    }]
+  });
+
+  const enabled = ruleIds(rules);
+  assert.ok(enabled.includes('ambiguous_requirement.hedge'));
+  assert.ok(!enabled.includes('ambiguous_requirement.vague_quality'));
+  assert.ok(!enabled.includes('missing_context.pronoun'));
+  assert.equal(rules.find(rule => rule.id === 'unclear_output.generic_output').severity, 'low');
+
+  const gaps = runRules('Maybe add synergy to the report.', rules);
+  assert.deepEqual(gapTerms(gaps), [
+    ['ambiguous_requirement.hedge', 'Maybe'],
+    ['unclear_output.generic_output', 'report'],
+    ['team.jargon', 'synergy']
+  ]);
+  assert.equal(gaps[2].description, 'Jargon: "synergy"');
+
+  assert.deepEqual(ruleIds(resolveRulePack({ extends: 'none' })), []);
+});
+
+test('gaps are reported once per term, skip protected spans and respect sentence starts', () => {
+  const rules = resolveRules({ disable: ['unclear_output.*', 'missing_constraints.*'] });
+  const text = 'It should be fast, fast. Then add `fast_mode` from docs/fast.md. Explain why it fails.';
+  const gaps = runRules(text, rules);
+
+  assert.deepEqual(gapTerms(gaps), [
+    ['missing_context.pronoun', 'It'],
+    ['ambiguous_requirement.hedge', 'should'],
+    ['ambiguous_requirement.vague_speed', 'fast']
+  ]);
+  assert.equal(gaps[0].description, 'Unclear reference to "it" in sentence 1');
+});
+
+test('built-in rules use the terms of the analysis language', () => {
+  const gaps = runRules(analyzeText('Quizás el informe debe ser rápido.', { language: 'es' }), resolveRules({}));
+
+  assert.deepEqual(gapTerms(gaps), [
+    ['ambiguous_requirement.hedge', 'Quizás'],
+    ['ambiguous_requirement.vague_speed', 'rápido'],
+    ['unclear_output.generic_output', 'informe']
+  ]);
+});
+
+test('the project rule pack is reloaded when its file changes', (t) => {
+  const cwd = mkdtempSync(join(tmpdir(), 'rules-'));
+  t.after(() => rmSync(cwd, { recursive: true, force: true }));
+  const dir = join(cwd, '.text-to-json');
+  mkdirSync(dir);
+  const filePath = join(dir, 'rules.yaml');
+
+  assert.ok(ruleIds(getActiveRules(cwd)).includes('ambiguous_requirement.hedge'));
+
+  writeFileSync(filePath, 'disable: [ambiguous_requirement.hedge]\n');
+  utimesSync(filePath, 1000, 1000);
+  assert.ok(!ruleIds(getActiveRules(cwd)).includes('ambiguous_requirement.hedge'));
+
+  writeFileSync(filePath, 'disable: [missing_context.*]\n');
+  utimesSync(filePath, 2000, 2000);
+  const rules = ruleIds(getActiveRules(cwd));
+  assert.ok(rules.includes('ambiguous_requirement.hedge'));
+  assert.ok(!rules.includes('missing_context.pronoun'));
+});
@@ -1,74 +1,623 @@
 import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+
+export const CONSTRAINT_KINDS = ['time', 'size', 'count', 'budget', 'technology', 'format', 'audience', 'other'];
+export const CONSTRAINT_OPERATORS = ['max', 'min', 'exact', 'only', 'must'];
+
+// Constraint parsed into a typed limit, e.g. "under 500 words" is size, max, 500 words.
+// Plain strings from older outputs are accepted as constraints of kind "other".
+export const ConstraintSchema = z.preprocess(
+  value => (typeof value === 'string' ? { text: value, kind: 'other' } : value),
+  z.object({
+    text: z.string().describe("The constraint as written in the prompt"),
+    kind: z.enum(CONSTRAINT_KINDS).describe("What the constraint limits"),
+    operator: z.enum(CONSTRAINT_OPERATORS).optional().describe("How the value limits it: at most, at least, exactly, nothing but, or required"),
+    value: z.number().optional().describe("Numeric limit"),
+    unit: z.string().optional().describe("Unit of the value, e.g. words, days, MB or $")
+  })
+);
+
+// Subtask of a multi-step prompt; steps are numbered from 1 in the order they run
+export const StepSchema = z.object({
+  id: z.number().int().min(1).describe("Position of the step in the plan, from 1"),
+  task: z.string().describe("What the step does"),
+  inputs: z.array(z.string()).describe("Data, files or artifacts the step works from"),
+  outputs: z.array(z.string()).describe("Artifacts the step produces"),
+  depends_on: z.array(z.number().int().min(1)).describe("Ids of the steps that must finish first")
+});
+
+// Example the prompt gives, such as a fenced code block kept exactly as written
+export const ExampleSchema = z.object({
+  content: z.string().describe("The example text; for code blocks, the code between the fences"),
+  language: z.string().optional().describe("Language of a code block, from its info string")
+});
 
 // Main schema for converting prompts to structured JSON
 export const PromptSchema = z.object({
   task: z.string().describe("A clear, concise description of what needs to be accomplished"),
-  intent: z.string().describe("The underlying goal or purpose of the request"),
+  intent: z.string().optional().describe("The underlying goal or purpose of the request, when the prompt states one"),
   inputs: z.object({
     required: z.array(z.string()).describe("Essential information or parameters needed"),
     optional: z.array(z.string()).describe("Helpful but not critical information"),
-    constraints: z.array(z.string()).describe("Limitations, requirements, or boundaries")
+    constraints: z.array(ConstraintSchema).describe("Limitations, requirements, or boundaries")
   }),
   outputs: z.object({
     primary: z.string().describe("The main deliverable or result expected"),
     secondary: z.array(z.string()).describe("Additional outputs or side effects"),
     format: z.string().describe("Expected output format (e.g., JSON, CSV, HTML)")
   }),
+  steps: z.array(StepSchema).optional().describe("Ordered subtasks, when the prompt describes several steps"),
+  examples: z.array(ExampleSchema).optional().describe("Examples and code blocks the prompt includes"),
   clarity_gaps: z.array(z.string()).describe("Areas where the prompt lacks detail or could be more specific")
 });
 
+// Range of a source file, for prompts extracted from code and config files
+export const SourceLocationSchema = z.object({
+  start: z.number().int().min(0).describe("Offset in the source file (inclusive)"),
+  end: z.number().int().min(0).describe("Offset in the source file (exclusive)"),
+  line: z.number().int().min(1),
+  column: z.number().int().min(1),
+  end_line: z.number().int().min(1),
+  end_column: z.number().int().min(1)
+});
+
+// Character-offset span of the prompt text that produced a field or gap
+export const SpanSchema = z.object({
+  start: z.number().int().min(0).describe("Offset of the first character (inclusive)"),
+  end: z.number().int().min(0).describe("Offset after the last character (exclusive)"),
+  text: z.string().describe("The matched text"),
+  rule: z.string().describe("Identifier of the rule that produced the match"),
+  location: SourceLocationSchema.optional().describe("Position in the source file the prompt was extracted from")
+});
+
+// Span of an extracted PromptSchema field, e.g. "task" or "inputs.required[0]"
+export const FieldSpanSchema = SpanSchema.extend({
+  field: z.string().describe("Path of the extracted field")
+});
+
+// Built-in custom output schema: bug report
+export const BugReportSchema = z.object({
+  title: z.string().describe("Short summary of the bug"),
+  steps_to_reproduce: z.array(z.string()).describe("Ordered steps that trigger the bug"),
+  expected_behavior: z.string().describe("What should happen"),
+  actual_behavior: z.string().describe("What happens instead"),
+  severity: z.enum(['low', 'medium', 'high', 'critical']).describe("Impact of the bug"),
+  environment: z.string().optional().describe("Platform, browser, version or other environment details")
+});
+
+// Built-in custom output schema: API endpoint specification
+export const ApiEndpointSchema = z.object({
+  name: z.string().describe("Short name of the endpoint"),
+  method: z.enum(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']).describe("HTTP method"),
+  path: z.string().describe("URL path of the endpoint, e.g. /users/{id}"),
+  description: z.string().describe("What the endpoint does"),
+  parameters: z.array(z.string()).describe("Path, query or body parameters"),
+  response_format: z.string().describe("Format of the response body (e.g., JSON)"),
+  auth_required: z.boolean().describe("Whether the endpoint requires authentication")
+});
+
+// Serialization formats of convert results; json_schema describes the requested output
+export const OUTPUT_FORMATS = ['json', 'yaml', 'toml', 'xml', 'markdown', 'json_schema'];
+export const OutputFormatSchema = z.enum(OUTPUT_FORMATS);
+
+// Templates renderPrompt writes structured prompts back to text with
+export const RENDER_TEMPLATES = ['concise', 'markdown', 'xml', 'messages'];
+
+// Languages with a lexicon for the heuristic analysis (see utils/language.js)
+export const LANGUAGES = ['en', 'es', 'de', 'ja'];
+export const LanguageSchema = z.enum(LANGUAGES);
+
+// Language a prompt was analyzed in
+export const LanguageInfoSchema = z.object({
+  detected: LanguageSchema.describe("Language detected from the prompt text"),
+  confidence: z.number().min(0).max(1).describe("Confidence of the detection; 0 when the text gave no evidence"),
+  lexicon: LanguageSchema.describe("Lexicon the prompt was analyzed with: the detected language unless one was requested")
+});
+
+export const ENTITY_TYPES = ['path', 'url', 'technology', 'data_format', 'dataset', 'api', 'quantity'];
+export const ENTITY_ROLES = ['required_input', 'optional_input', 'deliverable', 'constraint'];
+
+// Artifact or value named in a prompt and the part it plays in the task
+export const EntitySchema = z.object({
+  type: z.enum(ENTITY_TYPES).describe("What the entity is: a file path, URL, technology, data format, named dataset, API or quantity"),
+  text: z.string().describe("The entity as written in the prompt"),
+  role: z.enum(ENTITY_ROLES).describe("Whether the task needs it, can use it, produces it, or is limited by it (a quantity in a constraint)"),
+  start: z.number().int().min(0).describe("Offset of the first character (inclusive)"),
+  end: z.number().int().min(0).describe("Offset after the last character (exclusive)"),
+  value: z.number().optional().describe("Numeric value of a quantity"),
+  unit: z.string().optional().describe("Unit of a quantity")
+});
+
+// Validation issue reported with a failed result
+export const ValidationIssueSchema = z.object({
+  path: z.string().describe("Dotted path of the invalid value; empty for the root"),
+  message: z.string(),
+  code: z.string().optional().describe("Zod issue code, such as invalid_type")
+});
+
+// Which pipeline produced a result: the client's model via MCP sampling, or the heuristics
+export const ExtractionSchema = z.enum(['sampling', 'heuristic']);
+
 // Schema for the convertPromptToJson method response
+// `data` follows PromptSchema unless a custom output schema was requested
 export const ConvertPromptResponseSchema = z.object({
   success: z.boolean(),
-  data: PromptSchema.optional(),
+  schema: z.string().optional(),
+  data: z.union([PromptSchema, z.record(z.unknown())]).optional(),
+  spans: z.array(FieldSpanSchema).optional(),
+  entities: z.array(EntitySchema).optional().describe("Paths, URLs, technologies, formats, datasets, APIs and quantities named in the prompt"),
+  issues: z.array(ValidationIssueSchema).optional(),
   error: z.string().optional(),
+  extraction: ExtractionSchema.optional(),
+  sampling_error: z.string().optional().describe("Why sampling was abandoned in favour of the heuristics"),
+  output_format: OutputFormatSchema.optional(),
+  formatted: z.string().optional().describe("The data serialized in output_format"),
+  resource_uri: z.string().optional().describe("MCP resource holding this conversion (text-to-json://history/{id})"),
+  conversion_id: z.string().optional().describe("Id of the conversion in the persistent store, when one is configured"),
+  language: LanguageInfoSchema.optional(),
   processing_time_ms: z.number()
+}).superRefine((response, ctx) => {
+  // Without a custom schema the data must follow PromptSchema exactly
+  if (response.schema !== undefined || response.data === undefined) return;
+
+  const result = PromptSchema.safeParse(response.data);
+  if (!result.success) {
+    result.error.issues.forEach(issue => {
+      ctx.addIssue({ ...issue, path: ['data', ...issue.path] });
+    });
+  }
+});
+
+// Built-in clarity gap categories; rule packs may add their own
+export const GAP_CATEGORIES = ['missing_context', 'ambiguous_requirement', 'unclear_output', 'missing_constraints'];
+
+export const SeveritySchema = z.enum(['low', 'medium', 'high']);
+
+// A gap analysis rule: what to match, where, and how to report it
+export const RuleSchema = z.object({
+  id: z.string().min(1).describe("Unique rule identifier, e.g. ambiguous_requirement.vague_quality"),
+  category: z.string().min(1).describe(`Gap category (built-in: ${GAP_CATEGORIES.join(', ')})`),
+  severity: SeveritySchema,
+  enabled: z.boolean().default(true),
+  matcher: z.discriminatedUnion('type', [
+    z.object({
+      type: z.literal('word'),
+      terms: z.array(z.string().min(1)).min(1).describe("Words or phrases matched on word boundaries, case-insensitive")
+    }),
+    z.object({
+      type: z.literal('token'),
+      terms: z.array(z.string().min(1)).min(1).describe("Token sequences matched against the tokenized text, case-insensitive")
+    }),
+    z.object({
+      type: z.literal('regex'),
+      pattern: z.string().min(1),
+      flags: z.string().optional().describe("Regular expression flags (default: i)")
+    })
+  ]),
+  scope: z.enum(['text', 'sentence_start']).default('text')
+    .describe("sentence_start only reports matches with fewer than maxOffset characters before them in their sentence"),
+  maxOffset: z.number().int().min(0).default(10),
+  description: z.string().describe("Gap description template; {term}, {match} and {sentence} are replaced"),
+  suggestion: z.string().describe("Suggestion template; {term}, {match} and {sentence} are replaced")
+});
+
+// A rule pack file (.text-to-json/rules.json or rules.yaml)
+export const RulePackSchema = z.object({
+  extends: z.enum(['default', 'none']).default('default').describe("Start from the built-in rules or from nothing"),
+  disable: z.array(z.string()).default([]).describe("Rule ids (or id prefixes ending in *) to disable"),
+  enable: z.array(z.string()).default([]).describe("Rule ids (or id prefixes ending in *) to enable"),
+  overrides: z.record(RuleSchema.partial().omit({ id: true })).default({}).describe("Per-rule field overrides keyed by rule id"),
+  rules: z.array(RuleSchema).default([]).describe("Additional rules; a rule with an existing id replaces it")
 });
 
 // Schema for the findClarityGaps method response
+// Dimensions of the clarity score
+export const CLARITY_DIMENSIONS = ['context', 'specificity', 'output_definition', 'constraints', 'structure'];
+
+export const ClarityDimensionSchema = z.enum(CLARITY_DIMENSIONS);
+
+// Relative weight of each dimension in the overall score; omitted dimensions keep their default
+export const ScoringWeightsSchema = z.object(
+  Object.fromEntries(CLARITY_DIMENSIONS.map(dimension => [dimension, z.number().min(0).optional()]))
+).strict();
+
+// Project scoring configuration (.text-to-json/scoring.json or scoring.yaml)
+export const ScoringConfigSchema = z.object({
+  weights: ScoringWeightsSchema.default({}),
+  penalties: z.object({
+    high: z.number().min(0).max(1).optional(),
+    medium: z.number().min(0).max(1).optional(),
+    low: z.number().min(0).max(1).optional()
+  }).strict().default({}).describe("Fraction of a dimension's score removed by each gap of a severity"),
+  categories: z.record(ClarityDimensionSchema).default({}).describe("Dimension of custom gap categories")
+}).strict();
+
+// Explanation of an overall clarity score
+export const ScoreBreakdownSchema = z.object({
+  dimensions: z.array(z.object({
+    dimension: ClarityDimensionSchema,
+    score: z.number().min(0).max(100),
+    weight: z.number().min(0),
+    evidence: z.number().min(0).max(1).describe("Share of the positive signals found for the dimension"),
+    signals: z.array(z.string()).describe("Positive signals found in the prompt"),
+    gap_count: z.number().int().min(0)
+  })),
+  gap_contributions: z.array(z.object({
+    rule: z.string(),
+    category: z.string(),
+    dimension: ClarityDimensionSchema,
+    severity: SeveritySchema,
+    text: z.string(),
+    points: z.number().describe("Overall score points removed by the gap")
+  }))
+});
+
+// A clarity gap and the span that triggered it
+export const ClarityGapSchema = z.object({
+  category: z.string(),
+  description: z.string(),
+  suggestion: z.string(),
+  severity: SeveritySchema
+}).merge(SpanSchema);
+
 export const ClarityGapsResponseSchema = z.object({
   success: z.boolean(),
-  gaps: z.array(z.object({
-    category: z.enum(['missing_context', 'ambiguous_requirement', 'unclear_output', 'missing_constraints']),
-    description: z.string(),
-    suggestion: z.string(),
-    severity: z.enum(['low', 'medium', 'high'])
-  })),
-  overall_clarity_score: z.number().min(0).max(100)
+  gaps: z.array(ClarityGapSchema),
+  overall_clarity_score: z.number().min(0).max(100),
+  score_breakdown: ScoreBreakdownSchema.optional(),
+  language: LanguageInfoSchema.optional()
+});
+
+// Unified diff hunk between two versions of a prompt
+export const DiffHunkSchema = z.object({
+  old_start: z.number().int().min(0).describe("First line of the hunk in the previous version (1-based)"),
+  old_lines: z.number().int().min(0),
+  new_start: z.number().int().min(0).describe("First line of the hunk in the new version (1-based)"),
+  new_lines: z.number().int().min(0),
+  lines: z.array(z.string()).describe("Hunk lines prefixed with ' ' (context), '-' (removed) or '+' (added)")
+});
+
+// Schema for the decomposePrompt method response
+export const DecomposePromptResponseSchema = z.object({
+  success: z.boolean(),
+  steps: z.array(StepSchema).optional().describe("Subtasks in the order they run; a single step when the prompt has no sequencing cues or lists"),
+  spans: z.array(FieldSpanSchema).optional().describe("Where each step's task was found, under steps[i].task"),
+  error: z.string().optional(),
+  language: LanguageInfoSchema.optional()
 });
 
 // Schema for the refinePrompt method response
 export const RefinePromptResponseSchema = z.object({
   success: z.boolean(),
   original_prompt: z.string(),
-  refined_prompt: z.string(),
+  refined_prompt: z.string().optional(),
   improvements: z.array(z.object({
     type: z.enum(['clarity', 'specificity', 'structure', 'completeness']),
     description: z.string(),
     before: z.string(),
-    after: z.string()
-  }))
+    after: z.string(),
+    hunks: z.array(DiffHunkSchema).optional()
+  })).optional(),
+  error: z.string().optional(),
+  extraction: ExtractionSchema.optional(),
+  sampling_error: z.string().optional().describe("Why sampling was abandoned in favour of the heuristics"),
+  language: LanguageInfoSchema.optional()
 });
 
 // Input schema for all methods
 export const TextInputSchema = z.object({
-  text: z.string().min(1, "Text input cannot be empty")
+  text: z.string().min(1, "Text input cannot be empty").describe("The text prompt to process")
+});
+
+const LanguageInputSchema = LanguageSchema.optional()
+  .describe("Analyze the prompt with this language's lexicon instead of the detected one");
+
+// Input schema for findClarityGaps
+export const FindClarityGapsInputSchema = TextInputSchema.extend({
+  weights: ScoringWeightsSchema.optional().describe("Override the weights of the clarity score dimensions"),
+  language: LanguageInputSchema
+});
+
+// Input schema for refinePrompt
+export const RefinePromptInputSchema = TextInputSchema.extend({
+  language: LanguageInputSchema
+});
+
+// Input schema for decomposePrompt
+export const DecomposePromptInputSchema = TextInputSchema.extend({
+  language: LanguageInputSchema
+});
+
+// Input schema for convertPromptToJson
+export const ConvertPromptInputSchema = TextInputSchema.extend({
+  schema: z.union([
+    z.string(),
+    z.record(z.unknown())
+  ]).optional().describe("Target output schema: the name of a registered schema or an inline JSON Schema object. Defaults to PromptSchema"),
+  format: OutputFormatSchema.optional().describe("Also return the data serialized as YAML, TOML, XML, a Markdown spec or a JSON Schema of the requested output (in `formatted`)"),
+  name: z.string().min(1).optional().describe("Name of the prompt in the conversion store; conversions with the same name are versions of one prompt"),
+  language: LanguageInputSchema
+});
+
+// Schema for the listOutputSchemas method response
+export const ListSchemasResponseSchema = z.object({
+  success: z.boolean(),
+  schemas: z.array(z.object({
+    name: z.string(),
+    description: z.string(),
+    json_schema: z.record(z.unknown())
+  }))
+});
+
+// Input schema for clarifyPrompt: start a session with `text`, continue one with `session_id`
+export const ClarifyPromptInputSchema = z.object({
+  text: z.string().min(1, "Text input cannot be empty").optional().describe("The prompt to clarify (starts a new session)"),
+  session_id: z.string().optional().describe("Continue an existing clarification session"),
+  language: LanguageInputSchema,
+  answers: z.record(z.string()).optional().describe("Answers to the pending questions, keyed by question id"),
+  threshold: z.number().min(0).max(100).optional().describe("Stop once overall_clarity_score reaches this value (default 80)"),
+  max_rounds: z.number().int().min(1).optional().describe("Maximum number of question rounds (default 5)")
+}).superRefine((input, ctx) => {
+  if (input.text === undefined && input.session_id === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['text'], message: "Either text or session_id is required" });
+  }
+});
+
+// Question generated from a clarity gap
+export const ClarificationQuestionSchema = z.object({
+  id: z.string(),
+  question: z.string(),
+  category: z.string(),
+  severity: SeveritySchema,
+  term: z.string().describe("The text of the prompt the question is about"),
+  options: z.array(z.string()).optional().describe("Allowed answers, when the question is a choice")
+});
+
+// Schema for the clarifyPrompt method response
+export const ClarifyPromptResponseSchema = z.object({
+  success: z.boolean(),
+  session_id: z.string().optional(),
+  status: z.enum(['complete', 'needs_input', 'cancelled', 'max_rounds', 'unresolved']).optional()
+    .describe("complete: threshold reached; needs_input: answer `questions` and call again; cancelled: the user declined; max_rounds/unresolved: stopped below the threshold"),
+  round: z.number().int().min(0).optional(),
+  threshold: z.number().optional(),
+  overall_clarity_score: z.number().optional(),
+  prompt: z.string().optional().describe("The prompt with all answers merged in"),
+  questions: z.array(ClarificationQuestionSchema).optional().describe("Pending questions"),
+  answers: z.array(z.object({
+    id: z.string(),
+    question: z.string(),
+    answer: z.string()
+  })).optional(),
+  result: ConvertPromptResponseSchema.optional().describe("convertPromptToJson result for the merged prompt"),
+  error: z.string().optional()
+});
+
+// Input schema for parsePromptSpec
+export const ParsePromptSpecInputSchema = z.object({
+  content: z.string().min(1, "Content cannot be empty").describe("A spec written by convertPromptToJson with `format`"),
+  format: OutputFormatSchema.describe("Format of the spec"),
+  schema: z.union([
+    z.string(),
+    z.record(z.unknown())
+  ]).optional().describe("Schema the spec follows: a registered schema name or an inline JSON Schema object. Defaults to PromptSchema")
+});
+
+// Schema for the parsePromptSpec method response
+export const ParsePromptSpecResponseSchema = z.object({
+  success: z.boolean(),
+  schema: z.string().optional(),
+  data: z.union([PromptSchema, z.record(z.unknown())]).optional(),
+  issues: z.array(ValidationIssueSchema).optional(),
+  error: z.string().optional()
+});
+
+// Input schema for renderPrompt
+export const RenderPromptInputSchema = z.object({
+  data: PromptSchema.describe("Structured prompt, e.g. the data of a convertPromptToJson result, possibly edited"),
+  template: z.enum(RENDER_TEMPLATES).default('markdown')
+    .describe("concise: one paragraph; markdown: ## sections; xml: Claude-style tagged sections; messages: a system + user message pair")
+});
+
+// Schema for the renderPrompt method response
+export const RenderPromptResponseSchema = z.object({
+  success: z.boolean(),
+  template: z.enum(RENDER_TEMPLATES).optional(),
+  prompt: z.string().optional().describe("Rendered prompt (all templates but messages)"),
+  messages: z.array(z.object({
+    role: z.enum(['system', 'user']),
+    content: z.string()
+  })).optional().describe("System and user messages (messages template)"),
+  issues: z.array(ValidationIssueSchema).optional(),
+  error: z.string().optional()
+});
+
+// Types of prompt template variables; list values are arrays of strings
+export const TEMPLATE_VARIABLE_TYPES = ['string', 'number', 'integer', 'boolean', 'list'];
+
+// Declaration of a prompt template variable
+export const TemplateVariableSchema = z.object({
+  type: z.enum(TEMPLATE_VARIABLE_TYPES).default('string'),
+  description: z.string().optional(),
+  required: z.boolean().default(true).describe("Variables with a default are never required"),
+  default: z.union([z.string(), z.number(), z.boolean(), z.array(z.string())]).optional(),
+  enum: z.array(z.string()).min(1).optional().describe("Allowed values of a string variable"),
+  minimum: z.number().optional(),
+  maximum: z.number().optional()
+}).strict();
+
+// Named prompt template with {{variable}} placeholders (.text-to-json/templates/*.json|yaml)
+export const PromptTemplateSchema = z.object({
+  name: z.string().regex(/^[A-Za-z0-9][\w-]*$/, "Template names use letters, digits, '_' and '-'"),
+  description: z.string().default(''),
+  template: z.string().min(1, "Template cannot be empty"),
+  variables: z.record(TemplateVariableSchema).default({})
+}).strict();
+
+// Result of rendering a prompt template
+export const RenderTemplateResponseSchema = z.object({
+  success: z.boolean(),
+  template: z.string().optional(),
+  prompt: z.string().optional(),
+  variables: z.record(z.unknown()).optional().describe("Variable values after defaults and type coercion"),
+  overall_clarity_score: z.number().min(0).max(100).optional(),
+  gaps: z.array(ClarityGapSchema.extend({
+    variable: z.string().optional().describe("Variable whose value the gap falls in; none when it is in the template text")
+  })).optional(),
+  issues: z.array(ValidationIssueSchema).optional(),
+  error: z.string().optional()
+});
+
+// Stored conversion as listed by listConversions (data and gaps left out)
+export const ConversionSummarySchema = z.object({
+  id: z.string(),
+  created_at: z.string(),
+  name: z.string().optional(),
+  version: z.number().int().min(1),
+  schema: z.union([z.string(), z.record(z.unknown())]),
+  text: z.string(),
+  overall_clarity_score: z.number().min(0).max(100),
+  gap_count: z.number().int().min(0),
+  source: z.string().optional()
+});
+
+// Input schema for listConversions
+export const ListConversionsInputSchema = z.object({
+  query: z.string().optional().describe("Words that must all occur in the prompt name, text or structured output"),
+  name: z.string().optional().describe("Only list the versions of this prompt"),
+  limit: z.number().int().min(1).max(500).default(20)
+});
+
+// Schema for the listConversions method response
+export const ListConversionsResponseSchema = z.object({
+  success: z.boolean(),
+  store: z.string().optional().describe("Path of the store file"),
+  conversions: z.array(ConversionSummarySchema).optional().describe("Newest first"),
+  error: z.string().optional()
+});
+
+// Input schema for diffConversions
+export const DiffConversionsInputSchema = z.object({
+  from: z.string().min(1).describe("Id (or unique id prefix) of the earlier conversion"),
+  to: z.string().min(1).optional().describe("Id of the later conversion. When omitted, `from` is compared with the previous version of the same prompt")
+});
+
+// Schema for the diffConversions method response
+export const DiffConversionsResponseSchema = z.object({
+  success: z.boolean(),
+  from: ConversionSummarySchema.optional(),
+  to: ConversionSummarySchema.optional(),
+  score: z.object({
+    from: z.number(),
+    to: z.number(),
+    change: z.number()
+  }).optional(),
+  gaps: z.object({
+    resolved: z.array(z.string()),
+    introduced: z.array(z.string())
+  }).optional().describe("Gap descriptions that went away or appeared"),
+  changes: z.array(z.object({
+    path: z.string(),
+    change: z.enum(['added', 'removed', 'changed']),
+    before: z.unknown().optional(),
+    after: z.unknown().optional()
+  })).optional().describe("Field-level changes of the structured output"),
+  text_hunks: z.array(DiffHunkSchema).optional().describe("Line diff of the prompt text"),
+  error: z.string().optional()
+});
+
+// Formats extractPrompts reads prompts from
+export const PROMPT_SOURCE_FORMATS = ['code', 'yaml', 'cursor_rule', 'markdown'];
+
+// Input schema for extractPrompts
+export const ExtractPromptsInputSchema = z.object({
+  content: z.string().describe("Content of the source or config file"),
+  filename: z.string().min(1).describe("File name or path; its extension selects the format (.js/.ts, .yaml, .mdc, .md)"),
+  format: z.enum(PROMPT_SOURCE_FORMATS).optional().describe("Override the format detected from the file name"),
+  analyze: z.enum(['none', 'gaps', 'convert']).default('gaps')
+    .describe("Run findClarityGaps or convertPromptToJson on every prompt found (default gaps)"),
+  schema: ConvertPromptInputSchema.shape.schema
+});
+
+// A prompt found in a source file
+export const ExtractedPromptSchema = z.object({
+  id: z.string().describe("File name and line of the prompt"),
+  kind: z.enum(['template_literal', 'string_literal', 'yaml_value', 'cursor_rule', 'markdown_fence']),
+  name: z.string().optional().describe("Variable, property or key holding the prompt, or the rule description"),
+  text: z.string(),
+  location: SourceLocationSchema,
+  overall_clarity_score: z.number().min(0).max(100).optional(),
+  gaps: z.array(ClarityGapSchema).optional(),
+  result: ConvertPromptResponseSchema.optional().describe("convertPromptToJson result, with spans located in the source")
+});
+
+// Schema for the extractPrompts method response
+export const ExtractPromptsResponseSchema = z.object({
+  success: z.boolean(),
+  filename: z.string().optional(),
+  format: z.enum(PROMPT_SOURCE_FORMATS).optional(),
+  prompts: z.array(ExtractedPromptSchema).optional(),
+  error: z.string().optional()
 });
 
 // Export types for TypeScript-like usage
 export const schemas = {
   PromptSchema,
+  BugReportSchema,
+  ApiEndpointSchema,
   ConvertPromptResponseSchema,
   ClarityGapsResponseSchema,
   RefinePromptResponseSchema,
-  TextInputSchema
+  DecomposePromptResponseSchema,
+  ListSchemasResponseSchema,
+  ClarifyPromptResponseSchema,
+  ExtractPromptsResponseSchema,
+  ParsePromptSpecResponseSchema,
+  RenderPromptResponseSchema,
+  RenderTemplateResponseSchema,
+  ListConversionsResponseSchema,
+  DiffConversionsResponseSchema,
+  PromptTemplateSchema,
+  TextInputSchema,
+  ConvertPromptInputSchema,
+  ClarifyPromptInputSchema,
+  FindClarityGapsInputSchema,
+  RefinePromptInputSchema,
+  DecomposePromptInputSchema,
+  ExtractPromptsInputSchema,
+  ParsePromptSpecInputSchema,
+  RenderPromptInputSchema,
+  ListConversionsInputSchema,
+  DiffConversionsInputSchema,
+  ScoringConfigSchema
 };
 
+// Convert Zod issues to plain objects with dotted paths
+export function formatIssues(issues) {
+  return issues.map(issue => ({
+    path: issue.path.join('.'),
+    message: issue.message,
+    code: issue.code
+  }));
+}
+
 // Helper function to validate input against schemas
 export function validateInput(schema, input) {
-  try {
-    return { success: true, data: schema.parse(input) };
-  } catch (error) {
-    return { success: false, error: error.message };
+  const result = schema.safeParse(input);
+  if (result.success) {
+    return { success: true, data: result.data };
   }
+
+  const issues = formatIssues(result.error.issues);
+  return {
+    success: false,
+    error: issues.map(issue => `${issue.path || '(root)'}: ${issue.message}`).join('; '),
+    issues
+  };
+}
+
+// Convert a Zod schema to a plain JSON Schema object (for MCP clients and schema listings)
+export function toJsonSchema(schema) {
+  const { $schema, ...jsonSchema } = zodToJsonSchema(schema, { $refStrategy: 'none' });
+  return jsonSchema;
 }
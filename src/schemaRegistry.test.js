@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, utimesSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getSchema, loadProjectSchemas, resolveSchema } from '../utils/schemaRegistry.js';
+
+const TICKET = { type: 'object', properties: { title: { type: 'string' } }, required: ['title'] };
+
+// Write a file with an mtime that differs from its previous version's
+function writeFile(filePath, content, time) {
+  writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  utimesSync(filePath, time, time);
+}
+
+function projectDir() {
+  const cwd = mkdtempSync(join(tmpdir(), 'schemas-'));
+  const dir = join(cwd, '.text-to-json', 'schemas');
+  mkdirSync(dir, { recursive: true });
+  return { cwd, dir };
+}
+
+test('a malformed project schema does not hide the others', (t) => {
+  const { cwd, dir } = projectDir();
+  t.after(() => rmSync(cwd, { recursive: true, force: true }));
+  writeFile(join(dir, 'broken.json'), '{ not json', 1000);
+  writeFile(join(dir, 'ticket.json'), TICKET, 1000);
+
+  assert.throws(() => loadProjectSchemas(cwd), /broken\.json/);
+  assert.ok(getSchema('ticket'));
+  // The bad file is reported again rather than forgotten
+  assert.throws(() => loadProjectSchemas(cwd), /broken\.json/);
+
+  writeFile(join(dir, 'broken.json'), { name: 'fixed', schema: TICKET }, 2000);
+  assert.deepEqual(loadProjectSchemas(cwd), ['fixed']);
+  assert.deepEqual(loadProjectSchemas(cwd), []);
+});
+
+test('project schemas are reloaded when their files change and dropped when removed', (t) => {
+  const { cwd, dir } = projectDir();
+  t.after(() => rmSync(cwd, { recursive: true, force: true }));
+  const filePath = join(dir, 'release.json');
+  writeFile(filePath, TICKET, 1000);
+  loadProjectSchemas(cwd);
+  assert.deepEqual(Object.keys(resolveSchema('release').schema.shape), ['title']);
+
+  writeFile(filePath, { ...TICKET, properties: { ...TICKET.properties, version: { type: 'string' } } }, 2000);
+  assert.deepEqual(loadProjectSchemas(cwd), ['release']);
+  assert.deepEqual(Object.keys(resolveSchema('release').schema.shape), ['title', 'version']);
+
+  rmSync(filePath);
+  loadProjectSchemas(cwd);
+  assert.equal(getSchema('release'), undefined);
+});
+
+test('removing a project schema that overrides a built-in one restores the built-in', (t) => {
+  const { cwd, dir } = projectDir();
+  t.after(() => rmSync(cwd, { recursive: true, force: true }));
+  const builtIn = getSchema('bug_report');
+  writeFile(join(dir, 'bug_report.json'), TICKET, 1000);
+
+  loadProjectSchemas(cwd);
+  assert.notEqual(getSchema('bug_report'), builtIn);
+  rmSync(join(dir, 'bug_report.json'));
+  loadProjectSchemas(cwd);
+  assert.equal(getSchema('bug_report'), builtIn);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OUTPUT_FORMATS } from './schema.js';
+import { findTool, runTool, tools } from './tools.js';
+import { convertPromptToJson } from '../utils/promptProcessor.js';
+import { parseSpec, serializeData, withOutputFormat } from '../utils/serializers.js';
+
+const PROMPT = 'Summarize the Q3 sales data from reports/q3.csv into a CSV with columns region, revenue and growth. Keep it under 500 rows.';
+
+const TICKET_SCHEMA = {
+  title: 'ticket',
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    format: { type: 'string' }
+  },
+  required: ['summary']
+};
+
+test('every output format parses back into the converted data', () => {
+  const { data } = convertPromptToJson(PROMPT);
+
+  OUTPUT_FORMATS.forEach(format => {
+    const parsed = parseSpec(serializeData(data, format, { text: PROMPT }), format);
+    assert.equal(parsed.success, true, `${format}: ${parsed.error}`);
+    assert.deepEqual(parsed.data, data, format);
+  });
+});
+
+test('the JSON Schema of a prompt describes the stated columns of its CSV output', () => {
+  const { data } = convertPromptToJson(PROMPT);
+  const schema = JSON.parse(serializeData(data, 'json_schema', { text: PROMPT }));
+
+  assert.equal(schema.type, 'array');
+  assert.deepEqual(Object.keys(schema.items.properties), ['region', 'revenue', 'growth']);
+});
+
+test('an inline schema is serialized as JSON Schema without being looked up by name', () => {
+  const text = 'Summary: Export fails on large files. Format: CSV';
+  const inline = { ...TICKET_SCHEMA, title: undefined };
+  const result = convertPromptToJson(text, { schema: inline });
+  const schema = JSON.parse(withOutputFormat(result, 'json_schema', { text, schema: inline }).formatted);
+
+  assert.equal(result.schema, 'inline');
+  assert.deepEqual(Object.keys(schema.properties), ['summary', 'format']);
+  assert.deepEqual(schema.required, ['summary']);
+});
+
+test('convertPromptToJson serializes an inline titled schema as json_schema', async () => {
+  const tool = findTool(tools, 'convertPromptToJson');
+  const result = await runTool(tool, {
+    text: 'Summary: Export fails on large files. Format: CSV',
+    schema: TICKET_SCHEMA,
+    format: 'json_schema'
+  }, { validateOutputs: true });
+
+  assert.equal(result.success, true);
+  assert.equal(result.schema, 'ticket');
+  const schema = JSON.parse(result.formatted);
+  assert.equal(schema.title, 'Ticket');
+  assert.deepEqual(Object.keys(schema.properties), ['summary', 'format']);
+});
@@ -0,0 +1,305 @@
+/**
+ * MCP server factory
+ * Builds a configured Text-to-JSON MCP server that the CLI, tests and embedders can start
+ */
+
+import { readFileSync, realpathSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import {
+  CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { z } from 'zod';
+import { tools as defaultTools, listTools, callTool, runTool } from './tools.js';
+import { getPrompt, listPrompts } from './prompts.js';
+import { HISTORY_URI, historyUri, listResources, listResourceTemplates, readResource } from './resources.js';
+import { shouldValidateOutputs } from './validation.js';
+import { startHttpServer } from './httpServer.js';
+import { createSampler } from '../utils/llmExtractor.js';
+import { createElicitor } from '../utils/clarification.js';
+import { createHistory } from '../utils/history.js';
+import { createStore } from '../utils/store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Read package.json for version info
+const packageJson = JSON.parse(
+  readFileSync(join(__dirname, '..', 'package.json'), 'utf8')
+);
+
+const HealthRequestSchema = z.object({
+  method: z.literal('health'),
+  params: z.object({}).passthrough().optional()
+});
+
+/**
+ * Check whether a module was run directly rather than imported
+ * Resolves symlinks so the check also works for npm/npx bin links
+ */
+export function isMainModule(moduleUrl) {
+  if (!process.argv[1]) return false;
+
+  try {
+    return fileURLToPath(moduleUrl) === realpathSync(process.argv[1]);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Register tools/list and tools/call handlers for a tool set
+ */
+function registerTools(server, toolSet, toolOptions) {
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools: listTools(toolSet) };
+  });
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    return callTool(toolSet, name, args, toolOptions);
+  });
+}
+
+/**
+ * Register prompts/list and prompts/get handlers for the prompt template library
+ */
+function registerPrompts(server) {
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: listPrompts() };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    return getPrompt(name, args);
+  });
+}
+
+/**
+ * Register the resources/* handlers
+ * Subscriptions are per server instance; each new conversion notifies subscribers of the
+ * history resource and tells the client that the resource list changed
+ */
+function registerResources(server, history) {
+  const subscriptions = new Set();
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: listResources(history) };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: listResourceTemplates(history) };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    return readResource(request.params.uri, history);
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  if (!history) return;
+
+  // Notifications fail once the client is gone; the listener is removed when the server closes
+  const unsubscribe = history.subscribe(entry => {
+    const notify = (promise) => promise.catch(() => {});
+    if (subscriptions.has(HISTORY_URI)) {
+      notify(server.sendResourceUpdated({ uri: HISTORY_URI }));
+    }
+    notify(server.sendResourceListChanged());
+    if (subscriptions.has(historyUri(entry.id))) {
+      notify(server.sendResourceUpdated({ uri: historyUri(entry.id) }));
+    }
+  });
+  server.onclose = unsubscribe;
+}
+
+/**
+ * Register the pre-MCP-tools JSON-RPC methods (convertPromptToJson, ...) for older clients
+ * Each tool is also callable directly by name and returns its raw result
+ */
+function registerLegacyMethods(server, toolSet, toolOptions, version, logger) {
+  toolSet.forEach(tool => {
+    const RequestSchema = z.object({
+      method: z.literal(tool.name),
+      params: z.object({}).passthrough().optional()
+    });
+
+    server.setRequestHandler(RequestSchema, async (request) => {
+      try {
+        return await runTool(tool, request.params ?? {}, toolOptions);
+      } catch (error) {
+        if (error instanceof McpError) throw error;
+        logger.error(`Error in ${tool.name}:`, error);
+        return { success: false, error: error.message };
+      }
+    });
+  });
+
+  server.setRequestHandler(HealthRequestSchema, async () => {
+    return {
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      version
+    };
+  });
+}
+
+/**
+ * Create a Text-to-JSON MCP server
+ *
+ * Options:
+ * - name, version: server info reported during initialization
+ * - tools: tool set to expose (defaults to the built-in tools)
+ * - legacyMethods: also answer the tool names as plain JSON-RPC methods, plus `health`
+ * - validateOutputs: report tool results that break their outputSchema (default: NODE_ENV !== 'production')
+ * - sampling: `false` to never ask the client's model, or { maxAttempts, maxTokens } limits;
+ *   sampling is only used when the client declares the sampling capability
+ * - clarification: { threshold, maxRounds } defaults for clarifyPrompt sessions
+ * - history: { limit } of the conversion history resources (default 50), or `false` to keep none
+ * - store: path of the persistent conversion store (JSONL); defaults to TEXT_TO_JSON_STORE when
+ *   set, otherwise conversions are not persisted. `false` disables the store
+ * - transport: 'stdio' (default), 'http', or an SDK transport instance
+ * - port, host, allowedOrigins: HTTP transport settings (defaults: 3000, 127.0.0.1, local origins only)
+ * - handleSignals: close the server and exit on SIGINT/SIGTERM once started
+ * - logger: object with an `error` method; all logging goes to stderr by default
+ */
+export function createServer(options = {}) {
+  const {
+    name = packageJson.name,
+    version = packageJson.version,
+    tools = defaultTools,
+    legacyMethods = true,
+    validateOutputs = shouldValidateOutputs(),
+    sampling = {},
+    clarification = {},
+    history: historyOptions = {},
+    store: storePath = process.env.TEXT_TO_JSON_STORE,
+    transport: defaultTransport = 'stdio',
+    port = 3000,
+    host = '127.0.0.1',
+    allowedOrigins = [],
+    handleSignals = true,
+    logger = console
+  } = options;
+
+  // Shared by all sessions, so conversions made in one HTTP session can be read in another
+  const history = historyOptions === false ? undefined : createHistory(historyOptions);
+  const store = storePath ? createStore({ path: storePath }) : undefined;
+
+  /**
+   * Build a new SDK server instance with all handlers registered
+   * The HTTP transport builds one per session
+   */
+  function buildServer() {
+    const mcpServer = new Server(
+      { name, version },
+      {
+        capabilities: {
+          tools: {},
+          prompts: {},
+          resources: { subscribe: true, listChanged: true },
+        },
+      }
+    );
+
+    mcpServer.onerror = (error) => {
+      logger.error('MCP Server Error:', error);
+    };
+
+    const toolOptions = {
+      validateOutputs,
+      logger,
+      context: {
+        sampling: sampling === false ? {} : { ...sampling, sampler: createSampler(mcpServer) },
+        elicitor: createElicitor(mcpServer),
+        clarification,
+        history,
+        store
+      }
+    };
+    registerTools(mcpServer, tools, toolOptions);
+    registerPrompts(mcpServer);
+    registerResources(mcpServer, history);
+    if (legacyMethods) {
+      registerLegacyMethods(mcpServer, tools, toolOptions, version, logger);
+    }
+
+    return mcpServer;
+  }
+
+  const server = buildServer();
+  let httpServer = null;
+  let signalHandler = null;
+
+  async function close() {
+    if (signalHandler) {
+      process.off('SIGINT', signalHandler);
+      process.off('SIGTERM', signalHandler);
+      signalHandler = null;
+    }
+
+    if (httpServer) {
+      await httpServer.close();
+      httpServer = null;
+    }
+    await server.close();
+  }
+
+  async function start(transport = defaultTransport) {
+    if (transport === 'http') {
+      httpServer = await startHttpServer({
+        createMcpServer: buildServer,
+        port,
+        host,
+        allowedOrigins,
+        logger
+      });
+    } else {
+      await server.connect(transport === 'stdio' ? new StdioServerTransport() : transport);
+    }
+
+    if (handleSignals) {
+      signalHandler = () => {
+        logger.error('Shutting down MCP server...');
+        close().finally(() => process.exit(0));
+      };
+      process.on('SIGINT', signalHandler);
+      process.on('SIGTERM', signalHandler);
+    }
+
+    logger.error('Text-to-JSON MCP Server started successfully');
+    if (httpServer) {
+      logger.error(`Streamable HTTP endpoint: ${httpServer.url}/mcp (SSE fallback: ${httpServer.url}/sse)`);
+    }
+    logger.error(`Available tools: ${tools.map(tool => tool.name).join(', ')}`);
+  }
+
+  return {
+    server,
+    tools,
+    start,
+    close,
+    get httpServer() {
+      return httpServer;
+    }
+  };
+}
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { compareStoredConversions, createStore, diffConversions, diffData, recordConversion } from '../utils/store.js';
+import { convertPromptToJson } from '../utils/promptProcessor.js';
+
+function tempStore(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'store-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return createStore({ path: join(dir, 'history', 'conversions.jsonl') });
+}
+
+function record(store, text, name) {
+  return recordConversion(store, { text, name, result: convertPromptToJson(text) });
+}
+
+test('recorded conversions are versioned by name and listed newest first', (t) => {
+  const store = tempStore(t);
+  const first = record(store, 'Summarize the Q3 sales report.', 'sales');
+  const other = record(store, 'Translate the release notes into German.');
+  const second = record(store, 'Summarize the Q3 sales report in 3 bullet points.', 'sales');
+
+  assert.deepEqual([first.version, other.version, second.version], [1, 1, 2]);
+  assert.equal('name' in other, false);
+  assert.equal(first.schema, 'prompt');
+  assert.ok(Array.isArray(first.gaps));
+  assert.equal(typeof first.overall_clarity_score, 'number');
+
+  assert.deepEqual(store.list().map(entry => entry.id), [second.id, other.id, first.id]);
+  assert.deepEqual(store.list({ name: 'sales' }).map(entry => entry.version), [2, 1]);
+  assert.deepEqual(store.list({ query: 'release GERMAN' }).map(entry => entry.id), [other.id]);
+  assert.deepEqual(store.list({ limit: 1 }).map(entry => entry.id), [second.id]);
+});
+
+test('records are found by id or unique id prefix', (t) => {
+  const store = tempStore(t);
+  const stored = record(store, 'Summarize the Q3 sales report.', 'sales');
+
+  assert.deepEqual(store.get(stored.id), stored);
+  assert.deepEqual(store.get(stored.id.slice(0, 6)), stored);
+  assert.equal(store.get(stored.id.slice(0, 3)), undefined);
+  assert.equal(store.get('ffffffffffff'), undefined);
+});
+
+test('ambiguous id prefixes and invalid lines are reported', (t) => {
+  const store = tempStore(t);
+  const base = { created_at: '2026-01-01T00:00:00.000Z', version: 1, schema: 'prompt', text: 'x', data: {}, gaps: [], overall_clarity_score: 100 };
+  mkdirSync(dirname(store.path), { recursive: true });
+  writeFileSync(store.path, [{ ...base, id: 'abcd1' }, { ...base, id: 'abcd2' }].map(entry => JSON.stringify(entry)).join('\n'));
+
+  assert.throws(() => store.get('abcd'), /Ambiguous id "abcd" matches 2 conversions/);
+
+  writeFileSync(store.path, '{"id": "abcd1"}\nnot json\n');
+  assert.throws(() => store.list(), /Invalid record on line 2/);
+});
+
+test('the previous version of a record is the one stored before it under its name', (t) => {
+  const store = tempStore(t);
+  const first = record(store, 'Summarize the Q3 sales report.', 'sales');
+  record(store, 'Translate the release notes into German.', 'notes');
+  const second = record(store, 'Summarize the Q3 sales report in 3 bullet points.', 'sales');
+  const unnamed = record(store, 'Write a haiku about the build.');
+
+  assert.equal(store.previous(second).id, first.id);
+  assert.equal(store.previous(first), undefined);
+  assert.equal(store.previous(unnamed), undefined);
+});
+
+test('diffs compare clarity scores, gaps, structured output and text', () => {
+  const from = {
+    id: 'a', version: 1, text: 'Make the report fast.\nUse CSV.', gaps: [{ description: 'Vague "fast"' }, { description: 'No audience' }],
+    overall_clarity_score: 40, data: { task: 'Make the report', constraints: ['fast'], output: { format: 'csv' } }
+  };
+  const to = {
+    id: 'b', version: 2, text: 'Make the report within 2 days.\nUse CSV.', gaps: [{ description: 'No audience' }, { description: 'Vague "report"' }],
+    overall_clarity_score: 65, data: { task: 'Make the report', constraints: ['within 2 days'], output: {} }
+  };
+
+  const diff = diffConversions(from, to);
+
+  assert.deepEqual(diff.score, { from: 40, to: 65, change: 25 });
+  assert.deepEqual(diff.gaps, { resolved: ['Vague "fast"'], introduced: ['Vague "report"'] });
+  assert.deepEqual(diff.changes, [
+    { path: 'constraints', change: 'removed', before: 'fast' },
+    { path: 'constraints', change: 'added', after: 'within 2 days' },
+    { path: 'output.format', change: 'removed', before: 'csv' }
+  ]);
+  assert.equal(diff.from.gap_count, 2);
+  assert.equal('data' in diff.to, false);
+  assert.deepEqual(diff.text_hunks[0].lines, ['-Make the report fast.', '+Make the report within 2 days.', ' Use CSV.']);
+});
+
+test('lists of objects are diffed by position', () => {
+  assert.deepEqual(diffData({ steps: [{ task: 'a' }] }, { steps: [{ task: 'b' }, { task: 'c' }] }), [
+    { path: 'steps[0].task', change: 'changed', before: 'a', after: 'b' },
+    { path: 'steps[1]', change: 'added', after: { task: 'c' } }
+  ]);
+});
+
+test('stored conversions are compared by id or against their previous version', (t) => {
+  const store = tempStore(t);
+  const first = record(store, 'Summarize the Q3 sales report.', 'sales');
+  const second = record(store, 'Summarize the Q3 sales report in 3 bullet points.', 'sales');
+  const unnamed = record(store, 'Write a haiku about the build.');
+
+  const previous = compareStoredConversions(store, second.id);
+  assert.equal(previous.success, true);
+  assert.deepEqual([previous.from.id, previous.to.id], [first.id, second.id]);
+
+  const explicit = compareStoredConversions(store, unnamed.id, first.id);
+  assert.deepEqual([explicit.from.id, explicit.to.id], [unnamed.id, first.id]);
+
+  assert.match(compareStoredConversions(store, first.id).error, /is version 1 of "sales"/);
+  assert.match(compareStoredConversions(store, unnamed.id).error, /it has no name/);
+  assert.match(compareStoredConversions(store, 'ffffffffffff').error, /Unknown conversion "ffffffffffff"/);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, utimesSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getTemplate, loadProjectTemplates, renderTemplate } from '../utils/templates.js';
+
+// Write a file with an mtime that differs from its previous version's
+function writeFile(filePath, content, time) {
+  writeFileSync(filePath, content);
+  utimesSync(filePath, time, time);
+}
+
+function projectDir() {
+  const cwd = mkdtempSync(join(tmpdir(), 'templates-'));
+  const dir = join(cwd, '.text-to-json', 'templates');
+  mkdirSync(dir, { recursive: true });
+  return { cwd, dir };
+}
+
+const RELEASE_NOTES = [
+  'template: Write release notes for {{version}} covering {{changes}}.',
+  'variables:',
+  '  version: { type: string }',
+  '  changes: { type: list }'
+].join('\n');
+
+test('an invalid project template does not hide the others', (t) => {
+  const { cwd, dir } = projectDir();
+  t.after(() => rmSync(cwd, { recursive: true, force: true }));
+  writeFile(join(dir, 'broken.yaml'), 'template: Uses {{undeclared}}\nvariables: {}', 1000);
+  writeFile(join(dir, 'release_notes.yaml'), RELEASE_NOTES, 1000);
+
+  assert.throws(() => loadProjectTemplates(cwd), /undeclared/);
+  assert.ok(getTemplate('release_notes'));
+  assert.throws(() => loadProjectTemplates(cwd), /undeclared/);
+
+  rmSync(join(dir, 'broken.yaml'));
+  assert.deepEqual(loadProjectTemplates(cwd), []);
+});
+
+test('project templates are reloaded when their files change', (t) => {
+  const { cwd, dir } = projectDir();
+  t.after(() => rmSync(cwd, { recursive: true, force: true }));
+  const filePath = join(dir, 'changelog.yaml');
+  writeFile(filePath, RELEASE_NOTES, 1000);
+  loadProjectTemplates(cwd);
+
+  writeFile(filePath, RELEASE_NOTES.replace('Write release notes', 'Write a changelog'), 2000);
+  assert.deepEqual(loadProjectTemplates(cwd), ['changelog']);
+  assert.match(getTemplate('changelog').template, /^Write a changelog/);
+
+  rmSync(filePath);
+  loadProjectTemplates(cwd);
+  assert.equal(getTemplate('changelog'), undefined);
+});
+
+test('rendered templates trace gaps back to the variable they fall in', () => {
+  const result = renderTemplate('summarize', { audience: 'the engineering leads', content: 'Make it fast.' });
+
+  assert.equal(result.success, true);
+  assert.match(result.prompt, /^Summarize the following document for the engineering leads/);
+  assert.deepEqual(result.gaps.map(gap => [gap.text, gap.variable]), [['it', 'content'], ['fast', 'content']]);
+});
+
+test('unknown variables and invalid values are rejected', () => {
+  const unknown = renderTemplate('summarize', { content: 'The Q3 sales data', unknown: 'x' });
+  assert.equal(unknown.success, false);
+  assert.match(unknown.error, /Unknown variables for template "summarize": unknown/);
+
+  const invalid = renderTemplate('summarize', { audience: 'the leads', content: 'The Q3 sales data', length: 'many' });
+  assert.equal(invalid.success, false);
+  assert.deepEqual(invalid.issues.map(issue => issue.path), ['length']);
+});
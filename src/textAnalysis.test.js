@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeText, findProtectedRanges, segmentSentences, tokenize, wordTokens } from '../utils/textAnalysis.js';
+import { getLexicon } from '../utils/language.js';
+
+const sentenceTexts = text => segmentSentences(text).map(sentence => sentence.text);
+
+test('sentences end at punctuation, blank lines and list items', () => {
+  assert.deepEqual(sentenceTexts('Load the data. Then plot it!\n\nSave the chart?'), [
+    'Load the data',
+    'Then plot it',
+    'Save the chart'
+  ]);
+  assert.deepEqual(sentenceTexts('Steps:\n- Parse the log\n- Count the errors'), [
+    'Steps:',
+    '- Parse the log',
+    '- Count the errors'
+  ]);
+});
+
+test('abbreviations, decimals, versions, URLs and file names do not end a sentence', () => {
+  const text = 'Use e.g. pandas 2.1.0 to read data/q3.csv from https://example.com/files. Round to 0.5 units.';
+  assert.deepEqual(sentenceTexts(text), [
+    'Use e.g. pandas 2.1.0 to read data/q3.csv from https://example.com/files',
+    'Round to 0.5 units'
+  ]);
+  assert.deepEqual(findProtectedRanges(text).map(range => range.type), ['abbreviation', 'version', 'path', 'url', 'number']);
+});
+
+test('fenced code blocks are their own segments', () => {
+  const text = 'Fix this function.\n```js\nconst a = 1. b = 2;\n```\nKeep the API.';
+  const sentences = segmentSentences(text);
+
+  assert.deepEqual(sentences.map(sentence => [sentence.text, sentence.code]), [
+    ['Fix this function', false],
+    ['```js\nconst a = 1. b = 2;\n```', true],
+    ['Keep the API', false]
+  ]);
+});
+
+test('Japanese full stops end a sentence without a following space', () => {
+  assert.deepEqual(
+    segmentSentences('レポートを作成してください。結果を送ってください。', { lexicon: getLexicon('ja') }).map(sentence => sentence.text),
+    ['レポートを作成してください', '結果を送ってください']
+  );
+});
+
+test('tokens carry offsets, types and part-of-speech guesses', () => {
+  const text = 'Please summarize the report in `report.md` quickly.';
+  const tokens = tokenize(text);
+
+  tokens.forEach(token => assert.equal(text.slice(token.start, token.end), token.text));
+  assert.deepEqual(tokens.map(token => [token.text, token.type, token.pos]), [
+    ['Please', 'word', 'ADV'],
+    ['summarize', 'word', 'VERB'],
+    ['the', 'word', 'DET'],
+    ['report', 'word', 'NOUN'],
+    ['in', 'word', 'PREP'],
+    ['`report.md`', 'code', 'X'],
+    ['quickly', 'word', 'ADV'],
+    ['.', 'punct', 'PUNCT']
+  ]);
+  assert.deepEqual(wordTokens(tokens).map(token => token.lower), ['please', 'summarize', 'the', 'report', 'in', 'quickly']);
+});
+
+test('Japanese text is split into runs of one script', () => {
+  const tokens = wordTokens(tokenize('データを分析する', { lexicon: getLexicon('ja') }));
+  assert.deepEqual(tokens.map(token => token.text), ['データ', 'を', '分析', 'する']);
+});
+
+test('the analysis groups tokens by sentence and reports the language', () => {
+  const analysis = analyzeText('Resume el informe. Envía los resultados por correo.', { language: 'es' });
+
+  assert.equal(analysis.lexicon.code, 'es');
+  assert.equal(analysis.language.lexicon, 'es');
+  assert.deepEqual(analysis.sentences.map(sentence => wordTokens(sentence.tokens).length), [3, 5]);
+});
@@ -0,0 +1,246 @@
+/**
+ * MCP tool registry
+ * Describes the tools exposed through tools/list and dispatches tools/call requests
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { z } from 'zod';
+import { convertPromptWithSampling, refinePromptWithSampling } from '../utils/llmExtractor.js';
+import { analyzeTextForGaps } from '../utils/gapAnalysis.js';
+import { decomposePrompt } from '../utils/decomposition.js';
+import { listSchemas } from '../utils/schemaRegistry.js';
+import { clarifyPrompt } from '../utils/clarification.js';
+import { extractAndAnalyzePrompts } from '../utils/promptSources.js';
+import { parseSpec, withOutputFormat } from '../utils/serializers.js';
+import { renderPrompt } from '../utils/promptRenderer.js';
+import { compareStoredConversions, recordConversion, summarizeRecord } from '../utils/store.js';
+import {
+  ConvertPromptInputSchema,
+  ConvertPromptResponseSchema,
+  FindClarityGapsInputSchema,
+  ClarityGapsResponseSchema,
+  RefinePromptInputSchema,
+  RefinePromptResponseSchema,
+  DecomposePromptInputSchema,
+  DecomposePromptResponseSchema,
+  ListSchemasResponseSchema,
+  ClarifyPromptInputSchema,
+  ClarifyPromptResponseSchema,
+  ExtractPromptsInputSchema,
+  ExtractPromptsResponseSchema,
+  ParsePromptSpecInputSchema,
+  ParsePromptSpecResponseSchema,
+  RenderPromptInputSchema,
+  RenderPromptResponseSchema,
+  ListConversionsInputSchema,
+  ListConversionsResponseSchema,
+  DiffConversionsInputSchema,
+  DiffConversionsResponseSchema,
+  toJsonSchema
+} from './schema.js';
+import { parseToolArguments, assertToolOutput, shouldValidateOutputs } from './validation.js';
+import { historyUri } from './resources.js';
+
+const NO_STORE_ERROR = 'No conversion store is configured; start the server with --store <file> or set TEXT_TO_JSON_STORE';
+
+// Tool definitions: Zod schemas are converted to JSON Schema when listed
+// Handlers receive the parsed arguments and a context; `context.sampling` holds the
+// sampler for the connected client and the sampling limits (see utils/llmExtractor.js),
+// `context.elicitor` and `context.clarification` drive clarifyPrompt (see utils/clarification.js),
+// `context.history` records conversions for the history resources (see utils/history.js),
+// and `context.store`, when configured, persists them (see utils/store.js)
+export const tools = [
+  {
+    name: 'convertPromptToJson',
+    description: 'Convert a natural language prompt into structured JSON with task, intent, inputs, outputs and clarity gaps, or into a custom output schema; optionally also serialized as YAML, TOML, XML, Markdown or a JSON Schema of the requested output',
+    inputSchema: ConvertPromptInputSchema,
+    outputSchema: ConvertPromptResponseSchema,
+    handler: async ({ text, schema, format, name, language }, context = {}) => {
+      const result = await convertPromptWithSampling(text, { schema, language, ...context.sampling });
+      if (!result.success) return result;
+
+      const entry = context.history?.record({ text, schema, result });
+      const stored = context.store && recordConversion(context.store, { text, schema, name, result, source: 'mcp', language });
+      return withOutputFormat({
+        ...result,
+        ...(entry && { resource_uri: historyUri(entry.id) }),
+        ...(stored && { conversion_id: stored.id })
+      }, format, { text, schema });
+    }
+  },
+  {
+    name: 'findClarityGaps',
+    description: 'Identify missing context, ambiguous requirements, unclear outputs and missing constraints in a prompt, with a clarity score broken down by dimension and gap',
+    inputSchema: FindClarityGapsInputSchema,
+    outputSchema: ClarityGapsResponseSchema,
+    handler: ({ text, weights, language }) => {
+      const gapAnalysis = analyzeTextForGaps(text, { weights, language });
+      return {
+        success: true,
+        gaps: gapAnalysis.gaps,
+        overall_clarity_score: gapAnalysis.overall_clarity_score,
+        score_breakdown: gapAnalysis.score_breakdown,
+        language: gapAnalysis.language
+      };
+    }
+  },
+  {
+    name: 'refinePrompt',
+    description: 'Suggest a clearer, more specific version of a prompt and list the improvements made',
+    inputSchema: RefinePromptInputSchema,
+    outputSchema: RefinePromptResponseSchema,
+    handler: ({ text, language }, context = {}) => refinePromptWithSampling(text, { language, ...context.sampling })
+  },
+  {
+    name: 'decomposePrompt',
+    description: 'Split a multi-step prompt into ordered subtasks at sequencing cues (first, then, after, finally) and numbered or bulleted lists, each with its own inputs, outputs and dependencies on other steps',
+    inputSchema: DecomposePromptInputSchema,
+    outputSchema: DecomposePromptResponseSchema,
+    handler: ({ text, language }) => decomposePrompt(text, { language })
+  },
+  {
+    name: 'clarifyPrompt',
+    description: 'Ask the user targeted questions about the clarity gaps of a prompt (through elicitation, or returned as questions), merge the answers and re-run convertPromptToJson until the clarity score reaches the threshold',
+    inputSchema: ClarifyPromptInputSchema,
+    outputSchema: ClarifyPromptResponseSchema,
+    handler: (input, context = {}) => clarifyPrompt(input, {
+      ...context.clarification,
+      elicitor: context.elicitor,
+      sampling: context.sampling
+    })
+  },
+  {
+    name: 'parsePromptSpec',
+    description: 'Parse a prompt spec written by convertPromptToJson (JSON, YAML, TOML, XML, Markdown or JSON Schema) back into validated structured data',
+    inputSchema: ParsePromptSpecInputSchema,
+    outputSchema: ParsePromptSpecResponseSchema,
+    handler: ({ content, format, schema }) => parseSpec(content, format, { schema })
+  },
+  {
+    name: 'renderPrompt',
+    description: 'Render a structured prompt (PromptSchema) back into a natural language prompt: concise, Markdown sections, XML-tagged sections or a system + user message pair',
+    inputSchema: RenderPromptInputSchema,
+    outputSchema: RenderPromptResponseSchema,
+    handler: ({ data, template }) => renderPrompt(data, { template })
+  },
+  {
+    name: 'listConversions',
+    description: 'List or full-text search the conversions kept in the persistent store, newest first',
+    inputSchema: ListConversionsInputSchema,
+    outputSchema: ListConversionsResponseSchema,
+    handler: ({ query, name, limit }, context = {}) => {
+      if (!context.store) return { success: false, error: NO_STORE_ERROR };
+      try {
+        return { success: true, store: context.store.path, conversions: context.store.list({ query, name, limit }).map(summarizeRecord) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+  },
+  {
+    name: 'diffConversions',
+    description: 'Compare two stored conversions of a prompt: clarity score change, resolved and new gaps, structured output changes and a text diff',
+    inputSchema: DiffConversionsInputSchema,
+    outputSchema: DiffConversionsResponseSchema,
+    handler: ({ from, to }, context = {}) => (context.store
+      ? compareStoredConversions(context.store, from, to)
+      : { success: false, error: NO_STORE_ERROR })
+  },
+  {
+    name: 'extractPrompts',
+    description: 'Find the prompts embedded in a source or config file (JS/TS string and template literals, YAML configs, Cursor .mdc rules, Markdown fences tagged "prompt") and run gap analysis or conversion on each, with results located by file line and column',
+    inputSchema: ExtractPromptsInputSchema,
+    outputSchema: ExtractPromptsResponseSchema,
+    handler: ({ content, filename, format, analyze, schema }, context = {}) => extractAndAnalyzePrompts(content, filename, {
+      format,
+      analyze,
+      schema,
+      sampling: context.sampling
+    })
+  },
+  {
+    name: 'listOutputSchemas',
+    description: 'List the output schemas that convertPromptToJson can target, including project schemas from .text-to-json/schemas',
+    inputSchema: z.object({}),
+    outputSchema: ListSchemasResponseSchema,
+    handler: () => ({ success: true, schemas: listSchemas() })
+  }
+];
+
+/**
+ * Find a tool definition by name
+ */
+export function findTool(toolSet, name) {
+  return toolSet.find(tool => tool.name === name);
+}
+
+/**
+ * Build the tools/list response for a tool set
+ */
+export function listTools(toolSet = tools) {
+  return toolSet.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    inputSchema: toJsonSchema(tool.inputSchema),
+    ...(tool.outputSchema && { outputSchema: toJsonSchema(tool.outputSchema) })
+  }));
+}
+
+/**
+ * Wrap a handler result in MCP content blocks
+ * The JSON is returned both as a text block and as structured content; error results
+ * only carry the text block, since they do not match the tool's outputSchema
+ */
+export function toToolResult(result) {
+  const isError = result?.success === false;
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ],
+    ...(!isError && { structuredContent: result }),
+    isError
+  };
+}
+
+/**
+ * Run a tool: validate its arguments, call the handler and check the result contract
+ *
+ * Options:
+ * - validateOutputs: check results against the tool's outputSchema (default: outside production)
+ * - context: passed to the handler as its second argument
+ */
+export async function runTool(tool, args, options = {}) {
+  const params = parseToolArguments(tool, args);
+  const result = await tool.handler(params, options.context ?? {});
+
+  if (options.validateOutputs ?? shouldValidateOutputs()) {
+    assertToolOutput(tool, result);
+  }
+  return result;
+}
+
+/**
+ * Dispatch a tools/call request to the matching tool handler
+ * Validation failures are raised as JSON-RPC errors; handler failures become error results
+ * and are logged to `options.logger` (default: console); other options go to runTool
+ */
+export async function callTool(toolSet, name, args = {}, options = {}) {
+  const tool = findTool(toolSet, name);
+  if (!tool) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${name}`);
+  }
+
+  try {
+    const result = await runTool(tool, args, options);
+    return toToolResult(result);
+
+  } catch (error) {
+    if (error instanceof McpError) throw error;
+
+    (options.logger ?? console).error(`Error in ${name}:`, error);
+    return toToolResult({ success: false, error: error.message });
+  }
+}
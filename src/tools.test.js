@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { callTool, toToolResult } from './tools.js';
+
+const toolSet = [
+  {
+    name: 'echo',
+    inputSchema: z.object({ text: z.string() }),
+    outputSchema: z.object({ success: z.literal(true), text: z.string() }),
+    handler: ({ text }) => {
+      if (text === 'throw') throw new Error('Handler failed');
+      return { success: true, text };
+    }
+  }
+];
+
+test('successful results carry the JSON as text and structured content', async () => {
+  const result = await callTool(toolSet, 'echo', { text: 'hello' });
+
+  assert.equal(result.isError, false);
+  assert.deepEqual(result.structuredContent, { success: true, text: 'hello' });
+  assert.deepEqual(JSON.parse(result.content[0].text), result.structuredContent);
+});
+
+test('error results leave out structured content so they are not checked against the output schema', () => {
+  const result = toToolResult({ success: false, error: 'Invalid rule pack' });
+
+  assert.equal(result.isError, true);
+  assert.equal('structuredContent' in result, false);
+  assert.equal(JSON.parse(result.content[0].text).error, 'Invalid rule pack');
+});
+
+test('handler failures are logged to the given logger and returned as error results', async () => {
+  const logged = [];
+  const logger = { error: (...args) => logged.push(args) };
+  const result = await callTool(toolSet, 'echo', { text: 'throw' }, { logger });
+
+  assert.equal(result.isError, true);
+  assert.equal(result.structuredContent, undefined);
+  assert.equal(JSON.parse(result.content[0].text).error, 'Handler failed');
+  assert.equal(logged.length, 1);
+  assert.match(logged[0][0], /Error in echo/);
+});
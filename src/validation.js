@@ -0,0 +1,51 @@
+/**
+ * Input and output validation for MCP tools
+ * Tool arguments must match the tool's inputSchema; in development, results must match its outputSchema
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { validateInput } from './schema.js';
+
+// Marks JSON-RPC errors raised because a tool result broke its declared contract
+export const SCHEMA_VIOLATION = 'schema_violation';
+
+/**
+ * Output validation is on by default outside production
+ */
+export function shouldValidateOutputs() {
+  return process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Parse tool arguments against the tool's input schema
+ * Throws an InvalidParams JSON-RPC error carrying the Zod issue paths
+ */
+export function parseToolArguments(tool, args) {
+  const validation = validateInput(tool.inputSchema, args ?? {});
+  if (!validation.success) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid arguments for ${tool.name}: ${validation.error}`,
+      { tool: tool.name, issues: validation.issues }
+    );
+  }
+  return validation.data;
+}
+
+/**
+ * Check a tool result against the tool's output schema
+ * Throws an InternalError JSON-RPC error describing the schema violation
+ */
+export function assertToolOutput(tool, result) {
+  if (!tool.outputSchema) return result;
+
+  const validation = validateInput(tool.outputSchema, result);
+  if (!validation.success) {
+    throw new McpError(
+      ErrorCode.InternalError,
+      `Schema violation in ${tool.name} response: ${validation.error}`,
+      { type: SCHEMA_VIOLATION, tool: tool.name, issues: validation.issues }
+    );
+  }
+  return result;
+}
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { findTool, runTool, tools } from './tools.js';
+import { toJsonSchema } from './schema.js';
+import { parseToolArguments, SCHEMA_VIOLATION } from './validation.js';
+
+test('invalid arguments are rejected with the paths of their issues', () => {
+  const tool = findTool(tools, 'convertPromptToJson');
+
+  assert.throws(() => parseToolArguments(tool, { text: 42 }), (error) => {
+    assert.ok(error instanceof McpError);
+    assert.equal(error.code, ErrorCode.InvalidParams);
+    assert.deepEqual(error.data.issues.map(issue => issue.path), ['text']);
+    return true;
+  });
+});
+
+test('results that break the output schema are reported as schema violations', async () => {
+  const tool = { ...findTool(tools, 'listOutputSchemas'), handler: () => ({ success: 'yes' }) };
+
+  await assert.rejects(runTool(tool, {}, { validateOutputs: true }), (error) => {
+    assert.equal(error.code, ErrorCode.InternalError);
+    assert.equal(error.data.type, SCHEMA_VIOLATION);
+    return true;
+  });
+});
+
+test('validation issues in results match the published output schema', async () => {
+  const tool = findTool(tools, 'parsePromptSpec');
+  const result = await runTool(tool, { content: '{"task": 3}', format: 'json' }, { validateOutputs: true });
+  const issueSchema = toJsonSchema(tool.outputSchema).properties.issues.items;
+
+  assert.equal(result.success, false);
+  assert.ok(result.issues.length > 0);
+  result.issues.forEach(issue => {
+    assert.deepEqual(Object.keys(issue).filter(key => !(key in issueSchema.properties)), []);
+  });
+});
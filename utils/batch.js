@@ -0,0 +1,284 @@
+/**
+ * Batch processing for the CLI
+ * Collects prompts from files, directories, globs and JSONL datasets, runs them with
+ * bounded concurrency and summarizes the clarity of the batch
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { extname, isAbsolute, join, relative, resolve } from 'path';
+import { detectSourceFormat, extractPrompts, PROMPT_SOURCE_EXTENSIONS } from './promptSources.js';
+
+export const DEFAULT_CONCURRENCY = 4;
+
+// Files picked up when a directory or glob is given; one prompt per file, or per line for JSONL
+export const TEXT_EXTENSIONS = ['.md', '.markdown', '.txt'];
+export const JSONL_EXTENSIONS = ['.jsonl', '.ndjson'];
+
+// Directories never searched for prompts; other hidden directories are skipped too,
+// except those that commonly hold prompts
+const SKIPPED_DIRS = new Set(['node_modules']);
+const PROMPT_DIRS = new Set(['.cursor', '.github']);
+
+// Fields holding the prompt in a JSONL record, in order of preference
+const TEXT_FIELDS = ['text', 'prompt', 'input'];
+
+const GLOB_CHARS = /[*?[{]/;
+
+function isPromptFile(file, extract = false) {
+  const ext = extname(file).toLowerCase();
+  return TEXT_EXTENSIONS.includes(ext) || JSONL_EXTENSIONS.includes(ext) ||
+    (extract && PROMPT_SOURCE_EXTENSIONS.includes(ext));
+}
+
+/**
+ * Convert a glob pattern to a regular expression over '/'-separated paths
+ * Supports `**`, `*`, `?`, `[...]` and `{a,b}`
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  let braces = 0;
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '*' && pattern[index + 1] === '*') {
+      // `**/` matches zero or more directories, a trailing `**` anything
+      const slash = pattern[index + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      index += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', index + 1);
+      if (end < 0) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(index + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        index = end;
+      }
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * List the files below a directory, skipping node_modules and hidden directories
+ */
+function walk(dir) {
+  return readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const path = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        const hidden = entry.name.startsWith('.') && !PROMPT_DIRS.has(entry.name);
+        return hidden || SKIPPED_DIRS.has(entry.name) ? [] : walk(path);
+      }
+      return entry.isFile() ? [path] : [];
+    });
+}
+
+/**
+ * Resolve an --input value (file, directory or glob) to the files it names
+ * Files named directly are always read; directories only yield prompt files
+ * (with `extract`, also the source files promptSources.js reads)
+ */
+export function expandInput(input, cwd = process.cwd(), options = {}) {
+  const path = resolve(cwd, input);
+  if (existsSync(path)) {
+    return statSync(path).isDirectory() ? walk(path).filter(file => isPromptFile(file, options.extract)) : [path];
+  }
+
+  if (!GLOB_CHARS.test(input)) {
+    throw new Error(`Input not found: ${input}`);
+  }
+
+  // Walk from the longest directory prefix without glob characters
+  const segments = input.split(/[\\/]/);
+  const baseSegments = [];
+  while (segments.length > 1 && !GLOB_CHARS.test(segments[0])) {
+    baseSegments.push(segments.shift());
+  }
+  const base = resolve(cwd, baseSegments.join('/') || '.');
+  if (!existsSync(base)) return [];
+
+  const matcher = globToRegExp(segments.join('/'));
+  return walk(base).filter(file => matcher.test(relative(base, file).split(/[\\/]/).join('/')));
+}
+
+// Paths inside the working directory are reported relative to it
+function displayPath(file, cwd) {
+  const path = relative(cwd, file);
+  return path && !path.startsWith('..') && !isAbsolute(path) ? path : file;
+}
+
+/**
+ * Parse JSONL content into prompt items
+ * Lines are JSON strings or objects with a text/prompt/input field and an optional id;
+ * lines that cannot be parsed become items with an `error`
+ */
+export function parseJsonl(content, source) {
+  return content.split('\n').flatMap((raw, index) => {
+    const lineText = raw.trim();
+    const line = index + 1;
+    if (lineText.length === 0) return [];
+
+    const fallbackId = `${source}:${line}`;
+    try {
+      const record = JSON.parse(lineText);
+      if (typeof record === 'string') {
+        return [{ id: fallbackId, source, line, text: record }];
+      }
+      const field = TEXT_FIELDS.find(name => typeof record?.[name] === 'string');
+      if (!field) {
+        return [{ id: fallbackId, source, line, error: `Record has no ${TEXT_FIELDS.join('/')} string field` }];
+      }
+      const id = record.id !== undefined ? String(record.id) : fallbackId;
+      return [{ id, source, line, text: record[field] }];
+    } catch (error) {
+      return [{ id: fallbackId, source, line, error: `Invalid JSON: ${error.message}` }];
+    }
+  });
+}
+
+/**
+ * Read the prompt items of a file: one per line for JSONL, otherwise the whole file
+ * With `extract`, the prompts embedded in code, YAML, Cursor rules and Markdown fences are read
+ * instead; their items carry the prompt's `kind`, `name`, source `location` and `locate` function
+ */
+export function readPromptFile(file, cwd = process.cwd(), options = {}) {
+  const source = displayPath(file, cwd);
+  let content;
+  try {
+    content = readFileSync(file, 'utf8');
+  } catch (error) {
+    return [{ id: source, source, error: `Failed to read file: ${error.message}` }];
+  }
+
+  if (JSONL_EXTENSIONS.includes(extname(file).toLowerCase())) {
+    return parseJsonl(content, source);
+  }
+  if (options.extract && detectSourceFormat(file)) {
+    try {
+      return extractPrompts(content, source).map(prompt => ({ ...prompt, source, line: prompt.location.line }));
+    } catch (error) {
+      return [{ id: source, source, error: `Failed to extract prompts: ${error.message}` }];
+    }
+  }
+  return [{ id: source, source, text: content }];
+}
+
+/**
+ * Parse prompts piped through stdin
+ * Content whose first line is a JSON string or object is read as JSONL, anything else as one prompt
+ */
+export function parseStdin(content) {
+  const firstLine = content.trimStart().split('\n')[0].trim();
+  if (/^[{"]/.test(firstLine)) {
+    try {
+      JSON.parse(firstLine);
+      return parseJsonl(content, 'stdin');
+    } catch {
+      // Not JSONL after all
+    }
+  }
+  return [{ id: 'stdin', source: 'stdin', text: content }];
+}
+
+/**
+ * Collect prompt items from --input values; '-' reads `stdin` (the piped content)
+ * `extract` reads the prompts embedded in source files (see readPromptFile)
+ */
+export function collectItems(inputs, options = {}) {
+  const { cwd = process.cwd(), stdin = '', extract = false } = options;
+  const seen = new Set();
+
+  return inputs.flatMap(input => {
+    if (input === '-') return parseStdin(stdin);
+
+    const files = expandInput(input, cwd, { extract }).filter(file => !seen.has(file));
+    files.forEach(file => seen.add(file));
+    return files.flatMap(file => readPromptFile(file, cwd, { extract }));
+  });
+}
+
+/**
+ * Run `worker(item)` over the items with at most `concurrency` running at once
+ *
+ * Each record is { id, source, line?, success, ...workerResult } or { ..., success: false, error };
+ * records of extracted prompts also carry their kind, name and source location.
+ * A failing item never aborts the run. `onRecord` receives the records in input order
+ * as soon as they and every record before them are done.
+ */
+export async function runBatch(items, worker, options = {}) {
+  const { concurrency = DEFAULT_CONCURRENCY, onRecord } = options;
+  const records = new Array(items.length);
+  let next = 0;
+  let emitted = 0;
+
+  const emit = () => {
+    while (emitted < items.length && records[emitted]) {
+      onRecord?.(records[emitted]);
+      emitted++;
+    }
+  };
+
+  const runItem = async (item) => {
+    const { id, source, line, error, kind, name, location } = item;
+    const meta = { id, source, ...(line !== undefined && { line }), ...(location && { kind, name, location }) };
+    if (error) return { ...meta, success: false, error };
+    try {
+      return { ...meta, success: true, ...(await worker(item)) };
+    } catch (workerError) {
+      return { ...meta, success: false, error: workerError.message };
+    }
+  };
+
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      records[index] = await runItem(items[index]);
+      emit();
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane));
+  return records;
+}
+
+/**
+ * Summarize a batch: item counts, average clarity score and the most common gap categories
+ * Records carry `clarity: { score, categories }` where categories lists each gap's category
+ */
+export function summarizeBatch(records, options = {}) {
+  const { top = 5 } = options;
+  const scored = records.filter(record => record.success && record.clarity);
+  const counts = new Map();
+  scored.forEach(record => {
+    record.clarity.categories.forEach(category => counts.set(category, (counts.get(category) ?? 0) + 1));
+  });
+
+  const total = scored.reduce((sum, record) => sum + record.clarity.score, 0);
+
+  return {
+    total: records.length,
+    succeeded: records.filter(record => record.success).length,
+    failed: records.filter(record => !record.success).length,
+    average_clarity_score: scored.length > 0 ? Math.round((total / scored.length) * 10) / 10 : null,
+    common_gap_categories: [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, top)
+      .map(([category, count]) => ({ category, count }))
+  };
+}
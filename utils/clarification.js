@@ -0,0 +1,409 @@
+/**
+ * Clarification dialogue for clarifyPrompt
+ * Turns clarity gaps into questions, asks them through MCP elicitation (or returns them),
+ * merges the answers into the prompt and repeats until the clarity threshold is reached
+ */
+
+import { randomUUID } from 'crypto';
+import { analyzeTextForGaps } from './gapAnalysis.js';
+import { scoreClarity } from './clarityScore.js';
+import { getLexicon, resolveLanguage } from './language.js';
+import { convertPromptWithSampling } from './llmExtractor.js';
+import { analyzeText, segmentSentences } from './textAnalysis.js';
+
+export const DEFAULT_CLARITY_THRESHOLD = 80;
+export const DEFAULT_MAX_ROUNDS = 5;
+
+// Sessions expire after an hour without activity
+const SESSION_TTL_MS = 60 * 60 * 1000;
+
+// Users may take a while to answer an elicitation form
+const ELICITATION_TIMEOUT_MS = 10 * 60 * 1000;
+
+const SEVERITY_ORDER = ['high', 'medium', 'low'];
+
+// Hedge words that are dropped (required) or softened (optional) when answered
+const HEDGE_ADVERBS = new Set(['maybe', 'possibly', 'perhaps']);
+const HEDGE_OPTIONS = ['required', 'optional'];
+
+// Punctuation that ends a sentence, and closing marks that may follow it
+const SENTENCE_END = /^[.!?。！？]+["'”’)\]」』]*/u;
+const ENDS_SENTENCE = /[.!?。！？]+["'”’)\]」』]*$/u;
+
+const sessions = new Map();
+
+/**
+ * Wrap an SDK server as an elicitor
+ * Elicitors expose `elicitInput(params)`; `available` reflects the client's form elicitation capability
+ */
+export function createElicitor(server) {
+  return {
+    get available() {
+      return Boolean(server.getClientCapabilities()?.elicitation?.form);
+    },
+    elicitInput: (params) => server.elicitInput(params, { timeout: ELICITATION_TIMEOUT_MS })
+  };
+}
+
+/**
+ * Check whether an elicitor can be used (plain mock objects count as available)
+ */
+export function isElicitorAvailable(elicitor) {
+  return Boolean(elicitor) && typeof elicitor.elicitInput === 'function' && elicitor.available !== false;
+}
+
+function pruneSessions(now = Date.now()) {
+  sessions.forEach((session, id) => {
+    if (now - session.updated_at > SESSION_TTL_MS) sessions.delete(id);
+  });
+}
+
+/**
+ * Get a clarification session by id (undefined when unknown or expired)
+ */
+export function getSession(id) {
+  pruneSessions();
+  return sessions.get(id);
+}
+
+/**
+ * Forget a clarification session
+ */
+export function deleteSession(id) {
+  return sessions.delete(id);
+}
+
+function createSession(text, settings) {
+  pruneSessions();
+  const now = Date.now();
+  const session = {
+    id: randomUUID(),
+    original_prompt: text,
+    prompt: text,
+    language: settings.language,
+    threshold: settings.threshold,
+    max_rounds: settings.maxRounds,
+    round: 0,
+    next_question: 1,
+    questions: [],
+    answers: [],
+    answered: [],
+    answer_spans: [],
+    skipped: [],
+    created_at: now,
+    updated_at: now
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+function gapKey(gap) {
+  return `${gap.rule}|${gap.text.toLowerCase()}`;
+}
+
+function isHedge(gap) {
+  return gap.rule.endsWith('.hedge');
+}
+
+/**
+ * Phrase a targeted question about a gap
+ */
+function questionFor(gap, sentence) {
+  const context = sentence ? ` ("${sentence}")` : '';
+
+  switch (gap.category) {
+    case 'missing_context':
+      return `What does "${gap.text}" refer to${context}?`;
+    case 'ambiguous_requirement':
+      return isHedge(gap)
+        ? `Is this required or optional${context}?`
+        : `What measurable criterion does "${gap.text}" stand for${context}?`;
+    case 'unclear_output':
+      return `What exactly should the "${gap.text}" be (contents, structure, format)?`;
+    case 'missing_constraints':
+      return `What limit or scope applies to "${gap.text}"${context}?`;
+    default:
+      return `${gap.suggestion}${context}`;
+  }
+}
+
+/**
+ * Gaps that are still open: not answered and not in the text of an answer (`spans`, as { start, end })
+ */
+function openGaps(gaps, answered = [], spans = []) {
+  return gaps.filter(gap => !answered.includes(gapKey(gap)) &&
+    !spans.some(span => gap.start < span.end && gap.end > span.start));
+}
+
+/**
+ * Turn clarity gaps into questions
+ * High-severity gaps are asked first; lower severities are only asked when no higher ones remain.
+ * Gaps whose key is in `skipped` or `answered` are not asked again, and neither are gaps in the
+ * text of earlier answers (`spans`). `lexicon` splits the text into sentences.
+ */
+export function buildQuestions(text, gaps, options = {}) {
+  const { skipped = [], answered = [], spans = [], nextId = 1, lexicon } = options;
+  const candidates = openGaps(gaps, answered, spans).filter(gap => !skipped.includes(gapKey(gap)));
+  const severity = SEVERITY_ORDER.find(level => candidates.some(gap => gap.severity === level));
+  const sentences = segmentSentences(text, { lexicon });
+
+  return candidates
+    .filter(gap => gap.severity === severity)
+    .map((gap, index) => {
+      const sentence = sentences.find(s => gap.start >= s.start && gap.start < s.end);
+      // Clarifications go after the sentence's end punctuation
+      const sentenceEnd = sentence ? sentence.end + (text.slice(sentence.end).match(SENTENCE_END)?.[0].length ?? 0) : text.length;
+      return {
+        id: `q${nextId + index}`,
+        question: questionFor(gap, sentence?.text),
+        category: gap.category,
+        severity: gap.severity,
+        term: gap.text,
+        ...(isHedge(gap) && { options: HEDGE_OPTIONS }),
+        // Internal: where the answer goes
+        key: gapKey(gap),
+        start: gap.start,
+        end: gap.end,
+        sentence_end: sentenceEnd,
+        hedge: isHedge(gap)
+      };
+    });
+}
+
+/**
+ * Text that replaces a hedge once it is answered: the hedge is dropped or made firm, or softened
+ */
+function hedgeReplacement(question, answer) {
+  const adverb = HEDGE_ADVERBS.has(question.term.toLowerCase());
+  if (/^(required|yes|must)$/i.test(answer)) return adverb ? '' : 'must';
+  return adverb ? 'optionally' : 'may';
+}
+
+/**
+ * Sentence that clarifies a term with its answer, in the prompt's language
+ */
+function clarificationFor(question, answer, lexicon) {
+  const template = question.category === 'missing_context'
+    ? lexicon.clarifications.reference
+    : lexicon.clarifications.definition;
+  const term = question.term[0].toUpperCase() + question.term.slice(1);
+  return template
+    .replace('{term}', term)
+    .replace('{answer}', answer.replace(/[.!?。！？]+$/u, ''));
+}
+
+/**
+ * Merge answers into the text
+ * A hedge is replaced by its answer ("maybe fast" becomes "fast" when required); every other
+ * answer is added as a sentence that clarifies the term ("\"It\" refers to ..."), right after the
+ * sentence the term is in, so the prompt keeps its wording.
+ *
+ * Options: `spans` of earlier answers, moved along as text is added before them, and the
+ * `lexicon` of the prompt's language. Returns { text, answered, skipped, spans } where skipped
+ * lists questions left unanswered and spans locates every merged answer in the new text.
+ */
+export function applyAnswers(text, questions, answers = {}, options = {}) {
+  const { spans = [], lexicon = getLexicon() } = options;
+  const answered = [];
+  const skipped = [];
+  const edits = [];
+
+  questions.forEach(question => {
+    const answer = typeof answers[question.id] === 'string' ? answers[question.id].trim() : '';
+    if (answer.length === 0) {
+      skipped.push(question);
+      return;
+    }
+    answered.push({ id: question.id, question: question.question, answer });
+
+    if (question.hedge) {
+      edits.push({ start: question.start, end: question.end, hedge: hedgeReplacement(question, answer), term: question.term });
+      return;
+    }
+    // Clarifications of terms in the same sentence follow it in question order
+    const clarification = clarificationFor(question, answer, lexicon);
+    const edit = edits.find(entry => entry.clarifications && entry.start === question.sentence_end);
+    if (edit) edit.clarifications.push(clarification);
+    else edits.push({ start: question.sentence_end, end: question.sentence_end, clarifications: [clarification] });
+  });
+
+  let merged = text;
+  const located = spans.map(span => ({ ...span }));
+  const separator = lexicon.spaced ? ' ' : '';
+
+  // Edit from the end so earlier offsets stay valid
+  edits.sort((a, b) => b.start - a.start).forEach(edit => {
+    const before = merged.slice(0, edit.start);
+    let after = merged.slice(edit.end);
+    const added = [];
+    let replacement;
+
+    if (edit.clarifications) {
+      // A sentence without end punctuation gets some before the clarification
+      replacement = ENDS_SENTENCE.test(before.trimEnd()) ? '' : (lexicon.spaced ? '.' : '。');
+      edit.clarifications.forEach(clarification => {
+        replacement += separator;
+        added.push({ start: edit.start + replacement.length, end: edit.start + replacement.length + clarification.length });
+        replacement += clarification;
+      });
+    } else {
+      const capitalized = /^\p{Lu}/u.test(edit.term);
+      replacement = capitalized && edit.hedge.length > 0 ? edit.hedge[0].toUpperCase() + edit.hedge.slice(1) : edit.hedge;
+      if (replacement.length === 0) {
+        // Dropping a word: remove one of the surrounding spaces and re-capitalize the sentence start
+        after = after.replace(/^\s+/, '');
+        if (capitalized) after = after.replace(/^\p{Ll}/u, char => char.toUpperCase());
+      } else {
+        added.push({ start: edit.start, end: edit.start + replacement.length });
+      }
+    }
+
+    // Answers already merged after this edit move by the change in length
+    const delta = before.length + replacement.length + after.length - merged.length;
+    located.forEach(span => {
+      if (span.start >= edit.end) {
+        span.start += delta;
+        span.end += delta;
+      }
+    });
+    located.push(...added);
+    merged = `${before}${replacement}${after}`;
+  });
+
+  return { text: merged, answered, skipped, spans: located.sort((a, b) => a.start - b.start) };
+}
+
+/**
+ * JSON Schema of the elicitation form for a round of questions
+ */
+function elicitationSchema(questions) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(questions.map(question => [question.id, {
+      type: 'string',
+      title: question.question,
+      description: `About "${question.term}" (${question.category.replace(/_/g, ' ')}); leave empty to skip`,
+      ...(question.options && { enum: question.options })
+    }])),
+    required: []
+  };
+}
+
+function publicQuestion({ key, start, end, sentence_end: sentenceEnd, hedge, ...question }) {
+  return question;
+}
+
+function answerQuestions(session, answers, lexicon) {
+  const { text, answered, skipped, spans } = applyAnswers(session.prompt, session.questions, answers, {
+    spans: session.answer_spans,
+    lexicon
+  });
+  const keys = new Map(session.questions.map(question => [question.id, question.key]));
+  session.prompt = text;
+  session.answers.push(...answered);
+  session.answered.push(...answered.map(answer => keys.get(answer.id)));
+  session.answer_spans = spans;
+  session.skipped.push(...skipped.map(question => question.key));
+  session.questions = [];
+}
+
+/**
+ * Run the clarification loop
+ *
+ * `input` follows ClarifyPromptInputSchema: { text, language } starts a session,
+ * { session_id, answers } continues one. The clarity score leaves out the gaps that were
+ * answered, since their terms stay in the prompt next to the clarification. Options:
+ * - elicitor: object with `elicitInput(params)`, e.g. createElicitor(server) or a mock;
+ *   without one the pending questions are returned with status "needs_input"
+ * - sampling: options for convertPromptWithSampling (sampler and limits)
+ * - threshold, maxRounds: defaults for new sessions
+ */
+export async function clarifyPrompt(input, options = {}) {
+  const {
+    elicitor,
+    sampling = {},
+    threshold = DEFAULT_CLARITY_THRESHOLD,
+    maxRounds = DEFAULT_MAX_ROUNDS
+  } = options;
+
+  let session;
+  if (input.session_id !== undefined) {
+    session = getSession(input.session_id);
+    if (!session) {
+      return { success: false, error: `Unknown or expired clarification session: ${input.session_id}` };
+    }
+  } else {
+    session = createSession(input.text, { threshold, maxRounds, language: input.language });
+  }
+  if (input.threshold !== undefined) session.threshold = input.threshold;
+  if (input.max_rounds !== undefined) session.max_rounds = input.max_rounds;
+
+  if (session.questions.length > 0 && input.answers) {
+    answerQuestions(session, input.answers, resolveLanguage(session.prompt, session.language).lexicon);
+  }
+
+  let status;
+  let score;
+  while (!status) {
+    const analysis = analyzeText(session.prompt, { language: session.language });
+    const gapAnalysis = analyzeTextForGaps(session.prompt, { analysis });
+    score = scoreClarity(analysis, openGaps(gapAnalysis.gaps, session.answered, session.answer_spans)).overall;
+
+    if (score >= session.threshold) {
+      session.questions = [];
+      status = 'complete';
+    } else if (session.questions.length > 0) {
+      // Questions from an earlier turn are still waiting for answers
+      status = 'needs_input';
+    } else if (session.round >= session.max_rounds) {
+      status = 'max_rounds';
+    } else {
+      const questions = buildQuestions(session.prompt, gapAnalysis.gaps, {
+        skipped: session.skipped,
+        answered: session.answered,
+        spans: session.answer_spans,
+        nextId: session.next_question,
+        lexicon: analysis.lexicon
+      });
+
+      if (questions.length === 0) {
+        status = 'unresolved';
+      } else {
+        session.round++;
+        session.next_question += questions.length;
+        session.questions = questions;
+
+        if (isElicitorAvailable(elicitor)) {
+          const response = await elicitor.elicitInput({
+            message: `Help clarify your prompt (clarity score ${score}/100, target ${session.threshold}). Leave a question empty to skip it.`,
+            requestedSchema: elicitationSchema(questions)
+          });
+
+          if (response.action !== 'accept') {
+            session.questions = [];
+            status = 'cancelled';
+          } else {
+            answerQuestions(session, response.content ?? {}, analysis.lexicon);
+          }
+        } else {
+          status = 'needs_input';
+        }
+      }
+    }
+  }
+
+  session.updated_at = Date.now();
+
+  return {
+    success: true,
+    session_id: session.id,
+    status,
+    round: session.round,
+    threshold: session.threshold,
+    overall_clarity_score: score,
+    prompt: session.prompt,
+    questions: session.questions.map(publicQuestion),
+    answers: session.answers,
+    result: await convertPromptWithSampling(session.prompt, { ...sampling, language: session.language })
+  };
+}
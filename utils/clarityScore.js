@@ -0,0 +1,252 @@
+/**
+ * Explainable clarity scoring
+ *
+ * Each dimension (context, specificity, output definition, constraints, structure) starts from
+ * a base score set by the positive signals found in the prompt. Every gap in the dimension then
+ * removes a fixed fraction of what is left, so scores degrade smoothly instead of hitting 0.
+ * The overall score is the weighted mean of the dimension scores.
+ */
+
+import { existsSync, statSync } from 'fs';
+import { join } from 'path';
+import { CLARITY_DIMENSIONS, ScoringConfigSchema } from '../src/schema.js';
+import { getConfigDir, readConfigFile } from './config.js';
+import { containsCue } from './language.js';
+import { wordTokens } from './textAnalysis.js';
+
+// Scoring config files looked up in the project config directory, in order
+export const SCORING_CONFIG_FILES = ['scoring.json', 'scoring.yaml', 'scoring.yml'];
+
+export const DEFAULT_WEIGHTS = {
+  context: 0.25,
+  specificity: 0.25,
+  output_definition: 0.2,
+  constraints: 0.15,
+  structure: 0.15
+};
+
+// Fraction of a dimension's remaining score removed per gap
+export const DEFAULT_PENALTIES = { high: 0.4, medium: 0.25, low: 0.1 };
+
+// Dimension scores range from BASE_SCORE (no signals) to 100 (all signals)
+const BASE_SCORE = 40;
+
+// Dimension of each built-in gap category; custom categories default to specificity
+const CATEGORY_DIMENSIONS = {
+  missing_context: 'context',
+  ambiguous_requirement: 'specificity',
+  unclear_output: 'output_definition',
+  missing_constraints: 'constraints'
+};
+
+const CONCRETE_TYPES = new Set(['number', 'version', 'url', 'email', 'path', 'code']);
+
+// Sentences longer than this many words count as hard to follow
+const LONG_SENTENCE_WORDS = 30;
+
+const scoringConfigCache = new Map();
+
+function defined(values) {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+}
+
+function hasSequence(words, sequence) {
+  return words.some((_, index) => sequence.every((word, offset) => words[index + offset] === word));
+}
+
+/**
+ * Whether the prompt uses one of a set of cue words (whole words, or substrings for Japanese)
+ */
+function hasCue(analysis, words, cues) {
+  return analysis.lexicon.spaced
+    ? words.some(word => cues.has(word))
+    : [...cues].some(cue => analysis.text.includes(cue));
+}
+
+/**
+ * Sentences that add content: the first one, then each one with a word the earlier ones lack
+ * Repeated or reworded sentences add nothing, so padding a prompt does not raise its score.
+ */
+function informativeSentences(sentences, lexicon) {
+  const seen = new Set();
+  return sentences.filter(sentence => {
+    const fresh = wordTokens(sentence.tokens)
+      .map(token => token.lower)
+      .filter(word => !lexicon.stopwords.has(word) && !seen.has(word));
+    fresh.forEach(word => seen.add(word));
+    return fresh.length > 0;
+  });
+}
+
+/**
+ * Measure the positive signals of each dimension
+ * Cue words come from the lexicon of the analysis language (see language.js)
+ * Returns { [dimension]: { evidence: 0..1, signals: [...] } }
+ */
+export function measureSignals(analysis) {
+  const { lexicon } = analysis;
+  const sentences = analysis.sentences.filter(sentence => !sentence.code);
+  const informative = informativeSentences(sentences, lexicon);
+  const words = wordTokens(analysis.tokens).map(token => token.lower);
+  const result = {};
+
+  const collect = (dimension, checks) => {
+    const signals = checks.filter(check => check.found).map(check => check.signal);
+    result[dimension] = { evidence: signals.length / checks.length, signals };
+  };
+
+  collect('context', [
+    { signal: 'background beyond the task sentence', found: informative.length > 1 },
+    {
+      signal: 'stated purpose or reason',
+      found: hasCue(analysis, words, lexicon.purposeWords) ||
+        lexicon.purposeSequences.some(sequence => hasSequence(words, sequence))
+    }
+  ]);
+
+  // Concrete details: numbers, versions, URLs, paths, code and capitalized names inside sentences
+  const sentenceStarts = new Set(sentences.map(sentence => wordTokens(sentence.tokens)[0]?.start));
+  const concrete = analysis.tokens.filter(token =>
+    CONCRETE_TYPES.has(token.type) ||
+    (token.type === 'word' && /^\p{Lu}/u.test(token.text) && !sentenceStarts.has(token.start))
+  );
+  collect('specificity', [
+    { signal: 'concrete detail', found: concrete.length >= 1 },
+    { signal: 'several concrete details', found: concrete.length >= 3 }
+  ]);
+
+  collect('output_definition', [
+    { signal: 'named deliverable', found: hasCue(analysis, words, lexicon.deliverableWords) },
+    { signal: 'output format or structure', found: hasCue(analysis, words, lexicon.formatWords) }
+  ]);
+
+  const constraintSentences = sentences.filter(sentence => containsCue(lexicon, sentence, lexicon.constraintCues));
+  collect('constraints', [
+    { signal: 'stated limit or requirement', found: constraintSentences.length > 0 },
+    {
+      signal: 'quantified limit',
+      found: constraintSentences.some(sentence => sentence.tokens.some(token => token.type === 'number' || /\d/.test(token.text)))
+    }
+  ]);
+
+  const sentenceLengths = sentences.map(sentence => wordTokens(sentence.tokens).length);
+  collect('structure', [
+    {
+      signal: 'several sentences, list items or sections',
+      found: informative.length > 1
+    },
+    {
+      signal: `sentences under ${LONG_SENTENCE_WORDS} words`,
+      found: sentenceLengths.length > 0 && sentenceLengths.every(length => length <= LONG_SENTENCE_WORDS)
+    }
+  ]);
+
+  return result;
+}
+
+/**
+ * Merge scoring options over the defaults
+ * `config` follows ScoringConfigSchema; weights can also be overridden per call
+ */
+export function resolveScoringConfig(config = {}) {
+  const parsed = ScoringConfigSchema.parse(config);
+  return {
+    weights: { ...DEFAULT_WEIGHTS, ...defined(parsed.weights) },
+    penalties: { ...DEFAULT_PENALTIES, ...defined(parsed.penalties) },
+    categories: { ...CATEGORY_DIMENSIONS, ...parsed.categories }
+  };
+}
+
+/**
+ * Find the project scoring config file, if there is one
+ */
+export function findProjectScoringConfig(cwd = process.cwd()) {
+  const dir = getConfigDir(cwd);
+  return SCORING_CONFIG_FILES.map(file => join(dir, file)).find(filePath => existsSync(filePath));
+}
+
+/**
+ * Get the scoring config of a project: its scoring file merged over the defaults
+ * The file is re-read when it changes
+ */
+export function getActiveScoringConfig(cwd = process.cwd()) {
+  const filePath = findProjectScoringConfig(cwd);
+  const cacheKey = filePath ?? '(default)';
+  const mtime = filePath ? statSync(filePath).mtimeMs : 0;
+
+  const cached = scoringConfigCache.get(cacheKey);
+  if (cached && cached.mtime === mtime) {
+    return cached.config;
+  }
+
+  const config = filePath ? readConfigFile(filePath) : {};
+  try {
+    ScoringConfigSchema.parse(config);
+  } catch (error) {
+    throw new Error(`Invalid scoring config ${filePath}: ${error.message}`);
+  }
+  scoringConfigCache.set(cacheKey, { mtime, config });
+  return config;
+}
+
+/**
+ * Score a prompt from its analysis and clarity gaps
+ *
+ * Options:
+ * - weights: per-call dimension weights, merged over the project and default weights
+ * - config: scoring config object (defaults to the project config, .text-to-json/scoring.json|yaml)
+ *
+ * Returns { overall, breakdown } where breakdown follows ScoreBreakdownSchema
+ */
+export function scoreClarity(analysis, gaps, options = {}) {
+  const base = options.config ?? getActiveScoringConfig();
+  const { weights, penalties, categories } = resolveScoringConfig({
+    ...base,
+    weights: { ...base.weights, ...defined(options.weights ?? {}) }
+  });
+  const signals = measureSignals(analysis);
+  const totalWeight = CLARITY_DIMENSIONS.reduce((sum, dimension) => sum + weights[dimension], 0);
+  const share = (dimension) => (totalWeight > 0 ? weights[dimension] / totalWeight : 0);
+
+  const gap_contributions = [];
+  const dimensions = CLARITY_DIMENSIONS.map(dimension => {
+    const { evidence, signals: found } = signals[dimension];
+    let score = BASE_SCORE + (100 - BASE_SCORE) * evidence;
+
+    const dimensionGaps = gaps.filter(gap => (categories[gap.category] ?? 'specificity') === dimension);
+    dimensionGaps.forEach(gap => {
+      const lost = score * (penalties[gap.severity] ?? 0);
+      score -= lost;
+      gap_contributions.push({
+        rule: gap.rule,
+        category: gap.category,
+        dimension,
+        severity: gap.severity,
+        text: gap.text,
+        points: Math.round(lost * share(dimension) * 10) / 10
+      });
+    });
+
+    return {
+      dimension,
+      score: Math.round(score),
+      weight: weights[dimension],
+      evidence: Math.round(evidence * 100) / 100,
+      signals: found,
+      gap_count: dimensionGaps.length,
+      exact: score
+    };
+  });
+
+  const overall = totalWeight > 0
+    ? dimensions.reduce((sum, { dimension, exact }) => sum + exact * share(dimension), 0)
+    : 0;
+
+  return {
+    overall: Math.max(0, Math.min(100, Math.round(overall))),
+    breakdown: {
+      dimensions: dimensions.map(({ exact, ...dimension }) => dimension),
+      gap_contributions
+    }
+  };
+}
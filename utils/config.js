@@ -0,0 +1,92 @@
+/**
+ * Utility functions for locating project configuration
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { extname, join, resolve } from 'path';
+import YAML from 'yaml';
+
+// Project configuration lives in this directory unless TEXT_TO_JSON_CONFIG_DIR is set
+export const CONFIG_DIR_NAME = '.text-to-json';
+
+/**
+ * Resolve the project configuration directory
+ */
+export function getConfigDir(cwd = process.cwd()) {
+  if (process.env.TEXT_TO_JSON_CONFIG_DIR) {
+    return resolve(cwd, process.env.TEXT_TO_JSON_CONFIG_DIR);
+  }
+  return join(cwd, CONFIG_DIR_NAME);
+}
+
+/**
+ * Read and parse a JSON file, naming the file in parse errors
+ */
+export function readJsonFile(filePath) {
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Read and parse a JSON or YAML config file, chosen by extension
+ */
+export function readConfigFile(filePath) {
+  const ext = extname(filePath).toLowerCase();
+  if (ext !== '.yaml' && ext !== '.yml') return readJsonFile(filePath);
+
+  try {
+    return YAML.parse(readFileSync(filePath, 'utf8')) ?? {};
+  } catch (error) {
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * List the files in a config subdirectory with one of the given extensions
+ */
+export function listConfigFiles(dir, extensions) {
+  if (!existsSync(dir)) return [];
+
+  return readdirSync(dir)
+    .filter(file => extensions.some(ext => file.toLowerCase().endsWith(ext)))
+    .sort()
+    .map(file => join(dir, file));
+}
+
+/**
+ * Load the files of a config subdirectory that are new or changed since the last call
+ *
+ * `load(filePath)` registers one file into `registry` (a Map) and returns the registered name;
+ * `cache` remembers each loaded file's mtime and entry. Entries of changed and removed files are
+ * taken out first, restoring any entry they replaced. A file that fails to load is not cached,
+ * so it is read again on the next call; the other files still load, then the first failure is
+ * thrown. Returns the names loaded by this call.
+ */
+export function loadChangedConfigFiles(cache, files, registry, load) {
+  [...cache].forEach(([filePath, entry]) => {
+    if (files.includes(filePath) && statSync(filePath).mtimeMs === entry.mtime) return;
+    if (entry.replaced) registry.set(entry.name, entry.replaced);
+    else registry.delete(entry.name);
+    cache.delete(filePath);
+  });
+
+  const loaded = [];
+  const errors = [];
+  files.filter(filePath => !cache.has(filePath)).forEach(filePath => {
+    const before = new Map(registry);
+    try {
+      const mtime = statSync(filePath).mtimeMs;
+      const name = load(filePath);
+      cache.set(filePath, { mtime, name, replaced: before.get(name) });
+      loaded.push(name);
+    } catch (error) {
+      errors.push(error);
+    }
+  });
+
+  if (errors.length > 0) throw errors[0];
+  return loaded;
+}
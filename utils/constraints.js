@@ -0,0 +1,437 @@
+/**
+ * Constraint extraction
+ * Finds the limits a prompt sets and parses each into a typed constraint (see ConstraintSchema):
+ * quantities after an operator ("under 500 words", "max 10MB"), deadlines ("by Friday"), clauses
+ * that start with only or must, required technologies and formats ("using React") and audiences
+ * ("for beginners"). Operators, units and cue words come from the prompt's lexicon.
+ */
+
+import { FILE_FORMATS, TECHNOLOGIES, termPattern } from './language.js';
+import { createTrimmedSpan } from './spans.js';
+
+// Units written the same way in every language, by constraint kind
+const SHARED_UNITS = {
+  time: ['ms', 's', 'sec', 'secs', 'min', 'mins', 'h', 'hr', 'hrs'],
+  size: ['kb', 'mb', 'gb', 'tb', 'byte', 'bytes'],
+  budget: ['$', '€', '£', '¥', 'usd', 'eur', 'gbp'],
+  other: ['%']
+};
+
+const CURRENCY_SYMBOLS = new Set(['$', '€', '£', '¥']);
+const QUANTITY_OPERATORS = new Set(['max', 'min', 'exact']);
+const CLAUSE_OPERATORS = new Set(['only', 'must']);
+const TECHNOLOGY_SET = new Set(TECHNOLOGIES);
+const FILE_FORMAT_SET = new Set(FILE_FORMATS);
+
+// Number at the start of a string: "500", "1,000", "2.5"
+const NUMBER = /^\d+(?:,\d{3})*(?:\.\d+)?/;
+const NUMBERS = /\d+(?:,\d{3})*(?:\.\d+)?/g;
+
+// Technology names inside unspaced text ("Pythonで")
+const TECHNOLOGY_PATTERN = termPattern(TECHNOLOGIES);
+
+// Punctuation that can appear inside a constraint clause ("C++", "Node.js"); any other ends it
+const CLAUSE_PUNCT = new Set(['-', '/', '+', '#', '\'', '’', '&']);
+// Punctuation that separates Japanese clauses
+const CLAUSE_MARKS = /[、，,;；:：]/;
+const SENTENCE_MARKS = /[。！？.!?\s]/;
+
+// Longest clause after only or must, in words
+const MAX_CLAUSE_WORDS = 8;
+// Parts of speech a clause cannot end with
+const DANGLING_POS = new Set(['PREP', 'DET', 'CONJ']);
+// How far after a deadline, audience or requirement cue the word it needs may appear, in tokens
+const CUE_WINDOW = 3;
+
+const compiled = new WeakMap();
+
+/**
+ * Operators sorted longest first and a unit → kind map for a lexicon
+ */
+function constraintLexicon(lexicon) {
+  if (!compiled.has(lexicon)) {
+    const operators = Object.entries(lexicon.constraintOperators)
+      .flatMap(([operator, phrases]) => phrases.map(phrase => ({ operator, phrase, tokens: phrase.split(' ') })))
+      .sort((a, b) => b.phrase.length - a.phrase.length);
+    const units = new Map();
+    [lexicon.units, SHARED_UNITS].forEach(table => Object.entries(table).forEach(([kind, list]) => {
+      list.forEach(unit => {
+        if (!units.has(unit.toLowerCase())) units.set(unit.toLowerCase(), kind);
+      });
+    }));
+    const unitList = [...units.keys()].sort((a, b) => b.length - a.length);
+    compiled.set(lexicon, { operators, units, unitList });
+  }
+  return compiled.get(lexicon);
+}
+
+function parseNumber(text) {
+  return Number(text.replace(/,/g, ''));
+}
+
+function overlaps(found, start, end) {
+  return found.some(item => start < item.end && end > item.start);
+}
+
+function isWord(token) {
+  return Boolean(token) && token.type !== 'punct';
+}
+
+function matchOperator(tokens, index, operators) {
+  return operators.find(({ tokens: words }) => words.every((word, offset) => tokens[index + offset]?.lower === word));
+}
+
+/**
+ * Kind of a clause from the words in it; `has` tests a set of words against the clause
+ */
+function clauseKind(lexicon, has) {
+  if (has(TECHNOLOGY_SET)) return 'technology';
+  if (has(lexicon.formatWords)) return 'format';
+  if (has(lexicon.audienceWords)) return 'audience';
+  if (has(lexicon.dateWords)) return 'time';
+  return 'other';
+}
+
+/**
+ * Read a quantity at tokens[index]: a number, optionally after a currency symbol, and its unit
+ * The unit is a known unit after the number or glued to it ("10MB"), or else the noun after it.
+ * Returns { value, unit?, kind, known, end, next } or null; `known` is false when the kind is a guess.
+ */
+function readQuantity(text, tokens, index, { units }) {
+  let token = tokens[index];
+  let symbol;
+  if (token && CURRENCY_SYMBOLS.has(token.text) && tokens[index + 1]?.start === token.end) {
+    symbol = token.text;
+    token = tokens[++index];
+  }
+
+  const match = token && /^\d/.test(token.text) ? NUMBER.exec(text.slice(token.start)) : null;
+  if (!match) return null;
+
+  const numberEnd = token.start + match[0].length;
+  let next = index;
+  while (next < tokens.length && tokens[next].start < numberEnd) next++;
+  const value = parseNumber(match[0]);
+  const last = tokens[next - 1];
+
+  if (symbol) return { value, unit: symbol, kind: 'budget', known: true, end: last.end, next };
+
+  if (last.end > numberEnd) {
+    const unit = text.slice(numberEnd, last.end);
+    const kind = units.get(unit.toLowerCase());
+    return { value, unit, kind: kind ?? 'other', known: Boolean(kind), end: last.end, next };
+  }
+
+  for (const length of [2, 1]) {
+    const words = tokens.slice(next, next + length);
+    if (words.length < length) continue;
+    const kind = units.get(words.map(word => word.lower).join(' '));
+    if (kind) {
+      return { value, unit: text.slice(words[0].start, words[length - 1].end), kind, known: true, end: words[length - 1].end, next: next + length };
+    }
+  }
+
+  const noun = tokens[next];
+  if (noun?.type === 'word' && noun.pos === 'NOUN') {
+    return { value, unit: noun.text, kind: 'count', known: false, end: noun.end, next: next + 1 };
+  }
+  return { value, kind: 'count', known: false, end: last.end, next };
+}
+
+/**
+ * Read a clause after only or must: up to punctuation, a clause break, another operator or
+ * MAX_CLAUSE_WORDS words. `interrupted` says it stopped at another operator.
+ */
+function readClause(tokens, index, lexicon, { operators }) {
+  let end = index;
+  let words = 0;
+  while (end < tokens.length && words < MAX_CLAUSE_WORDS) {
+    const token = tokens[end];
+    if (token.type === 'punct' && !CLAUSE_PUNCT.has(token.text)) break;
+    if (lexicon.clauseBreaks.has(token.lower)) break;
+    if (matchOperator(tokens, end, operators)) return { end, words, interrupted: true };
+    if (isWord(token)) words++;
+    end++;
+  }
+  // A clause cut at MAX_CLAUSE_WORDS should not end on "via" or "the"
+  while (end > index + 1 && DANGLING_POS.has(tokens[end - 1].pos)) {
+    end--;
+    words--;
+  }
+  return { end, words, interrupted: false };
+}
+
+/**
+ * Read the constraint starting at tokens[index] of a spaced-language sentence
+ * Returns { constraint, next } or null
+ */
+function readConstraint(analysis, tokens, index, dictionary) {
+  const { text, lexicon } = analysis;
+  const token = tokens[index];
+  const operator = matchOperator(tokens, index, dictionary.operators);
+
+  if (operator && QUANTITY_OPERATORS.has(operator.operator)) {
+    let position = index + operator.tokens.length;
+    while (lexicon.constraintFillers.has(tokens[position]?.lower)) position++;
+    const quantity = readQuantity(text, tokens, position, dictionary);
+    if (quantity) {
+      const { value, unit, kind, end, next } = quantity;
+      return { constraint: { start: token.start, end, kind, operator: operator.operator, value, unit, rule: 'constraints.quantity' }, next };
+    }
+  }
+
+  if (operator && CLAUSE_OPERATORS.has(operator.operator)) {
+    const start = index + operator.tokens.length;
+    const clause = readClause(tokens, start, lexicon, dictionary);
+    // "must be" before "under 200 words" leaves the limit to the operator that follows
+    if (clause.words > 0 && !(clause.interrupted && clause.words <= 1)) {
+      const words = tokens.slice(start, clause.end);
+      const kind = clauseKind(lexicon, set => words.some(word => set.has(word.lower)));
+      return {
+        constraint: { start: token.start, end: tokens[clause.end - 1].end, kind, operator: operator.operator, rule: 'constraints.clause' },
+        next: clause.end
+      };
+    }
+  }
+
+  const window = [];
+  for (let position = index + 1; position < tokens.length && window.length < CUE_WINDOW; position++) {
+    if (tokens[position].text === ':') continue;
+    if (!isWord(tokens[position])) break;
+    window.push(position);
+  }
+
+  if (lexicon.deadlineWords.has(token.lower) && window.some(position => lexicon.dateWords.has(tokens[position].lower))) {
+    // Extend over the date: "by the end of the month", "before March 1"
+    let last = index;
+    for (let position = index + 1; position < tokens.length && position <= index + 2 * CUE_WINDOW; position++) {
+      const word = tokens[position];
+      if (word.type === 'punct' && word.text !== ':') break;
+      if (lexicon.dateWords.has(word.lower) || lexicon.periodWords.has(word.lower)) last = position;
+      else if (word.type === 'number' && last === position - 1) last = position;
+    }
+    return {
+      constraint: { start: token.start, end: tokens[last].end, kind: 'time', operator: 'max', rule: 'constraints.deadline' },
+      next: last + 1
+    };
+  }
+
+  const required = tokens[index + 1];
+  if (lexicon.requirementMarkers.has(token.lower) && isWord(required)) {
+    const kind = TECHNOLOGY_SET.has(required.lower) ? 'technology' : FILE_FORMAT_SET.has(required.lower) ? 'format' : null;
+    if (kind) {
+      // Keep a version after the name: "Python 3.11"
+      const version = tokens[index + 2]?.type === 'number' || tokens[index + 2]?.type === 'version' ? index + 2 : index + 1;
+      return {
+        constraint: { start: token.start, end: tokens[version].end, kind, operator: 'must', rule: 'constraints.requirement' },
+        next: version + 1
+      };
+    }
+  }
+
+  if (lexicon.audienceMarkers.has(token.lower)) {
+    const audience = window.find(position => lexicon.audienceWords.has(tokens[position].lower));
+    if (audience !== undefined) {
+      return {
+        constraint: { start: token.start, end: tokens[audience].end, kind: 'audience', rule: 'constraints.audience' },
+        next: audience + 1
+      };
+    }
+  }
+
+  // A quantity with a known unit and no operator is exact: "3 bullet points", "$500"
+  const quantity = readQuantity(text, tokens, index, dictionary);
+  if (quantity?.known) {
+    const { value, unit, kind, end, next } = quantity;
+    return { constraint: { start: token.start, end, kind, operator: 'exact', value, unit, rule: 'constraints.quantity' }, next };
+  }
+
+  return null;
+}
+
+function findSpacedConstraints(analysis, sentences, dictionary) {
+  const found = [];
+  sentences.forEach(({ tokens }) => {
+    for (let index = 0; index < tokens.length;) {
+      const read = readConstraint(analysis, tokens, index, dictionary);
+      if (read) found.push(read.constraint);
+      index = read ? read.next : index + 1;
+    }
+  });
+  return found;
+}
+
+function occurrences(text, term) {
+  const found = [];
+  for (let index = text.indexOf(term); index >= 0; index = text.indexOf(term, index + 1)) found.push(index);
+  return found;
+}
+
+/**
+ * Read the quantity of a number matched in unspaced text: a currency symbol before it or a known
+ * unit after it. Returns { start, end, value, unit?, kind }.
+ */
+function readUnspacedQuantity(text, match, { units, unitList }) {
+  const value = parseNumber(match[0]);
+  const start = match.index;
+  const end = start + match[0].length;
+  if (CURRENCY_SYMBOLS.has(text[start - 1])) {
+    return { start: start - 1, end, value, unit: text[start - 1], kind: 'budget' };
+  }
+
+  const unit = unitList.find(candidate => text.toLowerCase().startsWith(candidate, end));
+  if (!unit) return { start, end, value, kind: 'count' };
+  return { start, end: end + unit.length, value, unit: text.slice(end, end + unit.length), kind: units.get(unit) };
+}
+
+/**
+ * Find constraints in Japanese sentences, matching cues as substrings
+ * Quantities carry their operator before or after them (「最大10件」, 「500文字以内」); only and
+ * must cover the clause they appear in.
+ */
+function findUnspacedConstraints(analysis, sentences, dictionary) {
+  const { operators } = dictionary;
+  const { lexicon } = analysis;
+  const found = [];
+  const add = constraint => {
+    if (!overlaps(found, constraint.start, constraint.end)) found.push(constraint);
+  };
+  const quantityOperators = operators.filter(({ operator }) => QUANTITY_OPERATORS.has(operator));
+  const fillers = [...lexicon.constraintFillers];
+
+  sentences.forEach(sentence => {
+    const { text, start: offset } = sentence;
+    const lower = text.toLowerCase();
+
+    for (const match of text.matchAll(NUMBERS)) {
+      const { value, unit, kind, ...range } = readUnspacedQuantity(text, match, dictionary);
+      let { start, end } = range;
+
+      const after = quantityOperators.find(({ phrase }) => text.startsWith(phrase, end));
+      const before = quantityOperators.find(({ phrase }) =>
+        [phrase, ...fillers.map(filler => phrase + filler)].some(prefix => text.slice(0, start).endsWith(prefix))
+      );
+      if (!after && !before && !unit) continue;
+
+      if (before) start = text.lastIndexOf(before.phrase, start);
+      if (after) end += after.phrase.length;
+      add({
+        start: offset + start,
+        end: offset + end,
+        kind,
+        operator: (after ?? before)?.operator ?? 'exact',
+        value,
+        unit,
+        rule: 'constraints.quantity'
+      });
+    }
+
+    // 「金曜日までに」, 「期限は月末」
+    lexicon.dateWords.forEach(date => occurrences(text, date).forEach(index => {
+      const end = index + date.length;
+      const deadline = [...lexicon.deadlineWords]
+        .map(word => ({ word, at: text.indexOf(word, end) }))
+        .find(({ at }) => at >= 0 && at - end <= CUE_WINDOW);
+      const leading = [...lexicon.deadlineWords]
+        .map(word => ({ word, at: text.lastIndexOf(word, index) }))
+        .find(({ word, at }) => at >= 0 && index - (at + word.length) <= CUE_WINDOW);
+      if (deadline) {
+        add({ start: offset + index, end: offset + deadline.at + deadline.word.length, kind: 'time', operator: 'max', rule: 'constraints.deadline' });
+      } else if (leading) {
+        add({ start: offset + leading.at, end: offset + end, kind: 'time', operator: 'max', rule: 'constraints.deadline' });
+      }
+    }));
+
+    // 「Pythonで」, 「JSONで出力」
+    const required = [
+      ...[...lower.matchAll(TECHNOLOGY_PATTERN)].map(match => ({ match, kind: 'technology' })),
+      ...FILE_FORMATS.flatMap(format => occurrences(lower, format).map(index => ({ match: { index, 0: format }, kind: 'format' })))
+    ];
+    required.forEach(({ match, kind }) => {
+      const end = match.index + match[0].length;
+      const marker = [...lexicon.requirementMarkers].find(candidate => text.startsWith(candidate, end));
+      if (marker) add({ start: offset + match.index, end: offset + end + marker.length, kind, operator: 'must', rule: 'constraints.requirement' });
+    });
+
+    // 「初心者向け」
+    lexicon.audienceWords.forEach(audience => occurrences(text, audience).forEach(index => {
+      const end = index + audience.length;
+      const marker = [...lexicon.audienceMarkers].find(candidate => text.startsWith(candidate, end));
+      if (marker) add({ start: offset + index, end: offset + end + marker.length, kind: 'audience', rule: 'constraints.audience' });
+    }));
+
+    operators.filter(({ operator }) => CLAUSE_OPERATORS.has(operator)).forEach(({ operator, phrase }) => {
+      occurrences(text, phrase).forEach(index => {
+        let clauseStart = index;
+        while (clauseStart > 0 && !CLAUSE_MARKS.test(text[clauseStart - 1])) clauseStart--;
+        let clauseEnd = index;
+        while (clauseEnd < text.length && !CLAUSE_MARKS.test(text[clauseEnd])) clauseEnd++;
+        while (clauseEnd > index + phrase.length && SENTENCE_MARKS.test(text[clauseEnd - 1])) clauseEnd--;
+        const clause = text.slice(clauseStart, clauseEnd).toLowerCase();
+        const kind = clauseKind(lexicon, set => [...set].some(word => clause.includes(word)));
+        add({ start: offset + clauseStart, end: offset + clauseEnd, kind, operator, rule: 'constraints.clause' });
+      });
+    });
+  });
+
+  return found;
+}
+
+/**
+ * Find the quantities in an analyzed prompt: numbers with a unit, a currency symbol or a noun
+ * after them ("1,000 rows", "$500", "30 reviewers")
+ * Returns { start, end, value, unit, kind } in text order; kind is a constraint kind
+ */
+export function findQuantities(analysis) {
+  const dictionary = constraintLexicon(analysis.lexicon);
+  const found = [];
+  analysis.sentences.filter(sentence => !sentence.code).forEach(sentence => {
+    if (!analysis.lexicon.spaced) {
+      for (const match of sentence.text.matchAll(NUMBERS)) {
+        const { start, end, ...quantity } = readUnspacedQuantity(sentence.text, match, dictionary);
+        if (quantity.unit) found.push({ start: sentence.start + start, end: sentence.start + end, ...quantity });
+      }
+      return;
+    }
+
+    const { tokens } = sentence;
+    for (let index = 0; index < tokens.length;) {
+      const quantity = readQuantity(analysis.text, tokens, index, dictionary);
+      if (quantity?.unit) {
+        const { value, unit, kind, end } = quantity;
+        found.push({ start: tokens[index].start, end, value, unit, kind });
+      }
+      index = quantity ? quantity.next : index + 1;
+    }
+  });
+  return found;
+}
+
+/**
+ * Extract the constraints of an analyzed prompt (see analyzeText)
+ * Returns { value, span } items in text order; each value is a ConstraintSchema object
+ * { text, kind, operator?, value?, unit? } whose text is the span's text.
+ */
+export function findConstraints(analysis) {
+  const sentences = analysis.sentences.filter(sentence => !sentence.code);
+  const dictionary = constraintLexicon(analysis.lexicon);
+  const found = analysis.lexicon.spaced
+    ? findSpacedConstraints(analysis, sentences, dictionary)
+    : findUnspacedConstraints(analysis, sentences, dictionary);
+
+  return found
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, end, kind, operator, value, unit, rule }) => {
+      const span = createTrimmedSpan(analysis.text, start, end, rule);
+      return {
+        value: {
+          text: span.text,
+          kind,
+          ...(operator && { operator }),
+          ...(value !== undefined && { value }),
+          ...(unit && { unit })
+        },
+        span
+      };
+    });
+}
@@ -0,0 +1,483 @@
+/**
+ * Task decomposition
+ * Splits a prompt into ordered subtasks at sequencing cues ("first", "then", "after", "before",
+ * "finally") and list items, and gives each step the inputs and outputs it names and the steps it
+ * waits for.
+ */
+
+import { findEntities } from './entities.js';
+import { containsCue } from './language.js';
+import { isHeading, readMarkdown, stepRanges, withinRanges } from './markdownPrompt.js';
+import { createSpan } from './spans.js';
+import { analyzeText } from './textAnalysis.js';
+
+// "1. Scrape the site", "2) Clean the data", "- Build a dashboard", "・売上を集計"
+const LIST_ITEM = /^[ \t]*(?:(\d+)[.)]|[-*•+・])[ \t]+(\S.*)$/gm;
+// A list needs this many items to read as a plan rather than a single bullet
+const MIN_LIST_ITEMS = 2;
+
+// Punctuation after which a new clause, and so a new step, can start
+const CLAUSE_PUNCT = new Set([',', ';', ':']);
+const UNSPACED_CLAUSE_MARKS = /[、，,；;]/;
+// Characters trimmed from both ends of a step ("Clean the data." gives "Clean the data")
+const STEP_EDGE = /[\s,;:.!?、，；：。！？]/u;
+
+// Entity roles a step works from; quantities are limits rather than artifacts
+const INPUT_ROLES = new Set(['required_input', 'optional_input']);
+// Cue kinds whose clause can start mid-sentence before a verb ("build Z after cleaning Y")
+const MID_SENTENCE_CUES = new Set(['after', 'before']);
+// Parts of speech that make up the object of a step's verb ("clean the raw data")
+const OBJECT_POS = new Set(['NOUN', 'ADJ', 'NUM']);
+const MAX_OBJECT_WORDS = 3;
+// Object of a Japanese step: the noun before を (「データを集める」)
+const UNSPACED_OBJECT = /([\p{Script=Katakana}\p{Script=Han}A-Za-z0-9ー・]+)を/u;
+
+const compiled = new WeakMap();
+
+/**
+ * Sequencing cues of a lexicon, longest first
+ */
+function sequenceCues(lexicon) {
+  if (!compiled.has(lexicon)) {
+    const cues = Object.entries(lexicon.sequenceCues)
+      .flatMap(([kind, phrases]) => phrases.map(phrase => ({ kind, phrase, tokens: phrase.split(' ') })))
+      .sort((a, b) => b.phrase.length - a.phrase.length);
+    compiled.set(lexicon, cues);
+  }
+  return compiled.get(lexicon);
+}
+
+function isWord(token) {
+  return Boolean(token) && (token.type === 'word' || token.type === 'number');
+}
+
+// The tagger only knows English conjunctions; the lexicon's clause breaks cover the others
+function isConjunction(lexicon, token) {
+  return token.pos === 'CONJ' || lexicon.clauseBreaks.has(token.lower);
+}
+
+function cueAt(tokens, index, cues) {
+  return cues.find(({ tokens: words }) => words.every((word, offset) => tokens[index + offset]?.lower === word));
+}
+
+/**
+ * Narrow text[start, end) to the step it holds, or null when nothing is left
+ */
+function stepRange(text, start, end) {
+  while (start < end && STEP_EDGE.test(text[start])) start++;
+  while (end > start && STEP_EDGE.test(text[end - 1])) end--;
+  return /\p{L}/u.test(text.slice(start, end)) ? { start, end } : null;
+}
+
+/**
+ * List items outside code blocks: { start, end, lineStart, lineEnd, ordered }
+ */
+function findListItems(analysis) {
+  const code = analysis.sentences.filter(sentence => sentence.code);
+  return [...analysis.text.matchAll(LIST_ITEM)]
+    .map(match => {
+      const lineEnd = match.index + match[0].length;
+      return { start: lineEnd - match[2].length, end: lineEnd, lineStart: match.index, lineEnd, ordered: match[1] !== undefined };
+    })
+    .filter(item => !code.some(sentence => item.start < sentence.end && sentence.start < item.end));
+}
+
+/**
+ * Clauses of a spaced-language sentence that start a step
+ * A clause starts at the sentence start, or after a comma, semicolon or conjunction, with a
+ * sequencing cue or, in a sentence that has one, an action verb ("scrape X, clean Y, then build Z").
+ * `after` and `before` cues also start a clause mid-sentence before a verb ("build Z after cleaning Y",
+ * "check Y before you send it").
+ * Returns { start, end, kind } with kind the cue kind, or null for an action verb.
+ */
+function spacedClauses(analysis, sentence) {
+  const { lexicon } = analysis;
+  const { tokens } = sentence;
+  const cues = sequenceCues(lexicon);
+
+  const boundaries = [];
+  tokens.forEach((token, index) => {
+    // A cue and the word after it ("then" is tagged as a conjunction) belong to the cue's clause
+    const last = boundaries[boundaries.length - 1];
+    if (last?.kind && index <= last.content) return;
+    const previous = tokens[index - 1];
+    const atClauseStart = index === 0 || CLAUSE_PUNCT.has(previous.text) || isConjunction(lexicon, previous);
+    const cue = cueAt(tokens, index, cues);
+    // German puts the cue after the verb: "Lade zuerst die Daten"
+    const cueAfterVerb = atClauseStart && !cue && isWord(token) && !lexicon.stopwords.has(token.lower) &&
+      token.pos !== 'DET' && cueAt(tokens, index + 1, cues);
+    const afterCue = cue && tokens[index + cue.tokens.length];
+    const beforeVerb = afterCue?.pos === 'VERB' ||
+      (afterCue?.pos === 'PRON' && tokens[index + cue.tokens.length + 1]?.pos === 'VERB');
+    if (cue && (atClauseStart || (MID_SENTENCE_CUES.has(cue.kind) && beforeVerb))) {
+      let content = index + cue.tokens.length;
+      while (tokens[content] && CLAUSE_PUNCT.has(tokens[content].text)) content++;
+      // "after you scrape the site" is the step "scrape the site"
+      if (tokens[content]?.pos === 'PRON' && tokens[content + 1]?.pos === 'VERB') content++;
+      boundaries.push({ index, content, kind: cue.kind });
+    } else if (cueAfterVerb && cueAfterVerb.kind !== 'after') {
+      boundaries.push({ index, content: index, kind: cueAfterVerb.kind });
+    } else if (atClauseStart && index > 0 && isWord(token) && lexicon.actionVerbs.has(token.lower)) {
+      boundaries.push({ index, content: index, kind: null });
+    }
+  });
+  // Without a cue the sentence is a single step
+  if (!boundaries.some(boundary => boundary.kind)) return [];
+  // Words before the first boundary are a step of their own when they give an instruction,
+  // and otherwise qualify the first step ("if needed, fix the bug")
+  if (boundaries[0].index > 0) {
+    if (isInstruction(lexicon, { text: '', tokens })) boundaries.unshift({ index: 0, content: 0, kind: null });
+    else if (!boundaries[0].kind) boundaries[0] = { ...boundaries[0], index: 0, content: 0 };
+  }
+
+  return boundaries.flatMap((boundary, position) => {
+    const next = boundaries[position + 1];
+    let last = next ? next.index - 1 : tokens.length - 1;
+    // Drop the comma or conjunction that separates the clause from the next one
+    while (last >= boundary.content && (tokens[last].type === 'punct' || isConjunction(lexicon, tokens[last]))) last--;
+    if (last < boundary.content) return [];
+    const range = stepRange(analysis.text, tokens[boundary.content].start, tokens[last].end);
+    return range ? [{ ...range, kind: boundary.kind }] : [];
+  });
+}
+
+/**
+ * Clauses of a Japanese sentence that start a step
+ * First, then and finally cues start a clause at the sentence start or after 、; after and
+ * before cues (てから, 前に) end the clause before them, and a before cue at the sentence start
+ * (その前に) starts one.
+ */
+function unspacedClauses(analysis, sentence) {
+  const cues = sequenceCues(analysis.lexicon);
+  const { text, start: offset } = sentence;
+
+  const boundaries = [];
+  for (let index = 0; index < text.length; index++) {
+    const cue = cues.find(({ phrase }) => text.startsWith(phrase, index));
+    if (!cue) continue;
+    if (cue.kind === 'after' || (cue.kind === 'before' && index > 0)) {
+      boundaries.push({ end: index, content: index + cue.phrase.length, kind: cue.kind, ends: true });
+    } else if (index === 0 || UNSPACED_CLAUSE_MARKS.test(text[index - 1])) {
+      boundaries.push({ end: index, content: index + cue.phrase.length, kind: cue.kind });
+    }
+    index += cue.phrase.length - 1;
+  }
+  if (boundaries.length === 0) return [];
+
+  // Each clause runs from the content of one boundary to the next; after and before cues end their clause
+  const clauses = [];
+  let start = 0;
+  let kind = null;
+  boundaries.forEach(boundary => {
+    clauses.push({ start, end: boundary.end, kind: boundary.ends ? boundary.kind : kind });
+    start = boundary.content;
+    kind = boundary.ends ? null : boundary.kind;
+  });
+  clauses.push({ start, end: text.length, kind });
+
+  return clauses.flatMap(clause => {
+    const range = stepRange(analysis.text, offset + clause.start, offset + clause.end);
+    return range ? [{ ...range, kind: clause.kind }] : [];
+  });
+}
+
+/**
+ * Whether a sentence reads as an instruction: it starts with (or, in Japanese, contains) an action verb
+ */
+function isInstruction(lexicon, sentence) {
+  if (/:\s*$/.test(sentence.text)) return false;
+  if (!lexicon.spaced) return containsCue(lexicon, sentence, lexicon.actionVerbs);
+  const first = sentence.tokens.find(token => isWord(token) && token.pos !== 'ADV' && !lexicon.courtesy.has(token.lower));
+  return Boolean(first) && (first.pos === 'VERB' || lexicon.actionVerbs.has(first.lower));
+}
+
+/**
+ * Whether a sentence names an action anywhere ("You should then deploy it"), so it is kept as a
+ * step of a sequenced prompt even when it does not start with the verb
+ */
+function hasActionVerb(lexicon, sentence) {
+  if (/:\s*$/.test(sentence.text)) return false;
+  if (!lexicon.spaced) return containsCue(lexicon, sentence, lexicon.actionVerbs);
+  return sentence.tokens.some(token => isWord(token) && lexicon.actionVerbs.has(token.lower));
+}
+
+/**
+ * Object of the verb a step starts with ("clean the raw data" gives "raw data"), and whether
+ * the verb produces it
+ */
+function verbObject(analysis, step) {
+  const { lexicon, text } = analysis;
+
+  if (!lexicon.spaced) {
+    const stepText = text.slice(step.start, step.end);
+    const match = stepText.match(UNSPACED_OBJECT);
+    if (!match || lexicon.referenceWords.has(match[1])) return null;
+    const rest = stepText.slice(match.index + match[0].length);
+    const start = step.start + match.index;
+    return { start, end: start + match[1].length, output: [...lexicon.outputVerbs].some(verb => rest.startsWith(verb)) };
+  }
+
+  const tokens = analysis.tokens.filter(token => token.start >= step.start && token.end <= step.end);
+  const words = tokens.filter(token => isWord(token) && !lexicon.courtesy.has(token.lower));
+  const verb = words.slice(0, 2).find(token =>
+    token.pos === 'VERB' || lexicon.actionVerbs.has(token.lower) || lexicon.outputVerbs.has(token.lower));
+  if (!verb) return null;
+
+  // Skip articles and cues ("erstelle dann ein Dashboard"); the tagger only knows English
+  // articles, the stopwords cover the others
+  const cueWords = new Set(sequenceCues(lexicon).filter(cue => cue.tokens.length === 1).map(cue => cue.phrase));
+  const skipped = token => token?.pos === 'DET' || lexicon.stopwords.has(token?.lower) || cueWords.has(token?.lower);
+  // The object ends at a preposition or conjunction the tagger may have missed ("einen Bericht als PDF")
+  const ends = token => [lexicon.outputPrepositions, lexicon.inputWords, lexicon.requirementMarkers, lexicon.clauseBreaks]
+    .some(words => words.has(token.lower));
+  let index = tokens.indexOf(verb) + 1;
+  while (isWord(tokens[index]) && skipped(tokens[index])) index++;
+  const object = [];
+  while (object.length < MAX_OBJECT_WORDS && isWord(tokens[index]) && OBJECT_POS.has(tokens[index].pos) &&
+         !skipped(tokens[index]) && !ends(tokens[index])) {
+    object.push(tokens[index++]);
+  }
+  if (object.length === 0 || object.some(token => lexicon.referenceWords.has(token.lower))) return null;
+  return { start: object[0].start, end: object[object.length - 1].end, output: lexicon.outputVerbs.has(verb.lower) };
+}
+
+/**
+ * Whether an artifact at text[start, ...) is an output of its step, from the nearest cue before it
+ * in the step: an output verb or a preposition right before it ("into events.csv") makes an
+ * output, an input word or other action verb ("from events.csv") an input. Null without a cue,
+ * and in Japanese, whose cues follow the artifact.
+ */
+function producedInStep(analysis, step, start) {
+  const { lexicon } = analysis;
+  if (!lexicon.spaced) return null;
+  const before = analysis.tokens.filter(token => token.start >= step.start && token.end <= start);
+
+  let previous = before.length - 1;
+  if (before[previous]?.pos === 'DET') previous--;
+  if (previous >= 0 && lexicon.outputPrepositions.has(before[previous].lower)) return true;
+  for (let index = before.length - 1; index >= 0; index--) {
+    const word = before[index].lower;
+    if (lexicon.outputVerbs.has(word)) return true;
+    if (lexicon.inputWords.has(word) || lexicon.actionVerbs.has(word)) return false;
+  }
+  return null;
+}
+
+/**
+ * Where the entities occur in a step, in text order; entities are listed once per text, so later
+ * mentions ("build a dashboard from events.csv") are found again by their text, the longest
+ * entity winning where two overlap
+ */
+function entitiesInStep(analysis, step, entities) {
+  const stepText = analysis.text.slice(step.start, step.end).toLowerCase();
+  const boundary = char => !analysis.lexicon.spaced || !char || !/[\p{L}\p{N}_]/u.test(char);
+  const mentions = [];
+  entities.filter(entity => entity.type !== 'quantity').forEach(entity => {
+    const needle = entity.text.toLowerCase();
+    for (let index = stepText.indexOf(needle); index >= 0; index = stepText.indexOf(needle, index + 1)) {
+      if (boundary(stepText[index - 1]) && boundary(stepText[index + needle.length])) {
+        mentions.push({ ...entity, start: step.start + index, end: step.start + index + needle.length });
+      }
+    }
+  });
+
+  const accepted = [];
+  mentions
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+    .forEach(mention => {
+      if (!accepted.some(other => mention.start < other.end && other.start < mention.end)) accepted.push(mention);
+    });
+  return accepted.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Inputs and outputs of a step: the entities in it, and the object of its verb, each classified
+ * by the cue before it in the step, or otherwise by its role in the prompt
+ */
+function stepArtifacts(analysis, step, entities) {
+  const inputs = [];
+  const outputs = [];
+  const add = (list, value) => {
+    if (!list.some(item => item.toLowerCase() === value.toLowerCase())) list.push(value);
+  };
+
+  const inside = entitiesInStep(analysis, step, entities);
+  inside.forEach(entity => {
+    const produced = producedInStep(analysis, step, entity.start) ?? !INPUT_ROLES.has(entity.role);
+    add(produced ? outputs : inputs, analysis.text.slice(entity.start, entity.end));
+  });
+
+  const object = verbObject(analysis, step);
+  if (object && !inside.some(entity => entity.start < object.end && object.start < entity.end)) {
+    add(object.output ? outputs : inputs, analysis.text.slice(object.start, object.end));
+  }
+  return { inputs, outputs };
+}
+
+function mentionsPrevious(analysis, step) {
+  const { lexicon } = analysis;
+  const stepText = analysis.text.slice(step.start, step.end);
+  if (!lexicon.spaced) return [...lexicon.referenceWords].some(word => stepText.includes(word));
+  return analysis.tokens.some(token => token.start >= step.start && token.end <= step.end && lexicon.referenceWords.has(token.lower));
+}
+
+/**
+ * Sentences outside code blocks and headings that lie in the ranges steps come from
+ */
+function stepSentences(analysis, ranges) {
+  return analysis.sentences.filter(sentence =>
+    !sentence.code && !isHeading(sentence) && withinRanges(ranges, sentence.start, sentence.end)
+  );
+}
+
+/**
+ * Candidate steps in text order: { start, end, rule, follows }
+ * `follows` is true when the step continues from the one before it (a numbered item, a
+ * "then" clause or a later instruction), false when it starts a plan or stands on its own.
+ * Only list items and sentences inside `ranges` (see stepRanges) are read.
+ */
+function findCandidateSteps(analysis, ranges) {
+  const { lexicon } = analysis;
+  const items = findListItems(analysis).filter(item => withinRanges(ranges, item.start, item.end));
+  const listed = items.length >= MIN_LIST_ITEMS ? items : [];
+  const prose = stepSentences(analysis, ranges).filter(sentence =>
+    !listed.some(item => sentence.start < item.lineEnd && item.lineStart < sentence.end)
+  );
+
+  const clauses = new Map(prose.map(sentence => [
+    sentence,
+    lexicon.spaced ? spacedClauses(analysis, sentence) : unspacedClauses(analysis, sentence)
+  ]));
+  const sequenced = listed.length > 0 || [...clauses.values()].some(found => found.length > 0);
+  if (!sequenced) return [];
+
+  const steps = listed.map((item, index) => {
+    const range = stepRange(analysis.text, item.start, item.end);
+    return range && { ...range, rule: 'steps.list_item', follows: item.ordered && index > 0 && listed[index - 1].ordered };
+  }).filter(Boolean);
+
+  prose.forEach(sentence => {
+    const found = clauses.get(sentence);
+    if (found.length === 0) {
+      const range = (isInstruction(lexicon, sentence) || hasActionVerb(lexicon, sentence)) &&
+        stepRange(analysis.text, sentence.start, sentence.end);
+      if (range) steps.push({ ...range, rule: 'steps.instruction', follows: true });
+      return;
+    }
+
+    const ordered = [];
+    found.forEach((clause, index) => {
+      const step = {
+        start: clause.start,
+        end: clause.end,
+        rule: clause.kind ? `steps.sequence_cue:${clause.kind}` : 'steps.clause',
+        follows: clause.kind !== 'first'
+      };
+      // "build Z after cleaning Y": the step after the cue runs first
+      if (clause.kind === 'after' && index > 0) ordered.splice(ordered.length - 1, 0, step);
+      else ordered.push(step);
+    });
+    // "Before you send it, check the numbers": the step after the cue waits for the next one
+    if (found[0].kind === 'before' && ordered.length > 1) ordered.splice(1, 0, ordered.shift());
+
+    // "Before that, scrape the site" comes before the steps of the sentence or item it follows
+    const earlier = steps.filter(step => (step.order ?? step.start) < sentence.start);
+    if (found.length === 1 && found[0].kind === 'before' && earlier.length > 0) {
+      const latest = Math.max(...earlier.map(step => step.order ?? step.start));
+      const previous = earlier.find(step => (step.order ?? step.start) === latest);
+      steps.splice(steps.indexOf(previous), 0, { ...ordered[0], order: latest });
+      return;
+    }
+    steps.push(...ordered.map(step => ({ ...step, order: sentence.start })));
+  });
+
+  // Keep the reordering within a sentence while putting sentences and list items in text order
+  return steps
+    .map((step, index) => ({ ...step, order: step.order ?? step.start, index }))
+    .sort((a, b) => a.order - b.order || a.index - b.index);
+}
+
+/**
+ * Decompose an analyzed prompt (see analyzeText) into ordered steps
+ *
+ * Steps come from numbered or bulleted lists and from clauses that start with a sequencing
+ * cue; a prompt without either is a single step, its first sentence. Markdown prompts with a
+ * steps section ("## Steps") take their steps from it, and others from their prose, leaving out
+ * the items of sections such as "## Requirements" (see readMarkdown). In a sequenced prompt,
+ * every sentence that names an action is a step. Each step lists the entities in it and the
+ * object of its verb as inputs or outputs by the cues inside the step ("from" or "into"), and
+ * depends on the step before it when it continues the sequence ("then", numbered items) or
+ * refers back to it ("export it"), and on the latest earlier step that produces or uses one of
+ * its inputs.
+ * `entities` are the prompt's findEntities() results, computed when not given.
+ * Returns { value, span } items; each value is a StepSchema object
+ * { id, task, inputs, outputs, depends_on } whose task is the span's text.
+ */
+export function findSteps(analysis, entities = findEntities(analysis)) {
+  const markdown = readMarkdown(analysis);
+  const ranges = stepRanges(markdown);
+  let candidates = findCandidateSteps(analysis, ranges);
+  if (candidates.length === 0) {
+    const sentence = stepSentences(analysis, ranges)[0];
+    // Without the marker of the list item it starts ("- Migrate the users table")
+    const item = sentence && findListItems(analysis).find(entry => entry.lineStart <= sentence.start && sentence.start < entry.start);
+    // Otherwise the title, or the first item of a document made only of sections, as for the task
+    const fallback = markdown.title?.span ?? markdown.sections.flatMap(section => section.entries)[0]?.span;
+    const range = sentence
+      ? stepRange(analysis.text, item ? item.start : sentence.start, sentence.end)
+      : fallback && stepRange(analysis.text, fallback.start, fallback.end);
+    candidates = range ? [{ ...range, rule: 'steps.task', follows: false }] : [];
+  }
+
+  const steps = candidates.map(candidate => ({ ...candidate, ...stepArtifacts(analysis, candidate, entities) }));
+  return steps.map((step, index) => {
+    const depends = new Set();
+    if (index > 0 && (step.follows || mentionsPrevious(analysis, step))) depends.add(index);
+
+    const needs = new Set(step.inputs.map(input => input.toLowerCase()));
+    for (let earlier = index - 1; earlier >= 0; earlier--) {
+      const artifacts = [...steps[earlier].inputs, ...steps[earlier].outputs].map(artifact => artifact.toLowerCase());
+      if (artifacts.some(artifact => needs.has(artifact))) {
+        depends.add(earlier + 1);
+        break;
+      }
+    }
+
+    const span = createSpan(analysis.text, step.start, step.end, step.rule);
+    return {
+      value: {
+        id: index + 1,
+        task: span.text,
+        inputs: step.inputs,
+        outputs: step.outputs,
+        depends_on: [...depends].sort((a, b) => a - b)
+      },
+      span
+    };
+  });
+}
+
+/**
+ * Decompose a prompt into an ordered plan of subtasks
+ * `options.language` forces a lexicon as for convertPromptToJson.
+ * Returns { success: true, steps, spans, language } or { success: false, error }
+ */
+export function decomposePrompt(text, options = {}) {
+  try {
+    const analysis = analyzeText(text, { language: options.language });
+    const steps = findSteps(analysis);
+    if (steps.length === 0) {
+      const code = analysis.sentences.some(sentence => sentence.code);
+      throw new Error(code ? 'Prompt contains no text outside code blocks' : 'Prompt contains no words');
+    }
+
+    return {
+      success: true,
+      steps: steps.map(step => step.value),
+      spans: steps.map((step, index) => ({ field: `steps[${index}].task`, ...step.span })),
+      language: analysis.language
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
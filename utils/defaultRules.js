@@ -0,0 +1,95 @@
+/**
+ * Built-in gap analysis rule pack
+ * Project rule packs extend these rules unless they set `"extends": "none"`
+ */
+
+export const DEFAULT_RULES = [
+  // Missing context: references without a clear antecedent near the start of a sentence
+  {
+    id: 'missing_context.pronoun',
+    category: 'missing_context',
+    severity: 'medium',
+    matcher: { type: 'word', terms: ['it', 'this', 'that', 'they', 'them', 'those'] },
+    scope: 'sentence_start',
+    maxOffset: 10,
+    description: 'Unclear reference to "{term}" in sentence {sentence}',
+    suggestion: 'Specify what "{term}" refers to'
+  },
+  {
+    id: 'missing_context.deictic',
+    category: 'missing_context',
+    severity: 'medium',
+    matcher: { type: 'word', terms: ['here', 'there'] },
+    scope: 'sentence_start',
+    maxOffset: 10,
+    description: 'Unclear reference to "{term}" in sentence {sentence}',
+    suggestion: 'Specify what "{term}" refers to'
+  },
+  {
+    id: 'missing_context.definite_reference',
+    category: 'missing_context',
+    severity: 'medium',
+    matcher: { type: 'token', terms: ['the system', 'the app', 'the website', 'the platform'] },
+    scope: 'sentence_start',
+    maxOffset: 10,
+    description: 'Unclear reference to "{term}" in sentence {sentence}',
+    suggestion: 'Specify which {match} is meant (name, version, location)'
+  },
+
+  // Ambiguous requirements: hedges and subjective or unmeasurable terms
+  {
+    id: 'ambiguous_requirement.hedge',
+    category: 'ambiguous_requirement',
+    severity: 'high',
+    matcher: { type: 'word', terms: ['maybe', 'possibly', 'might', 'could', 'should', 'would'] },
+    description: 'Vague requirement: "{term}"',
+    suggestion: 'Replace "{term}" with specific, measurable criteria'
+  },
+  {
+    id: 'ambiguous_requirement.vague_quality',
+    category: 'ambiguous_requirement',
+    severity: 'high',
+    matcher: { type: 'word', terms: ['better', 'best', 'good', 'nice', 'pretty', 'cool', 'user-friendly'] },
+    description: 'Vague requirement: "{term}"',
+    suggestion: 'Replace "{term}" with specific, measurable criteria'
+  },
+  {
+    id: 'ambiguous_requirement.vague_speed',
+    category: 'ambiguous_requirement',
+    severity: 'high',
+    matcher: { type: 'word', terms: ['soon', 'quickly', 'fast', 'efficient'] },
+    description: 'Vague requirement: "{term}"',
+    suggestion: 'Replace "{term}" with specific, measurable criteria'
+  },
+
+  // Unclear outputs: generic nouns that do not describe a deliverable
+  {
+    id: 'unclear_output.generic_output',
+    category: 'unclear_output',
+    severity: 'medium',
+    matcher: {
+      type: 'word',
+      terms: ['something', 'stuff', 'things', 'data', 'information', 'report', 'summary', 'analysis', 'results']
+    },
+    description: 'Unclear output: "{term}"',
+    suggestion: 'Specify the exact format, structure, and content of the "{term}"'
+  },
+
+  // Missing constraints: unbounded quantifiers and limits without values
+  {
+    id: 'missing_constraints.unbounded_scope',
+    category: 'missing_constraints',
+    severity: 'medium',
+    matcher: { type: 'word', terms: ['any', 'all', 'every', 'always', 'never', 'unlimited', 'infinite'] },
+    description: 'Missing constraint: "{term}"',
+    suggestion: 'Specify limits, boundaries, or specific criteria for "{term}"'
+  },
+  {
+    id: 'missing_constraints.unspecified_limit',
+    category: 'missing_constraints',
+    severity: 'medium',
+    matcher: { type: 'regex', pattern: '\\b(maximum|minimum)\\b(?!\\s+(of\\s+)?\\d)', flags: 'i' },
+    description: 'Missing constraint: "{term}"',
+    suggestion: 'Specify limits, boundaries, or specific criteria for "{term}"'
+  }
+];
@@ -0,0 +1,115 @@
+/**
+ * Line-based diffs between two versions of a text, reported as unified diff hunks
+ */
+
+/**
+ * Diff two texts line by line (longest common subsequence)
+ * Returns operations { type: 'equal' | 'delete' | 'insert', line }
+ */
+export function diffLines(oldText, newText) {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+  const rows = oldLines.length;
+  const cols = newLines.length;
+
+  // lengths[i][j]: LCS length of oldLines[i:] and newLines[j:]
+  const lengths = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && oldLines[i] === newLines[j]) {
+      operations.push({ type: 'equal', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (i < rows && (j >= cols || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      // Deletions come before insertions, as in unified diffs
+      operations.push({ type: 'delete', line: oldLines[i] });
+      i++;
+    } else {
+      operations.push({ type: 'insert', line: newLines[j] });
+      j++;
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Build unified diff hunks between two texts
+ * Hunks carry 1-based line numbers and `lines` prefixed with ' ', '-' or '+'.
+ * `context` is the number of unchanged lines kept around each change.
+ */
+export function createHunks(oldText, newText, options = {}) {
+  const { context = 1 } = options;
+
+  // Number every operation with its position in both texts
+  let oldLine = 1;
+  let newLine = 1;
+  const operations = diffLines(oldText, newText).map(operation => {
+    const entry = { ...operation, oldLine, newLine };
+    if (operation.type !== 'insert') oldLine++;
+    if (operation.type !== 'delete') newLine++;
+    return entry;
+  });
+
+  const changes = operations
+    .map((operation, index) => (operation.type === 'equal' ? -1 : index))
+    .filter(index => index >= 0);
+
+  // Changes separated by at most 2 * context unchanged lines share a hunk
+  const groups = [];
+  changes.forEach(index => {
+    const last = groups[groups.length - 1];
+    if (last && index - last.last - 1 <= 2 * context) {
+      last.last = index;
+    } else {
+      groups.push({ first: index, last: index });
+    }
+  });
+
+  return groups.map(({ first, last }) => {
+    const slice = operations.slice(Math.max(0, first - context), Math.min(operations.length, last + context + 1));
+    const oldLines = slice.filter(operation => operation.type !== 'insert').length;
+    const newLines = slice.filter(operation => operation.type !== 'delete').length;
+    const prefix = { equal: ' ', delete: '-', insert: '+' };
+
+    return {
+      // An empty side starts at the line before it, as in unified diffs
+      old_start: oldLines === 0 ? slice[0].oldLine - 1 : slice[0].oldLine,
+      old_lines: oldLines,
+      new_start: newLines === 0 ? slice[0].newLine - 1 : slice[0].newLine,
+      new_lines: newLines,
+      lines: slice.map(operation => `${prefix[operation.type]}${operation.line}`)
+    };
+  });
+}
+
+/**
+ * Join the removed ('-') or added ('+') lines of hunks into the text of a change
+ */
+export function hunkText(hunks, prefix) {
+  return hunks
+    .flatMap(hunk => hunk.lines)
+    .filter(line => line.startsWith(prefix))
+    .map(line => line.slice(1))
+    .join('\n');
+}
+
+/**
+ * Format a hunk in unified diff notation
+ */
+export function formatHunk(hunk) {
+  return [
+    `@@ -${hunk.old_start},${hunk.old_lines} +${hunk.new_start},${hunk.new_lines} @@`,
+    ...hunk.lines
+  ].join('\n');
+}
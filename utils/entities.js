@@ -0,0 +1,288 @@
+/**
+ * Entity extraction
+ * Recognizes the artifacts and values a prompt names (file paths, URLs, technologies, data
+ * formats, named datasets, APIs and quantities) and classifies each as a required input, an
+ * optional input or a deliverable from the cue words of its clause.
+ */
+
+import { FILE_FORMATS, TECHNOLOGIES, termPattern } from './language.js';
+import { findConstraints, findQuantities } from './constraints.js';
+import { readMarkdown } from './markdownPrompt.js';
+
+// Formats of data files, in addition to the document formats every lexicon knows
+export const DATA_FORMATS = [...FILE_FORMATS, 'tsv', 'txt', 'xlsx', 'parquet', 'docx'];
+
+const TECHNOLOGY_SET = new Set(TECHNOLOGIES);
+const DATA_FORMAT_SET = new Set(DATA_FORMATS);
+const TECHNOLOGY_PATTERN = termPattern(TECHNOLOGIES);
+const DATA_FORMAT_PATTERN = termPattern(DATA_FORMATS);
+const HTTP_METHODS = new Set(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Overlapping matches keep the type listed first: "sales.csv" is a path, not a format
+const TYPE_PRIORITY = ['url', 'api', 'path', 'dataset', 'technology', 'data_format', 'quantity'];
+
+// Parts of speech that can name a dataset or API ("Q3 sales data", "Stripe API")
+const MODIFIER_POS = new Set(['NOUN', 'ADJ', 'NUM']);
+const MAX_MODIFIERS = 3;
+// Shortest name glued to an entity noun ("Kundendaten"); shorter ones are part of another word
+const MIN_COMPOUND_NAME = 3;
+
+// Punctuation that ends the clause whose cues classify an entity
+const CLAUSE_PUNCT = new Set([',', ';', ':', '(', ')', '[', ']', '、', '，', '；', '：', '（', '）']);
+const CLAUSE_MARKS = /[,;:()[\]、，；：（）。！？]/;
+
+// Roles of the entities listed under Markdown sections, by the field the section fills
+const SECTION_ROLES = { required: 'required_input', optional: 'optional_input', outputs: 'deliverable', format: 'deliverable' };
+
+// Runs of letters that can name a Japanese dataset or API (no hiragana, which joins words)
+const UNSPACED_NAME = '[\\p{Script=Katakana}\\p{Script=Han}A-Za-z0-9ー・]+';
+
+function isName(token, lexicon) {
+  return (token.type === 'word' || token.type === 'number') &&
+    !lexicon.stopwords.has(token.lower) && !lexicon.actionVerbs.has(token.lower) &&
+    !lexicon.inputWords.has(token.lower) && !lexicon.outputVerbs.has(token.lower) &&
+    (MODIFIER_POS.has(token.pos) || /^\p{Lu}/u.test(token.text));
+}
+
+function tokenSequences(words) {
+  return words.map(word => word.toLowerCase().split(' ')).sort((a, b) => b.length - a.length);
+}
+
+function matchSequence(tokens, index, sequences) {
+  return sequences.find(words => words.every((word, offset) => tokens[index + offset]?.lower === word));
+}
+
+/**
+ * Dataset or API named around an entity noun at tokens[index, last]
+ * Returns the token range of the name and noun, or null for a bare noun ("the data")
+ */
+function namedNoun(tokens, index, last, lexicon) {
+  let first = index;
+  while (first > 0 && index - first < MAX_MODIFIERS) {
+    const previous = tokens[first - 1];
+    if (previous.text === '-' && previous.end === tokens[first].start && tokens[first - 2]?.end === previous.start) {
+      first -= 1;
+      continue;
+    }
+    if (!isName(previous, lexicon)) break;
+    // Prompts mostly open with a verb the tagger cannot tell from a noun ("Attach error logs"),
+    // so only a first word that looks like a name ("Q3", "GitHub") joins the entity
+    if (first === 1 && !/\d|\p{Lu}.*\p{Lu}/u.test(previous.text)) break;
+    first -= 1;
+  }
+  if (tokens[first].text === '-') first += 1;
+  if (first < index) return { first, last };
+
+  // "datos de ventas"
+  const connector = tokens[last + 1];
+  if (connector && lexicon.entityConnectors.has(connector.lower) && tokens[last + 2] && isName(tokens[last + 2], lexicon)) {
+    return { first, last: last + 2 };
+  }
+  return null;
+}
+
+/**
+ * Entity candidates in the tokens of a spaced-language sentence
+ */
+function spacedCandidates(analysis, tokens) {
+  const { lexicon } = analysis;
+  const nouns = Object.entries(lexicon.entityNouns).map(([type, words]) => ({ type, sequences: tokenSequences(words) }));
+  const found = [];
+  const add = (type, first, last) => found.push({ type, first, last, start: tokens[first].start, end: tokens[last].end });
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'url') add('url', index, index);
+    if (token.type === 'path') add(TECHNOLOGY_SET.has(token.lower) ? 'technology' : 'path', index, index);
+    if (token.type !== 'word') return;
+
+    if (TECHNOLOGY_SET.has(token.lower)) {
+      // Keep a version after the name: "Python 3.11"
+      const version = ['number', 'version'].includes(tokens[index + 1]?.type) ? index + 1 : index;
+      add('technology', index, version);
+    }
+    if (DATA_FORMAT_SET.has(token.lower)) add('data_format', index, index);
+    if (HTTP_METHODS.has(token.text) && tokens[index + 1]?.type === 'path') add('api', index, index + 1);
+
+    nouns.forEach(({ type, sequences }) => {
+      const noun = matchSequence(tokens, index, sequences);
+      if (noun) {
+        const named = namedNoun(tokens, index, index + noun.length - 1, lexicon);
+        // "a Markdown table" names a format, not a dataset
+        const names = named ? tokens.slice(named.first, index) : [];
+        const formatOnly = names.length > 0 && names.every(name => DATA_FORMAT_SET.has(name.lower));
+        if (named && !formatOnly) add(type, named.first, named.last);
+        return;
+      }
+      // "Verkaufsdaten"
+      const compound = lexicon.compoundEntities && sequences.find(words =>
+        words.length === 1 && token.lower.endsWith(words[0]) && token.lower.length - words[0].length >= MIN_COMPOUND_NAME
+      );
+      if (compound) add(type, index, index);
+    });
+  });
+
+  return found;
+}
+
+/**
+ * Role of a spaced-language entity from its clause: optional when the clause says so, a
+ * deliverable after an output verb or preposition, otherwise an input
+ */
+function spacedRole(lexicon, tokens, { first, last }) {
+  let clauseStart = first;
+  while (clauseStart > 0 && !CLAUSE_PUNCT.has(tokens[clauseStart - 1].text)) clauseStart--;
+  let clauseEnd = last + 1;
+  while (clauseEnd < tokens.length && !CLAUSE_PUNCT.has(tokens[clauseEnd].text)) clauseEnd++;
+
+  const optional = tokenSequences(lexicon.optionalWords);
+  const clause = tokens.slice(clauseStart, clauseEnd);
+  if (clause.some((_, index) => matchSequence(clause, index, optional))) return 'optional_input';
+
+  let previous = first - 1;
+  if (tokens[previous]?.pos === 'DET') previous--;
+  if (previous >= clauseStart && lexicon.outputPrepositions.has(tokens[previous].lower)) return 'deliverable';
+
+  for (let index = first - 1; index >= clauseStart; index--) {
+    const word = tokens[index].lower;
+    if (lexicon.outputVerbs.has(word)) return 'deliverable';
+    if (lexicon.inputWords.has(word) || lexicon.actionVerbs.has(word)) return 'required_input';
+  }
+  return 'required_input';
+}
+
+function occurrences(text, pattern) {
+  return [...text.matchAll(pattern)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Entity candidates in a Japanese sentence, matched in its text
+ */
+function unspacedCandidates(analysis, sentence) {
+  const { lexicon } = analysis;
+  const { text, start: offset } = sentence;
+  const lower = text.toLowerCase();
+  const found = [];
+  const add = (type, { start, end }) => found.push({ type, start: offset + start, end: offset + end });
+
+  sentence.tokens.forEach(token => {
+    if (token.type === 'url') add('url', { start: token.start - offset, end: token.end - offset });
+    if (token.type === 'path' && !TECHNOLOGY_SET.has(token.lower)) add('path', { start: token.start - offset, end: token.end - offset });
+  });
+  occurrences(lower, TECHNOLOGY_PATTERN).forEach(range => add('technology', range));
+  occurrences(lower, DATA_FORMAT_PATTERN).forEach(range => add('data_format', range));
+
+  // 「売上データ」, 「StripeのAPI」
+  Object.entries(lexicon.entityNouns).forEach(([type, nouns]) => {
+    const alternatives = [...nouns].sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+    const pattern = new RegExp(`${UNSPACED_NAME}(?:\\s?の)?(?:${alternatives})`, 'giu');
+    occurrences(text, pattern).forEach(range => {
+      if (!nouns.some(noun => text.slice(range.start, range.end).toLowerCase() === noun.toLowerCase())) add(type, range);
+    });
+  });
+
+  return found;
+}
+
+/**
+ * Role of a Japanese entity: the cue after it in its clause decides, as the verb comes last
+ */
+function unspacedRole(lexicon, sentence, { start, end }) {
+  const { text, start: offset } = sentence;
+  let clauseStart = start - offset;
+  while (clauseStart > 0 && !CLAUSE_MARKS.test(text[clauseStart - 1])) clauseStart--;
+  let clauseEnd = end - offset;
+  while (clauseEnd < text.length && !CLAUSE_MARKS.test(text[clauseEnd])) clauseEnd++;
+
+  const clause = text.slice(clauseStart, clauseEnd);
+  if (lexicon.optionalWords.some(word => clause.includes(word))) return 'optional_input';
+
+  const rest = text.slice(end - offset, clauseEnd);
+  const nearest = words => Math.min(...[...words].map(word => rest.indexOf(word)).filter(index => index >= 0));
+  const output = nearest(lexicon.outputVerbs);
+  const input = nearest([...lexicon.inputWords, ...lexicon.actionVerbs].filter(word => !lexicon.outputVerbs.has(word)));
+  return output < input ? 'deliverable' : 'required_input';
+}
+
+/**
+ * Role given by the Markdown section an entity is listed under ("## Inputs", "## Output"), if any
+ * Items of an inputs section marked optional ("Error logs (optional)") hold optional inputs.
+ */
+function sectionRole(markdown, start, end) {
+  const section = markdown.sections.find(entry => start >= entry.start && end <= entry.end);
+  const role = SECTION_ROLES[section?.field];
+  const optional = role === 'required_input' &&
+    section.entries.some(entry => entry.optional && start >= entry.span.start && end <= entry.span.end);
+  return optional ? 'optional_input' : role;
+}
+
+/**
+ * Find the entities of an analyzed prompt (see analyzeText)
+ *
+ * Types: path, url, technology, data_format, dataset (a named dataset such as "the Q3 sales
+ * data"), api ("the Stripe API", "GET /users") and quantity ("1,000 rows").
+ * Roles: required_input, optional_input, deliverable or constraint. Technologies are never
+ * deliverables, and quantities inside a constraint ("under 500 words", "within 2 days") are
+ * constraints, neither inputs nor deliverables. Entities listed under a Markdown inputs or output
+ * section take the role of the section.
+ * `constraints` are the prompt's findConstraints() items, computed when not given.
+ * Returns { type, text, role, start, end, value?, unit? } in text order, once per type and text.
+ */
+export function findEntities(analysis, constraints = findConstraints(analysis)) {
+  const { lexicon } = analysis;
+  const markdown = readMarkdown(analysis);
+  const candidates = [];
+
+  analysis.sentences.filter(sentence => !sentence.code).forEach(sentence => {
+    const found = lexicon.spaced ? spacedCandidates(analysis, sentence.tokens) : unspacedCandidates(analysis, sentence);
+    found.forEach(candidate => candidates.push({ ...candidate, sentence }));
+  });
+  findQuantities(analysis).forEach(({ start, end, value, unit }) => {
+    const sentence = analysis.sentences.find(entry => start >= entry.start && end <= entry.end);
+    const first = sentence.tokens.findIndex(token => token.start >= start);
+    const last = sentence.tokens.findLastIndex(token => token.end <= end);
+    candidates.push({ type: 'quantity', start, end, value, unit, first, last, sentence });
+  });
+
+  // Resolve overlaps by type priority, then prefer the longer match
+  const accepted = [];
+  candidates
+    .sort((a, b) => TYPE_PRIORITY.indexOf(a.type) - TYPE_PRIORITY.indexOf(b.type) || (b.end - b.start) - (a.end - a.start))
+    .forEach(candidate => {
+      if (!accepted.some(entity => candidate.start < entity.end && candidate.end > entity.start)) accepted.push(candidate);
+    });
+
+  const seen = new Set();
+  return accepted
+    .sort((a, b) => a.start - b.start)
+    .map(candidate => {
+      const { type, start, end, value, unit, sentence } = candidate;
+      const within = test => constraints.some(({ value: constraint, span }) =>
+        test(constraint) && start >= span.start && end <= span.end);
+      let role = sectionRole(markdown, start, end) ??
+        (lexicon.spaced ? spacedRole(lexicon, sentence.tokens, candidate) : unspacedRole(lexicon, sentence, candidate));
+      if (type === 'technology' && role === 'deliverable') role = 'required_input';
+      if (type === 'quantity' && within(() => true)) role = 'constraint';
+      // "in JSON" names the format the result is written in
+      if (role !== 'optional_input' && type === 'data_format' && within(constraint => constraint.kind === 'format')) role = 'deliverable';
+
+      return {
+        type,
+        text: analysis.text.slice(start, end),
+        role,
+        start,
+        end,
+        ...(value !== undefined && { value }),
+        ...(unit && { unit })
+      };
+    })
+    .filter(entity => {
+      const key = `${entity.type}:${entity.text.toLowerCase()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
@@ -2,161 +2,83 @@
  * Utility functions for analyzing text prompts and identifying clarity gaps
  */
 
-// Keywords that often indicate missing context
-const CONTEXT_INDICATORS = [
-  'it', 'this', 'that', 'they', 'them', 'those', 'here', 'there',
-  'the system', 'the app', 'the website', 'the platform'
-];
+import { resolveRules, runRules } from './ruleEngine.js';
+import { analyzeText } from './textAnalysis.js';
+import { scoreClarity } from './clarityScore.js';
 
-// Keywords that suggest ambiguous requirements
-const AMBIGUITY_INDICATORS = [
-  'maybe', 'possibly', 'might', 'could', 'should', 'would',
-  'better', 'best', 'good', 'nice', 'pretty', 'cool',
-  'soon', 'quickly', 'fast', 'efficient', 'user-friendly'
-];
-
-// Keywords that indicate unclear outputs
-const OUTPUT_INDICATORS = [
-  'something', 'stuff', 'things', 'data', 'information',
-  'report', 'summary', 'analysis', 'results'
-];
-
-// Keywords that suggest missing constraints
-const CONSTRAINT_INDICATORS = [
-  'any', 'all', 'every', 'always', 'never',
-  'unlimited', 'infinite', 'maximum', 'minimum'
-];
+/**
+ * Run the rules of one gap category over the text
+ * `rules` accepts compiled rules, a rule pack object, or nothing for the project rules
+ */
+function findGapsByCategory(text, category, rules) {
+  return runRules(text, resolveRules(rules).filter(rule => rule.category === category));
+}
 
 /**
  * Analyze text for missing context references
  */
-export function findMissingContext(text) {
-  const gaps = [];
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-  
-  sentences.forEach((sentence, index) => {
-    CONTEXT_INDICATORS.forEach(indicator => {
-      if (sentence.toLowerCase().includes(indicator.toLowerCase())) {
-        // Check if the indicator has a clear antecedent
-        const wordsBefore = sentence.split(indicator)[0].trim();
-        if (wordsBefore.length < 10) { // Likely missing context
-          gaps.push({
-            category: 'missing_context',
-            description: `Unclear reference to "${indicator}" in sentence ${index + 1}`,
-            suggestion: `Specify what "${indicator}" refers to`,
-            severity: 'medium'
-          });
-        }
-      }
-    });
-  });
-  
-  return gaps;
+export function findMissingContext(text, rules) {
+  return findGapsByCategory(text, 'missing_context', rules);
 }
 
 /**
  * Analyze text for ambiguous requirements
  */
-export function findAmbiguousRequirements(text) {
-  const gaps = [];
-  
-  AMBIGUITY_INDICATORS.forEach(indicator => {
-    if (text.toLowerCase().includes(indicator.toLowerCase())) {
-      gaps.push({
-        category: 'ambiguous_requirement',
-        description: `Vague requirement: "${indicator}"`,
-        suggestion: `Replace "${indicator}" with specific, measurable criteria`,
-        severity: 'high'
-      });
-    }
-  });
-  
-  return gaps;
+export function findAmbiguousRequirements(text, rules) {
+  return findGapsByCategory(text, 'ambiguous_requirement', rules);
 }
 
 /**
  * Analyze text for unclear output specifications
  */
-export function findUnclearOutputs(text) {
-  const gaps = [];
-  
-  OUTPUT_INDICATORS.forEach(indicator => {
-    if (text.toLowerCase().includes(indicator.toLowerCase())) {
-      gaps.push({
-        category: 'unclear_output',
-        description: `Unclear output: "${indicator}"`,
-        suggestion: `Specify the exact format, structure, and content of the "${indicator}"`,
-        severity: 'medium'
-      });
-    }
-  });
-  
-  return gaps;
+export function findUnclearOutputs(text, rules) {
+  return findGapsByCategory(text, 'unclear_output', rules);
 }
 
 /**
  * Analyze text for missing constraints
  */
-export function findMissingConstraints(text) {
-  const gaps = [];
-  
-  CONSTRAINT_INDICATORS.forEach(indicator => {
-    if (text.toLowerCase().includes(indicator.toLowerCase())) {
-      gaps.push({
-        category: 'missing_constraints',
-        description: `Missing constraint: "${indicator}"`,
-        suggestion: `Specify limits, boundaries, or specific criteria for "${indicator}"`,
-        severity: 'medium'
-      });
-    }
-  });
-  
-  return gaps;
+export function findMissingConstraints(text, rules) {
+  return findGapsByCategory(text, 'missing_constraints', rules);
 }
 
 /**
  * Calculate overall clarity score based on gap analysis
+ * See clarityScore.js for the scoring model; `options` takes per-call `weights`
  */
-export function calculateClarityScore(text, gaps) {
-  const baseScore = 100;
-  const penaltyPerGap = 15;
-  const penaltyPerHighSeverity = 10;
-  
-  let score = baseScore;
-  score -= gaps.length * penaltyPerGap;
-  
-  const highSeverityGaps = gaps.filter(gap => gap.severity === 'high');
-  score -= highSeverityGaps.length * penaltyPerHighSeverity;
-  
-  // Bonus for longer, more detailed prompts
-  const wordCount = text.split(/\s+/).length;
-  if (wordCount > 20) score += 5;
-  if (wordCount > 50) score += 10;
-  
-  return Math.max(0, Math.min(100, Math.round(score)));
+export function calculateClarityScore(text, gaps, analysis = analyzeText(text), options = {}) {
+  return scoreClarity(analysis, gaps, options).overall;
 }
 
 /**
  * Main function to analyze text and find all clarity gaps
+ *
+ * Options:
+ * - rules: compiled rules or a rule pack object (defaults to the project rule pack,
+ *   .text-to-json/rules.json|yaml, or the built-in rules)
+ * - analysis: an existing analyzeText() result for the text, to avoid analyzing it twice
+ * - weights: clarity score dimension weights (merged over .text-to-json/scoring.json|yaml)
+ * - language: lexicon to analyze the text with (en, es, de, ja); detected by default
+ *
+ * Returns the gaps, the overall clarity score and its per-dimension, per-gap breakdown,
+ * and the detected language with the lexicon used
  */
-export function analyzeTextForGaps(text) {
-  const gaps = [
-    ...findMissingContext(text),
-    ...findAmbiguousRequirements(text),
-    ...findUnclearOutputs(text),
-    ...findMissingConstraints(text)
-  ];
+export function analyzeTextForGaps(text, options = {}) {
+  const analysis = options.analysis ?? analyzeText(text, { language: options.language });
+  const gaps = runRules(analysis, resolveRules(options.rules));
   
   // Remove duplicates based on description
   const uniqueGaps = gaps.filter((gap, index, self) => 
     index === self.findIndex(g => g.description === gap.description)
   );
   
-  const clarityScore = calculateClarityScore(text, uniqueGaps);
+  const score = scoreClarity(analysis, uniqueGaps, { weights: options.weights });
   
   return {
     gaps: uniqueGaps,
-    overall_clarity_score: clarityScore
+    overall_clarity_score: score.overall,
+    score_breakdown: score.breakdown,
+    language: analysis.language
   };
 }
 
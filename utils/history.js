@@ -0,0 +1,61 @@
+/**
+ * Rolling history of recent conversions
+ * Keeps the latest convertPromptToJson results in memory so MCP clients can read them back
+ * as resources instead of re-sending the prompt text
+ */
+
+import { randomUUID } from 'crypto';
+
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Create a conversion history
+ *
+ * Options:
+ * - limit: number of entries kept; the oldest entry is dropped when a new one arrives
+ *
+ * Returns { record, get, list, subscribe }. `subscribe(listener)` calls the listener with
+ * every new entry and returns a function that removes it.
+ */
+export function createHistory(options = {}) {
+  const { limit = DEFAULT_HISTORY_LIMIT } = options;
+  const entries = new Map();
+  const listeners = new Set();
+
+  return {
+    /**
+     * Add a conversion: the prompt text, the schema reference it targeted and the result
+     */
+    record({ text, schema, result }) {
+      const entry = {
+        id: randomUUID(),
+        created_at: new Date().toISOString(),
+        text,
+        ...(schema !== undefined && { schema }),
+        result
+      };
+      entries.set(entry.id, entry);
+      while (entries.size > limit) {
+        entries.delete(entries.keys().next().value);
+      }
+      listeners.forEach(listener => listener(entry));
+      return entry;
+    },
+
+    get(id) {
+      return entries.get(id);
+    },
+
+    /**
+     * Entries from newest to oldest
+     */
+    list() {
+      return [...entries.values()].reverse();
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
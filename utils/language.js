@@ -0,0 +1,683 @@
+/**
+ * Language detection and per-language lexicons
+ * Each lexicon holds the words the extractors, the clarity score and the built-in gap rules look
+ * for: action verbs, purpose and constraint cues, vague terms and unclear references.
+ * English is the default; Spanish, German and Japanese prompts are analyzed with their own lexicon.
+ */
+
+// File and layout formats named the same way in every language
+export const FILE_FORMATS = ['json', 'csv', 'markdown', 'html', 'yaml', 'xml', 'pdf'];
+
+// Programming languages, frameworks and platforms, lowercased
+export const TECHNOLOGIES = [
+  'python', 'javascript', 'typescript', 'java', 'kotlin', 'swift', 'golang', 'rust', 'ruby', 'php', 'scala',
+  'elixir', 'haskell', 'sql', 'bash', 'powershell', 'node', 'node.js', 'nodejs', 'deno', 'react', 'vue',
+  'angular', 'svelte', 'next.js', 'nextjs', 'django', 'flask', 'fastapi', 'rails', 'express', 'laravel',
+  'postgres', 'postgresql', 'mysql', 'sqlite', 'mongodb', 'redis', 'elasticsearch', 'kafka', 'docker',
+  'kubernetes', 'terraform', 'aws', 'gcp', 'azure', 'graphql', 'grpc', 'tailwind', 'pandas', 'numpy',
+  'pytorch', 'tensorflow', 'excel'
+];
+
+const en = {
+  code: 'en',
+  name: 'English',
+  spaced: true,
+  abbreviations: [],
+  courtesy: [],
+  stopwords: [
+    'the', 'and', 'of', 'to', 'for', 'that', 'with', 'on', 'it', 'be', 'is', 'are', 'this', 'by', 'from',
+    'or', 'should', 'please', 'which', 'will', 'can', 'each', 'into', 'our', 'your', 'we', 'you', 'must',
+    'not', 'all', 'have', 'what', 'how', 'about', 'at'
+  ],
+  // Verbs that commonly start or describe a task
+  actionVerbs: [
+    'add', 'analyze', 'analyse', 'assemble', 'assess', 'automate', 'avoid', 'build', 'calculate', 'categorize',
+    'change', 'check', 'classify', 'clean', 'compare', 'compile', 'configure', 'construct', 'convert',
+    'create', 'debug', 'decide', 'define', 'delete', 'deploy', 'describe', 'design', 'detect', 'develop',
+    'document', 'draft', 'edit', 'enable', 'ensure', 'estimate', 'evaluate', 'explain', 'export', 'extract',
+    'find', 'fix', 'forecast', 'format', 'generate', 'help', 'identify', 'implement', 'import', 'improve',
+    'increase', 'install', 'integrate', 'learn', 'list', 'load', 'make', 'measure', 'merge', 'migrate',
+    'monitor', 'optimize', 'organize', 'parse', 'plan', 'predict', 'prepare', 'present', 'prevent', 'produce',
+    'provide', 'reduce', 'refactor', 'remove', 'rename', 'replace', 'research', 'review', 'rewrite', 'run',
+    'save', 'scrape', 'send', 'set', 'share', 'show', 'sort', 'standardize', 'store', 'summarize', 'support',
+    'test', 'track', 'train', 'transform', 'translate', 'understand', 'update', 'upgrade', 'use', 'validate',
+    'visualize', 'write'
+  ],
+  // Intent markers, matched as whole-token sequences; `next` constrains the following word and
+  // `notAfter` lists words after which the marker introduces the task itself ("we need to add")
+  intentMarkers: [
+    { tokens: ['in', 'order', 'to'] },
+    { tokens: ['so', 'that'] },
+    { tokens: ['because'] },
+    { tokens: ['since'] },
+    {
+      tokens: ['to'],
+      next: token => token.pos === 'VERB',
+      notAfter: [
+        'need', 'needs', 'want', 'wants', 'have', 'has', 'had', 'going', 'able', 'like', 'try', 'trying',
+        'plan', 'planning', 'how', 'used', 'ought', 'order'
+      ]
+    },
+    { tokens: ['for'], next: token => token.pos === 'VERB' && token.lower.endsWith('ing') }
+  ],
+  purposeWords: ['because', 'since', 'purpose', 'goal', 'background', 'context', 'audience', 'currently', 'existing'],
+  purposeSequences: [['so', 'that'], ['in', 'order', 'to']],
+  // Constraint operators, matched as whole-token sequences: max, min and exact before a quantity
+  // ("at most 5 items"), only and must at the start of a clause ("only Python 3.11")
+  constraintOperators: {
+    max: [
+      'no more than', 'not more than', 'less than', 'fewer than', 'at most', 'up to', 'limited to', 'not exceed',
+      'under', 'below', 'within', 'maximum', 'max', 'limit'
+    ],
+    min: ['at least', 'no less than', 'no fewer than', 'more than', 'over', 'minimum', 'min'],
+    exact: ['exactly'],
+    only: ['only'],
+    must: ['must', 'should']
+  },
+  // Words allowed between an operator and its quantity ("a maximum of 5")
+  constraintFillers: ['of', 'to'],
+  // Units of constraint quantities, by constraint kind
+  units: {
+    time: [
+      'millisecond', 'milliseconds', 'second', 'seconds', 'minute', 'minutes', 'hour', 'hours', 'day', 'days',
+      'business days', 'week', 'weeks', 'month', 'months', 'year', 'years', 'sprint', 'sprints'
+    ],
+    size: [
+      'word', 'words', 'character', 'characters', 'chars', 'token', 'tokens', 'line', 'lines', 'page', 'pages',
+      'sentence', 'sentences', 'paragraph', 'paragraphs'
+    ],
+    count: [
+      'item', 'items', 'bullet', 'bullets', 'bullet points', 'point', 'points', 'result', 'results', 'row', 'rows',
+      'example', 'examples', 'option', 'options', 'step', 'steps', 'question', 'questions', 'comment', 'comments',
+      'section', 'sections', 'file', 'files', 'slide', 'slides', 'idea', 'ideas', 'tip', 'tips'
+    ],
+    budget: ['dollar', 'dollars', 'euro', 'euros', 'cent', 'cents']
+  },
+  // A deadline word followed by a date word is a time limit ("by Friday", "before the end of the month")
+  deadlineWords: ['by', 'before', 'until', 'deadline', 'due'],
+  dateWords: [
+    'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'today', 'tonight', 'tomorrow',
+    'eod', 'noon', 'midnight', 'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+    'september', 'october', 'november', 'december', 'end', 'next'
+  ],
+  periodWords: ['week', 'weekend', 'month', 'quarter', 'year', 'q1', 'q2', 'q3', 'q4'],
+  // Words before a technology or file format that make it a requirement ("using React", "as CSV")
+  requirementMarkers: ['using', 'use', 'in', 'with', 'as', 'on'],
+  // "for" followed by an audience word ("for beginners")
+  audienceMarkers: ['for'],
+  audienceWords: [
+    'beginners', 'beginner', 'novices', 'newcomers', 'executives', 'leadership', 'leads', 'engineers',
+    'developers', 'managers', 'stakeholders', 'customers', 'clients', 'students', 'children', 'kids', 'experts',
+    'audience', 'readers', 'team'
+  ],
+  // Words that end a constraint clause ("only Python and Go" keeps "only Python")
+  clauseBreaks: ['and', 'or', 'but', 'so', 'because', 'since', 'while', 'when', 'if', 'unless'],
+  // Nouns whose name makes a dataset or API entity ("the Q3 sales data", "the Stripe API")
+  entityNouns: {
+    dataset: [
+      'data', 'dataset', 'datasets', 'database', 'databases', 'table', 'tables', 'spreadsheet', 'spreadsheets',
+      'logs', 'records', 'information', 'details', 'specifications'
+    ],
+    api: ['api', 'apis', 'endpoint', 'endpoints', 'webhook', 'webhooks']
+  },
+  // Words between an entity noun and a name after it ("datos de ventas"); English names come first
+  entityConnectors: [],
+  // Whether names are glued to the noun ("Verkaufsdaten")
+  compoundEntities: false,
+  // The nearest cue before an entity decides its role: an output verb makes it a deliverable
+  // ("write report.md"), an input word or any other action verb an input ("summarize sales.csv")
+  outputVerbs: [
+    'return', 'returns', 'output', 'outputs', 'produce', 'produces', 'generate', 'generates', 'create', 'creates',
+    'write', 'writes', 'save', 'saves', 'export', 'exports', 'draft', 'render', 'emit', 'give', 'deliver', 'build',
+    'make', 'add', 'prepare', 'train', 'trains', 'fit', 'compute', 'calculate', 'plot', 'draw', 'design',
+    'implement', 'develop', 'download', 'fetch', 'collect', 'gather', 'compile'
+  ],
+  inputWords: ['from', 'using', 'use', 'with', 'given', 'based', 'of', 'on', 'about', 'read', 'reads', 'load', 'loads', 'parse', 'parses', 'include', 'attached'],
+  // Words right before an entity that name the result ("convert it to JSON", "save as CSV")
+  outputPrepositions: ['to', 'into', 'as'],
+  // Phrases that make the entities of their clause optional
+  optionalWords: ['optional', 'optionally', 'if available', 'if any', 'if possible', 'if provided', 'when available'],
+  // Cues that order the steps of a task, matched at the start of a clause: `then` and `finally`
+  // follow the previous step, the clause after `after` is a step the rest of the sentence waits for,
+  // and the clause after `before` one that waits for the rest of the sentence. A sentence that is a
+  // single `before` clause ("Before that, scrape the site") comes before the sentence it follows.
+  sequenceCues: {
+    first: ['first', 'firstly', 'first of all', 'to start', 'start by', 'begin by'],
+    then: [
+      'then', 'and then', 'next', 'after that', 'afterwards', 'afterward', 'subsequently', 'second', 'secondly',
+      'third', 'thirdly'
+    ],
+    finally: ['finally', 'lastly', 'in the end'],
+    after: ['after', 'once'],
+    before: ['before', 'before that', 'before this', 'before then', 'prior to that', 'beforehand']
+  },
+  // Words that point back at the result of the previous step ("then export it")
+  referenceWords: ['it', 'them', 'this', 'these', 'those', 'result', 'results', 'output'],
+  // Markdown section headings ("## Requirements") by the PromptSchema field they fill; English
+  // headings are recognized in every language
+  sectionHeadings: {
+    task: ['task', 'request', 'overview', 'summary', 'description'],
+    intent: ['goal', 'goals', 'purpose', 'intent', 'objective', 'objectives', 'motivation', 'why'],
+    required: ['requirements', 'inputs', 'input', 'required inputs', 'prerequisites', 'given'],
+    optional: ['optional inputs', 'optional', 'nice to have'],
+    constraints: ['constraints', 'limits', 'limitations', 'restrictions', 'rules', 'acceptance criteria'],
+    outputs: ['output', 'outputs', 'deliverable', 'deliverables', 'expected output', 'result', 'results'],
+    format: ['output format', 'format'],
+    steps: ['steps', 'instructions', 'plan', 'procedure'],
+    examples: ['examples', 'example', 'samples', 'sample']
+  },
+  // Words that make a sentence count as a stated limit for the clarity score
+  constraintCues: [
+    'within', 'limit', 'maximum', 'minimum', 'max', 'min', 'only', 'must', 'never', 'under', 'least', 'most',
+    'deadline', 'budget', 'exceed', 'without'
+  ],
+  deliverableWords: [
+    'return', 'returns', 'output', 'outputs', 'include', 'includes', 'report', 'summary', 'list', 'dashboard',
+    'document', 'presentation', 'script', 'function', 'api', 'endpoint', 'email', 'chart', 'diagram'
+  ],
+  // Deliverables that name the primary output ("a summary"), first match wins: name → word forms
+  outputTypes: {
+    report: ['report', 'reports'],
+    summary: ['summary', 'summaries'],
+    analysis: ['analysis', 'analyses'],
+    list: ['list', 'lists'],
+    catalog: ['catalog', 'catalogs'],
+    database: ['database', 'databases'],
+    dashboard: ['dashboard', 'dashboards'],
+    interface: ['interface', 'interfaces'],
+    document: ['document', 'documents'],
+    presentation: ['presentation', 'presentations']
+  },
+  formatWords: [...FILE_FORMATS, 'table', 'bullet', 'bullets', 'columns', 'sections', 'fields', 'format', 'schema'],
+  // Sentences clarifyPrompt adds after a term it asked about: what it refers to, or what it means
+  clarifications: { reference: '"{term}" refers to {answer}.', definition: '"{term}" means {answer}.' },
+  // The built-in gap rules are written in English
+  rules: {}
+};
+
+const es = {
+  code: 'es',
+  name: 'Spanish',
+  spaced: true,
+  abbreviations: ['p.ej.', 'ej.', 'pág.', 'núm.', 'aprox.', 'sra.', 'srta.', 'ud.', 'uds.'],
+  courtesy: ['por', 'favor'],
+  stopwords: [
+    'el', 'la', 'los', 'las', 'de', 'del', 'y', 'en', 'que', 'un', 'una', 'para', 'con', 'por', 'se', 'al',
+    'lo', 'su', 'sus', 'como', 'más', 'pero', 'este', 'esta', 'cada', 'debe', 'sobre', 'entre', 'sin'
+  ],
+  actionVerbs: [
+    'crea', 'crear', 'cree', 'genera', 'generar', 'genere', 'escribe', 'escribir', 'escriba', 'redacta',
+    'redactar', 'resume', 'resumir', 'resuma', 'analiza', 'analizar', 'analice', 'traduce', 'traducir',
+    'traduzca', 'compara', 'comparar', 'revisa', 'revisar', 'revise', 'corrige', 'corregir', 'diseña',
+    'diseñar', 'desarrolla', 'desarrollar', 'implementa', 'implementar', 'explica', 'explicar', 'describe',
+    'describir', 'calcula', 'calcular', 'extrae', 'extraer', 'convierte', 'convertir', 'haz', 'hacer',
+    'prepara', 'preparar', 'optimiza', 'optimizar', 'clasifica', 'clasificar', 'identifica', 'identificar',
+    'busca', 'buscar', 'encuentra', 'encontrar', 'elabora', 'elaborar', 'construye', 'construir', 'mejora',
+    'mejorar', 'actualiza', 'actualizar', 'elimina', 'eliminar', 'agrega', 'agregar', 'añade', 'añadir',
+    'evalúa', 'evaluar', 'lista', 'enumera', 'organiza', 'organizar', 'entender', 'comprender', 'decidir',
+    'priorizar'
+  ],
+  intentMarkers: [
+    { tokens: ['para', 'que'] },
+    { tokens: ['con', 'el', 'fin', 'de'] },
+    { tokens: ['ya', 'que'] },
+    { tokens: ['porque'] },
+    { tokens: ['para'], next: token => /(?:ar|er|ir)$/.test(token.lower) }
+  ],
+  purposeWords: ['porque', 'propósito', 'objetivo', 'contexto', 'audiencia', 'actualmente', 'existente'],
+  purposeSequences: [['para', 'que'], ['con', 'el', 'fin', 'de'], ['ya', 'que']],
+  constraintOperators: {
+    max: ['no más de', 'menos de', 'como máximo', 'hasta', 'dentro de', 'máximo', 'límite de'],
+    min: ['al menos', 'como mínimo', 'no menos de', 'más de', 'mínimo'],
+    exact: ['exactamente'],
+    only: ['solo', 'sólo', 'únicamente'],
+    must: ['debe', 'deben', 'tiene que']
+  },
+  constraintFillers: ['de'],
+  units: {
+    time: [
+      'milisegundos', 'segundo', 'segundos', 'minuto', 'minutos', 'hora', 'horas', 'día', 'días', 'días hábiles',
+      'semana', 'semanas', 'mes', 'meses', 'año', 'años'
+    ],
+    size: [
+      'palabra', 'palabras', 'carácter', 'caracteres', 'token', 'tokens', 'línea', 'líneas', 'página', 'páginas',
+      'frase', 'frases', 'oración', 'oraciones', 'párrafo', 'párrafos'
+    ],
+    count: [
+      'elemento', 'elementos', 'punto', 'puntos', 'viñeta', 'viñetas', 'resultado', 'resultados', 'fila', 'filas',
+      'ejemplo', 'ejemplos', 'opción', 'opciones', 'paso', 'pasos', 'pregunta', 'preguntas', 'comentario',
+      'comentarios', 'sección', 'secciones', 'archivo', 'archivos', 'diapositiva', 'diapositivas', 'idea', 'ideas'
+    ],
+    budget: ['dólar', 'dólares', 'euro', 'euros']
+  },
+  deadlineWords: ['antes', 'para', 'hasta', 'plazo'],
+  dateWords: [
+    'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado', 'domingo', 'hoy', 'mañana', 'enero', 'febrero',
+    'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre',
+    'fin', 'final', 'próximo', 'próxima'
+  ],
+  periodWords: ['semana', 'mes', 'trimestre', 'año'],
+  requirementMarkers: ['usando', 'usa', 'use', 'en', 'con', 'como'],
+  audienceMarkers: ['para'],
+  audienceWords: [
+    'principiantes', 'principiante', 'novatos', 'directivos', 'ejecutivos', 'ingenieros', 'desarrolladores',
+    'gerentes', 'clientes', 'estudiantes', 'alumnos', 'niños', 'expertos', 'audiencia', 'público', 'lectores', 'equipo'
+  ],
+  clauseBreaks: ['y', 'o', 'pero', 'porque', 'si', 'cuando', 'aunque', 'mientras'],
+  entityNouns: {
+    dataset: ['datos', 'dataset', 'base de datos', 'hoja de cálculo', 'registros', 'logs', 'información', 'detalles'],
+    api: ['api', 'apis', 'endpoint', 'endpoints', 'webhook', 'webhooks']
+  },
+  entityConnectors: ['de', 'del'],
+  compoundEntities: false,
+  outputVerbs: [
+    'devuelve', 'devolver', 'genera', 'generar', 'crea', 'crear', 'escribe', 'escribir', 'guarda', 'guardar',
+    'exporta', 'exportar', 'produce', 'redacta', 'entrega', 'construye', 'añade', 'agrega', 'prepara',
+    'entrena', 'entrenar', 'calcula', 'calcular', 'descarga', 'descargar'
+  ],
+  inputWords: ['de', 'desde', 'usando', 'usa', 'con', 'dado', 'basado', 'sobre', 'lee', 'carga'],
+  outputPrepositions: ['a', 'en', 'como'],
+  optionalWords: ['opcional', 'opcionalmente', 'si está disponible', 'si hay', 'si es posible'],
+  sequenceCues: {
+    first: ['primero', 'primeramente', 'en primer lugar', 'para empezar'],
+    then: [
+      'luego', 'y luego', 'después', 'y después', 'a continuación', 'entonces', 'seguidamente', 'en segundo lugar'
+    ],
+    finally: ['finalmente', 'por último', 'al final'],
+    after: ['después de', 'tras', 'una vez que'],
+    before: ['antes de', 'antes de eso', 'antes de esto', 'antes']
+  },
+  referenceWords: ['lo', 'los', 'esto', 'resultado', 'resultados'],
+  sectionHeadings: {
+    task: ['tarea', 'solicitud', 'resumen', 'descripción'],
+    intent: ['objetivo', 'objetivos', 'propósito', 'finalidad'],
+    required: ['requisitos', 'entradas', 'entrada', 'datos de entrada'],
+    optional: ['entradas opcionales', 'opcional'],
+    constraints: ['restricciones', 'limitaciones', 'límites', 'reglas', 'criterios de aceptación'],
+    outputs: ['salida', 'salidas', 'entregable', 'entregables', 'resultado', 'resultados'],
+    format: ['formato de salida', 'formato'],
+    steps: ['pasos', 'instrucciones', 'plan', 'procedimiento'],
+    examples: ['ejemplos', 'ejemplo']
+  },
+  constraintCues: [
+    'dentro', 'límite', 'máximo', 'mínimo', 'solo', 'sólo', 'únicamente', 'debe', 'deben', 'nunca', 'sin',
+    'menos', 'plazo', 'presupuesto', 'exceder'
+  ],
+  deliverableWords: [
+    'devuelve', 'devolver', 'incluye', 'incluir', 'informe', 'resumen', 'lista', 'documento', 'presentación',
+    'script', 'función', 'api', 'correo', 'gráfico', 'diagrama'
+  ],
+  outputTypes: {
+    informe: ['informe', 'informes'],
+    resumen: ['resumen', 'resúmenes'],
+    análisis: ['análisis'],
+    lista: ['lista', 'listas'],
+    catálogo: ['catálogo', 'catálogos'],
+    tablero: ['tablero', 'tableros', 'dashboard', 'dashboards'],
+    interfaz: ['interfaz', 'interfaces'],
+    documento: ['documento', 'documentos'],
+    presentación: ['presentación', 'presentaciones']
+  },
+  formatWords: [...FILE_FORMATS, 'tabla', 'viñetas', 'columnas', 'secciones', 'campos', 'formato', 'esquema'],
+  clarifications: { reference: '"{term}" se refiere a {answer}.', definition: '"{term}" significa {answer}.' },
+  rules: {
+    'missing_context.pronoun': ['esto', 'eso', 'ello', 'aquello', 'estos', 'esos'],
+    'missing_context.deictic': ['aquí', 'allí', 'ahí', 'allá'],
+    'missing_context.definite_reference': ['el sistema', 'la aplicación', 'la app', 'el sitio web', 'la plataforma'],
+    'ambiguous_requirement.hedge': ['quizás', 'quizá', 'tal vez', 'posiblemente', 'podría', 'debería', 'a lo mejor'],
+    'ambiguous_requirement.vague_quality': ['mejor', 'bueno', 'buena', 'bonito', 'bonita', 'agradable', 'genial', 'fácil de usar'],
+    'ambiguous_requirement.vague_speed': ['pronto', 'rápido', 'rápidamente', 'eficiente'],
+    'unclear_output.generic_output': ['algo', 'cosas', 'datos', 'información', 'informe', 'resumen', 'análisis', 'resultados'],
+    'missing_constraints.unbounded_scope': ['cualquier', 'cualquiera', 'todo', 'todos', 'todas', 'siempre', 'nunca', 'ilimitado', 'infinito'],
+    'missing_constraints.unspecified_limit': { pattern: '(?<![\\p{L}])(máximo|mínimo)(?![\\p{L}])(?!\\s+(de\\s+)?\\d)' }
+  }
+};
+
+const de = {
+  code: 'de',
+  name: 'German',
+  spaced: true,
+  abbreviations: ['z.b.', 'd.h.', 'u.a.', 'usw.', 'bzw.', 'ca.', 'nr.', 'evtl.', 'ggf.', 'inkl.', 'bspw.', 'vgl.'],
+  courtesy: ['bitte'],
+  stopwords: [
+    'der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'ein', 'eine', 'einen', 'für', 'auf', 'den', 'dem',
+    'zu', 'von', 'im', 'wir', 'auch', 'sich', 'des', 'bitte', 'oder', 'werden', 'nach', 'bei', 'aus', 'soll',
+    'muss', 'sollte', 'über', 'jede'
+  ],
+  actionVerbs: [
+    'erstelle', 'erstellen', 'schreibe', 'schreib', 'schreiben', 'fasse', 'zusammenfassen', 'analysiere',
+    'analysieren', 'übersetze', 'übersetzen', 'vergleiche', 'vergleichen', 'prüfe', 'prüfen', 'überprüfe',
+    'überprüfen', 'korrigiere', 'korrigieren', 'behebe', 'beheben', 'entwirf', 'entwerfen', 'entwickle',
+    'entwickeln', 'implementiere', 'implementieren', 'erkläre', 'erklären', 'beschreibe', 'beschreiben',
+    'berechne', 'berechnen', 'extrahiere', 'extrahieren', 'konvertiere', 'konvertieren', 'wandle', 'generiere',
+    'generieren', 'bereite', 'optimiere', 'optimieren', 'klassifiziere', 'identifiziere', 'finde', 'finden',
+    'suche', 'baue', 'bauen', 'verbessere', 'verbessern', 'aktualisiere', 'aktualisieren', 'lösche', 'löschen',
+    'füge', 'liste', 'bewerte', 'bewerten', 'plane', 'planen', 'verstehen', 'entscheiden', 'priorisieren'
+  ],
+  intentMarkers: [
+    { tokens: ['damit'] },
+    { tokens: ['weil'] },
+    { tokens: ['sodass'] },
+    { tokens: ['um'], next: token => token.type === 'word' }
+  ],
+  purposeWords: ['weil', 'damit', 'sodass', 'zweck', 'ziel', 'hintergrund', 'kontext', 'zielgruppe', 'derzeit', 'aktuell'],
+  purposeSequences: [['so', 'dass']],
+  constraintOperators: {
+    max: ['nicht mehr als', 'weniger als', 'höchstens', 'maximal', 'bis zu', 'innerhalb', 'unter', 'max'],
+    min: ['mindestens', 'nicht weniger als', 'mehr als', 'minimal', 'über', 'min'],
+    exact: ['genau'],
+    only: ['nur', 'ausschließlich'],
+    must: ['muss', 'müssen']
+  },
+  constraintFillers: ['von'],
+  units: {
+    time: [
+      'millisekunden', 'sekunde', 'sekunden', 'minute', 'minuten', 'stunde', 'stunden', 'tag', 'tage', 'tagen',
+      'werktage', 'werktagen', 'woche', 'wochen', 'monat', 'monate', 'monaten', 'jahr', 'jahre', 'jahren'
+    ],
+    size: [
+      'wort', 'wörter', 'wörtern', 'zeichen', 'token', 'tokens', 'zeile', 'zeilen', 'seite', 'seiten', 'satz',
+      'sätze', 'sätzen', 'absatz', 'absätze', 'absätzen'
+    ],
+    count: [
+      'punkt', 'punkte', 'punkten', 'stichpunkte', 'stichpunkten', 'element', 'elemente', 'elementen', 'eintrag',
+      'einträge', 'ergebnis', 'ergebnisse', 'beispiel', 'beispiele', 'beispielen', 'option', 'optionen', 'schritt',
+      'schritte', 'schritten', 'frage', 'fragen', 'kommentar', 'kommentare', 'abschnitt', 'abschnitte', 'datei',
+      'dateien', 'folie', 'folien', 'idee', 'ideen'
+    ],
+    budget: ['euro', 'dollar', 'cent']
+  },
+  deadlineWords: ['bis', 'vor', 'spätestens', 'frist'],
+  dateWords: [
+    'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag', 'sonntag', 'heute', 'morgen', 'januar',
+    'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember',
+    'ende', 'nächste', 'nächsten', 'nächster'
+  ],
+  periodWords: ['woche', 'wochenende', 'monat', 'monats', 'quartal', 'quartals', 'jahr', 'jahres'],
+  requirementMarkers: ['mit', 'in', 'als', 'verwende', 'nutze'],
+  audienceMarkers: ['für'],
+  audienceWords: [
+    'anfänger', 'einsteiger', 'führungskräfte', 'geschäftsführung', 'ingenieure', 'entwickler', 'manager',
+    'kunden', 'studenten', 'studierende', 'schüler', 'kinder', 'experten', 'zielgruppe', 'leser', 'laien', 'team'
+  ],
+  clauseBreaks: ['und', 'oder', 'aber', 'weil', 'damit', 'wenn', 'falls', 'sodass'],
+  entityNouns: {
+    dataset: ['daten', 'datensatz', 'datensätze', 'datenbank', 'logs', 'protokolle', 'informationen', 'details'],
+    api: ['api', 'apis', 'endpunkt', 'endpunkte', 'webhook', 'webhooks']
+  },
+  entityConnectors: [],
+  compoundEntities: true,
+  outputVerbs: [
+    'gib', 'liefere', 'erstelle', 'erstellen', 'schreibe', 'schreiben', 'speichere', 'speichern', 'exportiere',
+    'exportieren', 'generiere', 'generieren', 'erzeuge', 'baue', 'füge', 'trainiere', 'trainieren', 'berechne',
+    'berechnen'
+  ],
+  inputWords: ['aus', 'von', 'mit', 'anhand', 'basierend', 'über', 'lies', 'lade', 'verwende', 'nutze'],
+  outputPrepositions: ['als', 'in', 'nach'],
+  optionalWords: ['optional', 'optionale', 'optionalen', 'falls vorhanden', 'wenn vorhanden', 'gegebenenfalls'],
+  sequenceCues: {
+    first: ['zuerst', 'zunächst', 'erstens', 'als erstes'],
+    then: ['dann', 'und dann', 'danach', 'anschließend', 'als nächstes', 'daraufhin', 'zweitens'],
+    finally: ['schließlich', 'abschließend', 'zuletzt', 'zum schluss'],
+    after: ['nachdem', 'sobald'],
+    before: ['bevor', 'davor', 'vorher', 'zuvor']
+  },
+  referenceWords: ['es', 'sie', 'diese', 'dieses', 'ergebnis', 'ergebnisse'],
+  sectionHeadings: {
+    task: ['aufgabe', 'anfrage', 'überblick', 'zusammenfassung', 'beschreibung'],
+    intent: ['ziel', 'ziele', 'zweck', 'absicht'],
+    required: ['anforderungen', 'eingaben', 'eingabe', 'voraussetzungen'],
+    optional: ['optionale eingaben', 'optional'],
+    constraints: ['einschränkungen', 'randbedingungen', 'grenzen', 'regeln', 'akzeptanzkriterien'],
+    outputs: ['ausgabe', 'ausgaben', 'ergebnis', 'ergebnisse', 'lieferumfang'],
+    format: ['ausgabeformat', 'format'],
+    steps: ['schritte', 'anleitung', 'vorgehen', 'ablauf'],
+    examples: ['beispiele', 'beispiel']
+  },
+  constraintCues: [
+    'innerhalb', 'maximal', 'minimal', 'höchstens', 'mindestens', 'nur', 'muss', 'müssen', 'darf', 'nie',
+    'niemals', 'ohne', 'unter', 'frist', 'budget', 'überschreiten'
+  ],
+  deliverableWords: [
+    'gib', 'liefere', 'zurück', 'enthalten', 'bericht', 'zusammenfassung', 'liste', 'dokument', 'präsentation',
+    'skript', 'funktion', 'api', 'e-mail', 'diagramm'
+  ],
+  outputTypes: {
+    bericht: ['bericht', 'berichte'],
+    zusammenfassung: ['zusammenfassung', 'zusammenfassungen'],
+    analyse: ['analyse', 'analysen'],
+    liste: ['liste', 'listen'],
+    katalog: ['katalog', 'kataloge'],
+    datenbank: ['datenbank', 'datenbanken'],
+    dashboard: ['dashboard', 'dashboards'],
+    oberfläche: ['oberfläche', 'oberflächen'],
+    dokument: ['dokument', 'dokumente'],
+    präsentation: ['präsentation', 'präsentationen']
+  },
+  formatWords: [...FILE_FORMATS, 'tabelle', 'stichpunkte', 'spalten', 'abschnitte', 'felder', 'format', 'schema'],
+  clarifications: { reference: '"{term}" bezieht sich auf {answer}.', definition: '"{term}" bedeutet {answer}.' },
+  rules: {
+    'missing_context.pronoun': ['es', 'dies', 'diese', 'dieses', 'jene', 'jenes'],
+    'missing_context.deictic': ['hier', 'dort'],
+    'missing_context.definite_reference': ['das System', 'die App', 'die Anwendung', 'die Website', 'die Plattform'],
+    'ambiguous_requirement.hedge': ['vielleicht', 'eventuell', 'möglicherweise', 'könnte', 'sollte', 'würde'],
+    'ambiguous_requirement.vague_quality': ['besser', 'beste', 'gut', 'gute', 'schön', 'schöne', 'cool', 'benutzerfreundlich'],
+    'ambiguous_requirement.vague_speed': ['bald', 'schnell', 'zügig', 'effizient'],
+    'unclear_output.generic_output': ['etwas', 'Sachen', 'Dinge', 'Daten', 'Informationen', 'Bericht', 'Zusammenfassung', 'Analyse', 'Ergebnisse'],
+    'missing_constraints.unbounded_scope': ['jede', 'jeder', 'jedes', 'alle', 'alles', 'immer', 'nie', 'niemals', 'unbegrenzt', 'unendlich'],
+    'missing_constraints.unspecified_limit': { pattern: '(?<![\\p{L}])(maximal|minimal|höchstens|mindestens)(?![\\p{L}])(?!\\s+\\d)' }
+  }
+};
+
+// Japanese is written without spaces: cues are matched as substrings of the text
+const ja = {
+  code: 'ja',
+  name: 'Japanese',
+  spaced: false,
+  abbreviations: [],
+  courtesy: [],
+  stopwords: [],
+  actionVerbs: [
+    '作成', '書い', '書く', '要約', '分析', '翻訳', '比較', '確認', '修正', '設計', '開発', '実装', '説明',
+    '計算', '抽出', '変換', '生成', '準備', '最適化', '分類', '特定', '探し', '改善', '更新', '削除', '追加',
+    '評価', '整理', '一覧', 'レビュー', 'まとめ'
+  ],
+  // The purpose comes before the marker: 「…を把握するために、…」
+  intentMarkers: [{ text: 'ために' }, { text: 'ように' }, { text: 'ので' }, { text: 'ため' }],
+  purposeWords: ['ため', 'ので', '目的', '背景', '対象', '現在'],
+  purposeSequences: [],
+  // Operators sit right before or after a quantity (「最大10件」, 「500文字以内」); only and must
+  // apply to the clause they appear in
+  constraintOperators: {
+    max: ['以内', '以下', '未満', 'まで', '最大', '上限'],
+    min: ['以上', '最低', '最小', '超'],
+    exact: ['ちょうど'],
+    only: ['のみ', 'だけ'],
+    must: ['必ず', '必須']
+  },
+  constraintFillers: ['で'],
+  units: {
+    time: ['ミリ秒', '秒', '分間', '分', '時間', '日間', '日', '週間', 'か月', 'ヶ月', 'カ月', '年間'],
+    size: ['文字', '字', '単語', '語', 'ページ', '行', '文', '段落', 'トークン'],
+    count: ['件', '個', 'つ', '点', '項目', '案', '例', '枚', '問', 'ステップ'],
+    budget: ['万円', '円', 'ドル', 'ユーロ']
+  },
+  // A date word followed by a deadline word is a time limit (「金曜日までに」)
+  deadlineWords: ['まで', '締め切り', '期限'],
+  dateWords: ['月曜', '火曜', '水曜', '木曜', '金曜', '土曜', '日曜', '今日', '明日', '明後日', '今週', '来週', '今月', '来月', '月末', '週末', '年末'],
+  periodWords: [],
+  // Words after a technology or file format that make it a requirement (「Pythonで」, 「JSONで出力」)
+  requirementMarkers: ['で', 'を使', 'を使用', 'を用い'],
+  // Words after an audience word (「初心者向け」)
+  audienceMarkers: ['向け', 'にも分かる', 'に向けた'],
+  audienceWords: ['初心者', '経営層', '経営陣', '役員', 'エンジニア', '開発者', '顧客', '学生', '子供', '子ども', '専門家', '読者', 'チーム'],
+  clauseBreaks: [],
+  // Names are glued to the noun (「売上データ」); the cue after an entity decides its role
+  entityNouns: {
+    dataset: ['データセット', 'データベース', 'データ', 'スプレッドシート', 'ログ', '記録'],
+    api: ['API', 'エンドポイント', 'Webhook']
+  },
+  entityConnectors: [],
+  compoundEntities: true,
+  outputVerbs: ['出力', '作成', '生成', '返し', '保存', '書き出', 'エクスポート', 'に変換', 'として'],
+  inputWords: ['から', 'を使', 'を用い', 'を元に', 'をもとに', 'を参照', 'を分析', 'を読', 'について', 'を要約', 'を確認'],
+  outputPrepositions: [],
+  optionalWords: ['任意', 'オプション', '可能であれば', 'あれば'],
+  // First, then and finally cues start a step; after cues end the step the next one waits for
+  // (「データを集めてから、分析する」)
+  sequenceCues: {
+    first: ['まず', '最初に', 'はじめに'],
+    then: ['次に', 'その後', 'それから', '続いて', 'そして'],
+    finally: ['最後に', '最終的に'],
+    after: ['てから', 'でから', 'た後で', 'た後に', 'だ後で', 'だ後に'],
+    before: ['その前に', '前に']
+  },
+  referenceWords: ['それ', 'これ', 'その結果', '結果'],
+  sectionHeadings: {
+    task: ['タスク', '依頼', '概要', '説明'],
+    intent: ['目的', 'ゴール', '狙い'],
+    required: ['要件', '入力', '前提条件'],
+    optional: ['任意の入力', '任意'],
+    constraints: ['制約', '制約条件', '制限', 'ルール', '受け入れ基準'],
+    outputs: ['出力', '成果物', '結果'],
+    format: ['出力形式', '形式', 'フォーマット'],
+    steps: ['手順', 'ステップ', '進め方'],
+    examples: ['例', '出力例', '入力例', 'サンプル']
+  },
+  constraintCues: ['以内', '以上', 'まで', '最大', '最小', 'のみ', 'だけ', '必ず', '未満', '超えない', '締め切り', '期限', '予算'],
+  deliverableWords: ['返し', '出力', '含め', 'レポート', '報告書', '要約', '一覧', 'リスト', '文書', '資料', 'スクリプト', '関数', 'API', 'メール', 'グラフ', '図'],
+  // Found anywhere in the text; 分析 is left out as it is mostly the verb (を分析して)
+  outputTypes: {
+    レポート: ['レポート', '報告書'],
+    要約: ['要約', 'まとめ'],
+    一覧: ['一覧', 'リスト'],
+    カタログ: ['カタログ'],
+    データベース: ['データベース'],
+    ダッシュボード: ['ダッシュボード'],
+    インターフェース: ['インターフェース'],
+    文書: ['文書', 'ドキュメント'],
+    プレゼンテーション: ['プレゼンテーション', 'プレゼン']
+  },
+  formatWords: [...FILE_FORMATS, '表', '箇条書き', '列', '見出し', '形式', 'フォーマット'],
+  clarifications: { reference: '「{term}」は{answer}を指します。', definition: '「{term}」は{answer}という意味です。' },
+  rules: {
+    'missing_context.pronoun': ['それ', 'これ', 'あれ'],
+    'missing_context.deictic': ['ここ', 'そこ', 'あそこ'],
+    // No articles mark a definite reference
+    'missing_context.definite_reference': [],
+    'ambiguous_requirement.hedge': ['たぶん', '多分', 'かもしれ', 'できれば', 'なるべく', 'おそらく'],
+    'ambiguous_requirement.vague_quality': ['良い', 'いい感じ', 'きれい', '素敵', '使いやすい'],
+    'ambiguous_requirement.vague_speed': ['すぐ', '早く', '速く', '素早く', '効率的'],
+    'unclear_output.generic_output': ['何か', 'データ', '情報', 'レポート', '要約', '分析', '結果'],
+    'missing_constraints.unbounded_scope': ['すべて', '全て', '全部', 'いつも', '常に', '決して', '無制限', '無限'],
+    'missing_constraints.unspecified_limit': { pattern: '(最大|最小|上限|下限)(?!\\s*\\d)' }
+  }
+};
+
+// Word lists become sets for lookups; Japanese cues stay lists for substring search
+function compileLexicon(lexicon) {
+  const set = values => new Set(values);
+  return Object.freeze({
+    ...lexicon,
+    courtesy: set(lexicon.courtesy),
+    stopwords: set(lexicon.stopwords),
+    actionVerbs: set(lexicon.actionVerbs),
+    intentMarkers: lexicon.intentMarkers.map(marker => ({ ...marker, notAfter: set(marker.notAfter ?? []) })),
+    purposeWords: set(lexicon.purposeWords),
+    constraintCues: set(lexicon.constraintCues),
+    constraintFillers: set(lexicon.constraintFillers),
+    deadlineWords: set(lexicon.deadlineWords),
+    dateWords: set(lexicon.dateWords),
+    periodWords: set(lexicon.periodWords),
+    requirementMarkers: set(lexicon.requirementMarkers),
+    audienceMarkers: set(lexicon.audienceMarkers),
+    audienceWords: set(lexicon.audienceWords),
+    clauseBreaks: set(lexicon.clauseBreaks),
+    entityConnectors: set(lexicon.entityConnectors),
+    outputVerbs: set(lexicon.outputVerbs),
+    inputWords: set(lexicon.inputWords),
+    outputPrepositions: set(lexicon.outputPrepositions),
+    referenceWords: set(lexicon.referenceWords),
+    deliverableWords: set(lexicon.deliverableWords),
+    formatWords: set(lexicon.formatWords)
+  });
+}
+
+export const LEXICONS = Object.fromEntries([en, es, de, ja].map(lexicon => [lexicon.code, compileLexicon(lexicon)]));
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const JAPANESE_CHAR = /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}ー]/gu;
+const KANA_CHAR = /[\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const LETTER = /\p{L}/gu;
+
+// Letters that only occur in one of the spaced languages
+const MARKER_CHARS = { es: /[ñ¿¡]/g, de: /[ßäöü]/g };
+
+/**
+ * Lexicon of a language code, falling back to English
+ */
+export function getLexicon(code) {
+  return LEXICONS[code] ?? LEXICONS[DEFAULT_LANGUAGE];
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Detect the language of a prompt
+ *
+ * Japanese is recognized by its script (kana, or kanji making up a large share of the letters);
+ * English, Spanish and German by their function words, action verbs and letters such as ñ or ß.
+ * Returns { detected, confidence } with confidence from 0 to 1; text without evidence is English
+ * with confidence 0.
+ */
+export function detectLanguage(text) {
+  const letters = (text.match(LETTER) ?? []).length;
+  const japanese = (text.match(JAPANESE_CHAR) ?? []).length;
+  if (letters > 0 && (KANA_CHAR.test(text) || japanese / letters > 0.5) && japanese / letters > 0.2) {
+    return { detected: 'ja', confidence: round(Math.min(1, japanese / letters + 0.3)) };
+  }
+
+  const words = text.toLowerCase().match(/\p{L}+/gu) ?? [];
+  const scores = ['en', 'es', 'de'].map(code => ({
+    code,
+    score: words.filter(word => LEXICONS[code].stopwords.has(word) || LEXICONS[code].actionVerbs.has(word)).length +
+      (MARKER_CHARS[code] ? (text.toLowerCase().match(MARKER_CHARS[code]) ?? []).length : 0)
+  }));
+  const total = scores.reduce((sum, { score }) => sum + score, 0);
+  if (total === 0) return { detected: DEFAULT_LANGUAGE, confidence: 0 };
+
+  const best = scores.reduce((top, entry) => (entry.score > top.score ? entry : top));
+  return { detected: best.code, confidence: round(best.score / total) };
+}
+
+/**
+ * Detect the language of a prompt and pick its lexicon
+ * `language` forces a lexicon; the detected language is still reported.
+ * Returns { info: { detected, confidence, lexicon }, lexicon }
+ */
+export function resolveLanguage(text, language) {
+  const { detected, confidence } = detectLanguage(text);
+  const lexicon = getLexicon(language ?? detected);
+  return { info: { detected, confidence, lexicon: lexicon.code }, lexicon };
+}
+
+/**
+ * Whether a sentence contains one of a set of cue words
+ * Spaced languages match whole word tokens, Japanese matches substrings
+ */
+export function containsCue(lexicon, sentence, cues) {
+  if (!lexicon.spaced) return [...cues].some(cue => sentence.text.includes(cue));
+  return sentence.tokens.some(token => cues.has(token.lower));
+}
+
+/**
+ * Global regex matching any of a list of lowercase ASCII terms, longest first, in lowercased text
+ * Terms must not touch other letters or digits, so "java" does not match inside "javascript"
+ */
+export function termPattern(terms) {
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![a-z0-9])(?:${alternatives.join('|')})(?![a-z0-9])`, 'g');
+}
@@ -0,0 +1,291 @@
+/**
+ * LLM-backed extraction through MCP sampling (sampling/createMessage)
+ * The connected client's model fills the output schema; results are validated with Zod
+ * and the heuristic pipeline is used whenever sampling is unavailable or keeps failing
+ */
+
+import { z } from 'zod';
+import { toJsonSchema, validateInput } from '../src/schema.js';
+import { resolveSchema, DEFAULT_SCHEMA_NAME } from './schemaRegistry.js';
+import { analyzeTextForGaps } from './gapAnalysis.js';
+import { resolveLanguage } from './language.js';
+import { convertPromptToJson, refinePrompt } from './promptProcessor.js';
+import { createSpan } from './spans.js';
+import { createHunks, hunkText } from './diff.js';
+import { SECTIONS } from './promptRewriter.js';
+
+export const DEFAULT_MAX_ATTEMPTS = 3;
+export const DEFAULT_MAX_TOKENS = 2048;
+
+// Shape the model must return when refining a prompt
+const RefinementSchema = z.object({
+  refined_prompt: z.string().min(1),
+  improvements: z.array(z.object({
+    type: z.enum(['clarity', 'specificity', 'structure', 'completeness']),
+    description: z.string(),
+    excerpt: z.string().optional().describe('Passage of the refined prompt, copied exactly, that this change wrote')
+  })).default([])
+});
+
+const EXTRACTION_INSTRUCTIONS = [
+  'You convert natural language prompts into structured JSON.',
+  'Use only information stated or clearly implied by the prompt; use empty arrays when nothing applies.',
+  'Reply with a single JSON object that matches the JSON Schema below, without any other text.'
+].join(' ');
+
+const REFINEMENT_INSTRUCTIONS = [
+  'You rewrite prompts so they are clear, specific and complete.',
+  'Keep the original meaning and every concrete detail; address the listed clarity gaps,',
+  'using bracketed placeholders such as [target audience] for information only the author can supply.',
+  `Organize the rewrite under the Markdown headings ${SECTIONS.map(section => `"## ${section}"`).join(', ')}.`,
+  'List each change as an improvement, with an excerpt of the text it wrote.',
+  'Reply with a single JSON object that matches the JSON Schema below, without any other text.'
+].join(' ');
+
+/**
+ * Wrap an SDK server as a sampler
+ * Samplers expose `createMessage(params)`; `available` reflects the client's sampling capability
+ */
+export function createSampler(server) {
+  return {
+    get available() {
+      return Boolean(server.getClientCapabilities()?.sampling);
+    },
+    createMessage: (params) => server.createMessage(params)
+  };
+}
+
+/**
+ * Check whether a sampler can be used (plain mock objects count as available)
+ */
+export function isSamplerAvailable(sampler) {
+  return Boolean(sampler) && typeof sampler.createMessage === 'function' && sampler.available !== false;
+}
+
+/**
+ * Get the text of a sampling result (single content block or a list of blocks)
+ */
+function resultText(result) {
+  const content = Array.isArray(result?.content) ? result.content : [result?.content];
+  return content
+    .filter(block => block?.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+/**
+ * Parse a JSON object from model output, tolerating code fences and surrounding prose
+ */
+export function parseJsonReply(reply) {
+  const fenced = reply.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const source = fenced ? fenced[1] : reply;
+  const start = source.indexOf('{');
+  const end = source.lastIndexOf('}');
+  if (start < 0 || end < start) {
+    throw new Error('Reply does not contain a JSON object');
+  }
+  return JSON.parse(source.slice(start, end + 1));
+}
+
+/**
+ * Ask the client's model for JSON matching a Zod schema
+ * Invalid replies are sent back with the validation errors and retried up to `maxAttempts` times;
+ * a failed sampling request (e.g. a client without sampling support) is not retried.
+ * Resolves to { data, attempts }; throws with `attempts` set when sampling failed.
+ */
+export async function requestStructuredOutput(sampler, { instructions, prompt, schema, maxAttempts = DEFAULT_MAX_ATTEMPTS, maxTokens = DEFAULT_MAX_TOKENS }) {
+  const systemPrompt = `${instructions}\n\n${JSON.stringify(toJsonSchema(schema), null, 2)}`;
+  const messages = [{ role: 'user', content: { type: 'text', text: prompt } }];
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let result;
+    try {
+      result = await sampler.createMessage({
+        messages,
+        systemPrompt,
+        includeContext: 'none',
+        temperature: 0,
+        maxTokens
+      });
+    } catch (cause) {
+      const error = new Error(`Sampling request failed: ${cause.message}`);
+      error.attempts = attempt;
+      throw error;
+    }
+
+    const reply = resultText(result);
+    try {
+      const validation = validateInput(schema, parseJsonReply(reply));
+      if (validation.success) {
+        return { data: validation.data, attempts: attempt };
+      }
+      lastError = new Error(`Reply does not match the schema: ${validation.error}`);
+    } catch (error) {
+      lastError = error;
+    }
+
+    // Show the model its previous reply and what was wrong with it
+    if (reply) {
+      messages.push({ role: 'assistant', content: { type: 'text', text: reply } });
+      messages.push({
+        role: 'user',
+        content: { type: 'text', text: `${lastError.message}. Reply again with only the corrected JSON object.` }
+      });
+    }
+  }
+
+  const error = new Error(`Sampling failed after ${maxAttempts} attempt(s): ${lastError.message}`);
+  error.attempts = maxAttempts;
+  throw error;
+}
+
+function quotePrompt(text) {
+  return `Prompt:\n"""\n${text}\n"""`;
+}
+
+/**
+ * Locate extracted PromptSchema values that appear verbatim in the text
+ */
+function locateSpans(text, data) {
+  const spans = [];
+  const lower = text.toLowerCase();
+  const add = (field, value) => {
+    if (typeof value !== 'string' || value.trim().length === 0) return;
+    const start = lower.indexOf(value.toLowerCase());
+    if (start >= 0) {
+      spans.push({ field, ...createSpan(text, start, start + value.length, 'sampling') });
+    }
+  };
+
+  add('task', data.task);
+  add('intent', data.intent);
+  ['required', 'optional'].forEach(key => {
+    data.inputs[key].forEach((value, index) => add(`inputs.${key}[${index}]`, value));
+  });
+  data.inputs.constraints.forEach((constraint, index) => add(`inputs.constraints[${index}]`, constraint.text));
+  add('outputs.primary', data.outputs.primary);
+  add('outputs.format', data.outputs.format);
+
+  return spans;
+}
+
+/**
+ * Convert a prompt with the client's model, falling back to the heuristic extraction
+ *
+ * Options:
+ * - schema: output schema name or inline JSON Schema (see convertPromptToJson)
+ * - language: lexicon for the heuristics (see convertPromptToJson)
+ * - sampler: object with `createMessage(params)`, e.g. createSampler(server) or a mock
+ * - maxAttempts, maxTokens: sampling limits
+ *
+ * The response's `extraction` field says which pipeline produced the data; `sampling_error`
+ * explains why sampling was abandoned.
+ */
+export async function convertPromptWithSampling(text, options = {}) {
+  const { schema, language, sampler, ...limits } = options;
+  if (!isSamplerAvailable(sampler)) {
+    return { ...convertPromptToJson(text, { schema, language }), extraction: 'heuristic' };
+  }
+
+  const startTime = Date.now();
+  try {
+    const target = resolveSchema(schema);
+    const { data } = await requestStructuredOutput(sampler, {
+      instructions: EXTRACTION_INSTRUCTIONS,
+      prompt: quotePrompt(text),
+      schema: target.schema,
+      ...limits
+    });
+
+    if (target.name === DEFAULT_SCHEMA_NAME) {
+      return {
+        success: true,
+        data,
+        spans: locateSpans(text, data),
+        language: resolveLanguage(text, language).info,
+        extraction: 'sampling',
+        processing_time_ms: Date.now() - startTime
+      };
+    }
+
+    return {
+      success: true,
+      schema: target.name,
+      data,
+      language: resolveLanguage(text, language).info,
+      extraction: 'sampling',
+      processing_time_ms: Date.now() - startTime
+    };
+
+  } catch (error) {
+    return {
+      ...convertPromptToJson(text, { schema, language }),
+      extraction: 'heuristic',
+      sampling_error: error.message
+    };
+  }
+}
+
+/**
+ * Attach the diff hunks of a sampled rewrite to the improvements the model listed
+ * An improvement gets the hunks that add its excerpt; hunks that no improvement
+ * accounts for are reported as one more change
+ */
+function sampledImprovements(text, refined, improvements) {
+  const hunks = createHunks(text, refined);
+  const withHunks = (type, description, own) => ({
+    type,
+    description,
+    before: hunkText(own, '-'),
+    after: hunkText(own, '+'),
+    hunks: own
+  });
+
+  const claimed = new Set();
+  const listed = improvements.map(({ type, description, excerpt }) => {
+    const own = excerpt?.trim() ? hunks.filter(hunk => hunkText([hunk], '+').includes(excerpt.trim())) : [];
+    own.forEach(hunk => claimed.add(hunk));
+    return withHunks(type, description, own);
+  });
+
+  const rest = hunks.filter(hunk => !claimed.has(hunk));
+  return rest.length > 0 ? [...listed, withHunks('structure', 'Reworded and reorganized the prompt', rest)] : listed;
+}
+
+/**
+ * Refine a prompt with the client's model, falling back to the heuristic rewrite
+ * Takes the same options as convertPromptWithSampling (without `schema`)
+ */
+export async function refinePromptWithSampling(text, options = {}) {
+  const { language, sampler, ...limits } = options;
+  if (!isSamplerAvailable(sampler)) {
+    return { ...refinePrompt(text, { language }), extraction: 'heuristic' };
+  }
+
+  try {
+    const { gaps, language: languageInfo } = analyzeTextForGaps(text, { language });
+    const gapList = gaps.length > 0
+      ? gaps.map(gap => `- ${gap.description}: ${gap.suggestion}`).join('\n')
+      : '- none detected';
+
+    const { data } = await requestStructuredOutput(sampler, {
+      instructions: REFINEMENT_INSTRUCTIONS,
+      prompt: `${quotePrompt(text)}\n\nClarity gaps:\n${gapList}`,
+      schema: RefinementSchema,
+      ...limits
+    });
+
+    return {
+      success: true,
+      original_prompt: text,
+      refined_prompt: data.refined_prompt,
+      improvements: sampledImprovements(text, data.refined_prompt, data.improvements),
+      language: languageInfo,
+      extraction: 'sampling'
+    };
+
+  } catch (error) {
+    return { ...refinePrompt(text, { language }), extraction: 'heuristic', sampling_error: error.message };
+  }
+}
@@ -0,0 +1,252 @@
+/**
+ * Markdown prompt structure
+ * Reads prompts written as Markdown documents: sections under known headings ("## Requirements",
+ * "## Output") fill PromptSchema fields with their list items and paragraphs, and fenced code
+ * blocks are kept intact as examples instead of being read as sentences.
+ */
+
+import { LEXICONS } from './language.js';
+import { createSpan } from './spans.js';
+
+// "## Requirements", "### Output format ###"
+const HEADING = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+// "- Q3 sales data", "2) Clean the data", "・売上データ"
+const LIST_ITEM = /^([ \t]*(?:\d+[.)]|[-*•+・])[ \t]+)\S/;
+// Opening fence with its info string: "```python", "~~~"
+const FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*([^\s`]*)/;
+// Sentence punctuation at the end of an item or paragraph
+const TRAILING_PUNCT = /[.!?。！？]+$/;
+// A parenthesized remark at the end of an item: "Error logs (optional)"
+const TRAILING_REMARK = /[ \t]*[(（]([^()（）]+)[)）]$/;
+
+// Fields whose sections hold the prompt's own prose, read like text without headings
+const PROSE_FIELDS = new Set([null, 'task']);
+
+const headingFields = new WeakMap();
+const documents = new WeakMap();
+
+/**
+ * Heading text → field for a lexicon; English headings are known in every language
+ */
+function sectionFields(lexicon) {
+  if (!headingFields.has(lexicon)) {
+    const fields = new Map();
+    [lexicon, LEXICONS.en].forEach(({ sectionHeadings }) => {
+      Object.entries(sectionHeadings).forEach(([field, headings]) => headings.forEach(heading => {
+        if (!fields.has(heading)) fields.set(heading, field);
+      }));
+    });
+    headingFields.set(lexicon, fields);
+  }
+  return headingFields.get(lexicon);
+}
+
+/**
+ * Normalize a heading for lookup: "**1. Output format (JSON):**" gives "output format"
+ */
+function headingKey(heading) {
+  return heading
+    .replace(/[*_`]/g, '')
+    .replace(/^\d+[.)]\s*/, '')
+    .replace(TRAILING_REMARK, '')
+    .replace(/[:：]\s*$/, '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+}
+
+function splitLines(text) {
+  let start = 0;
+  return text.split('\n').map(line => {
+    const content = line.replace(/\r$/, '');
+    const entry = { text: content, start, end: start + content.length };
+    start += line.length + 1;
+    return entry;
+  });
+}
+
+function isOptionalRemark(lexicon, remark) {
+  const words = remark.trim().toLowerCase();
+  return lexicon.optionalWords.includes(words) || LEXICONS.en.optionalWords.includes(words);
+}
+
+/**
+ * An item or paragraph of a section, without trailing punctuation, or null when it is empty
+ * Items ending in an optional remark ("Error logs (optional)") are marked `optional`.
+ */
+function createEntry(text, lexicon, { start, end }, rule) {
+  end = start + text.slice(start, end).trimEnd().length;
+  end -= text.slice(start, end).match(TRAILING_PUNCT)?.[0].length ?? 0;
+  const remark = text.slice(start, end).match(TRAILING_REMARK);
+  const optional = Boolean(remark) && isOptionalRemark(lexicon, remark[1]);
+  if (optional) end -= remark[0].length;
+  if (end <= start) return null;
+
+  const span = createSpan(text, start, end, rule);
+  return { value: span.text.replace(/\s+/g, ' '), span, ...(optional && { optional }) };
+}
+
+/**
+ * A fenced code block as an example; the content is the code between the fences, unchanged
+ */
+function createExample(text, fence, end) {
+  return {
+    value: { content: fence.lines.join('\n'), ...(fence.language && { language: fence.language }) },
+    span: createSpan(text, fence.start, end, 'markdown.code_block')
+  };
+}
+
+function closesFence(line, fence) {
+  const closing = line.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+  return Boolean(closing) && closing[1][0] === fence.marker[0] && closing[1].length >= fence.marker.length;
+}
+
+/**
+ * Split the prompt into its title, sections and code blocks
+ */
+function parseDocument(analysis) {
+  const { text, lexicon } = analysis;
+  const fields = sectionFields(lexicon);
+  const sections = [];
+  const examples = [];
+  let title = null;
+  let section = null;
+  let block = null;
+  let fence = null;
+
+  // Close the item or paragraph being read
+  const finish = () => {
+    const entry = block && section && createEntry(text, lexicon, block, block.rule);
+    if (entry) section.entries.push(entry);
+    block = null;
+  };
+
+  splitLines(text).forEach(line => {
+    if (fence) {
+      if (closesFence(line.text, fence)) {
+        examples.push(createExample(text, fence, line.end));
+        fence = null;
+      } else {
+        fence.lines.push(line.text);
+      }
+      return;
+    }
+
+    const opening = line.text.match(FENCE);
+    if (opening) {
+      finish();
+      fence = { start: line.start, marker: opening[1], language: opening[2], lines: [] };
+      return;
+    }
+
+    const heading = line.text.match(HEADING);
+    if (heading) {
+      finish();
+      if (section) section.end = line.start;
+      const field = fields.get(headingKey(heading[2])) ?? null;
+      const headingStart = line.start + line.text.indexOf(heading[2], line.text.indexOf('#') + heading[1].length);
+      // A top-level heading that names no field is the document title
+      if (!title && !field && heading[1].length === 1 && heading[2]) {
+        title = createEntry(text, lexicon, { start: headingStart, end: headingStart + heading[2].length }, 'markdown.title');
+      }
+      section = { field, heading: line.start, start: Math.min(line.end + 1, text.length), end: text.length, entries: [] };
+      sections.push(section);
+      return;
+    }
+
+    if (line.text.trim().length === 0) {
+      finish();
+      return;
+    }
+
+    const item = line.text.match(LIST_ITEM);
+    if (item) {
+      finish();
+      block = { start: line.start + item[1].length, end: line.end, rule: 'markdown.list_item' };
+    } else if (block) {
+      // Continuation line of an item or paragraph
+      block.end = line.end;
+    } else {
+      const indent = line.text.length - line.text.trimStart().length;
+      block = { start: line.start + indent, end: line.end, rule: 'markdown.paragraph' };
+    }
+  });
+
+  finish();
+  // An unclosed fence runs to the end of the prompt
+  if (fence) examples.push(createExample(text, fence, text.length));
+
+  const preamble = { start: 0, end: sections[0]?.heading ?? text.length };
+  const prose = [preamble, ...sections.filter(entry => PROSE_FIELDS.has(entry.field))]
+    .map(({ start, end }) => ({ start, end }));
+
+  return { title, sections, examples, prose };
+}
+
+/**
+ * Read the Markdown structure of an analyzed prompt (see analyzeText)
+ *
+ * Returns { title, sections, examples, prose }:
+ * - title: the first H1 that is not a known section heading, as { value, span }, or null
+ * - sections: every heading's section { field, heading, start, end, entries }, where field is the
+ *   PromptSchema field its heading names (task, intent, required, optional, constraints,
+ *   outputs, format, steps, examples) or null, start and end delimit the body, and entries are
+ *   its list items and paragraphs as { value, span, optional? }
+ * - examples: fenced code blocks as { value: { content, language? }, span }
+ * - prose: ranges holding the prompt's own text: before the first heading and under headings
+ *   that name no field or the task
+ * Text without headings has no sections, and its prose is the whole text.
+ */
+export function readMarkdown(analysis) {
+  if (!documents.has(analysis)) {
+    documents.set(analysis, parseDocument(analysis));
+  }
+  return documents.get(analysis);
+}
+
+/**
+ * Items and paragraphs of the sections that fill a field, or null when no heading names it
+ */
+export function sectionEntries(markdown, field) {
+  const sections = markdown.sections.filter(section => section.field === field);
+  return sections.length > 0 ? sections.flatMap(section => section.entries) : null;
+}
+
+/**
+ * Body ranges of the sections that fill a field, or null when no heading names it
+ */
+export function sectionRanges(markdown, field) {
+  const sections = markdown.sections.filter(section => section.field === field);
+  return sections.length > 0 ? sections.map(({ start, end }) => ({ start, end })) : null;
+}
+
+/**
+ * Ranges the steps of a prompt come from: its steps sections, or otherwise its prose
+ */
+export function stepRanges(markdown) {
+  return sectionRanges(markdown, 'steps') ?? markdown.prose;
+}
+
+/**
+ * Examples of a prompt: its code blocks, and the items and paragraphs of its examples sections,
+ * in text order
+ */
+export function findExamples(markdown) {
+  const listed = (sectionEntries(markdown, 'examples') ?? [])
+    .map(({ value, span }) => ({ value: { content: value }, span }));
+  return [...markdown.examples, ...listed].sort((a, b) => a.span.start - b.span.start);
+}
+
+/**
+ * Whether text[start, end) lies inside one of the ranges
+ */
+export function withinRanges(ranges, start, end) {
+  return ranges.some(range => start >= range.start && end <= range.end);
+}
+
+/**
+ * Whether a sentence of the analysis (see segmentSentences) is a heading line
+ */
+export function isHeading(sentence) {
+  return HEADING.test(sentence.text);
+}
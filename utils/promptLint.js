@@ -0,0 +1,316 @@
+/**
+ * Prompt linting for CI
+ * Runs gap analysis over prompt files, fails prompts below a clarity score or with gaps at a
+ * severity, and reports the findings as a table, JSON, SARIF or JUnit XML
+ */
+
+import { isAbsolute } from 'path';
+import { pathToFileURL } from 'url';
+import { SeveritySchema } from '../src/schema.js';
+import { analyzeTextForGaps } from './gapAnalysis.js';
+import { resolveRules } from './ruleEngine.js';
+
+export const DEFAULT_MIN_SCORE = 60;
+export const DEFAULT_FAIL_ON = 'high';
+export const LINT_FORMATS = ['table', 'json', 'sarif', 'junit'];
+
+// Severities from least to most severe; 'none' never fails on gaps
+const SEVERITIES = SeveritySchema.options;
+export const FAIL_ON_LEVELS = [...SEVERITIES, 'none'];
+
+// Rule ids of findings that do not come from the gap rules
+const SCORE_RULE = 'clarity-score';
+const INPUT_RULE = 'input-error';
+
+const TOOL_NAME = 'text-to-json-mcp';
+const TOOL_URI = 'https://github.com/chiragdarji/text-to-json-mcp';
+
+/**
+ * 1-based line and column of an offset in a text
+ */
+function positionAt(text, offset) {
+  const before = text.slice(0, offset);
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Location of a gap: its file position for whole-file and extracted prompts,
+ * the record line for JSONL prompts
+ */
+function gapLocation(item, gap) {
+  if (item.locate) {
+    const { line, column, end_line, end_column } = item.locate(gap.start, gap.end);
+    return { line, column, end_line, end_column };
+  }
+  if (item.line !== undefined) return { line: item.line };
+
+  const start = positionAt(item.text, gap.start);
+  const end = positionAt(item.text, gap.end);
+  return { line: start.line, column: start.column, end_line: end.line, end_column: end.column };
+}
+
+function failsOn(severity, failOn) {
+  return failOn !== 'none' && SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(failOn);
+}
+
+/**
+ * Lint one prompt item (see batch.js) and return its result
+ */
+function lintItem(item, settings, rules) {
+  const { id, source, line, kind, name } = item;
+  const base = { id, source, ...(line !== undefined && { line }), ...(kind && { kind, name }) };
+
+  if (item.error) {
+    return {
+      ...base,
+      score: null,
+      passed: false,
+      findings: [{ rule: INPUT_RULE, level: 'error', message: item.error, line: line ?? 1 }]
+    };
+  }
+
+  const { gaps, overall_clarity_score: score } = analyzeTextForGaps(item.text, { rules, weights: settings.weights });
+
+  const findings = gaps
+    .slice()
+    .sort((a, b) => a.start - b.start)
+    .map(gap => {
+      const failing = failsOn(gap.severity, settings.failOn);
+      return {
+        rule: gap.rule,
+        category: gap.category,
+        severity: gap.severity,
+        level: failing ? 'error' : gap.severity === 'low' ? 'note' : 'warning',
+        message: gap.description,
+        suggestion: gap.suggestion,
+        ...gapLocation(item, gap)
+      };
+    });
+
+  if (score < settings.minScore) {
+    findings.unshift({
+      rule: SCORE_RULE,
+      level: 'error',
+      message: `Clarity score ${score} is below the minimum of ${settings.minScore}`,
+      ...(item.location ? { line: item.location.line, column: item.location.column } : { line: line ?? 1 })
+    });
+  }
+
+  return {
+    ...base,
+    score,
+    passed: !findings.some(finding => finding.level === 'error'),
+    findings
+  };
+}
+
+/**
+ * Lint prompt items
+ *
+ * Options:
+ * - minScore: lowest passing clarity score (default 60)
+ * - failOn: lowest gap severity that fails a prompt, or 'none' (default 'high')
+ * - rules, weights: as for analyzeTextForGaps
+ *
+ * Returns { settings, summary, results }; a prompt passes when it has no error-level findings
+ */
+export function lintPrompts(items, options = {}) {
+  const settings = {
+    minScore: options.minScore ?? DEFAULT_MIN_SCORE,
+    failOn: options.failOn ?? DEFAULT_FAIL_ON,
+    weights: options.weights
+  };
+  const rules = resolveRules(options.rules);
+  const results = items.map(item => lintItem(item, settings, rules));
+  const findings = results.flatMap(result => result.findings);
+
+  return {
+    settings: { min_score: settings.minScore, fail_on: settings.failOn },
+    summary: {
+      prompts: results.length,
+      passed: results.filter(result => result.passed).length,
+      failed: results.filter(result => !result.passed).length,
+      errors: findings.filter(finding => finding.level === 'error').length,
+      warnings: findings.filter(finding => finding.level !== 'error').length
+    },
+    results
+  };
+}
+
+function location(finding) {
+  return finding.column !== undefined ? `${finding.line}:${finding.column}` : `${finding.line}`;
+}
+
+// File of a prompt, with its id when the file holds several prompts and its name when extracted
+function resultHeading(result) {
+  const heading = result.id.startsWith(result.source) ? result.id : `${result.source} (${result.id})`;
+  return result.name ? `${heading} ${result.name}` : heading;
+}
+
+function pad(value, width) {
+  return String(value).padEnd(width);
+}
+
+/**
+ * Human-readable report: a table of prompts, then the findings of each failing or flagged prompt
+ */
+export function formatTable(report) {
+  const rows = report.results.map(result => {
+    const counts = Object.fromEntries(SEVERITIES.map(severity => [
+      severity,
+      result.findings.filter(finding => finding.severity === severity).length
+    ]));
+    return [result.id, result.score ?? '-', counts.high, counts.medium, counts.low, result.passed ? 'pass' : 'FAIL'];
+  });
+  const header = ['Prompt', 'Score', 'High', 'Medium', 'Low', 'Result'];
+  const widths = header.map((title, index) => Math.max(title.length, ...rows.map(row => String(row[index]).length)));
+  const formatRow = row => row.map((cell, index) => pad(cell, widths[index])).join('  ').trimEnd();
+
+  const lines = [formatRow(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(formatRow)];
+
+  report.results
+    .filter(result => result.findings.length > 0)
+    .forEach(result => {
+      lines.push('', resultHeading(result));
+      const locationWidth = Math.max(...result.findings.map(finding => location(finding).length));
+      result.findings.forEach(finding => {
+        lines.push(`  ${pad(location(finding), locationWidth)}  ${pad(finding.level, 7)}  ${finding.message}  ${finding.rule}`);
+      });
+    });
+
+  const { prompts, passed, failed, errors, warnings } = report.summary;
+  lines.push(
+    '',
+    `${failed > 0 ? '✖' : '✔'} ${prompts} prompt(s): ${passed} passed, ${failed} failed (${errors} error(s), ${warnings} warning(s))`,
+    `  minimum score ${report.settings.min_score}, failing on ${report.settings.fail_on === 'none' ? 'no gap severity' : `${report.settings.fail_on} severity gaps and above`}`
+  );
+  return lines.join('\n');
+}
+
+// SARIF locations use relative paths as-is and file URIs for absolute paths
+function artifactUri(source) {
+  return isAbsolute(source) ? pathToFileURL(source).href : source.split('\\').join('/');
+}
+
+/**
+ * SARIF 2.1.0 log for code scanning tools
+ */
+export function formatSarif(report, options = {}) {
+  const findings = report.results.flatMap(result => result.findings.map(finding => ({ result, finding })));
+  const ruleIds = [...new Set(findings.map(({ finding }) => finding.rule))].sort();
+
+  const rules = ruleIds.map(id => {
+    const example = findings.find(({ finding }) => finding.rule === id).finding;
+    const description = id === SCORE_RULE
+      ? 'Prompt clarity score is below the minimum'
+      : id === INPUT_RULE
+        ? 'Prompt could not be read'
+        : `Clarity gap (${example.category.replace(/_/g, ' ')})`;
+    return { id, shortDescription: { text: description } };
+  });
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          ...(options.version && { version: options.version }),
+          informationUri: TOOL_URI,
+          rules
+        }
+      },
+      results: findings.map(({ result, finding }) => ({
+        ruleId: finding.rule,
+        ruleIndex: ruleIds.indexOf(finding.rule),
+        level: finding.level,
+        message: { text: finding.suggestion ? `${finding.message}. ${finding.suggestion}` : finding.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: artifactUri(result.source) },
+            region: {
+              startLine: finding.line,
+              ...(finding.column !== undefined && {
+                startColumn: finding.column,
+                endLine: finding.end_line,
+                endColumn: finding.end_column
+              })
+            }
+          }
+        }],
+        ...(result.score !== null && { properties: { clarityScore: result.score, prompt: result.id } })
+      }))
+    }]
+  }, null, 2);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * JUnit XML report: one test suite per file, one test case per prompt
+ */
+export function formatJunit(report) {
+  const suites = new Map();
+  report.results.forEach(result => {
+    if (!suites.has(result.source)) suites.set(result.source, []);
+    suites.get(result.source).push(result);
+  });
+
+  const { prompts, failed } = report.summary;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME} lint" tests="${prompts}" failures="${failed}">`
+  ];
+
+  suites.forEach((results, source) => {
+    const failures = results.filter(result => !result.passed).length;
+    lines.push(`  <testsuite name="${escapeXml(source)}" tests="${results.length}" failures="${failures}">`);
+    results.forEach(result => {
+      const name = `${escapeXml(result.id)}${result.score !== null ? ` (clarity ${result.score})` : ''}`;
+      const testcase = `    <testcase name="${name}" classname="${escapeXml(source)}"`;
+      if (result.passed) {
+        lines.push(`${testcase}/>`);
+        return;
+      }
+
+      const errors = result.findings.filter(finding => finding.level === 'error');
+      const details = errors.map(finding => `${location(finding)} ${finding.message} (${finding.rule})`).join('\n');
+      lines.push(
+        `${testcase}>`,
+        `      <failure message="${escapeXml(errors[0].message)}" type="${escapeXml(errors[0].rule)}">${escapeXml(details)}</failure>`,
+        '    </testcase>'
+      );
+    });
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+/**
+ * Format a lint report; `format` is one of LINT_FORMATS
+ */
+export function formatLintReport(report, format = 'table', options = {}) {
+  switch (format) {
+    case 'table':
+      return formatTable(report);
+    case 'json':
+      return JSON.stringify(report, null, 2);
+    case 'sarif':
+      return formatSarif(report, options);
+    case 'junit':
+      return formatJunit(report);
+    default:
+      throw new Error(`Unknown lint format: ${format}. Use one of: ${LINT_FORMATS.join(', ')}`);
+  }
+}
@@ -2,246 +2,479 @@
  * Utility functions for processing text prompts and converting them to structured JSON
  */
 
-import { analyzeTextForGaps, generateClaritySuggestions } from './gapAnalysis.js';
+import { analyzeTextForGaps } from './gapAnalysis.js';
+import { resolveSchema, DEFAULT_SCHEMA_NAME } from './schemaRegistry.js';
+import { extractToSchema } from './schemaExtractor.js';
+import { rewritePrompt } from './promptRewriter.js';
+import { containsCue, termPattern } from './language.js';
+import { findConstraints } from './constraints.js';
+import { DATA_FORMATS, findEntities } from './entities.js';
+import { findSteps } from './decomposition.js';
+import { findExamples, isHeading, readMarkdown, sectionEntries, sectionRanges, withinRanges } from './markdownPrompt.js';
+import { createSpan, createTrimmedSpan } from './spans.js';
+import { analyzeText, wordTokens } from './textAnalysis.js';
+
+const PARAMETER_NOUNS = new Set(['parameters', 'criteria', 'requirements']);
+const FORMAT_KEYWORDS = ['format', 'file', 'output'];
+const DATA_FORMAT_PATTERN = termPattern(DATA_FORMATS);
+// Entity types that can stand for a whole deliverable; formats and quantities only describe one
+const ARTIFACT_TYPES = new Set(['path', 'url', 'api', 'dataset']);
+
+// Parts of speech that can qualify a following noun ("sales data", "search criteria")
+const MODIFIER_POS = new Set(['NOUN', 'ADJ', 'VERB', 'NUM']);
+
+function textSentences(analysis) {
+  return analysis.sentences.filter(sentence => !sentence.code && !isHeading(sentence));
+}
+
+function isWord(token) {
+  return Boolean(token) && (token.type === 'word' || token.type === 'number');
+}
 
 /**
  * Extract task description from text
+ * Markdown prompts take it from their task section ("## Task"), their prose or their title
  */
-function extractTask(text) {
-  // Look for action verbs at the beginning
-  const actionVerbs = [
-    'generate', 'create', 'build', 'make', 'develop', 'design', 'implement',
-    'write', 'produce', 'construct', 'assemble', 'compile', 'organize'
-  ];
+function extractTask(analysis, markdown) {
+  const { lexicon } = analysis;
+  const sentences = textSentences(analysis);
+  const within = ranges => ranges && sentences.find(entry => withinRanges(ranges, entry.start, entry.end));
+  const sentence = within(sectionRanges(markdown, 'task')) ?? within(markdown.prose);
+  // Otherwise the title, or the first item of a document made only of sections
+  const fallback = !sentence && (markdown.title ?? markdown.sections.flatMap(section => section.entries)[0]);
+  if (fallback) return fallback;
+  if (!sentence) {
+    const code = analysis.sentences.some(entry => entry.code);
+    throw new Error(code ? 'Prompt contains no text outside code blocks' : 'Prompt contains no words');
+  }
   
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-  const firstSentence = sentences[0].trim();
+  // Imperative prompts start with an action verb, possibly after "please"; Japanese puts the verb last
+  const firstWord = wordTokens(sentence.tokens).find(token => token.pos !== 'ADV' && !lexicon.courtesy.has(token.lower));
+  const startsWithVerb = lexicon.spaced
+    ? Boolean(firstWord) && (firstWord.pos === 'VERB' || lexicon.actionVerbs.has(firstWord.lower))
+    : containsCue(lexicon, sentence, lexicon.actionVerbs);
   
-  // Check if first sentence starts with an action verb
-  for (const verb of actionVerbs) {
-    if (firstSentence.toLowerCase().startsWith(verb.toLowerCase())) {
-      return firstSentence;
+  return {
+    value: sentence.text,
+    span: createSpan(analysis.text, sentence.start, sentence.end, startsWithVerb ? 'task.action_verb' : 'task.first_sentence')
+  };
+}
+
+/**
+ * Find an intent marker ("so that", "para que") and take the rest of the sentence after it
+ */
+function findIntentAfterMarker(analysis) {
+  for (const sentence of textSentences(analysis)) {
+    const words = wordTokens(sentence.tokens);
+    
+    for (let i = 0; i < words.length; i++) {
+      const marker = analysis.lexicon.intentMarkers.find(({ tokens, next }) =>
+        tokens.every((word, offset) => words[i + offset]?.lower === word) &&
+        (!next || (words[i + tokens.length] && next(words[i + tokens.length])))
+      );
+      if (!marker) continue;
+      if (i > 0 && marker.notAfter.has(words[i - 1].lower)) continue;
+      
+      // The intent is the rest of the sentence after the marker
+      const markerEnd = words[i + marker.tokens.length - 1].end;
+      if (markerEnd >= sentence.end) continue;
+      const span = createTrimmedSpan(analysis.text, markerEnd, sentence.end, `intent.indicator:${marker.tokens.join(' ')}`);
+      return { value: span.text, span };
     }
   }
-  
-  // If no clear action verb, return the first sentence
-  return firstSentence;
+  return null;
 }
 
 /**
- * Extract intent from text
+ * Find a Japanese intent marker (ために, ので) and take the clause before it
  */
-function extractIntent(text) {
-  // Look for intent indicators
-  const intentIndicators = [
-    'to', 'for', 'so that', 'in order to', 'because', 'since',
-    'as', 'while', 'when', 'if', 'although'
-  ];
-  
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-  
-  for (const sentence of sentences) {
-    for (const indicator of intentIndicators) {
-      if (sentence.toLowerCase().includes(indicator.toLowerCase())) {
-        const parts = sentence.split(indicator);
-        if (parts.length > 1) {
-          return parts[1].trim();
-        }
-      }
+function findIntentBeforeMarker(analysis) {
+  for (const sentence of textSentences(analysis)) {
+    for (const { text: marker } of analysis.lexicon.intentMarkers) {
+      const index = sentence.text.indexOf(marker);
+      if (index <= 0) continue;
+      
+      const span = createTrimmedSpan(analysis.text, sentence.start, sentence.start + index, `intent.indicator:${marker}`);
+      return { value: span.text, span };
     }
   }
-  
-  // Default intent based on task
-  return "To fulfill the specified requirements and deliver the requested output";
+  return null;
 }
 
 /**
- * Extract required inputs from text
+ * Extract intent from text
+ * Returns null when the prompt states no purpose
  */
-function extractRequiredInputs(text) {
-  const required = [];
-  
-  // Look for specific data requirements
-  const dataPatterns = [
-    /(\w+)\s+data/i,
-    /(\w+)\s+information/i,
-    /(\w+)\s+details/i,
-    /(\w+)\s+specifications/i
-  ];
+function extractIntent(analysis, markdown) {
+  // A goal section ("## Goal") states it directly
+  const stated = sectionEntries(markdown, 'intent')?.[0];
+  if (stated) return stated;
   
-  dataPatterns.forEach(pattern => {
-    const matches = text.match(pattern);
-    if (matches) {
-      required.push(`${matches[1]} data/information`);
-    }
+  return analysis.lexicon.spaced ? findIntentAfterMarker(analysis) : findIntentBeforeMarker(analysis);
+}
+
+/**
+ * Find "<modifier> <noun>" pairs such as "sales data" for the given head nouns
+ */
+function findQualifiedNouns(analysis, nouns, rule, describe) {
+  const found = [];
+  
+  textSentences(analysis).forEach(sentence => {
+    sentence.tokens.forEach((token, index) => {
+      const previous = sentence.tokens[index - 1];
+      if (!nouns.has(token.lower) || !isWord(previous) || !MODIFIER_POS.has(previous.pos)) return;
+      
+      const value = describe(previous.text);
+      if (found.some(item => item.value.toLowerCase() === value.toLowerCase())) return;
+      found.push({ value, span: createSpan(analysis.text, previous.start, token.end, rule) });
+    });
   });
   
-  // Look for specific parameters
-  const paramPatterns = [
-    /(\w+)\s+parameters/i,
-    /(\w+)\s+criteria/i,
-    /(\w+)\s+requirements/i
-  ];
+  return found;
+}
+
+function entityItem(analysis, entity) {
+  return {
+    value: entity.text,
+    span: createSpan(analysis.text, entity.start, entity.end, `entities.${entity.type}`)
+  };
+}
+
+function overlapsSpan(item, start, end) {
+  return Boolean(item.span) && item.span.start < end && start < item.span.end;
+}
+
+/**
+ * Inputs listed under Markdown sections ("## Requirements", "## Optional inputs"), or null
+ * Items of a requirements section marked optional ("Error logs (optional)") are optional inputs
+ */
+function listedInputs(markdown) {
+  const required = sectionEntries(markdown, 'required');
+  const optional = sectionEntries(markdown, 'optional');
+  if (!required && !optional) return null;
   
-  paramPatterns.forEach(pattern => {
-    const matches = text.match(pattern);
-    if (matches) {
-      required.push(`${matches[1]} parameters/criteria`);
-    }
-  });
+  const listed = required ?? [];
+  return {
+    required: listed.filter(entry => !entry.optional),
+    optional: [...listed.filter(entry => entry.optional), ...(optional ?? [])].sort((a, b) => a.span.start - b.span.start)
+  };
+}
+
+/**
+ * Extract required inputs from text: the entities the task needs, and named parameters
+ * Markdown prompts with inputs sections take them from the sections instead
+ */
+function extractRequiredInputs(analysis, entities, markdown) {
+  const listed = listedInputs(markdown);
+  if (listed) return listed.required;
   
-  // If no specific inputs found, add generic ones
-  if (required.length === 0) {
-    required.push("Input text or prompt");
-    required.push("Context or background information");
-  }
+  const parameters = findQualifiedNouns(analysis, PARAMETER_NOUNS, 'inputs.parameter_reference', word => `${word} parameters/criteria`);
+  const needed = entities
+    .filter(entity => entity.role === 'required_input')
+    .filter(entity => !parameters.some(item => overlapsSpan(item, entity.start, entity.end)))
+    .map(entity => entityItem(analysis, entity));
   
-  return required;
+  return [...needed, ...parameters].sort((a, b) => a.span.start - b.span.start);
 }
 
 /**
  * Extract optional inputs from text
  */
-function extractOptionalInputs(text) {
-  const optional = [];
+function extractOptionalInputs(analysis, entities, markdown) {
+  const listed = listedInputs(markdown);
+  if (listed) return listed.optional;
   
-  // Look for optional indicators
-  const optionalPatterns = [
-    /optional\s+(\w+)/gi,
-    /if\s+available\s+(\w+)/gi,
-    /(\w+)\s+\(optional\)/gi
-  ];
+  const optional = [];
+  const addOptional = (word, start, end) => {
+    optional.push({ value: word.text, span: createSpan(analysis.text, start, end, 'inputs.optional_marker') });
+  };
   
-  optionalPatterns.forEach(pattern => {
-    const matches = text.matchAll(pattern);
-    for (const match of matches) {
-      optional.push(match[1]);
-    }
+  // Look for optional indicators: "optional X", "if available X", "X (optional)"
+  textSentences(analysis).forEach(sentence => {
+    const tokens = sentence.tokens;
+    tokens.forEach((token, index) => {
+      if (token.lower === 'optional' && isWord(tokens[index + 1])) {
+        addOptional(tokens[index + 1], token.start, tokens[index + 1].end);
+      }
+      if (token.lower === 'if' && tokens[index + 1]?.lower === 'available' && isWord(tokens[index + 2])) {
+        addOptional(tokens[index + 2], token.start, tokens[index + 2].end);
+      }
+      if (isWord(token) && tokens[index + 1]?.text === '(' && tokens[index + 2]?.lower === 'optional' &&
+          tokens[index + 3]?.text === ')') {
+        addOptional(token, token.start, tokens[index + 3].end);
+      }
+    });
   });
   
-  // Add common optional inputs
-  optional.push("Additional context");
-  optional.push("Preferences or style guidelines");
+  // Entities in optional clauses ("include error logs if you have them")
+  entities
+    .filter(entity => entity.role === 'optional_input')
+    .filter(entity => !optional.some(item => overlapsSpan(item, entity.start, entity.end)))
+    .forEach(entity => optional.push(entityItem(analysis, entity)));
   
-  return optional;
+  return optional.sort((a, b) => a.span.start - b.span.start);
 }
 
 /**
- * Extract constraints from text
+ * Format given by a format section ("## Output format"): the first data format it names
+ * ("Format: CSV"), or else its first entry
  */
-function extractConstraints(text) {
-  const constraints = [];
-  
-  // Look for constraint indicators
-  const constraintPatterns = [
-    /within\s+(\w+)/gi,
-    /limit\s+(\w+)/gi,
-    /maximum\s+(\w+)/gi,
-    /minimum\s+(\w+)/gi,
-    /only\s+(\w+)/gi,
-    /must\s+(\w+)/gi,
-    /should\s+(\w+)/gi
-  ];
-  
-  constraintPatterns.forEach(pattern => {
-    const matches = text.matchAll(pattern);
-    for (const match of matches) {
-      constraints.push(`${pattern.source.replace(/[()]/g, '')} ${match[1]}`);
+function statedFormat(analysis, markdown) {
+  const entries = sectionEntries(markdown, 'format') ?? [];
+  for (const { span } of entries) {
+    const [match] = span.text.toLowerCase().matchAll(DATA_FORMAT_PATTERN);
+    if (!match) continue;
+    
+    const start = span.start + match.index;
+    const end = start + match[0].length;
+    return { value: analysis.text.slice(start, end), span: createSpan(analysis.text, start, end, 'outputs.format_section') };
+  }
+  return entries[0] ?? null;
+}
+
+/**
+ * First output type of the lexicon the prompt names ("a summary", "un informe", "レポート"), as
+ * { value, span } with the type's name as value, or null
+ */
+function findOutputType(analysis, sentences) {
+  const { lexicon, text } = analysis;
+  const words = sentences.flatMap(sentence => wordTokens(sentence.tokens));
+  
+  for (const [type, forms] of Object.entries(lexicon.outputTypes)) {
+    let range = null;
+    if (lexicon.spaced) {
+      range = words.find(word => forms.includes(word.lower)) ?? null;
+    } else {
+      for (const sentence of sentences) {
+        const form = forms.find(entry => sentence.text.includes(entry));
+        if (!form) continue;
+        const start = sentence.start + sentence.text.indexOf(form);
+        range = { start, end: start + form.length };
+        break;
+      }
     }
-  });
-  
-  // Add common constraints
-  constraints.push("Available time and resources");
-  constraints.push("Technical limitations");
-  
-  return constraints;
+    if (range) {
+      return {
+        value: type.charAt(0).toUpperCase() + type.slice(1),
+        span: createSpan(text, range.start, range.end, 'outputs.output_type')
+      };
+    }
+  }
+  return null;
 }
 
 /**
  * Extract output specifications from text
+ * Markdown output and format sections take precedence over the deliverables found in the text
  */
-function extractOutputs(text) {
+function extractOutputs(analysis, entities, markdown) {
   const outputs = {
-    primary: "",
+    primary: { value: "", span: null },
     secondary: [],
-    format: "JSON" // Default format
+    format: { value: "JSON", span: null } // Default format
   };
+  const sentences = textSentences(analysis);
+  const deliverables = entities.filter(entity => entity.role === 'deliverable');
+  
+  // Look for output format indicators ("CSV format", "markdown file"), most specific keyword first
+  for (const keyword of FORMAT_KEYWORDS) {
+    const match = sentences.flatMap(sentence => sentence.tokens.map((token, index) => ({
+      token,
+      previous: sentence.tokens[index - 1]
+    }))).find(({ token, previous }) =>
+      token.lower === keyword && isWord(previous) && ['NOUN', 'ADJ'].includes(previous.pos)
+    );
+    
+    if (match) {
+      outputs.format = {
+        value: match.previous.text,
+        span: createSpan(analysis.text, match.previous.start, match.previous.end, 'outputs.format_keyword')
+      };
+      break;
+    }
+  }
   
-  // Look for output format indicators
-  const formatPatterns = [
-    /(\w+)\s+format/i,
-    /(\w+)\s+file/i,
-    /(\w+)\s+output/i
-  ];
+  // Otherwise a format the output is written in ("convert it to YAML")
+  const deliveredFormat = deliverables.find(entity => entity.type === 'data_format');
+  if (!outputs.format.span && deliveredFormat) {
+    outputs.format = entityItem(analysis, deliveredFormat);
+  }
   
-  formatPatterns.forEach(pattern => {
-    const matches = text.match(pattern);
-    if (matches) {
-      outputs.format = matches[1];
-    }
-  });
+  // A format section ("## Output format") states it directly
+  const stated = statedFormat(analysis, markdown);
+  if (stated) outputs.format = stated;
   
-  // Look for specific output types
-  const outputTypes = [
-    'report', 'summary', 'analysis', 'list', 'catalog', 'database',
-    'dashboard', 'interface', 'document', 'presentation'
-  ];
+  // Look for specific output types, named in the prompt's language
+  const primary = findOutputType(analysis, sentences);
+  if (primary) outputs.primary = primary;
   
-  for (const type of outputTypes) {
-    if (text.toLowerCase().includes(type.toLowerCase())) {
-      outputs.primary = `${type.charAt(0).toUpperCase() + type.slice(1)}`;
-      break;
-    }
+  // Otherwise the first artifact the task produces ("write the results to out.csv")
+  const artifacts = deliverables.filter(entity => ARTIFACT_TYPES.has(entity.type));
+  if (!outputs.primary.value && artifacts.length > 0) {
+    outputs.primary = entityItem(analysis, artifacts.shift());
   }
   
   // If no specific output found, infer from task
-  if (!outputs.primary) {
-    outputs.primary = "Structured data or information";
+  if (!outputs.primary.value) {
+    outputs.primary = { value: "Structured data or information", span: null };
   }
   
-  // Add secondary outputs
-  outputs.secondary = [
-    "Documentation or instructions",
-    "Quality assurance metrics"
-  ];
+  // Other artifacts and formats the task produces
+  outputs.secondary = deliverables
+    .filter(entity => artifacts.includes(entity) || (entity.type === 'data_format' && entity !== deliveredFormat))
+    .filter(entity => !overlapsSpan(outputs.primary, entity.start, entity.end) && !overlapsSpan(outputs.format, entity.start, entity.end))
+    .map(entity => entityItem(analysis, entity));
+  
+  // An output section ("## Output") lists the deliverables, the main one first
+  const listed = sectionEntries(markdown, 'outputs');
+  if (listed?.length > 0) {
+    outputs.primary = listed[0];
+    outputs.secondary = listed.slice(1);
+  }
   
   return outputs;
 }
 
+/**
+ * Typed constraints of the prompt, and the items of its constraints sections ("## Constraints")
+ * that state no typed limit, as constraints of kind "other"
+ */
+function extractConstraints(markdown, constraints) {
+  const listed = (sectionEntries(markdown, 'constraints') ?? [])
+    .filter(entry => !constraints.some(item => overlapsSpan(item, entry.span.start, entry.span.end)))
+    .map(({ value, span }) => ({ value: { text: value, kind: 'other' }, span }));
+  
+  return [...constraints, ...listed].sort((a, b) => a.span.start - b.span.start);
+}
+
+/**
+ * Collect the spans of extracted items under their field paths
+ */
+function collectSpans(field, items, spans) {
+  const list = Array.isArray(items) ? items : [items];
+  list.forEach((item, index) => {
+    if (item.span) {
+      spans.push({
+        field: Array.isArray(items) ? `${field}[${index}]` : field,
+        ...item.span
+      });
+    }
+  });
+}
+
+/**
+ * Extract the default PromptSchema structure from text
+ * `language` forces a lexicon (see language.js) instead of the detected one. Markdown prompts
+ * fill fields from the sections their headings name, and keep code blocks as examples (see
+ * markdownPrompt.js).
+ * Returns the structured data, the spans each field was extracted from, the entities,
+ * the text analysis and the clarity gaps
+ */
+function extractPromptStructure(text, language) {
+  const analysis = analyzeText(text, { language });
+  const markdown = readMarkdown(analysis);
+  const task = extractTask(analysis, markdown);
+  const intent = extractIntent(analysis, markdown);
+  const found = findConstraints(analysis);
+  const constraints = extractConstraints(markdown, found);
+  const entities = findEntities(analysis, found);
+  const required = extractRequiredInputs(analysis, entities, markdown);
+  const optional = extractOptionalInputs(analysis, entities, markdown);
+  const outputs = extractOutputs(analysis, entities, markdown);
+  const steps = findSteps(analysis, entities);
+  const examples = findExamples(markdown);
+  
+  // Analyze for clarity gaps
+  const gapAnalysis = analyzeTextForGaps(text, { analysis });
+  const gaps = gapAnalysis.gaps.map(gap => ({
+    value: gap.description,
+    span: createSpan(text, gap.start, gap.end, gap.rule)
+  }));
+  
+  const values = items => items.map(item => item.value);
+  const data = {
+    task: task.value,
+    ...(intent && { intent: intent.value }),
+    inputs: {
+      required: values(required),
+      optional: values(optional),
+      constraints: values(constraints)
+    },
+    outputs: {
+      primary: outputs.primary.value,
+      secondary: values(outputs.secondary),
+      format: outputs.format.value
+    },
+    // Prompts with a single step keep the flat structure
+    ...(steps.length > 1 && { steps: values(steps) }),
+    ...(examples.length > 0 && { examples: values(examples) }),
+    clarity_gaps: values(gaps)
+  };
+  
+  const spans = [];
+  collectSpans('task', task, spans);
+  if (intent) collectSpans('intent', intent, spans);
+  collectSpans('inputs.required', required, spans);
+  collectSpans('inputs.optional', optional, spans);
+  collectSpans('inputs.constraints', constraints, spans);
+  collectSpans('outputs.primary', outputs.primary, spans);
+  collectSpans('outputs.secondary', outputs.secondary, spans);
+  collectSpans('outputs.format', outputs.format, spans);
+  if (steps.length > 1) steps.forEach((step, index) => collectSpans(`steps[${index}].task`, step, spans));
+  collectSpans('examples', examples, spans);
+  collectSpans('clarity_gaps', gaps, spans);
+  
+  return { data, spans, entities, analysis, gaps: gapAnalysis.gaps };
+}
+
 /**
  * Main function to convert text prompt to structured JSON
+ *
+ * Options:
+ * - schema: name of a registered output schema or an inline JSON Schema object
+ *   (defaults to PromptSchema)
+ * - language: lexicon to analyze the prompt with (en, es, de, ja); detected by default
+ *
+ * Successful responses report the detected language and the lexicon used in `language`
  */
-export function convertPromptToJson(text) {
+export function convertPromptToJson(text, options = {}) {
   const startTime = Date.now();
   
   try {
-    // Extract structured information
-    const task = extractTask(text);
-    const intent = extractIntent(text);
-    const inputs = {
-      required: extractRequiredInputs(text),
-      optional: extractOptionalInputs(text),
-      constraints: extractConstraints(text)
-    };
-    const outputs = extractOutputs(text);
+    const target = resolveSchema(options.schema);
+    const { data, spans, entities, analysis } = extractPromptStructure(text, options.language);
     
-    // Analyze for clarity gaps
-    const gapAnalysis = analyzeTextForGaps(text);
-    const clarity_gaps = gapAnalysis.gaps.map(gap => gap.description);
-    
-    const result = {
-      task,
-      intent,
-      inputs,
-      outputs,
-      clarity_gaps
-    };
+    if (target.name === DEFAULT_SCHEMA_NAME) {
+      return {
+        success: true,
+        data,
+        spans,
+        entities,
+        language: analysis.language,
+        processing_time_ms: Date.now() - startTime
+      };
+    }
     
+    // Fill the custom schema, using the default extraction for common fields
+    const extraction = extractToSchema(text, target.schema, data);
     const processing_time_ms = Date.now() - startTime;
     
+    if (!extraction.valid) {
+      return {
+        success: false,
+        schema: target.name,
+        data: extraction.data,
+        issues: extraction.issues,
+        error: `Extracted data does not match schema "${target.name}": ${extraction.issues.map(issue => `${issue.path || '(root)'}: ${issue.message}`).join('; ')}`,
+        processing_time_ms
+      };
+    }
+    
     return {
       success: true,
-      data: result,
+      schema: target.name,
+      data: extraction.data,
+      language: analysis.language,
       processing_time_ms
     };
     
@@ -258,63 +491,27 @@ export function convertPromptToJson(text) {
 
 /**
  * Generate refined version of a prompt
+ * The prompt is rewritten into Goal, Context, Inputs, Constraints, Output format and
+ * Acceptance criteria sections; see promptRewriter.js
+ * `options.language` forces a lexicon as for convertPromptToJson
  */
-export function refinePrompt(text) {
-  const gapAnalysis = analyzeTextForGaps(text);
-  const suggestions = generateClaritySuggestions(gapAnalysis.gaps);
-  
-  let refinedText = text;
-  const improvements = [];
-  
-  // Apply improvements based on gap analysis
-  if (gapAnalysis.gaps.some(gap => gap.category === 'missing_context')) {
-    const before = refinedText;
-    refinedText = `Context: This request is for [specify context]. ${refinedText}`;
-    improvements.push({
-      type: 'clarity',
-      description: 'Added context section',
-      before,
-      after: refinedText
-    });
-  }
-  
-  if (gapAnalysis.gaps.some(gap => gap.category === 'ambiguous_requirement')) {
-    const before = refinedText;
-    refinedText = refinedText.replace(/\b(good|better|best|nice|pretty|cool)\b/gi, 'specific and measurable');
-    improvements.push({
-      type: 'specificity',
-      description: 'Replaced subjective terms with objective criteria',
-      before,
-      after: refinedText
-    });
-  }
-  
-  if (gapAnalysis.gaps.some(gap => gap.category === 'unclear_output')) {
-    const before = refinedText;
-    refinedText = `${refinedText} The output should be in [specific format] with [specific structure] and include [specific content].`;
-    improvements.push({
-      type: 'structure',
-      description: 'Added specific output requirements',
-      before,
-      after: refinedText
-    });
-  }
-  
-  if (gapAnalysis.gaps.some(gap => gap.category === 'missing_constraints')) {
-    const before = refinedText;
-    refinedText = `${refinedText} Constraints: [specify time limits, resource constraints, technical limitations].`;
-    improvements.push({
-      type: 'completeness',
-      description: 'Added constraints section',
-      before,
-      after: refinedText
-    });
+export function refinePrompt(text, options = {}) {
+  try {
+    const structure = extractPromptStructure(text, options.language);
+    const { refined_prompt, improvements } = rewritePrompt(text, structure);
+    
+    return {
+      success: true,
+      original_prompt: text,
+      refined_prompt,
+      improvements,
+      language: structure.analysis.language
+    };
+  } catch (error) {
+    return {
+      success: false,
+      original_prompt: text,
+      error: error.message
+    };
   }
-  
-  return {
-    success: true,
-    original_prompt: text,
-    refined_prompt: refinedText,
-    improvements
-  };
 }
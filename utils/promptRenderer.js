@@ -0,0 +1,162 @@
+/**
+ * Prompt renderer
+ * Turns structured prompts (PromptSchema) back into natural language, so a prompt can go
+ * from text to JSON, be edited, and come back as text
+ */
+
+import { PromptSchema, RENDER_TEMPLATES, validateInput } from '../src/schema.js';
+
+export const DEFAULT_RENDER_TEMPLATE = 'markdown';
+
+function sentence(text) {
+  const trimmed = text.trim().replace(/^\p{Ll}/u, char => char.toUpperCase());
+  return trimmed.length === 0 || /[.!?:]$/.test(trimmed) ? trimmed : `${trimmed}.`;
+}
+
+function bullets(items) {
+  return items.map(item => `- ${item}`).join('\n');
+}
+
+function numbered(items) {
+  return items.map((item, index) => `${index + 1}. ${item}`).join('\n');
+}
+
+// Examples stay code blocks; a fence of tildes keeps code that has backtick fences intact
+function fenced({ content, language = '' }) {
+  const fence = content.includes('```') ? '~~~' : '```';
+  return `${fence}${language}\n${content}\n${fence}`;
+}
+
+function escapeXml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Sections shared by every template, skipping empty fields
+ * Optional inputs are listed with the required ones and marked as such; steps keep their order,
+ * and examples are fenced code blocks
+ */
+function promptSections(data) {
+  const inputs = [
+    ...data.inputs.required,
+    ...data.inputs.optional.map(input => `${input} (optional)`)
+  ];
+  const output = [
+    ...(data.outputs.primary ? [`Deliverable: ${data.outputs.primary}`] : []),
+    ...(data.outputs.format ? [`Format: ${data.outputs.format}`] : []),
+    ...data.outputs.secondary.map(output => `Also include: ${output}`)
+  ];
+
+  return {
+    task: data.task.trim(),
+    goal: data.intent?.trim() ?? '',
+    steps: (data.steps ?? []).map(step => sentence(step.task)),
+    inputs,
+    constraints: data.inputs.constraints.map(constraint => constraint.text),
+    output,
+    examples: (data.examples ?? []).map(fenced).join('\n\n')
+  };
+}
+
+function renderConcise(data) {
+  const { task, goal, steps, inputs, constraints } = promptSections(data);
+  const lines = task ? [sentence(task)] : [];
+  if (goal) lines.push(`Goal: ${sentence(goal)}`);
+  if (steps.length > 0) lines.push(`Steps: ${steps.map((step, index) => `(${index + 1}) ${step}`).join(' ')}`);
+  if (inputs.length > 0) lines.push(`Work from: ${sentence(inputs.join('; '))}`);
+  if (constraints.length > 0) lines.push(`Constraints: ${sentence(constraints.join('; '))}`);
+
+  const { primary, format, secondary } = data.outputs;
+  if (primary || format) {
+    const deliverable = [primary, format && `as ${format}`].filter(Boolean).join(' ');
+    const extras = secondary.length > 0 ? `, along with ${secondary.join(', ')}` : '';
+    lines.push(`Return ${deliverable}${extras}.`);
+  }
+  return lines.join(' ');
+}
+
+function renderMarkdown(data) {
+  const { task, goal, steps, inputs, constraints, output, examples } = promptSections(data);
+  return [
+    ['Task', sentence(task)],
+    ['Goal', goal && sentence(goal)],
+    ['Steps', steps.length > 0 && numbered(steps)],
+    ['Inputs', inputs.length > 0 && bullets(inputs)],
+    ['Constraints', constraints.length > 0 && bullets(constraints)],
+    ['Output format', output.length > 0 && bullets(output)],
+    ['Examples', examples]
+  ]
+    .filter(([, body]) => body)
+    .map(([heading, body]) => `## ${heading}\n${body}`)
+    .join('\n\n');
+}
+
+function renderXml(data) {
+  const { task, goal, steps, inputs, constraints, output, examples } = promptSections(data);
+  return [
+    ['task', sentence(task)],
+    ['goal', goal && sentence(goal)],
+    ['steps', steps.length > 0 && numbered(steps)],
+    ['inputs', inputs.length > 0 && bullets(inputs)],
+    ['constraints', constraints.length > 0 && bullets(constraints)],
+    ['output_format', output.length > 0 && bullets(output)],
+    ['examples', examples]
+  ]
+    .filter(([, body]) => body)
+    .map(([tag, body]) => `<${tag}>\n${escapeXml(body)}\n</${tag}>`)
+    .join('\n\n');
+}
+
+/**
+ * System + user message pair: the system message holds the rules the answer must follow
+ * (constraints and output format), the user message the request itself
+ */
+function renderMessages(data) {
+  const { task, goal, steps, inputs, constraints, output, examples } = promptSections(data);
+
+  const system = ['You are an assistant that completes the task the user describes.'];
+  if (constraints.length > 0) system.push(`Follow these constraints:\n${bullets(constraints)}`);
+  if (output.length > 0) system.push(`Shape your answer as follows:\n${bullets(output)}`);
+
+  const user = task ? [sentence(task)] : [];
+  if (goal) user.push(`Goal: ${sentence(goal)}`);
+  if (steps.length > 0) user.push(`Steps:\n${numbered(steps)}`);
+  if (inputs.length > 0) user.push(`Inputs:\n${bullets(inputs)}`);
+  if (examples) user.push(`Examples:\n${examples}`);
+
+  return [
+    { role: 'system', content: system.join('\n\n') },
+    { role: 'user', content: user.join('\n\n') }
+  ];
+}
+
+/**
+ * Render a structured prompt with one of RENDER_TEMPLATES
+ *
+ * Templates: concise (a single paragraph), markdown (## sections), xml (Claude-style
+ * tagged sections) and messages (a system + user message pair); concise leaves out examples.
+ * Returns { success, template, prompt } or { success, template, messages } for messages;
+ * data that does not match PromptSchema gives { success: false, error, issues }.
+ */
+export function renderPrompt(data, options = {}) {
+  const { template = DEFAULT_RENDER_TEMPLATE } = options;
+  if (!RENDER_TEMPLATES.includes(template)) {
+    return { success: false, error: `Unknown template: ${template}. Use one of: ${RENDER_TEMPLATES.join(', ')}` };
+  }
+
+  const validation = validateInput(PromptSchema, data);
+  if (!validation.success) {
+    return { success: false, error: `Invalid prompt: ${validation.error}`, issues: validation.issues };
+  }
+
+  switch (template) {
+    case 'concise':
+      return { success: true, template, prompt: renderConcise(validation.data) };
+    case 'xml':
+      return { success: true, template, prompt: renderXml(validation.data) };
+    case 'messages':
+      return { success: true, template, messages: renderMessages(validation.data) };
+    default:
+      return { success: true, template, prompt: renderMarkdown(validation.data) };
+  }
+}
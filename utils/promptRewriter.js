@@ -0,0 +1,223 @@
+/**
+ * Rewrite engine behind refinePrompt
+ * Restructures a prompt into sections filled from the extraction, adds placeholders only
+ * for what is missing, and reports every change as a diff hunk
+ */
+
+import { GAP_CATEGORIES } from '../src/schema.js';
+import { createHunks, hunkText } from './diff.js';
+import { readMarkdown } from './markdownPrompt.js';
+
+// Sections of a refined prompt, in order
+export const SECTIONS = ['Goal', 'Context', 'Inputs', 'Constraints', 'Output format', 'Acceptance criteria'];
+
+// Words that route a sentence to a section other than Context
+const SECTION_CUES = [
+  { section: 'Acceptance criteria', words: ['acceptance', 'success', 'successful', 'done', 'verify', 'verified', 'pass', 'passes'] },
+  {
+    section: 'Constraints',
+    words: ['within', 'limit', 'limits', 'maximum', 'minimum', 'max', 'min', 'only', 'must', 'never', 'avoid',
+      'deadline', 'budget', 'should', 'under', 'least', 'most']
+  },
+  {
+    section: 'Output format',
+    words: ['format', 'output', 'outputs', 'return', 'returns', 'include', 'includes', 'respond', 'response',
+      'deliverable', 'table', 'columns', 'sections']
+  },
+  { section: 'Inputs', words: ['given', 'attached', 'provided', 'input', 'inputs', 'dataset', 'source', 'sources'] }
+];
+
+// Markdown section fields whose items belong in a section other than Context
+const FIELD_SECTIONS = {
+  required: 'Inputs',
+  optional: 'Inputs',
+  constraints: 'Constraints',
+  outputs: 'Output format',
+  format: 'Output format'
+};
+
+const LIST_MARKER = /^\s*(?:[-*+]|\d+[.)])\s+/;
+const HEADING = /^\s*#{1,6}\s/;
+
+/**
+ * Sentence text including its closing punctuation
+ */
+function sentenceSource(text, sentence) {
+  let end = sentence.end;
+  while (end < text.length && /[.!?]/.test(text[end])) end++;
+  return text.slice(sentence.start, end);
+}
+
+function classifySentence(sentence) {
+  const words = new Set(sentence.tokens.map(token => token.lower));
+  const cue = SECTION_CUES.find(({ words: cues }) => cues.some(word => words.has(word)));
+  return cue ? cue.section : 'Context';
+}
+
+function quoteTerms(terms) {
+  return terms.map(term => `"${term}"`).join(', ');
+}
+
+// Unique gaps of a category, keyed by their lowercased matched text
+function gapsIn(gaps, category) {
+  const seen = new Set();
+  return gaps.filter(gap => {
+    const key = gap.text.toLowerCase();
+    if (gap.category !== category || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Rewrite a prompt into sections
+ *
+ * `extraction` is the default extraction of the text: { data, spans, analysis, gaps }.
+ * Returns { refined_prompt, improvements }; each improvement carries the diff hunks
+ * between the prompt before and after that change.
+ */
+export function rewritePrompt(text, extraction) {
+  const { data, spans, analysis, gaps } = extraction;
+  const sections = new Map(SECTIONS.map(name => [name, []]));
+  const improvements = [];
+  let current = text;
+
+  const add = (section, line) => {
+    if (!sections.get(section).includes(line)) sections.get(section).push(line);
+  };
+  const render = () => SECTIONS
+    .filter(name => sections.get(name).length > 0)
+    .map(name => `## ${name}\n${sections.get(name).join('\n')}`)
+    .join('\n\n');
+  const record = (type, description) => {
+    const next = render();
+    if (next === current) return;
+    const hunks = createHunks(current, next);
+    improvements.push({
+      type,
+      description,
+      before: hunkText(hunks, '-'),
+      after: hunkText(hunks, '+'),
+      hunks
+    });
+    current = next;
+  };
+  const spansOf = (field) => spans.filter(span =>
+    span.field === field || span.field.startsWith(`${field}.`) || span.field.startsWith(`${field}[`)
+  );
+
+  // 1. Move the existing content into sections
+  const taskSpan = spansOf('task')[0];
+  const goalSentence = analysis.sentences.find(sentence => !sentence.code && taskSpan && sentence.start === taskSpan.start);
+  const markdownSections = readMarkdown(analysis).sections.filter(section => FIELD_SECTIONS[section.field]);
+  // Section each sentence was moved to, so details it states are not repeated there
+  const placed = [];
+
+  analysis.sentences.forEach(sentence => {
+    if (sentence === goalSentence) {
+      add('Goal', sentenceSource(text, sentence));
+    } else if (sentence.code) {
+      add('Context', sentence.text);
+    } else if (!HEADING.test(sentence.text)) {
+      const markdownSection = markdownSections.find(section => sentence.start >= section.start && sentence.end <= section.end);
+      const section = markdownSection ? FIELD_SECTIONS[markdownSection.field] : classifySentence(sentence);
+      add(section, `- ${sentenceSource(text, sentence).replace(LIST_MARKER, '')}`);
+      placed.push({ section, start: sentence.start, end: sentence.end });
+    }
+  });
+
+  // Every extracted input and constraint is listed in its own section, wherever it was stated
+  const listed = (section, field) => {
+    const span = spans.find(entry => entry.field === field);
+    return Boolean(span) && placed.some(entry => entry.section === section && span.start >= entry.start && span.end <= entry.end);
+  };
+  data.inputs.required.forEach((input, index) => {
+    if (!listed('Inputs', `inputs.required[${index}]`)) add('Inputs', `- ${input}`);
+  });
+  data.inputs.optional.forEach((input, index) => {
+    if (!listed('Inputs', `inputs.optional[${index}]`)) {
+      add('Inputs', `- ${input.replace(/^(optional|if available)\s+/i, '').replace(/\s*\(optional\)$/i, '')} (optional)`);
+    }
+  });
+  data.inputs.constraints.forEach((constraint, index) => {
+    if (!listed('Constraints', `inputs.constraints[${index}]`)) add('Constraints', `- ${constraint.text ?? constraint}`);
+  });
+  if (spansOf('outputs.primary').length > 0 && !listed('Output format', 'outputs.primary')) {
+    add('Output format', `- Deliverable: ${data.outputs.primary}`);
+  }
+  data.outputs.secondary.forEach((output, index) => {
+    if (!listed('Output format', `outputs.secondary[${index}]`)) add('Output format', `- Also: ${output}`);
+  });
+  if (spansOf('outputs.format').length > 0) add('Output format', `- Format: ${data.outputs.format}`);
+
+  const present = SECTIONS.filter(name => sections.get(name).length > 0);
+  record('structure', `Organized the prompt into sections: ${present.join(', ')}`);
+
+  // 2. Mark what is missing, one change per kind of gap
+  if (sections.get('Context').length === 0) {
+    add('Context', '- [Background: who the result is for and how it will be used]');
+    record('completeness', 'Added a placeholder for the missing background');
+  }
+
+  const references = gapsIn(gaps, 'missing_context');
+  if (references.length > 0) {
+    references.forEach(gap => add('Context', `- [What "${gap.text}" refers to]`));
+    record('clarity', `Asked what ${quoteTerms(references.map(gap => gap.text))} ${references.length === 1 ? 'refers' : 'refer'} to`);
+  }
+
+  if (sections.get('Inputs').length === 0) {
+    add('Inputs', '- [Data, files or examples to work from]');
+    record('completeness', 'Added a placeholder for the missing inputs');
+  }
+
+  if (sections.get('Constraints').length === 0) {
+    add('Constraints', '- [Limits such as scope, length, deadline or technology]');
+    record('completeness', 'Added a placeholder for the missing constraints');
+  }
+
+  const unbounded = gapsIn(gaps, 'missing_constraints');
+  if (unbounded.length > 0) {
+    unbounded.forEach(gap => add('Constraints', `- Bound for "${gap.text}": [specific limit]`));
+    record('specificity', `Asked for limits on ${quoteTerms(unbounded.map(gap => gap.text))}`);
+  }
+
+  const missingOutputs = [];
+  if (spansOf('outputs.primary').length === 0) {
+    add('Output format', '- Deliverable: [what to produce]');
+    missingOutputs.push('deliverable');
+  }
+  if (spansOf('outputs.format').length === 0) {
+    add('Output format', '- Format: [e.g. Markdown, JSON or CSV]');
+    missingOutputs.push('format');
+  }
+  record('structure', `Added placeholders for the missing ${missingOutputs.join(' and ')}`);
+
+  // Generic output words that are part of an extracted input ("sales data") are specific enough
+  const inputSpans = spansOf('inputs');
+  const genericOutputs = gapsIn(gaps, 'unclear_output')
+    .filter(gap => !inputSpans.some(span => gap.start >= span.start && gap.end <= span.end));
+  if (genericOutputs.length > 0) {
+    genericOutputs.forEach(gap => add('Output format', `- Structure and contents of "${gap.text}": [sections, fields or length]`));
+    record('structure', `Asked for the structure and contents of ${quoteTerms(genericOutputs.map(gap => gap.text))}`);
+  }
+
+  const vague = gapsIn(gaps, 'ambiguous_requirement');
+  if (vague.length > 0) {
+    vague.forEach(gap => add('Acceptance criteria', `- Definition of "${gap.text}": [measurable criterion]`));
+    record('specificity', `Asked for measurable definitions of ${quoteTerms(vague.map(gap => gap.text))}`);
+  }
+
+  // Gaps from custom rule pack categories become questions in the context
+  const customGaps = gaps.filter(gap => !GAP_CATEGORIES.includes(gap.category));
+  if (customGaps.length > 0) {
+    customGaps.forEach(gap => add('Context', `- [${gap.suggestion}]`));
+    record('clarity', `Added questions for ${customGaps.length} other clarity gap(s)`);
+  }
+
+  if (sections.get('Acceptance criteria').length === 0) {
+    add('Acceptance criteria', '- [How to verify the result is complete and correct]');
+    record('completeness', 'Added a placeholder for acceptance criteria');
+  }
+
+  return { refined_prompt: current, improvements };
+}
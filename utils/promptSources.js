@@ -0,0 +1,472 @@
+/**
+ * Prompt extraction from source and config files
+ * Finds prompts in JS/TS string and template literals, YAML configs, Cursor rules (.mdc) and
+ * Markdown code fences, and maps offsets in the extracted text back to the source file
+ */
+
+import { basename, extname } from 'path';
+import YAML from 'yaml';
+import { PROMPT_SOURCE_FORMATS } from '../src/schema.js';
+import { analyzeTextForGaps } from './gapAnalysis.js';
+import { convertPromptWithSampling } from './llmExtractor.js';
+
+// Extensions of each format in PROMPT_SOURCE_FORMATS
+const FORMAT_EXTENSIONS = {
+  code: ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx'],
+  yaml: ['.yaml', '.yml'],
+  cursor_rule: ['.mdc'],
+  markdown: ['.md', '.markdown']
+};
+export const PROMPT_SOURCE_EXTENSIONS = Object.values(FORMAT_EXTENSIONS).flat();
+
+// Variable, property and YAML key names that hold prompts
+const PROMPT_NAME = /prompt|instruction|system|template|backstory|goal|expected_output/i;
+
+// Chat messages ({ role: 'system', content: '...' }) hold their prompt in `content`
+const MESSAGE_CONTENT = 'content';
+const ROLE_KEY = /(?:^|[{,\s])["']?role["']?\s*:/;
+
+// Code literals marked with /* prompt */ before them, or `// @prompt` on the line above
+const INLINE_MARKER = /\/\*\s*@?prompt\s*\*\/\s*$/i;
+const LINE_MARKER = /\/\/\s*@prompt\s*$/i;
+
+// Markdown fences whose info string contains this word hold prompts
+const FENCE_WORD = 'prompt';
+
+// Shorter strings are names or labels, not prompts
+const MIN_WORDS = 3;
+
+const IDENTIFIER = /[A-Za-z_$][\w$]*/;
+
+/**
+ * Detect the prompt source format of a file from its name (undefined when unsupported)
+ */
+export function detectSourceFormat(filename) {
+  const ext = extname(filename).toLowerCase();
+  return PROMPT_SOURCE_FORMATS.find(format => FORMAT_EXTENSIONS[format].includes(ext));
+}
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Map every character of `text` to its offset in `source`, starting at `from`
+ * Characters are matched in order; whitespace in the text may stand for other whitespace
+ * (folded YAML lines) and source characters without a counterpart (escapes, indentation)
+ * are skipped. The result has one extra entry for the end of the text.
+ */
+function alignOffsets(text, source, from, to = source.length) {
+  const offsets = new Array(text.length + 1);
+  let cursor = from;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    let match = cursor;
+    while (match < to && source[match] !== char && !(/\s/.test(char) && /\s/.test(source[match]))) {
+      match++;
+    }
+    if (match >= to) {
+      // No counterpart left: pin the rest of the text to the last matched position
+      offsets.fill(Math.min(cursor, to), index);
+      return offsets;
+    }
+    offsets[index] = match;
+    cursor = match + 1;
+  }
+
+  offsets[text.length] = cursor;
+  return offsets;
+}
+
+function identityOffsets(start, length) {
+  return Array.from({ length: length + 1 }, (_, index) => start + index);
+}
+
+/**
+ * Line and column lookup for a source text
+ */
+function createLineIndex(source) {
+  const lineStarts = [0];
+  for (let index = 0; index < source.length; index++) {
+    if (source[index] === '\n') lineStarts.push(index + 1);
+  }
+
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+// --- JavaScript / TypeScript ---
+
+/**
+ * Name a literal is assigned to, from the code before it:
+ * `const systemPrompt = `, `prompt: `, `"instructions": `, or a tag such as `dedent` after one of those
+ */
+function literalName(before) {
+  const match = before.match(new RegExp(`(?:["']?(${IDENTIFIER.source})["']?\\s*(?:=|:)\\s*)?(${IDENTIFIER.source}(?:\\.${IDENTIFIER.source})*)?\\s*$`));
+  if (!match) return undefined;
+  const [, assigned, tag] = match;
+  return assigned ?? tag;
+}
+
+/**
+ * Text of the object literal around a range, without its braces (undefined outside one)
+ * Braces inside strings are not told apart, which is enough for message objects
+ */
+function enclosingObject(source, start, end) {
+  let open = start - 1;
+  for (let depth = 0; open >= 0; open--) {
+    if (source[open] === '}' || source[open] === ']') depth++;
+    else if ((source[open] === '{' || source[open] === '[') && depth-- === 0) break;
+  }
+  let close = end;
+  for (let depth = 0; close < source.length; close++) {
+    if (source[close] === '{' || source[close] === '[') depth++;
+    else if ((source[close] === '}' || source[close] === ']') && depth-- === 0) break;
+  }
+  if (source[open] !== '{' || source[close] !== '}') return undefined;
+  return source.slice(open + 1, close);
+}
+
+function isPromptLiteral(source, start, end, name) {
+  const before = source.slice(Math.max(0, start - 200), start);
+  if (INLINE_MARKER.test(before)) return true;
+
+  const lines = before.split('\n');
+  const previousLine = lines.length > 1 ? lines[lines.length - 2] : '';
+  if (LINE_MARKER.test(previousLine.trim())) return true;
+
+  if (name === MESSAGE_CONTENT) return ROLE_KEY.test(enclosingObject(source, start, end) ?? '');
+  return name !== undefined && PROMPT_NAME.test(name);
+}
+
+// Characters after which a '/' starts a regular expression rather than a division
+const REGEX_PRECEDERS = new Set(['', '(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', '+', '-', '*', '%', '<', '>', '~', '^']);
+
+/**
+ * Scan JS/TS source for string and template literals
+ * Returns { start, end } content ranges (without quotes); `${...}` substitutions are left in place
+ */
+function scanLiterals(source) {
+  const literals = [];
+  let index = 0;
+  let previous = '';
+
+  const skipString = (quote) => {
+    const start = index + 1;
+    index++;
+    while (index < source.length && source[index] !== quote && source[index] !== '\n') {
+      index += source[index] === '\\' ? 2 : 1;
+    }
+    literals.push({ start, end: index });
+    index++;
+  };
+
+  const skipTemplate = () => {
+    const start = index + 1;
+    index++;
+    while (index < source.length && source[index] !== '`') {
+      if (source[index] === '\\') {
+        index += 2;
+      } else if (source[index] === '$' && source[index + 1] === '{') {
+        index += 2;
+        scanUntilBrace();
+      } else {
+        index++;
+      }
+    }
+    literals.push({ start, end: index, template: true });
+    index++;
+  };
+
+  const skipRegex = () => {
+    index++;
+    let inClass = false;
+    while (index < source.length && source[index] !== '\n') {
+      const char = source[index];
+      if (char === '\\') {
+        index += 2;
+        continue;
+      }
+      if (char === '[') inClass = true;
+      else if (char === ']') inClass = false;
+      else if (char === '/' && !inClass) break;
+      index++;
+    }
+    index++;
+  };
+
+  // Scan code until the '}' closing the current `${` (or the end of the source)
+  function scanUntilBrace() {
+    let depth = 0;
+    while (index < source.length) {
+      const char = source[index];
+      const next = source[index + 1];
+
+      if (char === '/' && next === '/') {
+        const end = source.indexOf('\n', index);
+        index = end < 0 ? source.length : end;
+      } else if (char === '/' && next === '*') {
+        const end = source.indexOf('*/', index + 2);
+        index = end < 0 ? source.length : end + 2;
+      } else if (char === '\'' || char === '"') {
+        skipString(char);
+        previous = 'literal';
+      } else if (char === '`') {
+        skipTemplate();
+        previous = 'literal';
+      } else if (char === '/' && REGEX_PRECEDERS.has(previous)) {
+        skipRegex();
+        previous = 'literal';
+      } else {
+        if (char === '{') depth++;
+        if (char === '}') {
+          if (depth === 0) {
+            index++;
+            return;
+          }
+          depth--;
+        }
+        if (!/\s/.test(char)) previous = /[\w$)\]]/.test(char) ? 'word' : char;
+        index++;
+      }
+    }
+  }
+
+  scanUntilBrace();
+  while (index < source.length) {
+    // A stray '}' at the top level: keep scanning after it
+    scanUntilBrace();
+  }
+  return literals;
+}
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r' };
+
+/**
+ * Resolve the escapes of a quoted string literal, keeping the source offset of every character
+ */
+function unescapeString(raw, start) {
+  let text = '';
+  const offsets = [];
+  for (let index = 0; index < raw.length; index++) {
+    offsets.push(start + index);
+    if (raw[index] === '\\' && index + 1 < raw.length) {
+      index++;
+      text += ESCAPES[raw[index]] ?? raw[index];
+    } else {
+      text += raw[index];
+    }
+  }
+  offsets.push(start + raw.length);
+  return { text, offsets };
+}
+
+function extractFromCode(source) {
+  return scanLiterals(source).sort((a, b) => a.start - b.start).flatMap(({ start, end, template }) => {
+    const before = source.slice(Math.max(0, start - 200), start - 1);
+    const name = literalName(before);
+    if (!isPromptLiteral(source, start - 1, end + 1, name)) return [];
+
+    const raw = source.slice(start, end);
+    // Template literals are taken verbatim; escapes in quoted strings are resolved
+    const { text, offsets } = template
+      ? { text: raw, offsets: identityOffsets(start, raw.length) }
+      : unescapeString(raw, start);
+    return [{ kind: template ? 'template_literal' : 'string_literal', name, text, offsets }];
+  });
+}
+
+// --- YAML ---
+
+function extractFromYaml(source) {
+  const prompts = [];
+
+  YAML.parseAllDocuments(source).forEach(document => {
+    YAML.visit(document, {
+      Pair(_, pair, path) {
+        const key = YAML.isScalar(pair.key) ? String(pair.key.value) : undefined;
+        const message = key === MESSAGE_CONTENT && YAML.isMap(path[path.length - 1]) && path[path.length - 1].has('role');
+        if (!key || (!message && !PROMPT_NAME.test(key))) return;
+        if (!YAML.isScalar(pair.value) || typeof pair.value.value !== 'string' || !pair.value.range) return;
+
+        const parents = path
+          .filter(node => YAML.isPair(node) && YAML.isScalar(node.key))
+          .map(node => String(node.key.value));
+        const [start, valueEnd] = pair.value.range;
+        const text = pair.value.value;
+        prompts.push({
+          kind: 'yaml_value',
+          name: [...parents, key].join('.'),
+          text,
+          offsets: alignOffsets(text, source, start, valueEnd)
+        });
+      }
+    });
+  });
+
+  return prompts;
+}
+
+// --- Cursor rules ---
+
+const FRONTMATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+function extractFromCursorRule(source, filename) {
+  const frontmatter = source.match(FRONTMATTER);
+  const start = frontmatter ? frontmatter[0].length : 0;
+  let description;
+  if (frontmatter) {
+    try {
+      description = YAML.parse(frontmatter[1])?.description;
+    } catch {
+      // An unreadable frontmatter only loses the rule's name
+    }
+  }
+
+  const text = source.slice(start);
+  return [{
+    kind: 'cursor_rule',
+    name: typeof description === 'string' && description.length > 0 ? description : basename(filename, extname(filename)),
+    text,
+    offsets: identityOffsets(start, text.length)
+  }];
+}
+
+// --- Markdown ---
+
+function extractFromMarkdown(source) {
+  const prompts = [];
+  const fence = /^( {0,3})(`{3,}|~{3,})[ \t]*([^\n]*)\n/gm;
+  let match;
+
+  while ((match = fence.exec(source)) !== null) {
+    const [opening, , marker, info] = match;
+    const contentStart = match.index + opening.length;
+    const closing = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`, 'm');
+    const rest = source.slice(contentStart);
+    const close = rest.match(closing);
+    const contentEnd = close ? contentStart + close.index : source.length;
+    fence.lastIndex = close ? contentEnd + close[0].length : source.length;
+
+    const words = info.trim().split(/\s+/);
+    if (!words.includes(FENCE_WORD)) continue;
+
+    const text = source.slice(contentStart, contentEnd);
+    prompts.push({
+      kind: 'markdown_fence',
+      name: words.filter(word => word !== FENCE_WORD).join(' ') || undefined,
+      text,
+      offsets: identityOffsets(contentStart, text.length)
+    });
+  }
+
+  return prompts;
+}
+
+const EXTRACTORS = {
+  code: extractFromCode,
+  yaml: extractFromYaml,
+  cursor_rule: extractFromCursorRule,
+  markdown: extractFromMarkdown
+};
+
+/**
+ * Extract the prompts of a file
+ *
+ * `format` defaults to the format detected from `filename`. Each prompt is
+ * { id, kind, name?, text, location, locate } where `location` is the prompt's range in the
+ * source and `locate(start, end)` maps a range of the prompt text to the source
+ * (offsets plus 1-based line and column).
+ */
+export function extractPrompts(source, filename, options = {}) {
+  const format = options.format ?? detectSourceFormat(filename);
+  if (!format) {
+    throw new Error(`Unsupported prompt source: ${filename}. Supported extensions: ${PROMPT_SOURCE_EXTENSIONS.join(', ')}`);
+  }
+
+  const position = createLineIndex(source);
+  const locateWith = (offsets) => (start, end) => {
+    const sourceStart = offsets[Math.min(start, offsets.length - 1)];
+    // The end maps to one past the source character of the last included text character
+    const sourceEnd = end > start ? offsets[Math.min(end - 1, offsets.length - 1)] + 1 : sourceStart;
+    const from = position(sourceStart);
+    const to = position(sourceEnd);
+    return { start: sourceStart, end: sourceEnd, line: from.line, column: from.column, end_line: to.line, end_column: to.column };
+  };
+
+  return EXTRACTORS[format](source, filename)
+    .map(({ text, offsets, ...prompt }) => {
+      // Surrounding whitespace (template literal indentation, blank lines) is not part of the prompt
+      const leading = text.length - text.trimStart().length;
+      const trimmed = text.trim();
+      return { ...prompt, text: trimmed, offsets: offsets.slice(leading, leading + trimmed.length + 1) };
+    })
+    .filter(prompt => wordCount(prompt.text) >= MIN_WORDS)
+    .map(({ offsets, ...prompt }) => {
+      const locate = locateWith(offsets);
+      const location = locate(0, prompt.text.length);
+      return {
+        id: `${filename}:${location.line}`,
+        ...prompt,
+        location,
+        locate
+      };
+    });
+}
+
+/**
+ * Add source locations to the gaps and spans of a result for an extracted prompt
+ * `locate` is the prompt's locate function; other fields are returned unchanged
+ */
+export function mapToSource(result, locate) {
+  const withLocation = (items) => items?.map(item => ({ ...item, location: locate(item.start, item.end) }));
+
+  return {
+    ...result,
+    ...(result.gaps && { gaps: withLocation(result.gaps) }),
+    ...(result.spans && { spans: withLocation(result.spans) })
+  };
+}
+
+/**
+ * Extract the prompts of a file and analyze each one, for the extractPrompts tool
+ *
+ * Options:
+ * - format: override the format detected from the file name
+ * - analyze: 'gaps' (default), 'convert' or 'none'
+ * - schema, sampling: passed to convertPromptWithSampling
+ *
+ * Gaps and spans carry their `location` in the source file.
+ */
+export async function extractAndAnalyzePrompts(content, filename, options = {}) {
+  const { analyze = 'gaps', schema, sampling = {} } = options;
+  const format = options.format ?? detectSourceFormat(filename);
+
+  try {
+    const prompts = [];
+    for (const { locate, ...prompt } of extractPrompts(content, filename, { format })) {
+      if (analyze === 'gaps') {
+        const { gaps, overall_clarity_score } = mapToSource(analyzeTextForGaps(prompt.text), locate);
+        prompts.push({ ...prompt, overall_clarity_score, gaps });
+      } else if (analyze === 'convert') {
+        const result = await convertPromptWithSampling(prompt.text, { schema, ...sampling });
+        prompts.push({ ...prompt, result: mapToSource(result, locate) });
+      } else {
+        prompts.push(prompt);
+      }
+    }
+    return { success: true, filename, format, prompts };
+
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * Rule engine for gap analysis
+ * Compiles rule packs into matchers and runs them over prompt text
+ */
+
+import { existsSync, readFileSync, statSync } from 'fs';
+import { extname, join } from 'path';
+import YAML from 'yaml';
+import { RuleSchema, RulePackSchema, validateInput } from '../src/schema.js';
+import { DEFAULT_RULES } from './defaultRules.js';
+import { getConfigDir } from './config.js';
+import { createSpan } from './spans.js';
+import { analyzeText, isProtected, tokenize, wordTokens } from './textAnalysis.js';
+
+// Rule pack files looked up in the project config directory, in order
+export const RULE_PACK_FILES = ['rules.json', 'rules.yaml', 'rules.yml'];
+
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+// Cache of compiled project rule packs by file path
+const projectRuleCache = new Map();
+
+// Built-in matchers by rule id, to tell built-in rules from customized ones
+const DEFAULT_MATCHERS = new Map(DEFAULT_RULES.map(rule => [rule.id, JSON.stringify(rule.matcher)]));
+
+// Localized versions of compiled rules, by rule and lexicon code
+const localizedRuleCache = new WeakMap();
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a function that returns every match of a rule as { term, start, end }
+ * Matchers receive the shared text analysis (see textAnalysis.js)
+ */
+function compileMatcher(matcher) {
+  switch (matcher.type) {
+    case 'word': {
+      const patterns = matcher.terms.map(term => ({
+        term,
+        regex: new RegExp(`(?<!${WORD_CHAR})${escapeRegExp(term).replace(/\s+/g, '\\s+')}(?!${WORD_CHAR})`, 'giu')
+      }));
+      return ({ text }) => patterns.flatMap(({ term, regex }) =>
+        [...text.matchAll(regex)].map(match => ({
+          term,
+          start: match.index,
+          end: match.index + match[0].length
+        }))
+      );
+    }
+    case 'token': {
+      const sequences = matcher.terms.map(term => ({
+        term,
+        tokens: wordTokens(tokenize(term)).map(token => token.lower)
+      }));
+      return (analysis) => {
+        const tokens = wordTokens(analysis.tokens);
+        const matches = [];
+        sequences.forEach(({ term, tokens: sequence }) => {
+          for (let i = 0; i + sequence.length <= tokens.length; i++) {
+            if (sequence.every((word, offset) => tokens[i + offset].lower === word)) {
+              matches.push({
+                term,
+                start: tokens[i].start,
+                end: tokens[i + sequence.length - 1].end
+              });
+            }
+          }
+        });
+        return matches;
+      };
+    }
+    case 'regex': {
+      const flags = matcher.flags ?? 'i';
+      const regex = new RegExp(matcher.pattern, flags.includes('g') ? flags : `${flags}g`);
+      return ({ text }) => [...text.matchAll(regex)]
+        .filter(match => match[0].length > 0)
+        .map(match => ({
+          term: match[0].toLowerCase(),
+          start: match.index,
+          end: match.index + match[0].length
+        }));
+    }
+    default:
+      throw new Error(`Unknown matcher type: ${matcher.type}`);
+  }
+}
+
+/**
+ * Validate and compile a rule definition
+ */
+export function compileRule(definition) {
+  const validation = validateInput(RuleSchema, definition);
+  if (!validation.success) {
+    const id = typeof definition?.id === 'string' ? ` "${definition.id}"` : '';
+    throw new Error(`Invalid rule${id}: ${validation.error}`);
+  }
+  return { ...validation.data, match: compileMatcher(validation.data.matcher) };
+}
+
+function matchesId(id, patterns) {
+  return patterns.some(pattern =>
+    pattern.endsWith('*') ? id.startsWith(pattern.slice(0, -1)) : id === pattern
+  );
+}
+
+/**
+ * Resolve a rule pack against the built-in rules and compile the result
+ * A pack can add or replace rules, override rule fields, and enable or disable rules by id.
+ * `source` names the pack's file in validation errors.
+ */
+export function resolveRulePack(pack = {}, source) {
+  const validation = validateInput(RulePackSchema, pack);
+  if (!validation.success) {
+    throw new Error(`Invalid rule pack${source ? ` ${source}` : ''}: ${validation.error}`);
+  }
+  const definition = validation.data;
+  const rules = new Map();
+
+  if (definition.extends === 'default') {
+    DEFAULT_RULES.forEach(rule => rules.set(rule.id, rule));
+  }
+  definition.rules.forEach(rule => rules.set(rule.id, rule));
+
+  Object.entries(definition.overrides).forEach(([id, override]) => {
+    if (!rules.has(id)) {
+      throw new Error(`Rule override refers to unknown rule "${id}"`);
+    }
+    rules.set(id, { ...rules.get(id), ...override });
+  });
+
+  return [...rules.values()].map(rule => {
+    let enabled = rule.enabled ?? true;
+    if (matchesId(rule.id, definition.disable)) enabled = false;
+    if (matchesId(rule.id, definition.enable)) enabled = true;
+    return compileRule({ ...rule, enabled });
+  });
+}
+
+/**
+ * Read a rule pack from a JSON or YAML file
+ */
+export function loadRulePackFile(filePath) {
+  try {
+    const content = readFileSync(filePath, 'utf8');
+    const ext = extname(filePath).toLowerCase();
+    return ext === '.yaml' || ext === '.yml' ? YAML.parse(content) ?? {} : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Failed to read rule pack ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Find the project rule pack file, if there is one
+ */
+export function findProjectRulePack(cwd = process.cwd()) {
+  const dir = getConfigDir(cwd);
+  return RULE_PACK_FILES.map(file => join(dir, file)).find(filePath => existsSync(filePath));
+}
+
+/**
+ * Get the compiled rules for a project: its rule pack if present, otherwise the built-in rules
+ * Rule packs are re-read when their file changes
+ */
+export function getActiveRules(cwd = process.cwd()) {
+  const filePath = findProjectRulePack(cwd);
+  const cacheKey = filePath ?? '(default)';
+  const mtime = filePath ? statSync(filePath).mtimeMs : 0;
+
+  const cached = projectRuleCache.get(cacheKey);
+  if (cached && cached.mtime === mtime) {
+    return cached.rules;
+  }
+
+  const rules = resolveRulePack(filePath ? loadRulePackFile(filePath) : {}, filePath);
+  projectRuleCache.set(cacheKey, { mtime, rules });
+  return rules;
+}
+
+/**
+ * Resolve the `rules` option of the analysis functions
+ * Accepts compiled rules, a rule pack object, or nothing (project rules)
+ */
+export function resolveRules(rules) {
+  if (!rules) return getActiveRules();
+  if (Array.isArray(rules)) {
+    return rules.map(rule => (typeof rule.match === 'function' ? rule : compileRule(rule)));
+  }
+  return resolveRulePack(rules);
+}
+
+/**
+ * Matcher of a rule in another language, from the lexicon's terms for the rule
+ * Japanese terms match anywhere, since words are not separated by spaces
+ */
+function localizedMatcher(terms, lexicon) {
+  if (!Array.isArray(terms)) return { type: 'regex', pattern: terms.pattern, flags: 'iu' };
+  if (lexicon.spaced) return { type: 'word', terms };
+  return { type: 'regex', pattern: terms.map(escapeRegExp).join('|'), flags: 'iu' };
+}
+
+/**
+ * Swap the terms of a built-in rule for those of the analysis language
+ * Custom rules and built-in rules whose matcher was overridden are kept as they are;
+ * a rule with no terms in the lexicon does not apply to the language.
+ */
+export function localizeRule(rule, lexicon) {
+  const terms = lexicon.rules[rule.id];
+  if (!terms || DEFAULT_MATCHERS.get(rule.id) !== JSON.stringify(rule.matcher)) return rule;
+
+  if (!localizedRuleCache.has(rule)) localizedRuleCache.set(rule, new Map());
+  const cache = localizedRuleCache.get(rule);
+  if (!cache.has(lexicon.code)) {
+    const { match, ...definition } = rule;
+    cache.set(lexicon.code, Array.isArray(terms) && terms.length === 0
+      ? null
+      : compileRule({ ...definition, matcher: localizedMatcher(terms, lexicon) }));
+  }
+  return cache.get(lexicon.code);
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(term|match|sentence)\}/g, (placeholder, key) => values[key]);
+}
+
+/**
+ * Run rules over text and return one gap per rule and term
+ * (per sentence for sentence_start rules)
+ * Matches inside code, URLs, file paths and other protected spans are ignored.
+ * Built-in rules use the terms of the analysis language (see localizeRule).
+ * Accepts the text or an existing analysis of it.
+ */
+export function runRules(input, rules) {
+  const analysis = typeof input === 'string' ? analyzeText(input) : input;
+  const { text, protectedRanges } = analysis;
+  const sentences = analysis.sentences.filter(sentence => !sentence.code);
+  const gaps = [];
+  const seen = new Set();
+
+  const sentenceIndexAt = (offset) => sentences.findIndex(s => offset >= s.start && offset < s.end);
+
+  const activeRules = rules
+    .filter(rule => rule.enabled)
+    .map(rule => localizeRule(rule, analysis.lexicon))
+    .filter(Boolean);
+
+  activeRules.forEach(rule => {
+    const matches = rule.match(analysis)
+      .filter(({ start, end }) => !isProtected(protectedRanges, start, end))
+      .sort((a, b) => a.start - b.start);
+
+    matches.forEach(({ term, start, end }) => {
+      const sentenceIndex = sentenceIndexAt(start);
+
+      if (rule.scope === 'sentence_start') {
+        if (sentenceIndex < 0) return;
+        const before = text.slice(sentences[sentenceIndex].start, start).trim();
+        if (before.length >= rule.maxOffset) return;
+      }
+
+      const key = rule.scope === 'sentence_start'
+        ? `${rule.id}|${term.toLowerCase()}|${sentenceIndex}`
+        : `${rule.id}|${term.toLowerCase()}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const values = {
+        term,
+        match: text.slice(start, end),
+        sentence: sentenceIndex + 1
+      };
+
+      gaps.push({
+        category: rule.category,
+        description: fillTemplate(rule.description, values),
+        suggestion: fillTemplate(rule.suggestion, values),
+        severity: rule.severity,
+        ...createSpan(text, start, end, rule.id)
+      });
+    });
+  });
+
+  return gaps;
+}
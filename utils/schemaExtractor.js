@@ -0,0 +1,330 @@
+/**
+ * Utility functions for filling custom output schemas from text prompts
+ */
+
+import { z } from 'zod';
+import { segmentSentences } from './textAnalysis.js';
+
+// Fields whose values come straight from the default PromptSchema extraction
+const FIELD_HINTS = [
+  { pattern: /^(title|name|summary|task|headline|subject)$/, value: (base) => base.task },
+  { pattern: /^(intent|goal|purpose|objective|reason|motivation)$/, value: (base) => base.intent },
+  { pattern: /^(description|details|body|prompt|text|request)$/, value: (base, text) => text.trim() },
+  { pattern: /(^|_)format$/, value: (base) => base.outputs.format },
+  { pattern: /^(outputs?|deliverables?|results?)$/, value: (base) => [base.outputs.primary, ...base.outputs.secondary] },
+  { pattern: /^(constraints|limits|limitations)$/, value: (base) => base.inputs.constraints.map(constraint => constraint.text) },
+  { pattern: /^(inputs|parameters|params|requirements)$/, value: (base) => base.inputs.required }
+];
+
+// Fields recognized by the shape of their value
+const VALUE_PATTERNS = [
+  { pattern: /(^|_)(http_)?method$/, regex: /\b(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\b/ },
+  { pattern: /(^|_)(path|route|endpoint)$/, regex: /(?:^|\s)(\/[\w\-.~{}:/]*)/ },
+  { pattern: /(^|_)(url|link|uri)$/, regex: /\b([a-z][a-z0-9+.-]*:\/\/[^\s)]+)/i },
+  { pattern: /(^|_)(status|status_code)$/, regex: /\b([1-5]\d{2})\b/ },
+  { pattern: /(^|_)version$/, regex: /\b(v?\d+\.\d+(?:\.\d+)?)\b/ },
+  { pattern: /(^|_)email$/, regex: /\b([\w.+-]+@[\w-]+\.[\w.-]+)\b/ }
+];
+
+// Sentences that describe expected and actual behavior in bug-style prompts
+const SENTENCE_CUES = [
+  { pattern: /^expected(_behaviou?r|_result)?$/, regex: /\b(expected|should|supposed to)\b/i },
+  { pattern: /^actual(_behaviou?r|_result)?$/, regex: /\b(actually|instead|but|currently|returns?|fails?|crash(es)?|errors?)\b/i },
+  { pattern: /^(environment|platform|env)$/, regex: /\b(on|using|in)\s+(windows|mac(os)?|linux|ios|android|chrome|firefox|safari|edge|node|version)\b/i }
+];
+
+// Words that imply a severity or priority level
+const URGENCY_LEVELS = [
+  { regex: /\b(critical|blocker|blocking|outage|data loss|security|asap|urgent|production)\b/i, levels: ['critical', 'blocker', 'urgent', 'high', 'p0', 'p1'] },
+  { regex: /\b(crash(es)?|broken|fails?|errors?|500)\b/i, levels: ['high', 'major', 'p1', 'p2'] },
+  { regex: /\b(minor|cosmetic|typo|small|trivial)\b/i, levels: ['low', 'minor', 'trivial', 'p3', 'p4'] }
+];
+
+const AUTH_PATTERN = /\b(auth(enticat\w+|oriz\w+)?|login|logged[- ]in|token|api key|jwt|oauth)\b/i;
+const LIST_ITEM_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/;
+
+/**
+ * Split a field key such as `stepsToReproduce` or `steps_to_reproduce` into lowercase words
+ */
+function keyWords(key) {
+  return key
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+function normalizeKey(key) {
+  return keyWords(key).join('_');
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Sentences of the text, treating every line as a separate block
+function splitSentences(text) {
+  return text.split(/\n+/)
+    .flatMap(line => segmentSentences(line))
+    .filter(sentence => !sentence.code)
+    .map(sentence => sentence.text);
+}
+
+/**
+ * Collect labeled sections such as "Title: ...", "**Severity**: high" or "## Steps to reproduce"
+ * Returns a map from normalized label to { value, items }
+ */
+export function parseLabeledFields(text) {
+  const fields = new Map();
+  let current = null;
+
+  const lines = text.split(/\r?\n/).flatMap(line =>
+    // Labels can also start a new sentence inside a line ("... URL. Parameters: id, file")
+    LIST_ITEM_PATTERN.test(line) ? [line] : line.split(/(?<=[.!?])\s+(?=[A-Z*][\w \-/*]{0,40}:)/)
+  );
+
+  lines.forEach(line => {
+    const heading = line.match(/^\s*#{1,6}\s+(.+?)\s*#*\s*$/);
+    const label = line.match(/^\s*(?:[-*]\s+)?\**([A-Za-z][\w \-/]{0,40}?)\**\s*:\s*(.*)$/);
+
+    // "s3://bucket" is a URL, not a label
+    if (heading || (label && !label[2].startsWith('//'))) {
+      const name = normalizeKey(heading ? heading[1] : label[1]);
+      current = { value: heading ? '' : label[2].trim(), items: [] };
+      fields.set(name, current);
+      return;
+    }
+
+    if (!current) return;
+
+    const item = line.match(LIST_ITEM_PATTERN);
+    if (item) {
+      current.items.push(item[1].trim());
+    } else if (line.trim().length > 0) {
+      current.value = current.value ? `${current.value} ${line.trim()}` : line.trim();
+    } else if (current.value || current.items.length > 0) {
+      current = null;
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Find the labeled section for a field key, allowing labels that start with the key words
+ */
+function findLabeledField(fields, key) {
+  const normalized = normalizeKey(key);
+  if (fields.has(normalized)) return fields.get(normalized);
+
+  for (const [label, field] of fields) {
+    if (label.startsWith(`${normalized}_`) || normalized.startsWith(`${label}_`)) {
+      return field;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Remove optional/nullable/default wrappers to reach the underlying Zod type
+ */
+function unwrapSchema(schema) {
+  let current = schema;
+  while (
+    current instanceof z.ZodOptional ||
+    current instanceof z.ZodNullable ||
+    current instanceof z.ZodDefault ||
+    current instanceof z.ZodEffects
+  ) {
+    current = current instanceof z.ZodEffects ? current.innerType() : current._def.innerType;
+  }
+  return current;
+}
+
+function pickEnumValue(values, text, key) {
+  const lower = text.toLowerCase();
+  const mentioned = values.find(value =>
+    new RegExp(`\\b${escapeRegExp(String(value).toLowerCase())}\\b`).test(lower)
+  );
+  if (mentioned !== undefined) return mentioned;
+
+  if (/(severity|priority|urgency|impact|level)$/.test(normalizeKey(key))) {
+    for (const { regex, levels } of URGENCY_LEVELS) {
+      if (!regex.test(text)) continue;
+      const match = values.find(value => levels.includes(String(value).toLowerCase()));
+      if (match !== undefined) return match;
+    }
+  }
+  return undefined;
+}
+
+function coerceString(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  return value === undefined || value === null ? undefined : String(value);
+}
+
+function findHintValue(key, base, text) {
+  const normalized = normalizeKey(key);
+  const hint = FIELD_HINTS.find(({ pattern }) => pattern.test(normalized));
+  return hint ? hint.value(base, text) : undefined;
+}
+
+/**
+ * Find sentences mentioning the key words, ignoring very short or generic words
+ */
+function findMentioningSentences(text, key) {
+  const words = keyWords(key).filter(word => word.length > 2);
+  if (words.length === 0) return [];
+
+  return splitSentences(text).filter(sentence =>
+    words.some(word => new RegExp(`\\b${escapeRegExp(word)}`, 'i').test(sentence))
+  );
+}
+
+function fillString(key, text, base, labeled) {
+  if (labeled?.value) return labeled.value;
+  if (labeled?.items.length) return labeled.items.join('; ');
+
+  const normalized = normalizeKey(key);
+
+  const valuePattern = VALUE_PATTERNS.find(({ pattern }) => pattern.test(normalized));
+  if (valuePattern) {
+    const match = text.match(valuePattern.regex);
+    if (match) return match[1];
+  }
+
+  const cue = SENTENCE_CUES.find(({ pattern }) => pattern.test(normalized));
+  if (cue) {
+    const sentence = splitSentences(text).find(s => cue.regex.test(s));
+    if (sentence) return sentence;
+  }
+
+  const hinted = coerceString(findHintValue(key, base, text));
+  if (hinted) return hinted;
+
+  return findMentioningSentences(text, key)[0];
+}
+
+function fillNumber(key, text, labeled) {
+  const source = labeled?.value ?? '';
+  const labeledNumber = source.match(/-?\d+(\.\d+)?/);
+  if (labeledNumber) return Number(labeledNumber[0]);
+
+  const words = keyWords(key).map(escapeRegExp).join('[\\s_-]+');
+  const near = text.match(new RegExp(`(-?\\d+(?:\\.\\d+)?)\\s+${words}|${words}\\s*(?:of|is|=|:)?\\s*(-?\\d+(?:\\.\\d+)?)`, 'i'));
+  if (near) return Number(near[1] ?? near[2]);
+  return undefined;
+}
+
+function fillBoolean(key, text, labeled) {
+  if (labeled?.value) {
+    return /^(yes|true|y|required|enabled|on)\b/i.test(labeled.value);
+  }
+
+  const normalized = normalizeKey(key);
+  if (/auth/.test(normalized)) {
+    if (/\b(no|without|public|unauthenticated)\s+(auth\w*|login)/i.test(text)) return false;
+    return AUTH_PATTERN.test(text);
+  }
+
+  return findMentioningSentences(text, key).length > 0;
+}
+
+function fillArray(key, schema, text, base, labeled) {
+  const itemSchema = unwrapSchema(schema.element);
+
+  let items = [];
+  if (labeled?.items.length) {
+    items = labeled.items;
+  } else if (labeled?.value) {
+    items = labeled.value.split(/\s*[,;]\s*/).filter(Boolean);
+  } else {
+    const hinted = findHintValue(key, base, text);
+    if (Array.isArray(hinted)) {
+      items = hinted.filter(Boolean);
+    } else if (/^(steps|steps_to_reproduce|reproduction_steps)$/.test(normalizeKey(key))) {
+      items = text.split(/\r?\n/)
+        .map(line => line.match(LIST_ITEM_PATTERN))
+        .filter(Boolean)
+        .map(match => match[1].trim());
+      if (items.length === 0) {
+        items = splitSentences(text).filter(s => /\b(then|after|when|click|open|go to|enter|run|submit)\b/i.test(s));
+      }
+    } else {
+      items = findMentioningSentences(text, key);
+    }
+  }
+
+  return items
+    .map(item => fillArrayItem(key, itemSchema, item, base))
+    .filter(item => item !== undefined);
+}
+
+/**
+ * Convert one list item to the array element type; the item text is the value itself
+ */
+function fillArrayItem(key, itemSchema, item, base) {
+  if (typeof item !== 'string') return item;
+  if (itemSchema instanceof z.ZodString) return item;
+  if (itemSchema instanceof z.ZodNumber) {
+    const number = item.match(/-?\d+(\.\d+)?/);
+    return number ? Number(number[0]) : undefined;
+  }
+  if (itemSchema instanceof z.ZodEnum) return pickEnumValue(itemSchema.options, item, key);
+  return fillValue(key, itemSchema, item, base, { value: item, items: [] });
+}
+
+function fillObject(schema, text, base, fields) {
+  const result = {};
+
+  Object.entries(schema.shape).forEach(([key, fieldSchema]) => {
+    const value = fillValue(key, unwrapSchema(fieldSchema), text, base, findLabeledField(fields, key));
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  });
+
+  return result;
+}
+
+function fillValue(key, schema, text, base, labeled) {
+  if (schema instanceof z.ZodString) return fillString(key, text, base, labeled);
+  if (schema instanceof z.ZodNumber) return fillNumber(key, text, labeled);
+  if (schema instanceof z.ZodBoolean) return fillBoolean(key, text, labeled);
+  if (schema instanceof z.ZodEnum) return pickEnumValue(schema.options, labeled?.value || text, key);
+  if (schema instanceof z.ZodLiteral) return schema.value;
+  if (schema instanceof z.ZodArray) return fillArray(key, schema, text, base, labeled);
+  if (schema instanceof z.ZodObject) {
+    const source = labeled ? [labeled.value, ...labeled.items].filter(Boolean).join('\n') : text;
+    return fillObject(schema, source, base, parseLabeledFields(source));
+  }
+  if (schema instanceof z.ZodUnion) {
+    for (const option of schema.options) {
+      const value = fillValue(key, unwrapSchema(option), text, base, labeled);
+      if (value !== undefined && option.safeParse(value).success) return value;
+    }
+  }
+  return labeled?.value || undefined;
+}
+
+/**
+ * Fill a custom Zod object schema from text and validate the result
+ * `base` is the default PromptSchema extraction, used for fields such as task and intent
+ */
+export function extractToSchema(text, schema, base) {
+  const data = fillObject(schema, text, base, parseLabeledFields(text));
+  const validation = schema.safeParse(data);
+
+  if (validation.success) {
+    return { valid: true, data: validation.data, issues: [] };
+  }
+
+  return {
+    valid: false,
+    data,
+    issues: validation.error.issues.map(issue => ({
+      path: issue.path.join('.'),
+      message: issue.message
+    }))
+  };
+}
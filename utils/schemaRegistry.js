@@ -0,0 +1,200 @@
+/**
+ * Registry of output schemas that convertPromptToJson can target
+ * Schemas are Zod objects, registered in code or loaded as JSON Schema from the project config directory
+ */
+
+import { basename, join } from 'path';
+import { z } from 'zod';
+import { PromptSchema, BugReportSchema, ApiEndpointSchema, toJsonSchema } from '../src/schema.js';
+import { getConfigDir, listConfigFiles, loadChangedConfigFiles, readJsonFile } from './config.js';
+
+// The name used for the built-in PromptSchema shape
+export const DEFAULT_SCHEMA_NAME = 'prompt';
+
+const registry = new Map();
+// Project schema files loaded so far, per schema directory
+const projectFiles = new Map();
+
+/**
+ * Convert a JSON Schema object to an equivalent Zod schema
+ * Supports the subset of JSON Schema that describes plain data shapes
+ */
+export function jsonSchemaToZod(jsonSchema) {
+  if (!jsonSchema || typeof jsonSchema !== 'object') {
+    return z.unknown();
+  }
+
+  let schema = convertJsonSchemaType(jsonSchema);
+  if (jsonSchema.description) {
+    schema = schema.describe(jsonSchema.description);
+  }
+  return schema;
+}
+
+function convertJsonSchemaType(jsonSchema) {
+  if (jsonSchema.const !== undefined) {
+    return z.literal(jsonSchema.const);
+  }
+
+  if (Array.isArray(jsonSchema.enum)) {
+    const values = jsonSchema.enum;
+    if (values.length > 0 && values.every(value => typeof value === 'string')) {
+      return z.enum(values);
+    }
+    const literals = values.map(value => z.literal(value));
+    return literals.length === 1 ? literals[0] : z.union(literals);
+  }
+
+  const variants = jsonSchema.anyOf ?? jsonSchema.oneOf;
+  if (Array.isArray(variants)) {
+    const converted = variants.map(jsonSchemaToZod);
+    return converted.length === 1 ? converted[0] : z.union(converted);
+  }
+
+  if (Array.isArray(jsonSchema.type)) {
+    const types = jsonSchema.type.filter(type => type !== 'null');
+    const base = types.length === 1
+      ? convertJsonSchemaType({ ...jsonSchema, type: types[0] })
+      : z.union(types.map(type => convertJsonSchemaType({ ...jsonSchema, type })));
+    return jsonSchema.type.includes('null') ? base.nullable() : base;
+  }
+
+  switch (jsonSchema.type) {
+    case 'object': {
+      const required = new Set(jsonSchema.required ?? []);
+      const shape = {};
+      Object.entries(jsonSchema.properties ?? {}).forEach(([key, property]) => {
+        const field = jsonSchemaToZod(property);
+        shape[key] = required.has(key) ? field : field.optional();
+      });
+      return z.object(shape);
+    }
+    case 'array': {
+      let schema = z.array(jsonSchemaToZod(jsonSchema.items ?? {}));
+      if (jsonSchema.minItems !== undefined) schema = schema.min(jsonSchema.minItems);
+      if (jsonSchema.maxItems !== undefined) schema = schema.max(jsonSchema.maxItems);
+      return schema;
+    }
+    case 'string': {
+      let schema = z.string();
+      if (jsonSchema.minLength !== undefined) schema = schema.min(jsonSchema.minLength);
+      if (jsonSchema.maxLength !== undefined) schema = schema.max(jsonSchema.maxLength);
+      if (jsonSchema.pattern) schema = schema.regex(new RegExp(jsonSchema.pattern));
+      return schema;
+    }
+    case 'integer':
+    case 'number': {
+      let schema = jsonSchema.type === 'integer' ? z.number().int() : z.number();
+      if (jsonSchema.minimum !== undefined) schema = schema.min(jsonSchema.minimum);
+      if (jsonSchema.maximum !== undefined) schema = schema.max(jsonSchema.maximum);
+      return schema;
+    }
+    case 'boolean':
+      return z.boolean();
+    case 'null':
+      return z.null();
+    default:
+      return z.unknown();
+  }
+}
+
+/**
+ * Register a named output schema (Zod schema or JSON Schema object)
+ */
+export function registerSchema(name, schema, description = '') {
+  const zodSchema = schema instanceof z.ZodType ? schema : jsonSchemaToZod(schema);
+  if (!(zodSchema instanceof z.ZodObject)) {
+    throw new Error(`Schema "${name}" must describe an object`);
+  }
+
+  registry.set(name, {
+    name,
+    description: description || zodSchema.description || '',
+    schema: zodSchema
+  });
+}
+
+/**
+ * Load a JSON Schema definition file and return the name it is registered under
+ * The file holds either `{ name, description, schema }` or a bare JSON Schema named after the file
+ */
+function loadSchemaFile(filePath) {
+  const definition = readJsonFile(filePath);
+  const isWrapped = definition.schema && typeof definition.schema === 'object';
+  const jsonSchema = isWrapped ? definition.schema : definition;
+  const name = (isWrapped && definition.name) || basename(filePath, '.json');
+
+  registerSchema(name, jsonSchema, definition.description ?? jsonSchema.description);
+  return name;
+}
+
+/**
+ * Load JSON Schema definitions from a directory (see loadSchemaFile)
+ */
+export function loadSchemaDirectory(dir) {
+  return listConfigFiles(dir, ['.json']).map(loadSchemaFile);
+}
+
+/**
+ * Load the schemas in `<config dir>/schemas` that are new or changed since the last call
+ * Schemas of removed files are unregistered; a malformed file is reported on every call until fixed
+ */
+export function loadProjectSchemas(cwd = process.cwd()) {
+  const dir = join(getConfigDir(cwd), 'schemas');
+  if (!projectFiles.has(dir)) projectFiles.set(dir, new Map());
+
+  return loadChangedConfigFiles(projectFiles.get(dir), listConfigFiles(dir, ['.json']), registry, loadSchemaFile);
+}
+
+/**
+ * Look up a registered schema by name
+ */
+export function getSchema(name) {
+  loadProjectSchemas();
+  return registry.get(name);
+}
+
+/**
+ * List registered schemas with their JSON Schema definitions
+ */
+export function listSchemas() {
+  loadProjectSchemas();
+  return [...registry.values()].map(entry => ({
+    name: entry.name,
+    description: entry.description,
+    json_schema: toJsonSchema(entry.schema)
+  }));
+}
+
+/**
+ * Resolve a schema reference: a registered name or an inline JSON Schema object
+ */
+export function resolveSchema(reference) {
+  if (reference === undefined || reference === null) {
+    return getSchema(DEFAULT_SCHEMA_NAME);
+  }
+
+  if (typeof reference === 'string') {
+    const entry = getSchema(reference);
+    if (!entry) {
+      const known = [...registry.keys()].join(', ');
+      throw new Error(`Unknown schema "${reference}". Registered schemas: ${known}`);
+    }
+    return entry;
+  }
+
+  const schema = jsonSchemaToZod(reference);
+  if (!(schema instanceof z.ZodObject)) {
+    throw new Error('Inline schema must describe an object');
+  }
+  return {
+    name: reference.title ?? 'inline',
+    description: reference.description ?? '',
+    schema
+  };
+}
+
+// Built-in schemas
+registerSchema(DEFAULT_SCHEMA_NAME, PromptSchema, 'Task, intent, inputs, outputs and clarity gaps (default)');
+registerSchema('bug_report', BugReportSchema, 'Bug report with reproduction steps, expected and actual behavior');
+registerSchema('api_endpoint', ApiEndpointSchema, 'HTTP API endpoint specification');
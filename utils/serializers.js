@@ -0,0 +1,535 @@
+/**
+ * Output serializers for convert results
+ * Writes structured prompts as JSON, YAML, TOML, XML, a Markdown spec or a JSON Schema of the
+ * requested output, and parses every format back into validated data
+ */
+
+import { extname } from 'path';
+import { parse as parseToml, stringify as stringifyToml } from 'smol-toml';
+import YAML from 'yaml';
+import { z } from 'zod';
+import { OUTPUT_FORMATS, PromptSchema, toJsonSchema, validateInput } from '../src/schema.js';
+import { resolveSchema, DEFAULT_SCHEMA_NAME } from './schemaRegistry.js';
+
+const JSON_SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#';
+
+// Markdown placeholders for empty values
+const MD_EMPTY_LIST = '_None_';
+const MD_EMPTY_TEXT = '_Not specified_';
+
+// Extensions of spec files, for parsePromptSpec and the CLI
+const FORMAT_EXTENSIONS = {
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.toml': 'toml',
+  '.xml': 'xml',
+  '.md': 'markdown',
+  '.markdown': 'markdown'
+};
+
+// JSON Schema of the deliverable for common values of outputs.format
+const OUTPUT_TYPES = {
+  json: { type: 'object' },
+  yaml: { type: 'object' },
+  csv: { type: 'array', items: { type: 'object' } },
+  xml: { type: 'string', contentMediaType: 'application/xml' },
+  html: { type: 'string', contentMediaType: 'text/html' },
+  markdown: { type: 'string', contentMediaType: 'text/markdown' },
+  md: { type: 'string', contentMediaType: 'text/markdown' },
+  pdf: { type: 'string', contentMediaType: 'application/pdf', contentEncoding: 'base64' },
+  text: { type: 'string' },
+  txt: { type: 'string' },
+  'plain text': { type: 'string' },
+  prose: { type: 'string' }
+};
+
+// Deliverables written as text when the prompt names no format
+const PROSE_DELIVERABLES = new Set([
+  'report', 'summary', 'analysis', 'document', 'essay', 'article', 'email', 'letter', 'story', 'post',
+  'description', 'explanation', 'memo', 'proposal', 'review', 'outline', 'paragraph', 'prose', 'text'
+]);
+
+// Stated fields of the output: "with columns name, email and signup date"
+const FIELD_WORDS = '(?:columns?|fields?|keys?|properties|attributes|headers?)';
+const FIELD_LIST = new RegExp(`\\b${FIELD_WORDS}\\b(?:\\s+(?:named|called))?\\s*:?\\s+(?!${FIELD_WORDS}\\b)([^.;:!?\\n]+)`, 'gi');
+// Words that end a field list: "title, author and year for each book"
+const FIELD_LIST_END = /(?:^|\s+)(?:for|per|of|from|in|into|to|with|by|sorted|ordered|grouped|where|that|which|as)\b.*$/i;
+// Longest field name, in words
+const MAX_FIELD_WORDS = 3;
+
+// --- Markdown ---
+
+function humanize(key) {
+  const words = key.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function keyOf(heading) {
+  return heading.trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+// Lines that would read as Markdown structure are escaped with a backslash
+function escapeMarkdownLine(line) {
+  return /^(#|- |_|```|\\)/.test(line) ? `\\${line}` : line;
+}
+
+function unescapeMarkdownLine(line) {
+  return line.startsWith('\\') ? line.slice(1) : line;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function markdownValue(value) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [MD_EMPTY_LIST];
+    if (value.some(item => item !== null && typeof item === 'object')) {
+      return ['```json', JSON.stringify(value, null, 2), '```'];
+    }
+    // Continuation lines of multi-line items are indented
+    return value.map(item => `- ${String(item).split('\n').join('\n  ')}`);
+  }
+  if (value === '') return [MD_EMPTY_TEXT];
+  return String(value).split('\n').map(escapeMarkdownLine);
+}
+
+function toMarkdown(title, data) {
+  const lines = [`# ${title}`];
+  const write = (object, depth) => {
+    Object.entries(object).forEach(([key, value]) => {
+      if (value === undefined) return;
+      lines.push('', `${'#'.repeat(depth)} ${humanize(key)}`);
+      if (isPlainObject(value)) {
+        write(value, depth + 1);
+      } else {
+        lines.push('', ...markdownValue(value));
+      }
+    });
+  };
+  write(data, 2);
+  return `${lines.join('\n')}\n`;
+}
+
+function parseMarkdownBlock(lines) {
+  const text = lines.join('\n').trim();
+  if (text === MD_EMPTY_LIST) return [];
+  if (text === MD_EMPTY_TEXT) return '';
+
+  const fenced = text.match(/^```json\n([\s\S]*)\n```$/);
+  if (fenced) return JSON.parse(fenced[1]);
+
+  const content = lines.filter(line => line.trim().length > 0);
+  if (content.length > 0 && content[0].startsWith('- ')) {
+    const items = [];
+    content.forEach(line => {
+      if (line.startsWith('- ')) items.push(line.slice(2));
+      else items[items.length - 1] += `\n${line.replace(/^ {2}/, '')}`;
+    });
+    return items;
+  }
+
+  return text.split('\n').map(unescapeMarkdownLine).join('\n');
+}
+
+function fromMarkdown(text) {
+  const root = {};
+  const path = [];
+  let body = [];
+  let fence = false;
+
+  const flush = () => {
+    if (path.length === 0) return;
+    let target = root;
+    path.slice(0, -1).forEach(key => {
+      if (!isPlainObject(target[key])) target[key] = {};
+      target = target[key];
+    });
+    const key = path[path.length - 1];
+    if (body.some(line => line.trim().length > 0)) {
+      target[key] = parseMarkdownBlock(body);
+    } else if (target[key] === undefined) {
+      target[key] = {};
+    }
+    body = [];
+  };
+
+  text.replace(/\r\n/g, '\n').split('\n').forEach(line => {
+    if (line.startsWith('```')) fence = !fence;
+    const heading = !fence && line.match(/^(#{1,6})\s+(.*)$/);
+    if (!heading) {
+      body.push(line);
+      return;
+    }
+    flush();
+    const level = heading[1].length;
+    // The H1 is the document title; H2 headings are top-level fields
+    if (level === 1) return;
+    path.splice(level - 2);
+    path.push(keyOf(heading[2]));
+  });
+  flush();
+
+  return root;
+}
+
+// --- XML ---
+
+const XML_NAME = /^[A-Za-z_][\w.-]*$/;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function xmlElement(name, value, indent) {
+  if (!XML_NAME.test(name)) {
+    throw new Error(`"${name}" is not a valid XML element name`);
+  }
+  const pad = '  '.repeat(indent);
+
+  if (Array.isArray(value) || isPlainObject(value)) {
+    const entries = Array.isArray(value)
+      ? value.map(item => ['item', item])
+      : Object.entries(value).filter(([, item]) => item !== undefined);
+    if (entries.length === 0) return [`${pad}<${name}/>`];
+    return [
+      `${pad}<${name}>`,
+      ...entries.flatMap(([key, item]) => xmlElement(key, item, indent + 1)),
+      `${pad}</${name}>`
+    ];
+  }
+
+  const text = value === null ? '' : escapeXml(value);
+  return [text.length === 0 ? `${pad}<${name}/>` : `${pad}<${name}>${text}</${name}>`];
+}
+
+function toXml(root, data) {
+  return ['<?xml version="1.0" encoding="UTF-8"?>', ...xmlElement(root, data, 0)].join('\n') + '\n';
+}
+
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' }[code.toLowerCase()];
+    if (named) return named;
+    return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+  });
+}
+
+/**
+ * Parse the XML subset toXml writes: elements, text, CDATA and comments (attributes are ignored)
+ * Elements whose children are all <item> become arrays, other elements with children objects,
+ * and leaf elements strings
+ */
+function fromXml(text) {
+  let index = 0;
+  const fail = (message) => {
+    throw new Error(`Invalid XML at offset ${index}: ${message}`);
+  };
+
+  const skipMisc = () => {
+    for (;;) {
+      while (index < text.length && /\s/.test(text[index])) index++;
+      if (text.startsWith('<?', index)) {
+        index = text.indexOf('?>', index) + 2;
+      } else if (text.startsWith('<!--', index)) {
+        index = text.indexOf('-->', index) + 3;
+      } else if (text.startsWith('<!DOCTYPE', index)) {
+        index = text.indexOf('>', index) + 1;
+      } else {
+        return;
+      }
+      if (index < 2) fail('unterminated declaration or comment');
+    }
+  };
+
+  const parseElement = () => {
+    const open = text.slice(index).match(/^<([A-Za-z_][\w.-]*)[^>]*?(\/?)>/);
+    if (!open) fail('expected an element');
+    const [tag, name, selfClosing] = open;
+    index += tag.length;
+    if (selfClosing) return { name, value: '' };
+
+    const children = [];
+    let content = '';
+    for (;;) {
+      if (index >= text.length) fail(`unclosed element <${name}>`);
+      if (text.startsWith('</', index)) {
+        const close = text.slice(index).match(/^<\/([A-Za-z_][\w.-]*)\s*>/);
+        if (!close || close[1] !== name) fail(`expected </${name}>`);
+        index += close[0].length;
+        break;
+      }
+      if (text.startsWith('<![CDATA[', index)) {
+        const end = text.indexOf(']]>', index);
+        if (end < 0) fail('unterminated CDATA section');
+        content += text.slice(index + 9, end);
+        index = end + 3;
+      } else if (text.startsWith('<!--', index)) {
+        const end = text.indexOf('-->', index);
+        if (end < 0) fail('unterminated comment');
+        index = end + 3;
+      } else if (text[index] === '<') {
+        children.push(parseElement());
+      } else {
+        const end = text.indexOf('<', index);
+        content += decodeXmlEntities(text.slice(index, end < 0 ? text.length : end));
+        index = end < 0 ? text.length : end;
+      }
+    }
+
+    if (children.length === 0) return { name, value: content };
+    if (children.every(child => child.name === 'item')) {
+      return { name, value: children.map(child => child.value) };
+    }
+
+    const value = {};
+    children.forEach(child => {
+      if (child.name in value) {
+        value[child.name] = [].concat(value[child.name], [child.value]);
+      } else {
+        value[child.name] = child.value;
+      }
+    });
+    return { name, value };
+  };
+
+  skipMisc();
+  const { value } = parseElement();
+  skipMisc();
+  if (index < text.length) fail('unexpected content after the root element');
+  return value;
+}
+
+// --- JSON Schema of the requested output ---
+
+/**
+ * Field names a prompt states for its output ("columns name, email and signup date"), as
+ * snake_case keys in text order
+ */
+function statedFields(text) {
+  const fields = [];
+  [...text.matchAll(FIELD_LIST)].forEach(match => {
+    match[1]
+      .replace(FIELD_LIST_END, '')
+      .split(/\s*,\s*(?:(?:and|or)\s+)?|\s+(?:and|or)\s+/)
+      .map(name => name.replace(/^(?:the|a|an)\s+/i, '').replace(/["'`]/g, '').trim())
+      .filter(name => name.length > 0 && name.split(/\s+/).length <= MAX_FIELD_WORDS)
+      .map(name => name.toLowerCase().replace(/[\s-]+/g, '_'))
+      .forEach(key => {
+        if (!fields.includes(key)) fields.push(key);
+      });
+  });
+  return fields;
+}
+
+/**
+ * JSON Schema type of the deliverable: records with the stated fields, or text for prose
+ * deliverables when no format is stated
+ */
+function outputType(data, { text, formatStated }) {
+  const format = data.outputs.format.trim().toLowerCase();
+  const fields = statedFields(text ?? data.task);
+  const record = {
+    type: 'object',
+    properties: Object.fromEntries(fields.map(field => [field, { type: 'string' }])),
+    required: fields
+  };
+  const prose = data.outputs.primary.toLowerCase().split(/\W+/).some(word => PROSE_DELIVERABLES.has(word.replace(/s$/, '')));
+
+  if (fields.length > 0 && format === 'csv') return { type: 'array', items: record };
+  if (fields.length > 0 && (format in OUTPUT_TYPES ? OUTPUT_TYPES[format].type === 'object' : !formatStated)) return record;
+  if (!formatStated && prose) return { type: 'string' };
+  return OUTPUT_TYPES[format] ?? { type: 'string' };
+}
+
+/**
+ * JSON Schema describing the deliverable of a structured prompt
+ * The prompt's other fields are kept in x- keywords so the schema parses back into PromptSchema.
+ * Options: `text`, the prompt, to read the fields it states for the output, and `formatStated`,
+ * false when outputs.format is the default rather than named by the prompt.
+ */
+export function describeOutput(data, options = {}) {
+  const { text, formatStated = true } = options;
+  return {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: data.outputs.primary,
+    description: data.task,
+    ...outputType(data, { text, formatStated }),
+    ...(data.intent !== undefined && { 'x-intent': data.intent }),
+    'x-inputs': data.inputs,
+    'x-output-format': data.outputs.format,
+    'x-secondary-outputs': data.outputs.secondary,
+    ...(data.steps && { 'x-steps': data.steps }),
+    ...(data.examples && { 'x-examples': data.examples }),
+    'x-clarity-gaps': data.clarity_gaps
+  };
+}
+
+function fromOutputSchema(schema) {
+  if (!('x-inputs' in schema) || !('x-output-format' in schema)) {
+    throw new Error('JSON Schema was not written by describeOutput (x-inputs and x-output-format are missing)');
+  }
+  return {
+    task: schema.description,
+    ...('x-intent' in schema && { intent: schema['x-intent'] }),
+    inputs: schema['x-inputs'],
+    outputs: {
+      primary: schema.title,
+      secondary: schema['x-secondary-outputs'],
+      format: schema['x-output-format']
+    },
+    ...(schema['x-steps'] && { steps: schema['x-steps'] }),
+    ...(schema['x-examples'] && { examples: schema['x-examples'] }),
+    clarity_gaps: schema['x-clarity-gaps']
+  };
+}
+
+// --- Public API ---
+
+/**
+ * Serialize structured data in an output format (see OUTPUT_FORMATS)
+ *
+ * `schema` is the resolved schema the data follows, as returned by resolveSchema()
+ * (default PromptSchema). For json_schema, PromptSchema data is described by describeOutput(),
+ * with the `text` and `formatStated` options; data of other schemas gets the JSON Schema of that schema.
+ */
+export function serializeData(data, format, options = {}) {
+  const { schema: target = { name: DEFAULT_SCHEMA_NAME, schema: PromptSchema }, text, formatStated } = options;
+  const schemaName = target.name;
+  const title = humanize(schemaName);
+
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify(data, null, 2)}\n`;
+    case 'yaml':
+      return YAML.stringify(data);
+    case 'toml':
+      return `${stringifyToml(data)}\n`;
+    case 'xml':
+      return toXml(XML_NAME.test(schemaName) ? schemaName : 'data', data);
+    case 'markdown':
+      return toMarkdown(title, data);
+    case 'json_schema': {
+      const schema = target.schema === PromptSchema
+        ? describeOutput(data, { text, formatStated })
+        : { $schema: JSON_SCHEMA_DRAFT, title, ...toJsonSchema(target.schema) };
+      return `${JSON.stringify(schema, null, 2)}\n`;
+    }
+    default:
+      throw new Error(`Unknown output format: ${format}. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Parse serialized data without validating it
+ */
+function parseRaw(text, format) {
+  switch (format) {
+    case 'json':
+      return JSON.parse(text);
+    case 'yaml':
+      return YAML.parse(text);
+    case 'toml':
+      return parseToml(text);
+    case 'xml':
+      return fromXml(text);
+    case 'markdown':
+      return fromMarkdown(text);
+    case 'json_schema':
+      return fromOutputSchema(JSON.parse(text));
+    default:
+      throw new Error(`Unknown output format: ${format}. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Bring parsed values to the types a Zod schema expects
+ * XML and Markdown carry only text: empty text becomes an empty array, single values
+ * one-item arrays, and "true"/"false" or numeric text booleans and numbers
+ */
+function coerce(value, schema) {
+  if (schema instanceof z.ZodOptional || schema instanceof z.ZodNullable) {
+    return value === undefined ? value : coerce(value, schema.unwrap());
+  }
+  if (schema instanceof z.ZodDefault) return coerce(value, schema._def.innerType);
+  if (schema instanceof z.ZodEffects) return coerce(value, schema.innerType());
+
+  if (schema instanceof z.ZodObject && isPlainObject(value)) {
+    const shape = schema.shape;
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, shape[key] ? coerce(item, shape[key]) : item]));
+  }
+  if (schema instanceof z.ZodArray) {
+    if (value === '' || (isPlainObject(value) && Object.keys(value).length === 0)) return [];
+    return (Array.isArray(value) ? value : [value]).map(item => coerce(item, schema.element));
+  }
+  if (schema instanceof z.ZodString && isPlainObject(value) && Object.keys(value).length === 0) return '';
+  if (schema instanceof z.ZodBoolean && typeof value === 'string' && /^(true|false)$/i.test(value.trim())) {
+    return value.trim().toLowerCase() === 'true';
+  }
+  if (schema instanceof z.ZodNumber && typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Parse a serialized spec back into validated data
+ *
+ * `schema` is a registered schema name or inline JSON Schema (default PromptSchema).
+ * Returns { success: true, schema, data } or { success: false, error, issues? }.
+ */
+export function parseSpec(text, format, options = {}) {
+  try {
+    const target = options.schema === undefined
+      ? { name: DEFAULT_SCHEMA_NAME, schema: PromptSchema }
+      : resolveSchema(options.schema);
+    if (format === 'json_schema' && target.name !== DEFAULT_SCHEMA_NAME) {
+      throw new Error('Only PromptSchema specs can be parsed from a JSON Schema');
+    }
+
+    const validation = validateInput(target.schema, coerce(parseRaw(text, format), target.schema));
+    if (!validation.success) {
+      return {
+        success: false,
+        schema: target.name,
+        error: `Spec does not match schema "${target.name}": ${validation.error}`,
+        issues: validation.issues
+      };
+    }
+    return { success: true, schema: target.name, data: validation.data };
+
+  } catch (error) {
+    return { success: false, error: `Failed to parse ${format} spec: ${error.message}` };
+  }
+}
+
+/**
+ * Detect the format of a spec file from its name, or from a JSON file's content
+ */
+export function detectSpecFormat(filename, text = '') {
+  const format = FORMAT_EXTENSIONS[extname(filename).toLowerCase()];
+  if (format === 'json' && /"\$schema"\s*:/.test(text)) return 'json_schema';
+  return format;
+}
+
+/**
+ * Add the serialized data to a successful convert result
+ * Options: `text`, the converted prompt (its spans tell whether the output format was stated),
+ * and `schema`, the schema name or inline JSON Schema the prompt was converted with.
+ */
+export function withOutputFormat(result, format, options = {}) {
+  if (!format || !result.success) return result;
+  return {
+    ...result,
+    output_format: format,
+    formatted: serializeData(result.data, format, {
+      schema: resolveSchema(options.schema),
+      text: options.text,
+      formatStated: result.spans ? result.spans.some(span => span.field === 'outputs.format') : true
+    })
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * Utility functions for character-offset spans into the original prompt text
+ */
+
+/**
+ * Create a span for text[start, end) produced by a rule
+ */
+export function createSpan(text, start, end, rule) {
+  return {
+    start,
+    end,
+    text: text.slice(start, end),
+    rule
+  };
+}
+
+/**
+ * Create a span for a match, narrowed to the trimmed matched text
+ */
+export function createTrimmedSpan(text, start, end, rule) {
+  const raw = text.slice(start, end);
+  const leading = raw.length - raw.trimStart().length;
+  const trailing = raw.length - raw.trimEnd().length;
+  return createSpan(text, start + leading, end - trailing, rule);
+}
+
@@ -0,0 +1,246 @@
+/**
+ * Persistent store of conversions
+ * Appends every recorded conversion (input, structured output, gaps, clarity score and time)
+ * to a local JSONL file, and lists, searches and diffs the stored versions of a prompt
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { randomUUID } from 'crypto';
+import { getConfigDir } from './config.js';
+import { createHunks } from './diff.js';
+import { analyzeTextForGaps } from './gapAnalysis.js';
+
+export const DEFAULT_STORE_FILE = 'conversions.jsonl';
+export const DEFAULT_LIST_LIMIT = 20;
+
+// Shortest id prefix accepted when looking up a record
+const MIN_ID_PREFIX = 4;
+
+/**
+ * Resolve the store file: an explicit path, TEXT_TO_JSON_STORE, or conversions.jsonl in the
+ * project config directory
+ */
+export function resolveStorePath(path, cwd = process.cwd()) {
+  const configured = path ?? process.env.TEXT_TO_JSON_STORE;
+  return configured ? resolve(cwd, configured) : join(getConfigDir(cwd), DEFAULT_STORE_FILE);
+}
+
+function readRecords(path) {
+  if (!existsSync(path)) return [];
+
+  return readFileSync(path, 'utf8').split('\n').flatMap((line, index) => {
+    if (line.trim().length === 0) return [];
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      throw new Error(`Invalid record on line ${index + 1} of ${path}: ${error.message}`);
+    }
+  });
+}
+
+// Lowercased words of a search query or record
+function searchTerms(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}_]+/u).filter(term => term.length > 0);
+}
+
+function searchableText(record) {
+  return [record.name ?? '', record.text, JSON.stringify(record.data ?? {})].join('\n').toLowerCase();
+}
+
+/**
+ * Summary of a record for listings: no data, gaps as counts
+ */
+export function summarizeRecord(record) {
+  const { data, gaps, ...summary } = record;
+  return { ...summary, gap_count: gaps.length };
+}
+
+/**
+ * Open a conversion store
+ *
+ * Options:
+ * - path: the JSONL file (see resolveStorePath); created on the first record
+ *
+ * Returns { path, record, list, get, previous }. Records are
+ * { id, created_at, name?, version, schema, text, data, gaps, overall_clarity_score, source? }.
+ */
+export function createStore(options = {}) {
+  const path = resolveStorePath(options.path);
+
+  return {
+    path,
+
+    /**
+     * Append a conversion
+     * `name` groups conversions into versions of one prompt; `version` counts them from 1
+     */
+    record({ text, schema, data, gaps, overall_clarity_score, name, source }) {
+      const records = readRecords(path);
+      const record = {
+        id: randomUUID().replace(/-/g, '').slice(0, 12),
+        created_at: new Date().toISOString(),
+        ...(name && { name }),
+        version: name ? records.filter(entry => entry.name === name).length + 1 : 1,
+        schema: schema ?? 'prompt',
+        text,
+        data,
+        gaps,
+        overall_clarity_score,
+        ...(source && { source })
+      };
+      mkdirSync(dirname(path), { recursive: true });
+      appendFileSync(path, `${JSON.stringify(record)}\n`);
+      return record;
+    },
+
+    /**
+     * List records, newest first
+     * `query` keeps records whose name, text or structured output contain every word of it;
+     * `name` keeps the versions of one prompt
+     */
+    list({ query, name, limit = DEFAULT_LIST_LIMIT } = {}) {
+      const terms = query ? searchTerms(query) : [];
+      return readRecords(path)
+        .filter(record => name === undefined || record.name === name)
+        .filter(record => {
+          if (terms.length === 0) return true;
+          const haystack = searchableText(record);
+          return terms.every(term => haystack.includes(term));
+        })
+        .reverse()
+        .slice(0, limit);
+    },
+
+    /**
+     * Look up a record by id or a unique id prefix
+     */
+    get(id) {
+      const records = readRecords(path);
+      const exact = records.find(record => record.id === id);
+      if (exact) return exact;
+      if (id.length < MIN_ID_PREFIX) return undefined;
+
+      const matches = records.filter(record => record.id.startsWith(id));
+      if (matches.length > 1) {
+        throw new Error(`Ambiguous id "${id}" matches ${matches.length} conversions`);
+      }
+      return matches[0];
+    },
+
+    /**
+     * The version stored before a named record, if any
+     */
+    previous(record) {
+      if (!record.name) return undefined;
+      return readRecords(path)
+        .filter(entry => entry.name === record.name && entry.version < record.version)
+        .pop();
+    }
+  };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPrimitive(value) {
+  return value === null || typeof value !== 'object';
+}
+
+function joinPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+/**
+ * Field-level changes between two structured outputs
+ * Lists of plain values are compared as sets (items added or removed), other values by position
+ */
+export function diffData(before, after, path = '') {
+  if (isObject(before) && isObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => {
+      const field = joinPath(path, key);
+      if (!(key in after)) return [{ path: field, change: 'removed', before: before[key] }];
+      if (!(key in before)) return [{ path: field, change: 'added', after: after[key] }];
+      return diffData(before[key], after[key], field);
+    });
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    if (before.every(isPrimitive) && after.every(isPrimitive)) {
+      return [
+        ...before.filter(item => !after.includes(item)).map(item => ({ path, change: 'removed', before: item })),
+        ...after.filter(item => !before.includes(item)).map(item => ({ path, change: 'added', after: item }))
+      ];
+    }
+    return Array.from({ length: Math.max(before.length, after.length) }, (_, index) => {
+      const field = joinPath(path, index);
+      if (index >= after.length) return [{ path: field, change: 'removed', before: before[index] }];
+      if (index >= before.length) return [{ path: field, change: 'added', after: after[index] }];
+      return diffData(before[index], after[index], field);
+    }).flat();
+  }
+
+  return JSON.stringify(before) === JSON.stringify(after) ? [] : [{ path, change: 'changed', before, after }];
+}
+
+/**
+ * Compare two stored conversions: clarity score, gaps, structured output and prompt text
+ */
+export function diffConversions(from, to) {
+  const gapKey = gap => gap.description;
+  const fromGaps = new Set(from.gaps.map(gapKey));
+  const toGaps = new Set(to.gaps.map(gapKey));
+
+  return {
+    from: summarizeRecord(from),
+    to: summarizeRecord(to),
+    score: {
+      from: from.overall_clarity_score,
+      to: to.overall_clarity_score,
+      change: to.overall_clarity_score - from.overall_clarity_score
+    },
+    gaps: {
+      resolved: [...fromGaps].filter(gap => !toGaps.has(gap)),
+      introduced: [...toGaps].filter(gap => !fromGaps.has(gap))
+    },
+    changes: diffData(from.data, to.data),
+    text_hunks: createHunks(from.text, to.text)
+  };
+}
+
+/**
+ * Store a successful convert result with the gaps and clarity score of its text
+ * `language` is the lexicon the text was converted with, when one was requested
+ */
+export function recordConversion(store, { text, schema, name, result, source, language }) {
+  const { gaps, overall_clarity_score } = analyzeTextForGaps(text, { language });
+  return store.record({ text, schema, data: result.data, gaps, overall_clarity_score, name, source });
+}
+
+/**
+ * Diff two stored conversions by id, or one conversion against its previous version
+ * Returns { success: true, ...diffConversions() } or { success: false, error }
+ */
+export function compareStoredConversions(store, fromId, toId) {
+  try {
+    const from = store.get(fromId);
+    if (!from) return { success: false, error: `Unknown conversion "${fromId}"` };
+
+    if (toId === undefined) {
+      const previous = store.previous(from);
+      if (!previous) {
+        const reason = from.name ? `it is version 1 of "${from.name}"` : 'it has no name';
+        return { success: false, error: `Conversion ${from.id} has no previous version (${reason}); pass two ids` };
+      }
+      return { success: true, ...diffConversions(previous, from) };
+    }
+
+    const to = store.get(toId);
+    if (!to) return { success: false, error: `Unknown conversion "${toId}"` };
+    return { success: true, ...diffConversions(from, to) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
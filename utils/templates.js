@@ -0,0 +1,292 @@
+/**
+ * Prompt template library
+ * Named templates with typed {{variable}} placeholders, registered in code or loaded from the
+ * project config directory. Rendered prompts are checked for clarity gaps, and each gap is
+ * traced back to the variable whose value it falls in.
+ */
+
+import { basename, extname, join } from 'path';
+import { z } from 'zod';
+import { PromptTemplateSchema, validateInput } from '../src/schema.js';
+import { getConfigDir, listConfigFiles, loadChangedConfigFiles, readConfigFile } from './config.js';
+import { analyzeTextForGaps } from './gapAnalysis.js';
+
+export const TEMPLATE_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// {{name}}, with optional spaces inside the braces
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+const registry = new Map();
+// Project template files loaded so far, per template directory
+const projectFiles = new Map();
+
+/**
+ * Names of the placeholders in a template, in order of first use
+ */
+export function templatePlaceholders(template) {
+  return [...new Set([...template.matchAll(PLACEHOLDER)].map(match => match[1]))];
+}
+
+// Values arrive as strings from MCP prompt arguments and the CLI
+function fromString(parse) {
+  return value => (typeof value === 'string' && value.trim().length > 0 ? parse(value.trim()) : value);
+}
+
+function parseList(value) {
+  if (value.startsWith('[')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      // Not a JSON array; split it instead
+    }
+  }
+  return value.split(/\s*[,\n]\s*/).filter(item => item.length > 0);
+}
+
+/**
+ * Zod schema of one variable's value
+ */
+function variableSchema(declaration) {
+  let schema;
+  switch (declaration.type) {
+    case 'number':
+    case 'integer': {
+      let number = declaration.type === 'integer' ? z.number().int() : z.number();
+      if (declaration.minimum !== undefined) number = number.min(declaration.minimum);
+      if (declaration.maximum !== undefined) number = number.max(declaration.maximum);
+      schema = z.preprocess(fromString(Number), number);
+      break;
+    }
+    case 'boolean':
+      schema = z.preprocess(fromString(value => ({ true: true, yes: true, false: false, no: false })[value.toLowerCase()] ?? value), z.boolean());
+      break;
+    case 'list':
+      schema = z.preprocess(fromString(parseList), z.array(z.string()).min(declaration.required ? 1 : 0));
+      break;
+    default:
+      schema = declaration.enum ? z.enum(declaration.enum) : z.string().min(declaration.required ? 1 : 0);
+  }
+
+  if (declaration.description) schema = schema.describe(declaration.description);
+  if (declaration.default !== undefined) return schema.default(declaration.default);
+  return declaration.required ? schema : schema.optional();
+}
+
+/**
+ * Zod schema of a template's variable values
+ */
+export function variablesSchema(template) {
+  return z.object(Object.fromEntries(
+    Object.entries(template.variables).map(([name, declaration]) => [name, variableSchema(declaration)])
+  ));
+}
+
+/**
+ * Whether a variable must be given: required and without a default
+ */
+export function isRequiredVariable(declaration) {
+  return declaration.required && declaration.default === undefined;
+}
+
+/**
+ * Register a prompt template (see PromptTemplateSchema)
+ * Every placeholder must be declared, and defaults must match their declarations
+ */
+export function registerTemplate(definition) {
+  const validation = validateInput(PromptTemplateSchema, definition);
+  if (!validation.success) {
+    throw new Error(`Invalid template${definition?.name ? ` "${definition.name}"` : ''}: ${validation.error}`);
+  }
+
+  const template = validation.data;
+  const undeclared = templatePlaceholders(template.template).filter(name => !template.variables[name]);
+  if (undeclared.length > 0) {
+    throw new Error(`Template "${template.name}" uses undeclared variables: ${undeclared.join(', ')}`);
+  }
+
+  const defaults = variablesSchema(template).partial().safeParse(
+    Object.fromEntries(Object.entries(template.variables).map(([name, declaration]) => [name, declaration.default]))
+  );
+  if (!defaults.success) {
+    throw new Error(`Template "${template.name}" has invalid defaults: ${defaults.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ')}`);
+  }
+
+  registry.set(template.name, template);
+  return template;
+}
+
+/**
+ * Load a template definition file and return the name it is registered under
+ * The JSON or YAML file holds one template; its name defaults to the file name
+ */
+function loadTemplateFile(filePath) {
+  const definition = readConfigFile(filePath);
+  const name = definition.name ?? basename(filePath, extname(filePath));
+  return registerTemplate({ ...definition, name }).name;
+}
+
+/**
+ * Load template definitions from a directory (see loadTemplateFile)
+ */
+export function loadTemplateDirectory(dir) {
+  return listConfigFiles(dir, TEMPLATE_FILE_EXTENSIONS).map(loadTemplateFile);
+}
+
+/**
+ * Load the templates in `<config dir>/templates` that are new or changed since the last call
+ * Templates of removed files are unregistered; an invalid file is reported on every call until fixed
+ */
+export function loadProjectTemplates(cwd = process.cwd()) {
+  const dir = join(getConfigDir(cwd), 'templates');
+  if (!projectFiles.has(dir)) projectFiles.set(dir, new Map());
+
+  return loadChangedConfigFiles(projectFiles.get(dir), listConfigFiles(dir, TEMPLATE_FILE_EXTENSIONS), registry, loadTemplateFile);
+}
+
+/**
+ * Look up a registered template by name
+ */
+export function getTemplate(name) {
+  loadProjectTemplates();
+  return registry.get(name);
+}
+
+/**
+ * List registered templates with their variable declarations
+ */
+export function listTemplates() {
+  loadProjectTemplates();
+  return [...registry.values()];
+}
+
+// Text of a value; lists become bullets when their placeholder is alone on its line
+function formatValue(value, ownLine) {
+  if (value === undefined) return '';
+  if (Array.isArray(value)) {
+    return ownLine ? value.map(item => `- ${item}`).join('\n') : value.join(', ');
+  }
+  return String(value);
+}
+
+/**
+ * Substitute variable values into a template
+ * Returns the text and the range each variable's value occupies in it
+ */
+function substitute(template, values) {
+  const segments = [];
+  let text = '';
+  let last = 0;
+
+  for (const match of template.matchAll(PLACEHOLDER)) {
+    text += template.slice(last, match.index);
+    const lineStart = template.lastIndexOf('\n', match.index - 1) + 1;
+    const lineEnd = template.indexOf('\n', match.index);
+    const line = template.slice(lineStart, lineEnd < 0 ? template.length : lineEnd);
+    const value = formatValue(values[match[1]], line.trim() === match[0]);
+
+    segments.push({ variable: match[1], start: text.length, end: text.length + value.length });
+    text += value;
+    last = match.index + match[0].length;
+  }
+
+  return { text: text + template.slice(last), segments };
+}
+
+/**
+ * Render a registered template and run gap analysis on the result
+ *
+ * `values` maps variable names to values or their string forms ("3", "true", "a, b" or a JSON
+ * array). Options `rules` and `weights` are passed to analyzeTextForGaps.
+ * Returns { success, template, prompt, variables, overall_clarity_score, gaps }; gaps inside a
+ * substituted value name the `variable`. Unknown templates and invalid values give
+ * { success: false, error, issues? }.
+ */
+export function renderTemplate(name, values = {}, options = {}) {
+  const template = getTemplate(name);
+  if (!template) {
+    const known = listTemplates().map(entry => entry.name).join(', ');
+    return { success: false, error: `Unknown template "${name}". Registered templates: ${known}` };
+  }
+
+  const unknown = Object.keys(values).filter(key => !template.variables[key]);
+  if (unknown.length > 0) {
+    return { success: false, error: `Unknown variables for template "${name}": ${unknown.join(', ')}` };
+  }
+
+  const validation = validateInput(variablesSchema(template), values);
+  if (!validation.success) {
+    return { success: false, error: `Invalid variables for template "${name}": ${validation.error}`, issues: validation.issues };
+  }
+
+  const { text, segments } = substitute(template.template, validation.data);
+  const prompt = text.trim();
+  const offset = text.indexOf(prompt);
+  const { gaps, overall_clarity_score } = analyzeTextForGaps(prompt, { rules: options.rules, weights: options.weights });
+
+  return {
+    success: true,
+    template: name,
+    prompt,
+    variables: validation.data,
+    overall_clarity_score,
+    gaps: gaps.map(gap => {
+      const segment = segments.find(({ start, end }) => gap.start + offset >= start && gap.end + offset <= end);
+      return segment ? { ...gap, variable: segment.variable } : gap;
+    })
+  };
+}
+
+// Built-in templates
+registerTemplate({
+  name: 'code_review',
+  description: 'Review a code change for bugs, readability and missing tests',
+  template: `Review the following {{language}} change for bugs, readability problems and missing tests.
+
+Focus on:
+{{focus}}
+
+Report at most {{max_comments}} comments as a Markdown list, most important first, each with the file, the line and a suggested fix.
+
+{{code}}`,
+  variables: {
+    language: { description: 'Programming language of the change', default: 'TypeScript' },
+    focus: { type: 'list', description: 'Areas to focus on', default: ['correctness', 'error handling'] },
+    max_comments: { type: 'integer', description: 'Largest number of comments to return', minimum: 1, default: 10 },
+    code: { description: 'The diff or code to review' }
+  }
+});
+
+registerTemplate({
+  name: 'summarize',
+  description: 'Summarize a document for a given audience',
+  template: `Summarize the following {{document_type}} for {{audience}} so that they can decide what to do next.
+
+Return {{length}} bullet points in Markdown, then one sentence with the recommended next step.
+
+{{content}}`,
+  variables: {
+    document_type: { description: 'What kind of document it is', default: 'document' },
+    audience: { description: 'Who reads the summary, e.g. "the engineering leads"' },
+    length: { type: 'integer', description: 'Number of bullet points', minimum: 1, maximum: 20, default: 5 },
+    content: { description: 'The text to summarize' }
+  }
+});
+
+registerTemplate({
+  name: 'bug_fix',
+  description: 'Fix a bug from its symptoms and reproduction steps',
+  template: `Fix the bug in {{component}}: {{symptom}}
+
+Steps to reproduce:
+{{steps}}
+
+Expected: {{expected}}
+
+Return a unified diff and a short explanation of the root cause. Do not change public APIs.`,
+  variables: {
+    component: { description: 'File, module or service with the bug' },
+    symptom: { description: 'What goes wrong' },
+    steps: { type: 'list', description: 'Steps to reproduce' },
+    expected: { description: 'What should happen instead' }
+  }
+});
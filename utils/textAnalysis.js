@@ -0,0 +1,361 @@
+/**
+ * Shared text analysis: sentence segmentation, tokenization and part-of-speech heuristics
+ * Used by the extractors and the gap analysis rules
+ */
+
+import { LEXICONS, getLexicon, resolveLanguage } from './language.js';
+
+// Abbreviations whose trailing period does not end a sentence
+const ABBREVIATIONS = [
+  'e.g.', 'i.e.', 'etc.', 'vs.', 'cf.', 'approx.', 'incl.', 'excl.', 'esp.', 'min.', 'max.',
+  'mr.', 'mrs.', 'ms.', 'dr.', 'prof.', 'sr.', 'jr.', 'st.', 'inc.', 'ltd.', 'co.', 'corp.',
+  'no.', 'nos.', 'fig.', 'vol.', 'ch.', 'sec.', 'dept.', 'est.', 'misc.', 'a.m.', 'p.m.', 'u.s.', 'u.k.'
+];
+
+// Sentence-final punctuation; the full-width forms end a sentence without a following space
+const SENTENCE_END = /[.!?。！？]/;
+const FULL_WIDTH_END = /[。！？]/;
+
+// Japanese scripts; a word token never mixes them with each other or with other letters
+const JAPANESE_CHAR = '[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}ー]';
+const JAPANESE_RUNS = '\\p{Script=Han}+|\\p{Script=Hiragana}+|[\\p{Script=Katakana}ー]+';
+
+// Protected patterns by lexicon code, since each language adds its own abbreviations
+const protectedPatternCache = new Map();
+
+function abbreviationPattern(lexicon) {
+  const abbreviations = [...ABBREVIATIONS, ...lexicon.abbreviations];
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}.])(?:${abbreviations.map(a => a.replace(/\./g, '\\.')).join('|')})`,
+    'giu'
+  );
+}
+
+// Spans that are never split into sentences and become single tokens
+const protectedPatterns = lexicon => [
+  { type: 'code', regex: /```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)/g },
+  { type: 'code', regex: /`[^`\n]+`/g },
+  { type: 'abbreviation', regex: abbreviationPattern(lexicon) },
+  // Any scheme: "https://", "s3://bucket/logs", "gs://data/x.csv"
+  { type: 'url', regex: /\b[a-z][a-z0-9+.-]*:\/\/[^\s<>"'`]+[^\s<>"'`.,;:!?)\]}]/gi },
+  { type: 'url', regex: /\bwww\.[^\s<>"'`]+[^\s<>"'`.,;:!?)\]}]/gi },
+  { type: 'email', regex: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { type: 'version', regex: /\bv?\d+(?:\.\d+){2,}(?:[-+][\w.]+)?\b|\bv\d+(?:\.\d+)+\b/g },
+  { type: 'number', regex: /(?<![\w.])\d+(?:,\d{3})*\.\d+\b/g },
+  { type: 'path', regex: /(?:\.{0,2}\/)?(?:[\w@-]+\/)*[\w@-]+(?:\.[\w-]+)*\.[a-z][a-z0-9]{0,7}\b(?!\.[a-z])/g },
+  // A bare "/" or "./" is not a path
+  { type: 'path', regex: /(?<![\w.])(?:\.{1,2}\/|\/)(?=[\w@.-])(?:[\w@.-]+\/)*[\w@.-]*/g }
+];
+
+const DETERMINERS = new Set([
+  'a', 'an', 'the', 'this', 'that', 'these', 'those', 'my', 'your', 'our', 'their', 'its', 'his', 'her',
+  'each', 'every', 'some', 'any', 'no', 'all', 'both', 'either', 'neither', 'another', 'such'
+]);
+const PRONOUNS = new Set([
+  'i', 'me', 'you', 'he', 'him', 'she', 'it', 'we', 'us', 'they', 'them', 'something', 'anything',
+  'everything', 'nothing', 'someone', 'anyone', 'everyone', 'one', 'ones', 'mine', 'yours', 'ours', 'theirs'
+]);
+const PREPOSITIONS = new Set([
+  'to', 'for', 'of', 'in', 'on', 'at', 'by', 'with', 'without', 'from', 'into', 'onto', 'about', 'as',
+  'within', 'under', 'over', 'after', 'before', 'between', 'through', 'during', 'per', 'via', 'than', 'like'
+]);
+const CONJUNCTIONS = new Set([
+  'and', 'or', 'but', 'nor', 'so', 'yet', 'because', 'since', 'while', 'when', 'if', 'although',
+  'unless', 'until', 'whereas', 'then', 'once'
+]);
+const MODALS = new Set(['can', 'could', 'may', 'might', 'must', 'shall', 'should', 'will', 'would']);
+const ADVERBS = new Set(['please', 'kindly', 'just', 'also', 'then', 'first', 'finally', 'next', 'now', 'quickly']);
+const AUXILIARIES = new Set([
+  'be', 'is', 'am', 'are', 'was', 'were', 'been', 'being', 'do', 'does', 'did', 'have', 'has', 'had'
+]);
+
+// English action verbs; see language.js for the other lexicons
+export const ACTION_VERBS = LEXICONS.en.actionVerbs;
+
+/**
+ * Find protected spans (code, URLs, emails, versions, decimals, file paths)
+ * Abbreviations are those of English plus the lexicon's own.
+ * Returns non-overlapping ranges sorted by start offset
+ */
+export function findProtectedRanges(text, lexicon = getLexicon()) {
+  const ranges = [];
+
+  if (!protectedPatternCache.has(lexicon.code)) {
+    protectedPatternCache.set(lexicon.code, protectedPatterns(lexicon));
+  }
+  protectedPatternCache.get(lexicon.code).forEach(({ type, regex }) => {
+    for (const match of text.matchAll(regex)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (end > start && !ranges.some(range => start < range.end && end > range.start)) {
+        ranges.push({ type, start, end });
+      }
+    }
+  });
+
+  return ranges.sort((a, b) => a.start - b.start);
+}
+
+function rangeAt(ranges, offset) {
+  return ranges.find(range => offset >= range.start && offset < range.end);
+}
+
+function isStructuralLine(line) {
+  return /^\s*(?:[-*+]\s|\d+[.)]\s|#{1,6}\s|>\s?)/.test(line);
+}
+
+/**
+ * Split text into sentences with character offsets
+ *
+ * Boundaries are sentence-final punctuation followed by whitespace and a new sentence,
+ * blank lines, and line breaks around list items and headings. Periods inside
+ * abbreviations, decimals, versions, URLs, file names and code do not end a sentence.
+ * Sentence text excludes trailing sentence punctuation; fenced code blocks become
+ * their own segments marked `code: true`. Japanese full stops (。！？) end a sentence
+ * without a following space. `options.lexicon` adds its abbreviations.
+ */
+export function segmentSentences(text, options = {}) {
+  const protectedRanges = options.protectedRanges ?? findProtectedRanges(text, options.lexicon);
+  const sentences = [];
+  let segmentStart = 0;
+
+  const pushSegment = (start, end, code = false) => {
+    let segmentEnd = end;
+    let segmentBegin = start;
+    while (segmentBegin < segmentEnd && /\s/.test(text[segmentBegin])) segmentBegin++;
+    while (segmentEnd > segmentBegin && /\s/.test(text[segmentEnd - 1])) segmentEnd--;
+    if (!code) {
+      while (segmentEnd > segmentBegin && SENTENCE_END.test(text[segmentEnd - 1])) segmentEnd--;
+    }
+    if (segmentEnd > segmentBegin) {
+      sentences.push({ text: text.slice(segmentBegin, segmentEnd), start: segmentBegin, end: segmentEnd, code });
+    }
+  };
+
+  let index = 0;
+  while (index < text.length) {
+    const range = rangeAt(protectedRanges, index);
+    if (range) {
+      // Fenced code blocks are separate segments
+      if (range.type === 'code' && /^(```|~~~)/.test(text.slice(range.start, range.start + 3))) {
+        pushSegment(segmentStart, range.start);
+        pushSegment(range.start, range.end, true);
+        segmentStart = range.end;
+      }
+      // "etc." can still end a sentence when a capitalized sentence follows
+      if (range.type === 'abbreviation' && /^etc\.$/i.test(text.slice(range.start, range.end)) &&
+          /^\s+\p{Lu}/u.test(text.slice(range.end))) {
+        pushSegment(segmentStart, range.end);
+        segmentStart = range.end;
+      }
+      index = range.end;
+      continue;
+    }
+
+    const char = text[index];
+
+    if (char === '\n') {
+      const lineEnd = text.indexOf('\n', index + 1);
+      const nextLine = text.slice(index + 1, lineEnd < 0 ? text.length : lineEnd);
+      const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+      const currentLine = text.slice(lineStart, index);
+
+      if (nextLine.trim().length === 0 || isStructuralLine(nextLine) || isStructuralLine(currentLine)) {
+        pushSegment(segmentStart, index);
+        segmentStart = index + 1;
+      }
+      index++;
+      continue;
+    }
+
+    if (SENTENCE_END.test(char)) {
+      let end = index;
+      while (end + 1 < text.length && SENTENCE_END.test(text[end + 1])) end++;
+      // Closing quotes and brackets belong to the sentence
+      let after = end + 1;
+      while (after < text.length && /["'’”)\]」』）]/.test(text[after])) after++;
+
+      if (FULL_WIDTH_END.test(text[end])) {
+        pushSegment(segmentStart, after);
+        segmentStart = after;
+        index = after;
+        continue;
+      }
+
+      const rest = text.slice(after);
+      const nextChar = rest.trimStart()[0];
+      const followedByBreak = rest.length === 0 || /^\s/.test(rest);
+      const continuesLowercase = nextChar !== undefined && /\p{Ll}/u.test(nextChar);
+
+      if (followedByBreak && !continuesLowercase) {
+        pushSegment(segmentStart, after);
+        segmentStart = after;
+      }
+      index = after;
+      continue;
+    }
+
+    index++;
+  }
+
+  pushSegment(segmentStart, text.length);
+  return sentences;
+}
+
+/**
+ * Guess a coarse part-of-speech tag for a word token from its neighbours
+ * Tags: DET, PRON, PREP, CONJ, MODAL, AUX, VERB, ADJ, ADV, NUM, NOUN
+ */
+function guessPartOfSpeech(token, previous, lexicon) {
+  const actionVerbs = lexicon.actionVerbs;
+  const word = token.lower;
+
+  if (/^\d/.test(word)) return 'NUM';
+  if (MODALS.has(word)) return 'MODAL';
+  if (AUXILIARIES.has(word)) return 'AUX';
+  if (DETERMINERS.has(word)) return 'DET';
+  if (PRONOUNS.has(word)) return 'PRON';
+  if (PREPOSITIONS.has(word)) return 'PREP';
+  if (CONJUNCTIONS.has(word)) return 'CONJ';
+  if (ADVERBS.has(word)) return 'ADV';
+
+  // After "to", a modal, an adverb, or at the start of an imperative sentence, known verbs are verbs
+  const verbContext = !previous || ['MODAL', 'PRON', 'ADV'].includes(previous.pos) || previous.lower === 'to';
+  if (actionVerbs.has(word) && (verbContext || previous.pos === 'CONJ')) return 'VERB';
+  if (previous && previous.pos === 'DET') {
+    return /(ful|ous|ive|able|ible|al|ic|less|ish)$/.test(word) ? 'ADJ' : 'NOUN';
+  }
+  if (/ly$/.test(word) && word.length > 4) return 'ADV';
+  if (/(ed|ing)$/.test(word) && word.length > 4) return 'VERB';
+  if (actionVerbs.has(word) && !previous) return 'VERB';
+  if (/(ful|ous|ive|able|ible|less)$/.test(word) && word.length > 5) return 'ADJ';
+  return 'NOUN';
+}
+
+/**
+ * Split text into tokens with offsets
+ *
+ * Token types: word, number, punct, and the protected types (code, abbreviation, url, email,
+ * version, path),
+ * which are kept whole. Word tokens carry a heuristic `pos` tag; the previous token in the
+ * same sentence drives the guess, so `sentenceStarts` marks offsets where a sentence begins.
+ * Japanese text, written without spaces, is split into runs of kanji, hiragana and katakana.
+ * `options.lexicon` supplies the action verbs (default English).
+ */
+export function tokenize(text, options = {}) {
+  const lexicon = options.lexicon ?? getLexicon();
+  const protectedRanges = options.protectedRanges ?? findProtectedRanges(text, lexicon);
+  const sentenceStarts = options.sentenceStarts ??
+    new Set(segmentSentences(text, { protectedRanges }).map(s => s.start));
+  const tokens = [];
+  const pattern = new RegExp(
+    `${JAPANESE_RUNS}|(?:(?!${JAPANESE_CHAR})[\\p{L}\\p{N}_])+(?:['’-][\\p{L}\\p{N}_]+)*|[^\\s\\p{L}\\p{N}_]`,
+    'gu'
+  );
+  let previousWord = null;
+
+  const pushToken = (token) => {
+    tokens.push(token);
+  };
+
+  let index = 0;
+  while (index < text.length) {
+    const range = rangeAt(protectedRanges, index);
+    if (range) {
+      pushToken({
+        text: text.slice(range.start, range.end),
+        lower: text.slice(range.start, range.end).toLowerCase(),
+        start: range.start,
+        end: range.end,
+        type: range.type,
+        pos: range.type === 'number' || range.type === 'version' ? 'NUM' : 'X'
+      });
+      previousWord = null;
+      index = range.end;
+      continue;
+    }
+
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match) break;
+
+    // Stop at the next protected range if the match would run into it
+    const nextRange = protectedRanges.find(r => r.start >= index && r.start < match.index + match[0].length);
+    if (nextRange && nextRange.start < match.index) {
+      index = nextRange.start;
+      continue;
+    }
+    const end = nextRange ? Math.min(match.index + match[0].length, nextRange.start) : match.index + match[0].length;
+    const value = text.slice(match.index, end);
+    if (value.length === 0) {
+      index = nextRange.start;
+      continue;
+    }
+
+    if (sentenceStarts.has(match.index)) previousWord = null;
+
+    const isWord = /[\p{L}\p{N}_]/u.test(value[0]);
+    const token = {
+      text: value,
+      lower: value.toLowerCase(),
+      start: match.index,
+      end,
+      type: isWord ? (/^\d+$/.test(value) ? 'number' : 'word') : 'punct'
+    };
+
+    if (isWord) {
+      token.pos = guessPartOfSpeech(token, previousWord, lexicon);
+      previousWord = token;
+    } else {
+      token.pos = 'PUNCT';
+      if (/[.!?;:。！？]/.test(value)) previousWord = null;
+    }
+
+    pushToken(token);
+    index = end;
+  }
+
+  return tokens;
+}
+
+/**
+ * Analyze text once: sentences with their tokens, plus the flat token list
+ * The language is detected (see language.js) unless `options.language` forces a lexicon;
+ * the result carries the lexicon and `language`: { detected, confidence, lexicon }.
+ */
+export function analyzeText(text, options = {}) {
+  const { info, lexicon } = resolveLanguage(text, options.language);
+  const protectedRanges = findProtectedRanges(text, lexicon);
+  const sentences = segmentSentences(text, { protectedRanges });
+  const tokens = tokenize(text, {
+    lexicon,
+    protectedRanges,
+    sentenceStarts: new Set(sentences.map(sentence => sentence.start))
+  });
+
+  return {
+    text,
+    language: info,
+    lexicon,
+    protectedRanges,
+    tokens,
+    sentences: sentences.map(sentence => ({
+      ...sentence,
+      tokens: tokens.filter(token => token.start >= sentence.start && token.end <= sentence.end)
+    }))
+  };
+}
+
+/**
+ * Word tokens only (no punctuation, code, URLs or paths)
+ */
+export function wordTokens(tokens) {
+  return tokens.filter(token => token.type === 'word' || token.type === 'number');
+}
+
+/**
+ * Check whether an offset range overlaps a protected span such as code or a URL
+ */
+export function isProtected(protectedRanges, start, end) {
+  return protectedRanges.some(range => start < range.end && end > range.start);
+}